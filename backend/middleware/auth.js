@@ -1,5 +1,34 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const AuthSession = require('../models/AuthSession');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { verifyAccessToken } = require('../utils/tokens');
+
+// Resolve a bearer token to its user. JWTs are tied to an auth session;
+// tokens without a session id predate refresh tokens and can't be revoked,
+// so they are refused. Personal access tokens are looked up by hash.
+const authenticateToken = async (token, req) => {
+  if (PersonalAccessToken.looksLikeToken(token)) {
+    const accessToken = await PersonalAccessToken.findByToken(token);
+    if (!accessToken) {
+      return { rejected: 'Access token is invalid or has expired' };
+    }
+
+    const user = await User.findById(accessToken.user).select('-password');
+    if (user) {
+      await accessToken.touch(req);
+    }
+    return { user, sessionId: null, accessToken };
+  }
+
+  const decoded = verifyAccessToken(token);
+
+  if (!decoded.sid || !(await AuthSession.exists({ _id: decoded.sid, revokedAt: null }))) {
+    return { rejected: 'Session has been signed out' };
+  }
+
+  const user = await User.findById(decoded.userId).select('-password');
+  return { user, sessionId: decoded.sid, accessToken: null };
+};
 
 const auth = async (req, res, next) => {
   try {
@@ -18,18 +47,25 @@ const auth = async (req, res, next) => {
     }
 
     try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      // Get user from token
-      const user = await User.findById(decoded.userId).select('-password');
-      
+      // Verify the token and the session or access token behind it
+      const { user, sessionId, accessToken, rejected } = await authenticateToken(token, req);
+
+      if (rejected) {
+        return res.status(401).json({ message: rejected });
+      }
+
       if (!user) {
         return res.status(401).json({ message: 'User not found, authorization denied' });
       }
 
-      // Add user to request object
+      if (user.disabled) {
+        return res.status(403).json({ message: 'This account has been disabled' });
+      }
+
+      // Add user and session (or personal access token) to request object
       req.user = user;
+      req.sessionId = sessionId;
+      req.accessToken = accessToken;
       next();
     } catch (tokenError) {
       console.error('Token verification error:', tokenError.message);
@@ -58,15 +94,15 @@ const optionalAuth = async (req, res, next) => {
       
       if (token) {
         try {
-          const decoded = jwt.verify(token, process.env.JWT_SECRET);
-          const user = await User.findById(decoded.userId).select('-password');
+          const { user, sessionId, accessToken } = await authenticateToken(token, req);
           
-          if (user) {
+          if (user && !user.disabled) {
             req.user = user;
+            req.sessionId = sessionId;
+            req.accessToken = accessToken;
           }
         } catch (tokenError) {
-          // Silently fail for optional auth
-          console.log('Optional auth failed:', tokenError.message);
+          // A bad or expired token just leaves the request anonymous
         }
       }
     }
@@ -78,24 +114,50 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Admin middleware (for future admin features)
-const adminAuth = async (req, res, next) => {
-  try {
-    await auth(req, res, () => {});
-    
-    if (!req.user.isAdmin) {
-      return res.status(403).json({ message: 'Admin access required' });
+// Auth for account management: needs a real login, personal access tokens
+// are refused so a leaked script token can't change passwords or mint tokens
+const sessionAuth = (req, res, next) => {
+  auth(req, res, () => {
+    if (req.accessToken) {
+      return res.status(403).json({ message: 'Personal access tokens cannot be used for this request' });
     }
-    
     next();
-  } catch (error) {
-    console.error('Admin auth middleware error:', error);
-    res.status(500).json({ message: 'Server error in admin authentication' });
+  });
+};
+
+// Scope middleware - use after auth on every route a personal access token
+// may reach. Session logins carry every scope.
+const requireScope = (scope) => (req, res, next) => {
+  if (req.accessToken && !req.accessToken.hasScope(scope)) {
+    return res.status(403).json({ message: `This access token is missing the "${scope}" scope` });
   }
+  next();
 };
 
-module.exports = { auth, optionalAuth, adminAuth };
+// Role middleware - use after auth, e.g. router.use(auth, requireRole('admin'))
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ message: 'You do not have permission to do that' });
+  }
+  next();
+};
+
+// Admin middleware - auth followed by an admin role check
+const adminAuth = (req, res, next) => {
+  sessionAuth(req, res, () => {
+    if (!req.user.isAdmin) {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+    next();
+  });
+};
 
-// Export auth as default for backward compatibility
-module.exports.default = auth;
+// auth stays the default export so existing require('../middleware/auth')
+// calls keep working; the other middleware hang off it
 module.exports = auth;
+module.exports.auth = auth;
+module.exports.optionalAuth = optionalAuth;
+module.exports.sessionAuth = sessionAuth;
+module.exports.requireScope = requireScope;
+module.exports.requireRole = requireRole;
+module.exports.adminAuth = adminAuth;
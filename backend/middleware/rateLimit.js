@@ -0,0 +1,85 @@
+const rateLimit = require('express-rate-limit');
+
+const minutes = (value) => value * 60 * 1000;
+const envNumber = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+const AUTH_WINDOW_MS = envNumber('AUTH_RATE_LIMIT_WINDOW_MS', minutes(15));
+
+// Answer in the same { message } shape as every other API error
+const limitHandler = (message) => (req, res, next, options) => {
+  res.status(options.statusCode).json({ message });
+};
+
+// Key for per-account limits: the email (or username) being tried, so one
+// account can't be hammered from many addresses
+const accountKey = (req) => {
+  const account = req.body?.email || req.body?.username;
+  return typeof account === 'string' && account.trim()
+    ? `account:${account.trim().toLowerCase()}`
+    : `ip:${req.ip}`;
+};
+
+// Blanket limit for the whole API
+const apiLimiter = rateLimit({
+  windowMs: envNumber('RATE_LIMIT_WINDOW_MS', minutes(15)),
+  max: envNumber('RATE_LIMIT_MAX', 1000),
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: limitHandler('Too many requests, please try again later')
+});
+
+// Failed logins per IP address; successful logins don't count
+const loginIpLimiter = rateLimit({
+  windowMs: AUTH_WINDOW_MS,
+  max: envNumber('LOGIN_RATE_LIMIT_MAX', 20),
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+  handler: limitHandler('Too many failed login attempts from this address, please try again later')
+});
+
+// Login attempts per account, whichever address they come from
+const loginAccountLimiter = rateLimit({
+  windowMs: AUTH_WINDOW_MS,
+  max: envNumber('LOGIN_ACCOUNT_RATE_LIMIT_MAX', 10),
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+  keyGenerator: accountKey,
+  handler: limitHandler('Too many failed login attempts for this account, please try again later')
+});
+
+// Sign-ups per IP address
+const registerIpLimiter = rateLimit({
+  windowMs: minutes(60),
+  max: envNumber('REGISTER_RATE_LIMIT_MAX', 10),
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: limitHandler('Too many accounts created from this address, please try again later')
+});
+
+// Sign-up attempts for the same email or username
+const registerAccountLimiter = rateLimit({
+  windowMs: minutes(60),
+  max: 5,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: accountKey,
+  handler: limitHandler('Too many sign-up attempts for this account, please try again later')
+});
+
+// Password reset and verification emails per IP address
+const emailLimiter = rateLimit({
+  windowMs: minutes(60),
+  max: envNumber('EMAIL_RATE_LIMIT_MAX', 5),
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: limitHandler('Too many email requests, please try again later')
+});
+
+module.exports = {
+  apiLimiter,
+  loginLimiters: [loginIpLimiter, loginAccountLimiter],
+  registerLimiters: [registerIpLimiter, registerAccountLimiter],
+  emailLimiter
+};
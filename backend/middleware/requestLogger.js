@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const morgan = require('morgan');
+
+// Incoming ids from a proxy are kept only if they look like ids
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Tag every request with an id, reusing X-Request-Id from an upstream proxy,
+// and echo it back so clients can quote it when reporting a problem
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+// One JSON line per request, e.g.
+// {"time":"...","requestId":"...","method":"GET","url":"/api/books","status":200,...}
+const jsonFormat = (tokens, req, res) => JSON.stringify({
+  time: tokens.date(req, res, 'iso'),
+  requestId: req.id,
+  method: tokens.method(req, res),
+  url: tokens.url(req, res),
+  status: Number(tokens.status(req, res)) || null,
+  durationMs: Number(tokens['response-time'](req, res)) || null,
+  contentLength: Number(tokens.res(req, res, 'content-length')) || 0,
+  ip: req.ip,
+  userId: req.user ? String(req.user._id) : null,
+  userAgent: tokens['user-agent'](req, res)
+});
+
+// LOG_FORMAT=dev gives morgan's short coloured lines for local work
+const requestLogger = morgan(process.env.LOG_FORMAT === 'dev' ? 'dev' : jsonFormat, {
+  skip: () => process.env.NODE_ENV === 'test'
+});
+
+module.exports = {
+  requestId,
+  requestLogger
+};
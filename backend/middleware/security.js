@@ -0,0 +1,57 @@
+const cors = require('cors');
+const helmet = require('helmet');
+
+// CORS_ORIGINS is a comma-separated allow-list, e.g.
+// "https://library.example.com,https://staging.library.example.com".
+// FRONTEND_URL is still honoured so existing setups keep working.
+const allowedOrigins = () => {
+  const origins = (process.env.CORS_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+
+  if (process.env.FRONTEND_URL) {
+    origins.push(process.env.FRONTEND_URL.replace(/\/$/, ''));
+  }
+  return origins.length ? [...new Set(origins)] : ['http://localhost:3000'];
+};
+
+const corsMiddleware = () => {
+  const origins = allowedOrigins();
+
+  return cors({
+    origin: (origin, callback) => {
+      // Same-origin requests and non-browser clients send no Origin header
+      if (!origin || origins.includes(origin)) {
+        return callback(null, true);
+      }
+      // Refuse without an error so the browser just sees no CORS headers
+      callback(null, false);
+    },
+    credentials: true,
+    // Lets the browser read the suggested filename on export downloads and
+    // the request id for error reports
+    exposedHeaders: ['Content-Disposition', 'X-Request-Id']
+  });
+};
+
+const helmetMiddleware = () => helmet({
+  // The frontend runs on another origin and shows covers and avatars from /uploads
+  crossOriginResourcePolicy: { policy: 'cross-origin' }
+});
+
+// TRUST_PROXY is passed to Express' "trust proxy" setting so rate limits and
+// logs see the client address rather than the load balancer's
+const trustProxySetting = () => {
+  const value = process.env.TRUST_PROXY;
+  if (value === undefined || value === '') return false;
+  if (value === 'true' || value === 'false') return value === 'true';
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+};
+
+module.exports = {
+  allowedOrigins,
+  corsMiddleware,
+  helmetMiddleware,
+  trustProxySetting
+};
@@ -1,27 +1,11 @@
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
 const sharp = require('sharp');
+const { saveUpload, deleteUpload, keyFromUrl } = require('../services/storage');
 
-// Ensure uploads directory exists
-const uploadDir = path.join(__dirname, '..', 'uploads');
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-}
-
-// Configure storage
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    // Generate unique filename with timestamp
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const extension = path.extname(file.originalname);
-    const filename = `book-cover-${uniqueSuffix}${extension}`;
-    cb(null, filename);
-  }
-});
+// Images are held in memory until optimizeImage has resized them and handed
+// the results to the configured storage driver
+const storage = multer.memoryStorage();
 
 // File filter for images only
 const fileFilter = (req, file, cb) => {
@@ -42,37 +26,142 @@ const upload = multer({
   fileFilter: fileFilter
 });
 
-// Middleware to optimize images after upload
+// Import files (CSV/text exports from other services) are parsed in memory
+// and never written to disk
+const importFileFilter = (req, file, cb) => {
+  const allowedTypes = ['text/csv', 'text/plain', 'application/vnd.ms-excel', 'application/csv'];
+  if (allowedTypes.includes(file.mimetype) || /\.(csv|txt)$/i.test(file.originalname)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only CSV or text files are allowed!'), false);
+  }
+};
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_IMPORT_FILE_SIZE) || 20 * 1024 * 1024, // 20MB default
+  },
+  fileFilter: importFileFilter
+});
+
+// Avatars are cropped to a square JPEG
+const AVATAR_SIZE = { width: 256, height: 256, fit: 'cover' };
+
+// Every cover is stored at three sizes, each as WebP and JPEG. The large
+// JPEG doubles as book.coverImage for clients that don't use renditions.
+const COVER_SIZES = {
+  thumb: { width: 120, height: 180 },
+  medium: { width: 300, height: 450 },
+  large: { width: 600, height: 900 }
+};
+
+const COVER_FORMATS = {
+  webp: { extension: 'webp', options: { quality: 80 } },
+  jpeg: { extension: 'jpg', options: { quality: 80, progressive: true } }
+};
+
+const uniqueName = (prefix) => `${prefix}-${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+
+// Original extension of an upload, if it is a sensible one
+const safeExtension = (originalname) => {
+  const extension = path.extname(originalname || '').toLowerCase();
+  return /^\.[a-z0-9]{1,5}$/.test(extension) ? extension : '';
+};
+
+// Store every cover rendition for an image (file path or Buffer); resolves to
+// { coverImage, coverRenditions } ready to store on a book
+const createCoverRenditions = async (input) => {
+  const base = uniqueName('book-cover');
+  // rotate() applies EXIF orientation from phone photos
+  const source = sharp(input).rotate();
+  const coverRenditions = [];
+
+  try {
+    for (const [size, { width, height }] of Object.entries(COVER_SIZES)) {
+      for (const [format, { extension, options }] of Object.entries(COVER_FORMATS)) {
+        const { data, info } = await source
+          .clone()
+          .resize(width, height, { fit: 'inside', withoutEnlargement: true })[format](options)
+          .toBuffer({ resolveWithObject: true });
+
+        coverRenditions.push({
+          size,
+          format,
+          width: info.width,
+          height: info.height,
+          url: await saveUpload(`${base}-${size}.${extension}`, data)
+        });
+      }
+    }
+  } catch (error) {
+    await deleteCoverFiles({ coverRenditions });
+    throw error;
+  }
+
+  const large = coverRenditions.find(item => item.size === 'large' && item.format === 'jpeg');
+  return { coverImage: large.url, coverRenditions };
+};
+
+// Storage keys behind a cover: the main image and all renditions
+const coverKeys = (cover) => {
+  if (!cover) return [];
+  const urls = [cover.coverImage, ...(cover.coverRenditions || []).map(item => item.url)];
+  return [...new Set(urls.map(keyFromUrl).filter(Boolean))];
+};
+
+// Delete the files behind a cover ({ coverImage, coverRenditions }, e.g. a book)
+const deleteCoverFiles = (cover) => Promise.all(coverKeys(cover).map(deleteUpload));
+
+// Store the upload as it arrived, for when sharp can't read it
+const saveOriginal = (file, prefix) => (
+  saveUpload(`${uniqueName(prefix)}${safeExtension(file.originalname)}`, file.buffer)
+);
+
+// Middleware to optimize and store images after upload. Covers become a set
+// of renditions on req.cover; avatars are re-encoded as JPEG and their key
+// set as req.file.filename.
 const optimizeImage = async (req, res, next) => {
   if (!req.file) {
     return next();
   }
 
   try {
-    const inputPath = req.file.path;
-    const outputPath = path.join(uploadDir, 'optimized-' + req.file.filename);
-
-    // Optimize image using sharp
-    await sharp(inputPath)
-      .resize(400, 600, {
-        fit: 'inside',
-        withoutEnlargement: true
-      })
-      .jpeg({ 
-        quality: 80,
-        progressive: true
-      })
-      .toFile(outputPath);
-
-    // Remove original file and rename optimized file
-    fs.unlinkSync(inputPath);
-    fs.renameSync(outputPath, inputPath);
+    if (req.file.fieldname === 'coverImage') {
+      try {
+        req.cover = await createCoverRenditions(req.file.buffer);
+      } catch (error) {
+        console.error('Image optimization error:', error);
+        // Keep the upload as it is rather than losing it
+        req.cover = { coverImage: await saveOriginal(req.file, 'book-cover'), coverRenditions: [] };
+      }
+      return next();
+    }
 
+    let url;
+    try {
+      const { width, height, fit } = AVATAR_SIZE;
+      const data = await sharp(req.file.buffer)
+        .rotate()
+        .resize(width, height, {
+          fit,
+          withoutEnlargement: true
+        })
+        .jpeg({ 
+          quality: 80,
+          progressive: true
+        })
+        .toBuffer();
+      url = await saveUpload(`${uniqueName('avatar')}.jpg`, data);
+    } catch (error) {
+      console.error('Image optimization error:', error);
+      // Continue without optimization if it fails
+      url = await saveOriginal(req.file, 'avatar');
+    }
+    req.file.filename = keyFromUrl(url);
     next();
   } catch (error) {
-    console.error('Image optimization error:', error);
-    // Continue without optimization if it fails
-    next();
+    next(error);
   }
 };
 
@@ -81,7 +170,9 @@ const handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
-        message: 'File too large. Maximum size is 5MB.'
+        message: err.field === 'file'
+          ? 'File too large. Maximum size is 20MB.'
+          : 'File too large. Maximum size is 5MB.'
       });
     }
     if (err.code === 'LIMIT_FILE_COUNT') {
@@ -102,30 +193,39 @@ const handleUploadError = (err, req, res, next) => {
     });
   }
 
+  if (err.message === 'Only CSV or text files are allowed!') {
+    return res.status(400).json({
+      message: 'Only CSV or plain text export files are allowed.'
+    });
+  }
+
   next(err);
 };
 
-// Utility function to delete uploaded file
-const deleteUploadedFile = (filename) => {
-  if (filename) {
-    const filePath = path.join(uploadDir, filename);
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-    }
-  }
-};
+// Utility function to delete uploaded file; never rejects
+const deleteUploadedFile = (filename) => (filename ? deleteUpload(filename) : Promise.resolve());
 
 // Single file upload for book covers
 const uploadSingle = upload.single('coverImage');
 
+// Single file upload for profile pictures
+const uploadAvatar = upload.single('avatar');
+
 // Multiple files upload (for future features)
 const uploadMultiple = upload.array('images', 5);
 
+// Single import file, kept in memory as req.file.buffer
+const uploadImportFile = importUpload.single('file');
+
 module.exports = {
   upload,
   uploadSingle,
+  uploadAvatar,
   uploadMultiple,
+  uploadImportFile,
   optimizeImage,
+  createCoverRenditions,
+  deleteCoverFiles,
   handleUploadError,
   deleteUploadedFile
 };
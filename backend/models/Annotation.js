@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const annotationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true
+  },
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: [true, 'Book is required']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['quote', 'highlight', 'note'],
+      message: 'Type must be quote, highlight or note'
+    },
+    default: 'quote'
+  },
+  text: {
+    type: String,
+    required: [true, 'Text is required'],
+    trim: true,
+    maxlength: [10000, 'Text cannot exceed 10,000 characters']
+  },
+  page: {
+    type: Number,
+    min: [0, 'Page cannot be negative'],
+    max: [50000, 'Page cannot exceed 50,000']
+  },
+  // Free-form position for formats without pages, e.g. a Kindle "1234-1240"
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Location cannot exceed 50 characters']
+  },
+  chapter: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Chapter cannot exceed 200 characters']
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [30, 'Tag cannot exceed 30 characters']
+  }],
+  source: {
+    type: String,
+    enum: ['manual', 'kindle', 'kobo'],
+    default: 'manual'
+  },
+  // Fingerprint of an imported clipping, so importing the same file again
+  // doesn't add it twice
+  importKey: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+annotationSchema.index({ user: 1, book: 1, page: 1, createdAt: 1 });
+annotationSchema.index({ user: 1, tags: 1 });
+annotationSchema.index({ user: 1, book: 1, importKey: 1 });
+annotationSchema.index(
+  { user: 1, text: 'text', chapter: 'text', tags: 'text' },
+  {
+    name: 'annotation_text_search',
+    weights: { text: 5, tags: 3, chapter: 1 },
+    default_language: 'english',
+    language_override: 'textLanguage'
+  }
+);
+
+// Static method to get every tag the user has used, most used first
+annotationSchema.statics.tagCounts = function(userId) {
+  return this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $project: { _id: 0, tag: '$_id', count: 1 } }
+  ]);
+};
+
+annotationSchema.set('toJSON', { virtuals: true });
+annotationSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Annotation', annotationSchema);
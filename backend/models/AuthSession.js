@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const {
+  REFRESH_TOKEN_TTL_DAYS,
+  generateRefreshToken,
+  hashToken
+} = require('../utils/tokens');
+const { describeUserAgent } = require('../utils/userAgent');
+
+// A signed-in device. Holds the hash of its current refresh token, which is
+// rotated on every refresh.
+const authSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The token this one replaced; seeing it again means it was stolen and replayed
+  previousTokenHash: {
+    type: String,
+    index: true
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  device: {
+    type: String,
+    maxlength: 100
+  },
+  ip: {
+    type: String,
+    maxlength: 100
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB delete sessions once they expire
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const expiryFromNow = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const clientDetails = (req) => {
+  const userAgent = (req.get('User-Agent') || '').slice(0, 500);
+  return {
+    userAgent,
+    device: describeUserAgent(userAgent),
+    ip: req.ip
+  };
+};
+
+// Virtual for whether the session can still be refreshed
+authSessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to start a session for a user; resolves to { session, refreshToken }
+authSessionSchema.statics.start = async function(userId, req) {
+  const refreshToken = generateRefreshToken();
+  const session = await this.create({
+    user: userId,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: expiryFromNow(),
+    ...clientDetails(req)
+  });
+  return { session, refreshToken };
+};
+
+// Static method to list a user's sessions that are still usable
+authSessionSchema.statics.findActive = function(userId) {
+  return this.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastSeenAt: -1 });
+};
+
+// Method to swap the refresh token for a new one; returns the new token
+authSessionSchema.methods.rotate = async function(req) {
+  const refreshToken = generateRefreshToken();
+  this.previousTokenHash = this.tokenHash;
+  this.tokenHash = hashToken(refreshToken);
+  this.lastSeenAt = new Date();
+  this.expiresAt = expiryFromNow();
+  Object.assign(this, clientDetails(req));
+  await this.save();
+  return refreshToken;
+};
+
+// Method to revoke the session so neither token works any more
+authSessionSchema.methods.revoke = async function() {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    await this.save();
+  }
+};
+
+authSessionSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    delete ret.previousTokenHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('AuthSession', authSessionSchema);
@@ -75,6 +75,21 @@ const bookSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Resized copies of an uploaded or fetched cover, for srcset
+  coverRenditions: [{
+    _id: false,
+    size: {
+      type: String,
+      enum: ['thumb', 'medium', 'large']
+    },
+    format: {
+      type: String,
+      enum: ['webp', 'jpeg']
+    },
+    width: Number,
+    height: Number,
+    url: String
+  }],
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -97,6 +112,16 @@ const bookSchema = new mongoose.Schema({
     type: Number, // in days
     min: 0
   },
+  currentPage: {
+    type: Number,
+    min: [0, 'Current page cannot be negative'],
+    validate: {
+      validator: function(v) {
+        return v === null || v === undefined || !this.pageCount || v <= this.pageCount;
+      },
+      message: 'Current page cannot exceed page count'
+    }
+  },
   purchasePrice: {
     type: Number,
     min: 0
@@ -120,6 +145,19 @@ const bookSchema = new mongoose.Schema({
       min: 1
     }
   },
+  // Who has the physical copy right now; kept in step with the open Loan
+  currentLoan: {
+    type: new mongoose.Schema({
+      loan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Loan'
+      },
+      borrowerName: String,
+      lentAt: Date,
+      dueAt: Date
+    }, { _id: false }),
+    default: null
+  },
   language: {
     type: String,
     trim: true,
@@ -130,6 +168,12 @@ const bookSchema = new mongoose.Schema({
     type: String,
     enum: ['Physical', 'Ebook', 'Audiobook'],
     default: 'Physical'
+  },
+  // Set when the book is moved to the trash; it is purged for good once the
+  // retention period has passed
+  deletedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -137,10 +181,51 @@ const bookSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 bookSchema.index({ user: 1, status: 1 });
-bookSchema.index({ user: 1, title: 'text', author: 'text' });
+// Full-text search index used by GET /api/books/search. A collection can have
+// only one text index, so databases created before it have to drop the old
+// title/author one first (npm run migrate-search-index). language_override
+// points away from the book's own language field, whose free-form values
+// MongoDB would otherwise reject as text search languages.
+bookSchema.index(
+  { user: 1, title: 'text', author: 'text', tags: 'text', description: 'text', notes: 'text' },
+  {
+    name: 'book_text_search',
+    weights: { title: 10, author: 8, tags: 5, description: 2, notes: 1 },
+    default_language: 'english',
+    language_override: 'textSearchLanguage'
+  }
+);
 bookSchema.index({ user: 1, genre: 1 });
 bookSchema.index({ user: 1, rating: -1 });
 bookSchema.index({ user: 1, createdAt: -1 });
+bookSchema.index({ user: 1, 'series.name': 1 }, { collation: { locale: 'en', strength: 2 } });
+bookSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+
+// Books in the trash are left out of every query and aggregation unless the
+// filter (or the pipeline's first $match) asks about deletedAt itself, or the
+// query opts in with .withDeleted()
+const hasOwn = (object, key) => Boolean(object) && Object.prototype.hasOwnProperty.call(object, key);
+
+bookSchema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'], function() {
+  if (this._withDeleted || hasOwn(this.getFilter(), 'deletedAt')) return;
+  this.where({ deletedAt: null });
+});
+
+bookSchema.pre('aggregate', function() {
+  const pipeline = this.pipeline();
+  const firstMatch = pipeline[0]?.$match;
+  if (firstMatch) {
+    if (!hasOwn(firstMatch, 'deletedAt')) firstMatch.deletedAt = null;
+  } else {
+    pipeline.unshift({ $match: { deletedAt: null } });
+  }
+});
+
+// Query helper to include books in the trash, e.g. for cleaning up covers
+bookSchema.query.withDeleted = function() {
+  this._withDeleted = true;
+  return this;
+};
 
 // Pre-save middleware to set reading dates
 bookSchema.pre('save', function(next) {
@@ -152,14 +237,22 @@ bookSchema.pre('save', function(next) {
       this.dateStarted = now;
     }
     
-    // Set dateFinished and calculate reading duration when status changes to "Read"
-    if (this.status === 'Read' && !this.dateFinished) {
-      this.dateFinished = now;
-      
-      if (this.dateStarted) {
+    // Set dateFinished (unless the caller already knows when the book was
+    // finished) and calculate reading duration when status changes to "Read"
+    if (this.status === 'Read') {
+      if (!this.dateFinished) {
+        this.dateFinished = now;
+      }
+
+      if (this.dateStarted && !this.isModified('readingDuration')) {
         const timeDiff = this.dateFinished.getTime() - this.dateStarted.getTime();
         this.readingDuration = Math.ceil(timeDiff / (1000 * 3600 * 24)); // Convert to days
       }
+
+      // A finished book has been read to the last page
+      if (this.pageCount) {
+        this.currentPage = this.pageCount;
+      }
     }
   }
   
@@ -207,6 +300,13 @@ bookSchema.virtual('readingProgress').get(function() {
   return null;
 });
 
+// Virtual for percentage read, derived from currentPage and pageCount
+bookSchema.virtual('percentComplete').get(function() {
+  if (this.status === 'Read') return 100;
+  if (!this.pageCount || !this.currentPage) return this.status === 'To Read' ? null : 0;
+  return Math.min(100, Math.round((this.currentPage / this.pageCount) * 100));
+});
+
 // Virtual for formatted publication date
 bookSchema.virtual('formattedPublishedDate').get(function() {
   if (!this.publishedDate) return null;
@@ -220,28 +320,51 @@ bookSchema.virtual('formattedPublishedDate').get(function() {
   return date.toLocaleDateString();
 });
 
-// Method to get similar books (by author or genre)
+// Method to get similar books (same series, author or genre, or shared
+// tags), most similar first
 bookSchema.methods.getSimilarBooks = async function(limit = 5) {
-  return await this.constructor.find({
+  const criteria = [];
+  if (this.series?.name) criteria.push({ 'series.name': this.series.name });
+  if (this.author) criteria.push({ author: this.author });
+  if (this.genre) criteria.push({ genre: this.genre });
+  if (this.tags?.length) criteria.push({ tags: { $in: this.tags } });
+  if (!criteria.length) return [];
+
+  const candidates = await this.constructor.find({
     user: this.user,
     _id: { $ne: this._id },
-    $or: [
-      { author: this.author },
-      { genre: this.genre }
-    ]
-  }).limit(limit);
+    $or: criteria
+  }).limit(200);
+
+  const tags = new Set(this.tags);
+  const score = (book) => (
+    (this.series?.name && book.series?.name === this.series.name ? 4 : 0) +
+    (book.author === this.author ? 3 : 0) +
+    (this.genre && book.genre === this.genre ? 2 : 0) +
+    (book.tags || []).filter(tag => tags.has(tag)).length
+  );
+
+  return candidates
+    .map(book => ({ book, score: score(book) }))
+    .sort((a, b) => b.score - a.score || (b.book.rating || 0) - (a.book.rating || 0))
+    .slice(0, limit)
+    .map(({ book }) => book);
 };
 
 // Static method to get reading statistics for a user
 bookSchema.statics.getReadingStats = async function(userId) {
   const stats = await this.aggregate([
-    { $match: { user: mongoose.Types.ObjectId(userId) } },
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
     {
       $group: {
         _id: null,
         totalBooks: { $sum: 1 },
         averageRating: { $avg: '$rating' },
         totalPages: { $sum: '$pageCount' },
+        pagesRead: {
+          $sum: { $cond: [{ $eq: ['$status', 'Read'] }, { $ifNull: ['$pageCount', 0] }, 0] }
+        },
+        averageReadingDuration: { $avg: '$readingDuration' },
         booksRead: {
           $sum: { $cond: [{ $eq: ['$status', 'Read'] }, 1, 0] }
         },
@@ -252,19 +375,102 @@ bookSchema.statics.getReadingStats = async function(userId) {
           $sum: { $cond: [{ $eq: ['$status', 'To Read'] }, 1, 0] }
         }
       }
-    }
+    },
+    { $project: { _id: 0 } }
   ]);
   
   return stats[0] || {
     totalBooks: 0,
     averageRating: 0,
     totalPages: 0,
+    pagesRead: 0,
+    averageReadingDuration: 0,
     booksRead: 0,
     booksReading: 0,
     booksToRead: 0
   };
 };
 
+// Static method to count books and pages finished per month or year
+bookSchema.statics.getFinishedTimeline = async function(userId, { period = 'month', from, to } = {}) {
+  const dateFinished = { $ne: null };
+  if (from) dateFinished.$gte = from;
+  if (to) dateFinished.$lt = to;
+
+  const groupId = period === 'year'
+    ? { year: { $year: '$dateFinished' } }
+    : { year: { $year: '$dateFinished' }, month: { $month: '$dateFinished' } };
+
+  const rows = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId), status: 'Read', dateFinished } },
+    {
+      $group: {
+        _id: groupId,
+        books: { $sum: 1 },
+        pages: { $sum: { $ifNull: ['$pageCount', 0] } }
+      }
+    },
+    { $sort: { '_id.year': 1, '_id.month': 1 } }
+  ]);
+
+  return rows.map(row => ({
+    period: period === 'year'
+      ? String(row._id.year)
+      : `${row._id.year}-${String(row._id.month).padStart(2, '0')}`,
+    books: row.books,
+    pages: row.pages
+  }));
+};
+
+// Static method to group a user's books by a single field (genre, author, ...)
+bookSchema.statics.getBreakdown = async function(userId, field, { limit = 20 } = {}) {
+  const rows = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    {
+      $group: {
+        _id: { $ifNull: [`$${field}`, null] },
+        count: { $sum: 1 },
+        read: { $sum: { $cond: [{ $eq: ['$status', 'Read'] }, 1, 0] } },
+        pages: { $sum: { $cond: [{ $eq: ['$status', 'Read'] }, { $ifNull: ['$pageCount', 0] }, 0] } },
+        averageRating: { $avg: '$rating' }
+      }
+    },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+
+  return rows.map(row => ({
+    name: row._id === null || row._id === '' ? 'Unknown' : row._id,
+    count: row.count,
+    read: row.read,
+    pages: row.pages,
+    averageRating: row.averageRating === null ? null : Math.round(row.averageRating * 10) / 10
+  }));
+};
+
+// Static method to count rated books at each star value (1-5)
+bookSchema.statics.getRatingDistribution = async function(userId) {
+  const rows = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId), rating: { $gte: 1 } } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  return [1, 2, 3, 4, 5].map(rating => ({
+    rating,
+    count: rows.find(row => row._id === rating)?.count || 0
+  }));
+};
+
+// Static method to get the user's books that belong to a series, optionally
+// only the named one (matched case-insensitively)
+bookSchema.statics.findSeriesBooks = function(userId, name) {
+  const filter = { user: userId, 'series.name': { $nin: [null, ''] } };
+  if (name) {
+    filter['series.name'] = name;
+  }
+  return this.find(filter).collation({ locale: 'en', strength: 2 });
+};
+
 // Enable virtual fields in JSON
 bookSchema.set('toJSON', { virtuals: true });
 bookSchema.set('toObject', { virtuals: true });
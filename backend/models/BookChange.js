@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const { snapshotBook, diffSnapshots } = require('../utils/bookHistory');
+
+const bookChangeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true
+  },
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: [true, 'Book is required']
+  },
+  // Counts up from 1 for each book
+  version: {
+    type: Number,
+    required: [true, 'Version is required'],
+    min: 1
+  },
+  action: {
+    type: String,
+    enum: {
+      values: ['create', 'update', 'status', 'delete', 'restore', 'revert'],
+      message: 'Unknown change action'
+    },
+    required: [true, 'Action is required']
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  // The book's tracked fields as they were after this change
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Snapshot is required']
+  },
+  // For a revert, the version that was brought back
+  revertedTo: {
+    type: Number
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+bookChangeSchema.index({ book: 1, version: -1 }, { unique: true });
+
+const MAX_VERSION_ATTEMPTS = 3;
+
+// Static method to record a change to a book as its next version. Updates
+// that didn't change any tracked field are not recorded. A failed history
+// write is logged rather than failing the edit that caused it.
+bookChangeSchema.statics.record = async function(book, action, before = null, extra = {}) {
+  try {
+    const snapshot = snapshotBook(book);
+    const changes = diffSnapshots(before, snapshot);
+    if (!changes.length && ['update', 'status'].includes(action)) return null;
+
+    // Two edits racing for the same version number: the loser retries
+    for (let attempt = 1; attempt <= MAX_VERSION_ATTEMPTS; attempt++) {
+      const latest = await this.findOne({ book: book._id }).sort({ version: -1 }).select('version');
+      try {
+        return await this.create({
+          user: book.user,
+          book: book._id,
+          version: (latest?.version || 0) + 1,
+          action,
+          changes,
+          snapshot,
+          ...extra
+        });
+      } catch (error) {
+        if (error.code !== 11000 || attempt === MAX_VERSION_ATTEMPTS) throw error;
+      }
+    }
+    return null;
+  } catch (error) {
+    console.error(`Error recording ${action} of book ${book._id}:`, error);
+    return null;
+  }
+};
+
+// Static method to record version 1 of many new books at once, e.g. after
+// an import
+bookChangeSchema.statics.recordCreates = async function(books) {
+  if (!books.length) return [];
+  try {
+    return await this.insertMany(books.map(book => {
+      const snapshot = snapshotBook(book);
+      return {
+        user: book.user,
+        book: book._id,
+        version: 1,
+        action: 'create',
+        changes: diffSnapshots(null, snapshot),
+        snapshot
+      };
+    }), { ordered: false });
+  } catch (error) {
+    console.error('Error recording imported books:', error);
+    return [];
+  }
+};
+
+bookChangeSchema.set('toJSON', { virtuals: true });
+bookChangeSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('BookChange', bookChangeSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const DAY_MS = 1000 * 3600 * 24;
+
+const goalSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true
+  },
+  year: {
+    type: Number,
+    required: [true, 'Goal year is required'],
+    min: [1900, 'Year must be 1900 or later'],
+    max: [2100, 'Year must be 2100 or earlier']
+  },
+  metric: {
+    type: String,
+    required: [true, 'Goal metric is required'],
+    enum: {
+      values: ['books', 'pages'],
+      message: 'Metric must be either "books" or "pages"'
+    },
+    default: 'books'
+  },
+  target: {
+    type: Number,
+    required: [true, 'Goal target is required'],
+    min: [1, 'Target must be at least 1'],
+    max: [10000000, 'Target is too large']
+  }
+}, {
+  timestamps: true
+});
+
+// One goal per metric per year
+goalSchema.index({ user: 1, year: 1, metric: 1 }, { unique: true });
+
+// Method to compute progress and pace from books finished during the goal year
+goalSchema.methods.getProgress = async function(now = new Date()) {
+  const Book = mongoose.model('Book');
+  const start = new Date(Date.UTC(this.year, 0, 1));
+  const end = new Date(Date.UTC(this.year + 1, 0, 1));
+
+  const [totals] = await Book.aggregate([
+    {
+      $match: {
+        user: this.user,
+        status: 'Read',
+        dateFinished: { $gte: start, $lt: end }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        books: { $sum: 1 },
+        pages: { $sum: { $ifNull: ['$pageCount', 0] } }
+      }
+    }
+  ]);
+
+  const current = totals ? totals[this.metric] : 0;
+  const totalDays = Math.round((end - start) / DAY_MS);
+  const elapsedDays = Math.min(totalDays, Math.max(0, Math.ceil((now - start) / DAY_MS)));
+  const elapsedFraction = elapsedDays / totalDays;
+  const remainingDays = totalDays - elapsedDays;
+
+  // Where the reader "should" be if they read at an even pace all year
+  const expected = Math.round(this.target * elapsedFraction);
+  const projected = elapsedFraction > 0 ? Math.round(current / elapsedFraction) : 0;
+  const remaining = Math.max(0, this.target - current);
+
+  let schedule = 'on-track';
+  if (current >= this.target) schedule = 'completed';
+  else if (current > expected) schedule = 'ahead';
+  else if (current < expected) schedule = 'behind';
+
+  return {
+    current,
+    target: this.target,
+    percentComplete: Math.min(100, Math.round((current / this.target) * 100)),
+    expected,
+    difference: current - expected,
+    schedule,
+    projected,
+    remaining,
+    elapsedDays,
+    remainingDays,
+    // Needed per week from now on to still hit the target
+    requiredPerWeek: remainingDays > 0
+      ? Math.round((remaining / (remainingDays / 7)) * 10) / 10
+      : null
+  };
+};
+
+module.exports = mongoose.model('Goal', goalSchema);
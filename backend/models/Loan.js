@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const loanSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true
+  },
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: [true, 'Book is required']
+  },
+  borrowerName: {
+    type: String,
+    required: [true, 'Borrower name is required'],
+    trim: true,
+    maxlength: [100, 'Borrower name cannot exceed 100 characters']
+  },
+  borrowerContact: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Borrower contact cannot exceed 200 characters']
+  },
+  lentAt: {
+    type: Date,
+    required: [true, 'Lent date is required'],
+    default: Date.now
+  },
+  dueAt: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(v) {
+        return !v || !this.lentAt || v >= this.lentAt;
+      },
+      message: 'Due date cannot be before the lent date'
+    }
+  },
+  returnedAt: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(v) {
+        return !v || !this.lentAt || v >= this.lentAt;
+      },
+      message: 'Return date cannot be before the lent date'
+    }
+  },
+  // Condition of the copy when it went out and when it came back
+  conditionOut: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Condition notes cannot exceed 1000 characters']
+  },
+  conditionReturned: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Condition notes cannot exceed 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+loanSchema.index({ user: 1, book: 1, lentAt: -1 });
+loanSchema.index({ user: 1, returnedAt: 1, dueAt: 1 });
+
+// Virtual for whether the book is still out past its due date
+loanSchema.virtual('isOverdue').get(function() {
+  return !this.returnedAt && Boolean(this.dueAt) && this.dueAt < new Date();
+});
+
+// Virtual for days the book has been (or was) out
+loanSchema.virtual('daysOut').get(function() {
+  if (!this.lentAt) return null;
+  const end = this.returnedAt || new Date();
+  return Math.max(0, Math.floor((end.getTime() - this.lentAt.getTime()) / (1000 * 60 * 60 * 24)));
+});
+
+// Static method to build a query filter for one of the loan list views
+loanSchema.statics.statusFilter = function(userId, status, now = new Date()) {
+  switch (status) {
+    case 'overdue':
+      return { user: userId, returnedAt: null, dueAt: { $ne: null, $lt: now } };
+    case 'returned':
+      return { user: userId, returnedAt: { $ne: null } };
+    case 'all':
+      return { user: userId };
+    default:
+      return { user: userId, returnedAt: null };
+  }
+};
+
+// Method to get the summary kept on the book while it is out
+loanSchema.methods.toBookSummary = function() {
+  return {
+    loan: this._id,
+    borrowerName: this.borrowerName,
+    lentAt: this.lentAt,
+    dueAt: this.dueAt
+  };
+};
+
+loanSchema.set('toJSON', { virtuals: true });
+loanSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Loan', loanSchema);
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const { TOKEN_SCOPES, generateRandomToken, hashToken } = require('../utils/tokens');
+
+// Prefix so tokens are recognisable in scripts and secret scanners, and so
+// the auth middleware can tell them apart from JWTs
+const TOKEN_PREFIX = 'plt_';
+
+// Last-used time is only written this often, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// A long-lived token for scripts. Only the hash of the token is stored; the
+// token itself is shown to the user once when it is created.
+const personalAccessTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the token, so users can tell their tokens apart
+  hint: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: TOKEN_SCOPES,
+        message: 'Scope must be one of: ' + TOKEN_SCOPES.join(', ')
+      }
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    maxlength: 100
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB delete tokens once they expire
+personalAccessTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the token has run out (MongoDB's TTL sweep lags a little)
+personalAccessTokenSchema.virtual('isExpired').get(function() {
+  return this.expiresAt <= new Date();
+});
+
+// Static method to tell a personal access token from a JWT
+personalAccessTokenSchema.statics.looksLikeToken = function(token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+};
+
+// Static method to create a token; resolves to { accessToken, token } where
+// token is the plain value to hand to the user
+personalAccessTokenSchema.statics.issue = async function(userId, { name, scopes, expiresInDays }) {
+  const token = `${TOKEN_PREFIX}${generateRandomToken(32)}`;
+  const accessToken = await this.create({
+    user: userId,
+    name,
+    scopes: [...new Set(scopes)],
+    tokenHash: hashToken(token),
+    hint: token.slice(0, TOKEN_PREFIX.length + 4),
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+  });
+  return { accessToken, token };
+};
+
+// Static method to look up an unexpired token from its plain value
+personalAccessTokenSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(token), expiresAt: { $gt: new Date() } });
+};
+
+// Method to check whether the token grants a scope
+personalAccessTokenSchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Method to record that the token was used, at most once a minute
+personalAccessTokenSchema.methods.touch = async function(req) {
+  const now = Date.now();
+  if (this.lastUsedAt && now - this.lastUsedAt.getTime() < LAST_USED_RESOLUTION_MS) {
+    return;
+  }
+  this.lastUsedAt = new Date(now);
+  this.lastUsedIp = req.ip;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastUsedAt: this.lastUsedAt, lastUsedIp: this.lastUsedIp } }
+  );
+};
+
+personalAccessTokenSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
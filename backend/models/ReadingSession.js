@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const readingSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true
+  },
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: [true, 'Book is required']
+  },
+  startedAt: {
+    type: Date,
+    required: [true, 'Start time is required'],
+    default: Date.now
+  },
+  endedAt: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(v) {
+        return !v || !this.startedAt || v >= this.startedAt;
+      },
+      message: 'Session cannot end before it started'
+    }
+  },
+  startPage: {
+    type: Number,
+    min: [0, 'Page cannot be negative'],
+    max: [50000, 'Page cannot exceed 50,000']
+  },
+  endPage: {
+    type: Number,
+    min: [0, 'Page cannot be negative'],
+    max: [50000, 'Page cannot exceed 50,000']
+  },
+  percent: {
+    type: Number,
+    min: [0, 'Percent must be between 0 and 100'],
+    max: [100, 'Percent must be between 0 and 100']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Note cannot exceed 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+readingSessionSchema.index({ user: 1, book: 1, startedAt: -1 });
+
+// Virtual for session length in minutes (null while the session is open)
+readingSessionSchema.virtual('durationMinutes').get(function() {
+  if (!this.endedAt || !this.startedAt) return null;
+  return Math.round((this.endedAt.getTime() - this.startedAt.getTime()) / (1000 * 60));
+});
+
+// Virtual for pages read during the session
+readingSessionSchema.virtual('pagesRead').get(function() {
+  if (this.endPage === undefined || this.endPage === null) return null;
+  return Math.max(0, this.endPage - (this.startPage || 0));
+});
+
+readingSessionSchema.set('toJSON', { virtuals: true });
+readingSessionSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('ReadingSession', readingSessionSchema);
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const shelfEntrySchema = new mongoose.Schema({
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: true
+  },
+  position: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const shelfSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Shelf name is required'],
+    trim: true,
+    maxlength: [50, 'Shelf name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  color: {
+    type: String,
+    trim: true,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #1976d2']
+  },
+  books: [shelfEntrySchema]
+}, {
+  timestamps: true
+});
+
+// Shelf names are unique per user; membership lookups go through books.book
+shelfSchema.index({ user: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+shelfSchema.index({ user: 1, 'books.book': 1 });
+
+// Virtual for number of books on the shelf
+shelfSchema.virtual('bookCount').get(function() {
+  return this.books ? this.books.length : 0;
+});
+
+// Method to return member book IDs in shelf order
+shelfSchema.methods.getOrderedBookIds = function() {
+  return [...this.books]
+    .sort((a, b) => a.position - b.position)
+    .map(entry => entry.book);
+};
+
+// Method to add a book at a position (end of shelf by default)
+shelfSchema.methods.addBook = function(bookId, position) {
+  if (this.books.some(entry => entry.book.equals(bookId))) {
+    return false;
+  }
+
+  const ordered = this.getOrderedBookIds();
+  const index = position === undefined || position === null
+    ? ordered.length
+    : Math.max(0, Math.min(position, ordered.length));
+  ordered.splice(index, 0, bookId);
+  this.setOrder(ordered);
+  return true;
+};
+
+// Method to rewrite positions so they follow the given ID order. Books in
+// keepInPlace (e.g. ones in the trash, which clients don't see) hold their
+// current slots and the given IDs fill the slots around them.
+shelfSchema.methods.setOrder = function(bookIds, keepInPlace = []) {
+  const existing = new Map(this.books.map(entry => [entry.book.toString(), entry]));
+  const kept = new Set(keepInPlace.map(id => id.toString()));
+  const queue = bookIds.filter(id => !kept.has(id.toString()));
+  const ordered = [];
+
+  this.getOrderedBookIds().forEach(id => {
+    if (kept.has(id.toString())) ordered.push(id);
+    else if (queue.length) ordered.push(queue.shift());
+  });
+  ordered.push(...queue);
+
+  this.books = ordered.map((bookId, position) => ({
+    book: bookId,
+    position,
+    addedAt: existing.get(bookId.toString())?.addedAt || new Date()
+  }));
+};
+
+shelfSchema.set('toJSON', { virtuals: true });
+shelfSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Shelf', shelfSchema);
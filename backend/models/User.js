@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { verifyCode, normalizeRecoveryCode } = require('../utils/totp');
+const { hashToken } = require('../utils/tokens');
+
+// Account lockout after repeated failed logins
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MINUTES = 15;
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -21,6 +27,13 @@ const userSchema = new mongoose.Schema({
       'Please enter a valid email address'
     ]
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
   password: {
     type: String,
     required: [true, 'Password is required'],
@@ -38,6 +51,69 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Last name cannot exceed 50 characters']
   },
+  role: {
+    type: String,
+    enum: {
+      values: ['user', 'admin'],
+      message: 'Role must be either "user" or "admin"'
+    },
+    default: 'user'
+  },
+  disabled: {
+    type: Boolean,
+    default: false
+  },
+  disabledAt: {
+    type: Date
+  },
+  // TOTP two-factor authentication. The secrets and recovery codes are never
+  // selected unless asked for explicitly.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret waiting to be confirmed with a first code during enrollment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Time step of the last accepted code, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    }
+  },
+  // Set when the user asks to delete their account; the account is purged
+  // once the grace period runs out unless the request is cancelled
+  deletionRequestedAt: {
+    type: Date
+  },
+  deletionScheduledFor: {
+    type: Date,
+    index: { sparse: true }
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date
+  },
   avatar: {
     type: String,
     default: null
@@ -99,6 +175,79 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to record a wrong password; locks the account once the limit is hit.
+// Updates are atomic so parallel guesses can't slip past the count.
+userSchema.methods.registerFailedLogin = async function() {
+  const now = new Date();
+
+  // A lock that has run out starts a fresh count
+  if (this.lockUntil && this.lockUntil <= now) {
+    this.failedLoginAttempts = 1;
+    this.lockUntil = undefined;
+    return this.constructor.updateOne(
+      { _id: this._id },
+      { $set: { failedLoginAttempts: 1 }, $unset: { lockUntil: 1 } }
+    );
+  }
+
+  const update = { $inc: { failedLoginAttempts: 1 } };
+  if (this.failedLoginAttempts + 1 >= MAX_FAILED_LOGINS) {
+    this.lockUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+    update.$set = { lockUntil: this.lockUntil };
+  }
+  this.failedLoginAttempts += 1;
+  return this.constructor.updateOne({ _id: this._id }, update);
+};
+
+// Method to clear the failed login count after a successful login or reset
+userSchema.methods.clearFailedLogins = async function() {
+  if (!this.failedLoginAttempts && !this.lockUntil) return;
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } }
+  );
+};
+
+// Method to check a two-factor code or recovery code and use it up.
+// Needs the document loaded with +twoFactor.secret +twoFactor.lastUsedStep
+// +twoFactor.recoveryCodes.
+userSchema.methods.verifyTwoFactor = async function({ code, recoveryCode }) {
+  if (!this.twoFactor?.enabled) return false;
+
+  if (code) {
+    const step = verifyCode(this.twoFactor.secret, code);
+    if (step === null || (this.twoFactor.lastUsedStep !== undefined && step <= this.twoFactor.lastUsedStep)) {
+      return false;
+    }
+    // Conditional update so two requests racing with the same code can't both win
+    const result = await this.constructor.updateOne(
+      {
+        _id: this._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $exists: false } },
+          { 'twoFactor.lastUsedStep': { $lt: step } }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    this.twoFactor.lastUsedStep = step;
+    return result.modifiedCount === 1;
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const result = await this.constructor.updateOne(
+      { _id: this._id, 'twoFactor.recoveryCodes': { $elemMatch: { hash, usedAt: null } } },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  return false;
+};
+
 // Method to update stats
 userSchema.methods.updateStats = async function() {
   const Book = mongoose.model('Book');
@@ -139,6 +288,16 @@ userSchema.methods.updateStats = async function() {
   await this.save();
 };
 
+// Virtual for lockout checks at login
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+});
+
+// Virtual for admin checks (adminAuth middleware)
+userSchema.virtual('isAdmin').get(function() {
+  return this.role === 'admin';
+});
+
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
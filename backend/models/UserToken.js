@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+
+const TOKEN_PURPOSES = ['password-reset', 'email-verification', 'two-factor-challenge'];
+
+// Single-use token sent by email, or handed out after the password step of a
+// two-factor login. Only the hash is stored, so a database leak doesn't hand
+// out working reset links.
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true
+  },
+  purpose: {
+    type: String,
+    enum: TOKEN_PURPOSES,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB delete tokens once they expire
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to issue a token; earlier unused tokens for the same purpose
+// stop working so only the newest email's link is valid. Resolves to the raw token.
+userTokenSchema.statics.issue = async function(userId, purpose, ttlMinutes) {
+  await this.deleteMany({ user: userId, purpose, usedAt: null });
+
+  const token = generateRandomToken();
+  await this.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  });
+  return token;
+};
+
+const usableFilter = (token, purpose) => ({
+  tokenHash: hashToken(token),
+  purpose,
+  usedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+// Static method to look a token up without using it; resolves to the token
+// document, or null if it is unknown, expired, already used or meant for
+// something else
+userTokenSchema.statics.findUsable = function(token, purpose) {
+  return this.findOne(usableFilter(token, purpose));
+};
+
+// Static method to use up a token; resolves to the token document, or null
+// like findUsable
+userTokenSchema.statics.consume = function(token, purpose) {
+  return this.findOneAndUpdate(
+    usableFilter(token, purpose),
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
@@ -0,0 +1,218 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Joi = require('joi');
+const User = require('../models/User');
+const AuthSession = require('../models/AuthSession');
+const { adminAuth } = require('../middleware/auth');
+const { escapeRegex } = require('../utils/bookQuery');
+const { getLibraryCounts, deleteAccount } = require('../services/accounts');
+const { getUploadUsage, getUserUploadBytes } = require('../services/uploadUsage');
+
+const router = express.Router();
+
+// Every route here is admin-only
+router.use(adminAuth);
+
+// A malformed id can't belong to any user
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(404).json({ message: 'User not found' });
+  }
+  next();
+});
+
+// Validation schemas
+const userListQuerySchema = Joi.object({
+  q: Joi.string().trim().max(100).allow(''),
+  role: Joi.string().valid('user', 'admin'),
+  status: Joi.string().valid('active', 'disabled'),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(25)
+});
+
+const userUpdateSchema = Joi.object({
+  role: Joi.string().valid('user', 'admin'),
+  disabled: Joi.boolean()
+}).min(1);
+
+const validationError = (res, error) => res.status(400).json({
+  message: 'Validation error',
+  details: error.details.map(d => d.message)
+});
+
+const summarizeUser = (user, counts) => ({
+  _id: user._id,
+  username: user.username,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  role: user.role,
+  disabled: user.disabled,
+  disabledAt: user.disabledAt,
+  emailVerified: user.emailVerified,
+  createdAt: user.createdAt,
+  library: counts
+});
+
+// @route   GET /api/admin/users
+// @desc    List and search users with their library counts
+// @access  Admin
+router.get('/users', async (req, res) => {
+  try {
+    const { error, value } = userListQuerySchema.validate(req.query, { stripUnknown: true });
+    if (error) return validationError(res, error);
+
+    const filter = {};
+    if (value.q) {
+      const pattern = new RegExp(escapeRegex(value.q), 'i');
+      filter.$or = [
+        { username: pattern },
+        { email: pattern },
+        { firstName: pattern },
+        { lastName: pattern }
+      ];
+    }
+    if (value.role) filter.role = value.role === 'user' ? { $in: ['user', null] } : value.role;
+    if (value.status) filter.disabled = value.status === 'disabled' ? true : { $ne: true };
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('-password')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((value.page - 1) * value.limit)
+        .limit(value.limit),
+      User.countDocuments(filter)
+    ]);
+    const counts = await getLibraryCounts(users.map(user => user._id));
+    const totalPages = Math.ceil(total / value.limit);
+
+    res.json({
+      users: users.map(user => summarizeUser(user, counts.get(user._id.toString()))),
+      pagination: {
+        page: value.page,
+        limit: value.limit,
+        total,
+        totalPages,
+        hasNextPage: value.page < totalPages,
+        hasPrevPage: value.page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(500).json({ message: 'Server error while retrieving users' });
+  }
+});
+
+// @route   GET /api/admin/users/:id
+// @desc    Get one user with library counts and upload storage
+// @access  Admin
+router.get('/users/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const [counts, uploadBytes] = await Promise.all([
+      getLibraryCounts([user._id]),
+      getUserUploadBytes(user._id)
+    ]);
+
+    res.json({
+      user: {
+        ...summarizeUser(user, counts.get(user._id.toString())),
+        uploadBytes
+      }
+    });
+  } catch (error) {
+    console.error('Error getting user:', error);
+    res.status(500).json({ message: 'Server error while retrieving user' });
+  }
+});
+
+// @route   PATCH /api/admin/users/:id
+// @desc    Change a user's role or disable/enable the account
+// @access  Admin
+router.patch('/users/:id', async (req, res) => {
+  try {
+    const { error, value } = userUpdateSchema.validate(req.body, { stripUnknown: true });
+    if (error) return validationError(res, error);
+
+    // Guard against an admin locking themselves out
+    if (req.user._id.equals(req.params.id)) {
+      return res.status(400).json({ message: 'You cannot change your own role or status' });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (value.role) {
+      user.role = value.role;
+    }
+    if (value.disabled !== undefined && value.disabled !== user.disabled) {
+      user.disabled = value.disabled;
+      user.disabledAt = value.disabled ? new Date() : undefined;
+    }
+    await user.save();
+
+    // A disabled account is signed out everywhere straight away
+    if (user.disabled) {
+      await AuthSession.updateMany(
+        { user: user._id, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      );
+    }
+
+    const counts = await getLibraryCounts([user._id]);
+    res.json({
+      message: 'User updated successfully',
+      user: summarizeUser(user, counts.get(user._id.toString()))
+    });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ message: 'Server error while updating user' });
+  }
+});
+
+// @route   DELETE /api/admin/users/:id
+// @desc    Delete a user account and all of its data
+// @access  Admin
+router.delete('/users/:id', async (req, res) => {
+  try {
+    if (req.user._id.equals(req.params.id)) {
+      return res.status(400).json({ message: 'You cannot delete your own account from the admin console' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const deleted = await deleteAccount(user);
+
+    res.json({
+      message: 'User deleted successfully',
+      deleted: { id: user._id, username: user.username, books: deleted.books }
+    });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ message: 'Server error while deleting user' });
+  }
+});
+
+// @route   GET /api/admin/storage
+// @desc    Get disk usage of the uploads directory
+// @access  Admin
+router.get('/storage', async (req, res) => {
+  try {
+    const usage = await getUploadUsage();
+    res.json({ storage: usage });
+  } catch (error) {
+    console.error('Error getting storage usage:', error);
+    res.status(500).json({ message: 'Server error while retrieving storage usage' });
+  }
+});
+
+module.exports = router;
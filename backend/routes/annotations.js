@@ -0,0 +1,118 @@
+const express = require('express');
+const Joi = require('joi');
+const Annotation = require('../models/Annotation');
+const Book = require('../models/Book');
+const { auth, requireScope } = require('../middleware/auth');
+const { escapeRegex } = require('../utils/bookQuery');
+
+const router = express.Router();
+
+// Validation schemas
+const annotationQuerySchema = Joi.object({
+  q: Joi.string().trim().max(200).allow(''),
+  type: Joi.string().valid('quote', 'highlight', 'note'),
+  book: Joi.string().hex().length(24),
+  author: Joi.string().trim().max(100).allow(''),
+  tag: Joi.string().trim().lowercase().max(30).allow(''),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(25)
+});
+
+const validationError = (res, error) => res.status(400).json({
+  message: 'Validation error',
+  details: error.details.map(d => d.message)
+});
+
+const BOOK_FIELDS = 'title author coverImage coverRenditions';
+
+// @route   GET /api/annotations
+// @desc    Search quotes, highlights and notes across the library, filtered
+//          by type, book, author or tag
+// @access  Private
+router.get('/', auth, requireScope('read'), async (req, res) => {
+  try {
+    const { error, value } = annotationQuerySchema.validate(req.query, { stripUnknown: true });
+    if (error) return validationError(res, error);
+
+    const filter = { user: req.user._id };
+    if (value.type) filter.type = value.type;
+    if (value.tag) filter.tags = value.tag;
+
+    // Only books outside the trash, narrowed to an author's books when asked
+    // (author lives on the book). Trashed books keep their annotations so
+    // restoring a book brings them back.
+    const bookFilter = { user: req.user._id };
+    if (value.author) {
+      bookFilter.author = new RegExp(escapeRegex(value.author), 'i');
+    }
+    const bookIds = await Book.find(bookFilter).distinct('_id');
+    filter.book = value.book
+      ? (bookIds.some(id => id.equals(value.book)) ? value.book : { $in: [] })
+      : { $in: bookIds };
+
+    const skip = (value.page - 1) * value.limit;
+
+    // Free text goes through the text index and is ranked by score; if that
+    // finds nothing (e.g. a half-typed word) fall back to a substring match
+    const runSearch = async (mode) => {
+      let query;
+      let countFilter = filter;
+      if (mode === 'text') {
+        countFilter = { ...filter, $text: { $search: value.q } };
+        query = Annotation.find(countFilter, { score: { $meta: 'textScore' } })
+          .sort({ score: { $meta: 'textScore' }, _id: -1 });
+      } else {
+        if (mode === 'substring') {
+          countFilter = { ...filter, text: new RegExp(escapeRegex(value.q), 'i') };
+        }
+        query = Annotation.find(countFilter).sort({ createdAt: -1, _id: -1 });
+      }
+
+      const [annotations, total] = await Promise.all([
+        query.skip(skip).limit(value.limit).populate('book', BOOK_FIELDS),
+        Annotation.countDocuments(countFilter)
+      ]);
+      return { annotations, total };
+    };
+
+    let mode = value.q ? 'text' : 'filter';
+    let { annotations, total } = await runSearch(mode);
+    if (mode === 'text' && total === 0) {
+      mode = 'substring';
+      ({ annotations, total } = await runSearch(mode));
+    }
+
+    const totalPages = Math.ceil(total / value.limit);
+
+    res.json({
+      mode,
+      annotations,
+      pagination: {
+        page: value.page,
+        limit: value.limit,
+        total,
+        totalPages,
+        hasNextPage: value.page < totalPages,
+        hasPrevPage: value.page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Annotation search error:', error);
+    res.status(500).json({ message: 'Server error while searching annotations' });
+  }
+});
+
+// @route   GET /api/annotations/tags
+// @desc    Tags used on annotations, most used first
+// @access  Private
+router.get('/tags', auth, requireScope('read'), async (req, res) => {
+  try {
+    const tags = await Annotation.tagCounts(req.user._id);
+    res.json({ tags });
+  } catch (error) {
+    console.error('Get annotation tags error:', error);
+    res.status(500).json({ message: 'Server error while retrieving annotation tags' });
+  }
+});
+
+module.exports = router;
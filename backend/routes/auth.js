@@ -1,21 +1,170 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Joi = require('joi');
 const User = require('../models/User');
-const auth = require('../middleware/auth');
+const AuthSession = require('../models/AuthSession');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const UserToken = require('../models/UserToken');
+const { auth, sessionAuth, requireScope } = require('../middleware/auth');
+const { loginLimiters, registerLimiters, emailLimiter } = require('../middleware/rateLimit');
+const { uploadAvatar, optimizeImage, handleUploadError, deleteUploadedFile } = require('../middleware/upload');
+const { BOOK_STATUSES } = require('../utils/bookQuery');
+const { sendMail } = require('../services/mailer');
+const { passwordResetEmail, verificationEmail, accountDeletionEmail } = require('../services/mailer/templates');
+const { writeTakeout } = require('../services/takeout');
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} = require('../utils/totp');
+const {
+  ACCESS_TOKEN_TTL,
+  TOKEN_SCOPES,
+  signAccessToken,
+  hashToken,
+  setRefreshCookie,
+  clearRefreshCookie,
+  readRefreshCookie
+} = require('../utils/tokens');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: '7d',
-  });
+// Two tabs refreshing at once both send the same cookie; the slower one sees
+// the token that was just rotated away and shouldn't be treated as theft
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const RESET_TOKEN_TTL_MINUTES = 60;
+const VERIFICATION_TOKEN_TTL_MINUTES = 48 * 60;
+// Time allowed between the password and the code step of a two-factor login
+const TWO_FACTOR_CHALLENGE_TTL_MINUTES = 5;
+
+const MAX_ACCESS_TOKENS = 25;
+
+// Days between asking to delete an account and it being purged
+const ACCOUNT_DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+// Name shown next to the account in authenticator apps
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Personal Library Tracker';
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+// Validation schemas
+const tokenSchema = Joi.object({
+  token: Joi.string().trim().max(200).required()
+});
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().trim().lowercase().email().required()
+});
+
+const resetPasswordSchema = tokenSchema.keys({
+  password: Joi.string().min(6).max(128).required()
+});
+
+const profileUpdateSchema = Joi.object({
+  username: Joi.string().trim().min(3).max(50),
+  email: Joi.string().trim().lowercase().email(),
+  firstName: Joi.string().trim().min(1).max(50),
+  lastName: Joi.string().trim().min(1).max(50),
+  preferences: Joi.object({
+    theme: Joi.string().valid('light', 'dark'),
+    defaultBookStatus: Joi.string().valid(...BOOK_STATUSES)
+  })
+}).min(1);
+
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required(),
+  newPassword: Joi.string().min(6).max(128).required(),
+  // Access tokens don't depend on the password, so they survive a change
+  // unless they are revoked with it
+  revokeAccessTokens: Joi.boolean().default(true)
+});
+
+const accessTokenSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  scopes: Joi.array().items(Joi.string().valid(...TOKEN_SCOPES)).min(1).unique().required(),
+  expiresInDays: Joi.number().integer().min(1).max(365).default(30)
+});
+
+const twoFactorCodeSchema = Joi.object({
+  code: Joi.string().trim().pattern(/^\d{6}$/).required()
+    .messages({ 'string.pattern.base': 'Code must be 6 digits' })
+});
+
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().required(),
+  code: Joi.string().trim().pattern(/^\d{6}$/)
+    .messages({ 'string.pattern.base': 'Code must be 6 digits' }),
+  recoveryCode: Joi.string().trim().max(30)
+}).xor('code', 'recoveryCode');
+
+const passwordConfirmSchema = Joi.object({
+  password: Joi.string().required()
+});
+
+const validationError = (res, error) => res.status(400).json({
+  message: 'Validation error',
+  details: error.details.map(d => d.message)
+});
+
+// Public user fields returned by the auth endpoints
+const userResponse = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  emailVerified: user.emailVerified,
+  role: user.role || 'user',
+  twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+  deletionScheduledFor: user.deletionScheduledFor || null,
+  avatar: user.avatar,
+  preferences: {
+    theme: user.preferences?.theme || 'light',
+    defaultBookStatus: user.preferences?.defaultBookStatus || 'To Read',
+  },
+});
+
+// Remove a previous avatar from disk; only local uploads are ours to delete
+const deleteAvatarFile = (avatar) => {
+  if (avatar && avatar.startsWith('/uploads/')) {
+    deleteUploadedFile(avatar.replace('/uploads/', ''));
+  }
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = await UserToken.issue(user._id, 'email-verification', VERIFICATION_TOKEN_TTL_MINUTES);
+  await sendMail(verificationEmail(user, token));
+};
+
+// Fresh recovery codes: the plain codes go to the user once, the hashes are stored
+const issueRecoveryCodes = () => {
+  const codes = generateRecoveryCodes();
+  return {
+    codes,
+    stored: codes.map(code => ({ hash: hashToken(normalizeRecoveryCode(code)), usedAt: null })),
+  };
+};
+
+// Re-check the password before security changes made from a signed-in session
+const confirmPassword = async (userId, password) => {
+  const user = await User.findById(userId);
+  return Boolean(user) && user.comparePassword(password);
+};
+
+// Start a session for the device: refresh token in an httpOnly cookie,
+// short-lived access token in the response body
+const issueSession = async (user, req, res) => {
+  const { session, refreshToken } = await AuthSession.start(user._id, req);
+  setRefreshCookie(res, refreshToken);
+  return signAccessToken(user._id, session._id);
 };
 
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
-router.post('/register', async (req, res) => {
+router.post('/register', registerLimiters, async (req, res) => {
   try {
     const { username, email, password, firstName, lastName } = req.body;
 
@@ -38,19 +187,22 @@ router.post('/register', async (req, res) => {
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // A mail outage shouldn't stop the account being created; the user can
+    // ask for another verification email later
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Error sending verification email:', mailError);
+    }
+
+    // Start a session and generate an access token
+    const token = await issueSession(user, req, res);
 
     res.status(201).json({
       message: 'User created successfully',
       token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-      },
+      expiresIn: ACCESS_TOKEN_TTL,
+      user: userResponse(user),
     });
   } catch (error) {
     console.error(error);
@@ -65,7 +217,7 @@ router.post('/register', async (req, res) => {
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimiters, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -75,25 +227,45 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
+    // Refuse locked accounts before checking the password so guessing stops
+    if (user.isLocked) {
+      const minutesLeft = Math.ceil((user.lockUntil - Date.now()) / 60000);
+      return res.status(429).json({
+        message: `Too many failed login attempts. Try again in ${minutesLeft} minute${minutesLeft === 1 ? '' : 's'} or reset your password.`
+      });
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await user.registerFailedLogin();
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (user.disabled) {
+      return res.status(403).json({ message: 'This account has been disabled' });
+    }
+
+    // With two-factor on, the password only earns a challenge for the code step.
+    // Failed logins are cleared once the code is right, so logging in again
+    // with the password can't reset the count of wrong codes.
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: await UserToken.issue(user._id, 'two-factor-challenge', TWO_FACTOR_CHALLENGE_TTL_MINUTES),
+      });
+    }
+    await user.clearFailedLogins();
+
+    // Start a session and generate an access token
+    const token = await issueSession(user, req, res);
 
     res.json({
       message: 'Login successful',
       token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-      },
+      expiresIn: ACCESS_TOKEN_TTL,
+      user: userResponse(user),
     });
   } catch (error) {
     console.error(error);
@@ -101,19 +273,71 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step: exchange the challenge and a TOTP or recovery code for a session
+// @access  Public
+router.post('/login/2fa', loginLimiters, async (req, res) => {
+  try {
+    const { error, value } = twoFactorLoginSchema.validate(req.body, { stripUnknown: true });
+    if (error) return validationError(res, error);
+
+    const challenge = await UserToken.findUsable(value.challengeToken, 'two-factor-challenge');
+    const user = challenge && await User.findById(challenge.user).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      return res.status(401).json({ message: 'Login has expired, please sign in again' });
+    }
+
+    if (user.disabled) {
+      return res.status(403).json({ message: 'This account has been disabled' });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    if (user.isLocked) {
+      return res.status(429).json({ message: 'Too many failed login attempts. Try again later.' });
+    }
+
+    const verified = await user.verifyTwoFactor(value);
+    if (!verified) {
+      await user.registerFailedLogin();
+      return res.status(400).json({
+        message: value.code ? 'Invalid authentication code' : 'Invalid recovery code'
+      });
+    }
+
+    // The challenge is used up by the login it completes, so it can't be replayed
+    if (!(await UserToken.consume(value.challengeToken, 'two-factor-challenge'))) {
+      return res.status(401).json({ message: 'Login has expired, please sign in again' });
+    }
+    await user.clearFailedLogins();
+
+    const token = await issueSession(user, req, res);
+    const response = {
+      message: 'Login successful',
+      token,
+      expiresIn: ACCESS_TOKEN_TTL,
+      user: userResponse(user),
+    };
+
+    if (value.recoveryCode) {
+      const remaining = user.twoFactor.recoveryCodes.filter(code => !code.usedAt).length - 1;
+      response.recoveryCodesRemaining = remaining;
+      response.message = `Login successful. You have ${remaining} recovery code${remaining === 1 ? '' : 's'} left.`;
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Error completing two-factor login:', error);
+    res.status(500).json({ message: 'Server error while logging in' });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
-router.get('/me', auth, async (req, res) => {
+router.get('/me', auth, requireScope('read'), async (req, res) => {
   try {
     res.json({
-      user: {
-        id: req.user._id,
-        username: req.user.username,
-        email: req.user.email,
-        firstName: req.user.firstName,
-        lastName: req.user.lastName,
-      },
+      user: userResponse(req.user),
     });
   } catch (error) {
     console.error(error);
@@ -121,4 +345,739 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// @route   PATCH /api/auth/me
+// @desc    Update profile fields and preferences
+// @access  Private
+router.patch('/me', sessionAuth, async (req, res) => {
+  try {
+    const { error, value } = profileUpdateSchema.validate(req.body, { stripUnknown: true });
+    if (error) return validationError(res, error);
+
+    const { preferences, ...profile } = value;
+    const update = { ...profile };
+    Object.entries(preferences || {}).forEach(([key, preference]) => {
+      update[`preferences.${key}`] = preference;
+    });
+
+    // A new address has to be confirmed again
+    const emailChanged = profile.email && profile.email !== req.user.email;
+    if (emailChanged) {
+      update.emailVerified = false;
+      update.emailVerifiedAt = null;
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: update },
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error('Error sending verification email:', mailError);
+      }
+    }
+
+    res.json({
+      message: 'Profile updated successfully',
+      user: userResponse(user),
+    });
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyPattern || {})[0] || 'email or username';
+      return res.status(400).json({ message: `That ${field} is already in use` });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: errors.join(', ') });
+    }
+    res.status(500).json({ message: 'Server error while updating profile' });
+  }
+});
+
+// @route   PUT /api/auth/me/password
+// @desc    Change password; other devices are signed out and, unless
+//          revokeAccessTokens is false, personal access tokens are revoked
+// @access  Private
+router.put('/me/password', sessionAuth, async (req, res) => {
+  try {
+    const { error, value } = changePasswordSchema.validate(req.body, { stripUnknown: true });
+    if (error) return validationError(res, error);
+
+    const user = await User.findById(req.user._id);
+    const isMatch = await user.comparePassword(value.currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    user.password = value.newPassword;
+    await user.save();
+
+    await AuthSession.updateMany(
+      { user: user._id, _id: { $ne: req.sessionId }, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    const { deletedCount } = value.revokeAccessTokens
+      ? await PersonalAccessToken.deleteMany({ user: user._id })
+      : { deletedCount: 0 };
+
+    res.json({
+      message: 'Password changed successfully',
+      accessTokensRevoked: deletedCount
+    });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ message: 'Server error while changing password' });
+  }
+});
+
+// @route   GET /api/auth/me/takeout
+// @desc    Download a zip of everything held about the account
+// @access  Private
+router.get('/me/takeout', sessionAuth, async (req, res) => {
+  const filename = `library-takeout-${new Date().toISOString().slice(0, 10)}.zip`;
+
+  try {
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    await writeTakeout(req.user, res);
+    res.end();
+  } catch (error) {
+    console.error('Error creating takeout:', error);
+
+    if (!res.headersSent) {
+      // Nothing was sent yet, so answer with a plain error instead of the zip
+      res.removeHeader('Content-Type');
+      res.removeHeader('Content-Disposition');
+      return res.status(500).json({ message: 'Server error while creating data export' });
+    }
+    // Headers are already out, so the only way to signal failure is to abort
+    res.destroy(error);
+  }
+});
+
+// @route   POST /api/auth/me/deletion
+// @desc    Schedule the account for deletion after a grace period (needs the password)
+// @access  Private
+router.post('/me/deletion', sessionAuth, async (req, res) => {
+  try {
+    const { error, value } = passwordConfirmSchema.validate(req.body, { stripUnknown: true });
+    if (error) return validationError(res, error);
+
+    const user = await User.findById(req.user._id);
+    if (user.deletionScheduledFor) {
+      return res.status(400).json({ message: 'Account deletion is already scheduled' });
+    }
+    if (!(await user.comparePassword(value.password))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    user.deletionRequestedAt = new Date();
+    user.deletionScheduledFor = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    await user.save();
+
+    // Sign out everywhere else; this device stays signed in so it can cancel
+    await AuthSession.updateMany(
+      { user: user._id, _id: { $ne: req.sessionId }, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    try {
+      await sendMail(accountDeletionEmail(user, user.deletionScheduledFor));
+    } catch (mailError) {
+      console.error('Error sending account deletion email:', mailError);
+    }
+
+    res.json({
+      message: `Your account will be deleted on ${user.deletionScheduledFor.toDateString()}`,
+      user: userResponse(user),
+    });
+  } catch (error) {
+    console.error('Error scheduling account deletion:', error);
+    res.status(500).json({ message: 'Server error while scheduling account deletion' });
+  }
+});
+
+// @route   DELETE /api/auth/me/deletion
+// @desc    Cancel a scheduled account deletion
+// @access  Private
+router.delete('/me/deletion', sessionAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user.deletionScheduledFor) {
+      return res.status(400).json({ message: 'Account deletion is not scheduled' });
+    }
+
+    user.deletionRequestedAt = undefined;
+    user.deletionScheduledFor = undefined;
+    await user.save();
+
+    res.json({
+      message: 'Account deletion cancelled',
+      user: userResponse(user),
+    });
+  } catch (error) {
+    console.error('Error cancelling account deletion:', error);
+    res.status(500).json({ message: 'Server error while cancelling account deletion' });
+  }
+});
+
+// @route   POST /api/auth/me/avatar
+// @desc    Upload a profile picture (multipart field "avatar")
+// @access  Private
+router.post('/me/avatar', sessionAuth, uploadAvatar, optimizeImage, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No image uploaded' });
+    }
+
+    const previous = req.user.avatar;
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: { avatar: `/uploads/${req.file.filename}` } },
+      { new: true }
+    ).select('-password');
+
+    deleteAvatarFile(previous);
+
+    res.json({
+      message: 'Avatar updated successfully',
+      user: userResponse(user),
+    });
+  } catch (error) {
+    console.error('Error uploading avatar:', error);
+    if (req.file) {
+      deleteUploadedFile(req.file.filename);
+    }
+    res.status(500).json({ message: 'Server error while uploading avatar' });
+  }
+});
+
+// @route   DELETE /api/auth/me/avatar
+// @desc    Remove the profile picture
+// @access  Private
+router.delete('/me/avatar', sessionAuth, async (req, res) => {
+  try {
+    const previous = req.user.avatar;
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: { avatar: null } },
+      { new: true }
+    ).select('-password');
+
+    deleteAvatarFile(previous);
+
+    res.json({
+      message: 'Avatar removed',
+      user: userResponse(user),
+    });
+  } catch (error) {
+    console.error('Error removing avatar:', error);
+    res.status(500).json({ message: 'Server error while removing avatar' });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', emailLimiter, async (req, res) => {
+  try {
+    const { error, value } = forgotPasswordSchema.validate(req.body, { stripUnknown: true });
+    if (error) return validationError(res, error);
+
+    // Same answer whether or not the account exists, so this can't be used
+    // to find out which emails are registered
+    const user = await User.findOne({ email: value.email });
+    if (user) {
+      const token = await UserToken.issue(user._id, 'password-reset', RESET_TOKEN_TTL_MINUTES);
+      await sendMail(passwordResetEmail(user, token, RESET_TOKEN_TTL_MINUTES));
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link is on its way' });
+  } catch (error) {
+    console.error('Error sending password reset:', error);
+    res.status(500).json({ message: 'Server error while sending password reset email' });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token; signs out every device and
+//          revokes every personal access token, since a reset usually follows
+//          a lost or compromised password
+// @access  Public
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { error, value } = resetPasswordSchema.validate(req.body, { stripUnknown: true });
+    if (error) return validationError(res, error);
+
+    const resetToken = await UserToken.consume(value.token, 'password-reset');
+    const user = resetToken && await User.findById(resetToken.user);
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = value.password;
+    // A reset is the way out of a lockout
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    // Getting the link proves the user controls the mailbox
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await Promise.all([
+      AuthSession.updateMany(
+        { user: user._id, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      ),
+      PersonalAccessToken.deleteMany({ user: user._id })
+    ]);
+    clearRefreshCookie(res);
+
+    res.json({ message: 'Password has been reset, please log in with your new password' });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: errors.join(', ') });
+    }
+    res.status(500).json({ message: 'Server error while resetting password' });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm the account's email address using a verification token
+// @access  Public
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { error, value } = tokenSchema.validate(req.body, { stripUnknown: true });
+    if (error) return validationError(res, error);
+
+    const verificationToken = await UserToken.consume(value.token, 'email-verification');
+    const user = verificationToken && await User.findById(verificationToken.user);
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({ message: 'Email verified successfully', user: userResponse(user) });
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    res.status(500).json({ message: 'Server error while verifying email' });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/resend-verification', sessionAuth, emailLimiter, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Error sending verification email:', error);
+    res.status(500).json({ message: 'Server error while sending verification email' });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange the refresh cookie for a new access token (rotates the cookie)
+// @access  Public (refresh cookie)
+router.post('/refresh', async (req, res) => {
+  try {
+    const refreshToken = readRefreshCookie(req);
+    if (!refreshToken) {
+      return res.status(401).json({ message: 'No refresh token provided' });
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const session = await AuthSession.findOne({ tokenHash });
+
+    if (!session) {
+      // A rotated-away token being replayed means it leaked: end that session
+      const reused = await AuthSession.findOne({ previousTokenHash: tokenHash, revokedAt: null });
+      if (reused && Date.now() - reused.lastSeenAt.getTime() < ROTATION_GRACE_MS) {
+        return res.json({
+          message: 'Token refreshed',
+          token: signAccessToken(reused.user, reused._id),
+          expiresIn: ACCESS_TOKEN_TTL,
+        });
+      }
+      if (reused) {
+        await reused.revoke();
+      }
+      clearRefreshCookie(res);
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    if (!session.isActive) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ message: 'Session has expired, please log in again' });
+    }
+
+    const user = await User.findById(session.user).select('-password');
+    if (!user || user.disabled) {
+      await session.revoke();
+      clearRefreshCookie(res);
+      return res.status(401).json({ message: user ? 'This account has been disabled' : 'User not found' });
+    }
+
+    setRefreshCookie(res, await session.rotate(req));
+
+    res.json({
+      message: 'Token refreshed',
+      token: signAccessToken(user._id, session._id),
+      expiresIn: ACCESS_TOKEN_TTL,
+      user: userResponse(user),
+    });
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({ message: 'Server error while refreshing token' });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Sign out this device by revoking its session
+// @access  Public (refresh cookie or access token)
+router.post('/logout', async (req, res) => {
+  try {
+    const refreshToken = readRefreshCookie(req);
+    if (refreshToken) {
+      const session = await AuthSession.findOne({ tokenHash: hashToken(refreshToken) });
+      if (session) {
+        await session.revoke();
+      }
+    }
+
+    clearRefreshCookie(res);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ message: 'Server error while logging out' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the devices signed in to this account
+// @access  Private
+router.get('/sessions', sessionAuth, async (req, res) => {
+  try {
+    const sessions = await AuthSession.findActive(req.user._id);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        _id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.sessionId),
+      })),
+    });
+  } catch (error) {
+    console.error('Error getting sessions:', error);
+    res.status(500).json({ message: 'Server error while retrieving sessions' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one device
+// @access  Private
+router.delete('/sessions/:id', sessionAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const session = await AuthSession.findOne({ _id: req.params.id, user: req.user._id });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await session.revoke();
+    if (session._id.equals(req.sessionId)) {
+      clearRefreshCookie(res);
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ message: 'Server error while revoking session' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out every device except this one
+// @access  Private
+router.delete('/sessions', sessionAuth, async (req, res) => {
+  try {
+    const result = await AuthSession.updateMany(
+      { user: req.user._id, _id: { $ne: req.sessionId }, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    res.json({
+      message: 'Other sessions revoked',
+      revoked: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    res.status(500).json({ message: 'Server error while revoking sessions' });
+  }
+});
+
+// @route   GET /api/auth/2fa
+// @desc    Get two-factor status and how many recovery codes are left
+// @access  Private
+router.get('/2fa', sessionAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+    res.json({
+      enabled: Boolean(user.twoFactor?.enabled),
+      enabledAt: user.twoFactor?.enabledAt || null,
+      recoveryCodesRemaining: user.twoFactor?.enabled
+        ? user.twoFactor.recoveryCodes.filter(code => !code.usedAt).length
+        : 0,
+    });
+  } catch (error) {
+    console.error('Error getting two-factor status:', error);
+    res.status(500).json({ message: 'Server error while retrieving two-factor status' });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrollment: create a secret and return it with an otpauth URI
+// @access  Private
+router.post('/2fa/setup', sessionAuth, async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    await User.updateOne({ _id: req.user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, account: req.user.email, issuer: TOTP_ISSUER }),
+    });
+  } catch (error) {
+    console.error('Error starting two-factor setup:', error);
+    res.status(500).json({ message: 'Server error while setting up two-factor authentication' });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Finish enrollment with a first code; returns the recovery codes once
+// @access  Private
+router.post('/2fa/enable', sessionAuth, async (req, res) => {
+  try {
+    const { error, value } = twoFactorCodeSchema.validate(req.body, { stripUnknown: true });
+    if (error) return validationError(res, error);
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, value.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = issueRecoveryCodes();
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.enabledAt': new Date(),
+        'twoFactor.secret': user.twoFactor.pendingSecret,
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.recoveryCodes': recoveryCodes.stored,
+      },
+      $unset: { 'twoFactor.pendingSecret': 1 },
+    });
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes: recoveryCodes.codes,
+    });
+  } catch (error) {
+    console.error('Error enabling two-factor authentication:', error);
+    res.status(500).json({ message: 'Server error while enabling two-factor authentication' });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn two-factor authentication off (needs the password)
+// @access  Private
+router.post('/2fa/disable', sessionAuth, async (req, res) => {
+  try {
+    const { error, value } = passwordConfirmSchema.validate(req.body, { stripUnknown: true });
+    if (error) return validationError(res, error);
+
+    if (!(await confirmPassword(req.user._id, value.password))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    await User.updateOne({ _id: req.user._id }, {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.enabledAt': 1,
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.recoveryCodes': 1,
+      },
+    });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    res.status(500).json({ message: 'Server error while disabling two-factor authentication' });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes (needs the password)
+// @access  Private
+router.post('/2fa/recovery-codes', sessionAuth, async (req, res) => {
+  try {
+    const { error, value } = passwordConfirmSchema.validate(req.body, { stripUnknown: true });
+    if (error) return validationError(res, error);
+
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (!(await confirmPassword(req.user._id, value.password))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    const recoveryCodes = issueRecoveryCodes();
+    await User.updateOne(
+      { _id: req.user._id },
+      { $set: { 'twoFactor.recoveryCodes': recoveryCodes.stored } }
+    );
+
+    res.json({
+      message: 'New recovery codes generated; the old ones no longer work',
+      recoveryCodes: recoveryCodes.codes,
+    });
+  } catch (error) {
+    console.error('Error generating recovery codes:', error);
+    res.status(500).json({ message: 'Server error while generating recovery codes' });
+  }
+});
+
+// Token fields safe to show in the token list
+const accessTokenResponse = (accessToken) => ({
+  _id: accessToken._id,
+  name: accessToken.name,
+  hint: accessToken.hint,
+  scopes: accessToken.scopes,
+  createdAt: accessToken.createdAt,
+  expiresAt: accessToken.expiresAt,
+  lastUsedAt: accessToken.lastUsedAt,
+  lastUsedIp: accessToken.lastUsedIp,
+});
+
+// @route   GET /api/auth/tokens
+// @desc    List personal access tokens
+// @access  Private
+router.get('/tokens', sessionAuth, async (req, res) => {
+  try {
+    const tokens = await PersonalAccessToken.find({
+      user: req.user._id,
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+
+    res.json({
+      tokens: tokens.map(accessTokenResponse),
+      scopes: TOKEN_SCOPES,
+    });
+  } catch (error) {
+    console.error('Error getting access tokens:', error);
+    res.status(500).json({ message: 'Server error while retrieving access tokens' });
+  }
+});
+
+// @route   POST /api/auth/tokens
+// @desc    Create a personal access token; the token is only returned here
+// @access  Private
+router.post('/tokens', sessionAuth, async (req, res) => {
+  try {
+    const { error, value } = accessTokenSchema.validate(req.body, { stripUnknown: true });
+    if (error) return validationError(res, error);
+
+    const count = await PersonalAccessToken.countDocuments({
+      user: req.user._id,
+      expiresAt: { $gt: new Date() }
+    });
+    if (count >= MAX_ACCESS_TOKENS) {
+      return res.status(400).json({
+        message: `You can have at most ${MAX_ACCESS_TOKENS} access tokens, revoke one first`
+      });
+    }
+
+    const { accessToken, token } = await PersonalAccessToken.issue(req.user._id, value);
+
+    res.status(201).json({
+      message: 'Access token created. Copy it now, it will not be shown again.',
+      token,
+      accessToken: accessTokenResponse(accessToken),
+    });
+  } catch (error) {
+    console.error('Error creating access token:', error);
+    res.status(500).json({ message: 'Server error while creating access token' });
+  }
+});
+
+// @route   DELETE /api/auth/tokens/:id
+// @desc    Revoke a personal access token
+// @access  Private
+router.delete('/tokens/:id', sessionAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Access token not found' });
+    }
+
+    const accessToken = await PersonalAccessToken.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id
+    });
+    if (!accessToken) {
+      return res.status(404).json({ message: 'Access token not found' });
+    }
+
+    res.json({ message: 'Access token revoked' });
+  } catch (error) {
+    console.error('Error revoking access token:', error);
+    res.status(500).json({ message: 'Server error while revoking access token' });
+  }
+});
+
+// Error handling middleware for this router (avatar uploads)
+router.use(handleUploadError);
+
 module.exports = router;
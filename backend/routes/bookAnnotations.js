@@ -0,0 +1,173 @@
+const express = require('express');
+const Joi = require('joi');
+const Book = require('../models/Book');
+const Annotation = require('../models/Annotation');
+const { auth, requireScope } = require('../middleware/auth');
+
+// Mounted under /api/books/:bookId/annotations
+const router = express.Router({ mergeParams: true });
+
+// Validation schemas
+const annotationFields = {
+  type: Joi.string().valid('quote', 'highlight', 'note'),
+  text: Joi.string().trim().max(10000),
+  page: Joi.number().integer().min(0).max(50000).allow(null),
+  location: Joi.string().trim().max(50).allow(''),
+  chapter: Joi.string().trim().max(200).allow(''),
+  tags: Joi.array().items(Joi.string().trim().lowercase().max(30)).max(20)
+};
+
+const createValidationSchema = Joi.object({
+  ...annotationFields,
+  text: annotationFields.text.required()
+});
+
+const updateValidationSchema = Joi.object(annotationFields).min(1);
+
+const listQuerySchema = Joi.object({
+  type: Joi.string().valid('quote', 'highlight', 'note')
+});
+
+const validationError = (res, details) => res.status(400).json({
+  message: 'Validation error',
+  details
+});
+
+// Find a book owned by the current user, or send a 404
+const findUserBook = async (req, res) => {
+  const book = await Book.findOne({ _id: req.params.bookId, user: req.user._id });
+  if (!book) {
+    res.status(404).json({ message: 'Book not found' });
+    return null;
+  }
+  return book;
+};
+
+const handleError = (res, error, fallbackMessage) => {
+  console.error(fallbackMessage, error);
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return validationError(res, errors);
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(404).json({ message: 'Book or annotation not found' });
+  }
+
+  res.status(500).json({ message: fallbackMessage });
+};
+
+// @route   GET /api/books/:bookId/annotations
+// @desc    Get a book's quotes, highlights and notes in reading order
+// @access  Private
+router.get('/', auth, requireScope('read'), async (req, res) => {
+  try {
+    const { error, value } = listQuerySchema.validate(req.query, { stripUnknown: true });
+    if (error) {
+      return validationError(res, error.details.map(d => d.message));
+    }
+
+    const book = await findUserBook(req, res);
+    if (!book) return;
+
+    const filter = { book: book._id, user: req.user._id };
+    if (value.type) filter.type = value.type;
+
+    const annotations = await Annotation.find(filter).sort({ page: 1, location: 1, createdAt: 1 });
+
+    res.json({ annotations });
+  } catch (error) {
+    handleError(res, error, 'Server error while retrieving annotations');
+  }
+});
+
+// @route   POST /api/books/:bookId/annotations
+// @desc    Add a quote, highlight or note to a book
+// @access  Private
+router.post('/', auth, requireScope('books:write'), async (req, res) => {
+  try {
+    const { error, value } = createValidationSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return validationError(res, error.details.map(d => d.message));
+    }
+
+    const book = await findUserBook(req, res);
+    if (!book) return;
+
+    const annotation = new Annotation({
+      ...value,
+      book: book._id,
+      user: req.user._id
+    });
+    await annotation.save();
+
+    res.status(201).json({
+      message: 'Annotation added',
+      annotation
+    });
+  } catch (error) {
+    handleError(res, error, 'Server error while adding annotation');
+  }
+});
+
+// @route   PUT /api/books/:bookId/annotations/:annotationId
+// @desc    Update an annotation
+// @access  Private
+router.put('/:annotationId', auth, requireScope('books:write'), async (req, res) => {
+  try {
+    const { error, value } = updateValidationSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return validationError(res, error.details.map(d => d.message));
+    }
+
+    const book = await findUserBook(req, res);
+    if (!book) return;
+
+    const annotation = await Annotation.findOne({
+      _id: req.params.annotationId,
+      book: book._id,
+      user: req.user._id
+    });
+
+    if (!annotation) {
+      return res.status(404).json({ message: 'Annotation not found' });
+    }
+
+    annotation.set(value);
+    await annotation.save();
+
+    res.json({
+      message: 'Annotation updated',
+      annotation
+    });
+  } catch (error) {
+    handleError(res, error, 'Server error while updating annotation');
+  }
+});
+
+// @route   DELETE /api/books/:bookId/annotations/:annotationId
+// @desc    Delete an annotation
+// @access  Private
+router.delete('/:annotationId', auth, requireScope('books:write'), async (req, res) => {
+  try {
+    const book = await findUserBook(req, res);
+    if (!book) return;
+
+    const annotation = await Annotation.findOneAndDelete({
+      _id: req.params.annotationId,
+      book: book._id,
+      user: req.user._id
+    });
+
+    if (!annotation) {
+      return res.status(404).json({ message: 'Annotation not found' });
+    }
+
+    res.json({ message: 'Annotation deleted' });
+  } catch (error) {
+    handleError(res, error, 'Server error while deleting annotation');
+  }
+});
+
+module.exports = router;
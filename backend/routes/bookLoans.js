@@ -0,0 +1,235 @@
+const express = require('express');
+const Joi = require('joi');
+const Book = require('../models/Book');
+const Loan = require('../models/Loan');
+const { auth, requireScope } = require('../middleware/auth');
+
+// Mounted under /api/books/:bookId/loans
+const router = express.Router({ mergeParams: true });
+
+// Validation schemas
+const loanFields = {
+  borrowerName: Joi.string().trim().max(100),
+  borrowerContact: Joi.string().trim().max(200).allow(''),
+  lentAt: Joi.date().iso(),
+  dueAt: Joi.date().iso().allow(null),
+  conditionOut: Joi.string().trim().max(1000).allow(''),
+  conditionReturned: Joi.string().trim().max(1000).allow('')
+};
+
+const lendValidationSchema = Joi.object({
+  ...loanFields,
+  borrowerName: loanFields.borrowerName.required()
+});
+
+const updateValidationSchema = Joi.object(loanFields).min(1);
+
+const returnValidationSchema = Joi.object({
+  returnedAt: Joi.date().iso(),
+  conditionReturned: loanFields.conditionReturned
+});
+
+const validationError = (res, details) => res.status(400).json({
+  message: 'Validation error',
+  details
+});
+
+// Find a book owned by the current user, or send a 404
+const findUserBook = async (req, res) => {
+  const book = await Book.findOne({ _id: req.params.bookId, user: req.user._id });
+  if (!book) {
+    res.status(404).json({ message: 'Book not found' });
+    return null;
+  }
+  return book;
+};
+
+const findBookLoan = (req, book) => Loan.findOne({
+  _id: req.params.loanId,
+  book: book._id,
+  user: req.user._id
+});
+
+// Keep book.currentLoan pointing at the open loan, if there is one
+const syncCurrentLoan = async (book) => {
+  const openLoan = await Loan.findOne({ book: book._id, user: book.user, returnedAt: null })
+    .sort({ lentAt: -1 });
+  const currentLoan = openLoan ? openLoan.toBookSummary() : null;
+  await Book.updateOne({ _id: book._id }, { $set: { currentLoan } });
+  return currentLoan;
+};
+
+const handleError = (res, error, fallbackMessage) => {
+  console.error(fallbackMessage, error);
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return validationError(res, errors);
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(404).json({ message: 'Book or loan not found' });
+  }
+
+  res.status(500).json({ message: fallbackMessage });
+};
+
+// @route   GET /api/books/:bookId/loans
+// @desc    Get the loan history for a book, newest first
+// @access  Private
+router.get('/', auth, requireScope('read'), async (req, res) => {
+  try {
+    const book = await findUserBook(req, res);
+    if (!book) return;
+
+    const loans = await Loan.find({ book: book._id, user: req.user._id })
+      .sort({ lentAt: -1 });
+
+    res.json({
+      loans,
+      currentLoan: loans.find(loan => !loan.returnedAt) || null
+    });
+  } catch (error) {
+    handleError(res, error, 'Server error while retrieving loans');
+  }
+});
+
+// @route   POST /api/books/:bookId/loans
+// @desc    Lend a physical copy to someone
+// @access  Private
+router.post('/', auth, requireScope('books:write'), async (req, res) => {
+  try {
+    const { error, value } = lendValidationSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return validationError(res, error.details.map(d => d.message));
+    }
+
+    const book = await findUserBook(req, res);
+    if (!book) return;
+
+    if (book.format && book.format !== 'Physical') {
+      return res.status(400).json({ message: 'Only physical copies can be lent' });
+    }
+
+    const openLoan = await Loan.findOne({ book: book._id, user: req.user._id, returnedAt: null });
+    if (openLoan) {
+      return res.status(400).json({
+        message: `This book is already lent to ${openLoan.borrowerName}`,
+        loan: openLoan
+      });
+    }
+
+    const loan = new Loan({
+      ...value,
+      book: book._id,
+      user: req.user._id
+    });
+    await loan.save();
+    const currentLoan = await syncCurrentLoan(book);
+
+    res.status(201).json({
+      message: `Lent to ${loan.borrowerName}`,
+      loan,
+      currentLoan
+    });
+  } catch (error) {
+    handleError(res, error, 'Server error while lending book');
+  }
+});
+
+// @route   PUT /api/books/:bookId/loans/:loanId
+// @desc    Update a loan's borrower, dates or condition notes
+// @access  Private
+router.put('/:loanId', auth, requireScope('books:write'), async (req, res) => {
+  try {
+    const { error, value } = updateValidationSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return validationError(res, error.details.map(d => d.message));
+    }
+
+    const book = await findUserBook(req, res);
+    if (!book) return;
+
+    const loan = await findBookLoan(req, book);
+    if (!loan) {
+      return res.status(404).json({ message: 'Loan not found' });
+    }
+
+    loan.set(value);
+    await loan.save();
+    const currentLoan = await syncCurrentLoan(book);
+
+    res.json({
+      message: 'Loan updated',
+      loan,
+      currentLoan
+    });
+  } catch (error) {
+    handleError(res, error, 'Server error while updating loan');
+  }
+});
+
+// @route   POST /api/books/:bookId/loans/:loanId/return
+// @desc    Mark a lent copy as returned
+// @access  Private
+router.post('/:loanId/return', auth, requireScope('books:write'), async (req, res) => {
+  try {
+    const { error, value } = returnValidationSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return validationError(res, error.details.map(d => d.message));
+    }
+
+    const book = await findUserBook(req, res);
+    if (!book) return;
+
+    const loan = await findBookLoan(req, book);
+    if (!loan) {
+      return res.status(404).json({ message: 'Loan not found' });
+    }
+    if (loan.returnedAt) {
+      return res.status(400).json({ message: 'This loan has already been returned' });
+    }
+
+    loan.returnedAt = value.returnedAt || new Date();
+    if (value.conditionReturned !== undefined) {
+      loan.conditionReturned = value.conditionReturned;
+    }
+    await loan.save();
+    const currentLoan = await syncCurrentLoan(book);
+
+    res.json({
+      message: 'Book returned',
+      loan,
+      currentLoan
+    });
+  } catch (error) {
+    handleError(res, error, 'Server error while returning book');
+  }
+});
+
+// @route   DELETE /api/books/:bookId/loans/:loanId
+// @desc    Delete a loan record
+// @access  Private
+router.delete('/:loanId', auth, requireScope('books:write'), async (req, res) => {
+  try {
+    const book = await findUserBook(req, res);
+    if (!book) return;
+
+    const loan = await Loan.findOneAndDelete({
+      _id: req.params.loanId,
+      book: book._id,
+      user: req.user._id
+    });
+
+    if (!loan) {
+      return res.status(404).json({ message: 'Loan not found' });
+    }
+    const currentLoan = await syncCurrentLoan(book);
+
+    res.json({ message: 'Loan deleted', currentLoan });
+  } catch (error) {
+    handleError(res, error, 'Server error while deleting loan');
+  }
+});
+
+module.exports = router;
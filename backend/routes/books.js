@@ -1,58 +1,68 @@
 const express = require('express');
 const Book = require('../models/Book');
-const auth = require('../middleware/auth');
-const { uploadSingle, optimizeImage, handleUploadError, deleteUploadedFile } = require('../middleware/upload');
-const axios = require('axios');
-const Joi = require('joi');
+const BookChange = require('../models/BookChange');
+const Shelf = require('../models/Shelf');
+const { auth, requireScope } = require('../middleware/auth');
+const { uploadSingle, optimizeImage, handleUploadError, deleteCoverFiles } = require('../middleware/upload');
+const { bookQuerySchema, bookSearchQuerySchema, buildBookFilter, buildSort } = require('../utils/bookQuery');
+const { parseSearchQuery, applySearchFilters, buildPrefixClauses, buildHighlights } = require('../utils/bookSearch');
+const { EXPORT_FORMATS, EXPORT_CONTENT_TYPES, streamBookExport } = require('../utils/bookExport');
+const { validateBook, extractSeries } = require('../utils/bookValidation');
+const { buildBookActivity } = require('../utils/bookActivity');
+const { snapshotBook, buildRestoreUpdate } = require('../utils/bookHistory');
+const { trashRetentionDays, purgeDateFor, purgeBook } = require('../services/bookTrash');
+const { getDriver, keyFromUrl } = require('../services/storage');
+const { searchBooks, lookupIsbn } = require('../services/bookProviders');
+const { fetchRemoteCover } = require('../services/remoteCovers');
 
 const router = express.Router();
 
-// Validation schemas
-const bookValidationSchema = Joi.object({
-  title: Joi.string().trim().min(1).max(200).required(),
-  author: Joi.string().trim().min(1).max(100).required(),
-  genre: Joi.string().trim().max(50).allow(''),
-  status: Joi.string().valid('To Read', 'Reading', 'Read').default('To Read'),
-  description: Joi.string().trim().max(2000).allow(''),
-  isbn: Joi.string().trim().pattern(/^[0-9-]{10,17}$/).allow(''),
-  publishedDate: Joi.string().trim().allow(''),
-  pageCount: Joi.number().integer().min(1).max(50000).allow(null),
-  rating: Joi.number().integer().min(1).max(5).allow(null),
-  notes: Joi.string().trim().max(1000).allow(''),
-  tags: Joi.array().items(Joi.string().trim().max(30)).max(10)
-});
+// Store a cover picked from an online search locally. If the download fails
+// the remote URL is kept as before, so the book still gets a cover.
+const importRemoteCover = async (url) => {
+  try {
+    return await fetchRemoteCover(url);
+  } catch (error) {
+    console.warn(`Could not store cover from ${url}: ${error.message}`);
+    return { coverImage: url, coverRenditions: [] };
+  }
+};
 
 // @route   POST /api/books
 // @desc    Add a book
 // @access  Private
-router.post('/', auth, uploadSingle, optimizeImage, async (req, res) => {
+router.post('/', auth, requireScope('books:write'), uploadSingle, optimizeImage, async (req, res) => {
   try {
     // Validate request body
-    const { error, value } = bookValidationSchema.validate(req.body, { 
-      allowUnknown: true,
-      stripUnknown: true 
-    });
+    const { error, value } = validateBook(req.body);
     
     if (error) {
-      // Delete uploaded file if validation fails
-      if (req.file) {
-        deleteUploadedFile(req.file.filename);
-      }
+      // Delete uploaded cover if validation fails
+      deleteCoverFiles(req.cover);
       return res.status(400).json({ 
         message: 'Validation error', 
         details: error.details.map(d => d.message) 
       });
     }
 
-    const coverImage = req.file ? `/uploads/${req.file.filename}` : null;
+    // An uploaded file wins over a cover URL picked from an online search
+    const { coverImageUrl, ...fields } = value;
+    const { bookData, series } = extractSeries(fields);
+    if (!req.cover && coverImageUrl) {
+      req.cover = await importRemoteCover(coverImageUrl);
+    }
 
     const book = new Book({
-      ...value,
-      coverImage,
+      ...bookData,
+      ...(series && { series }),
+      coverImage: req.cover?.coverImage || null,
+      coverRenditions: req.cover?.coverRenditions || [],
       user: req.user._id
     });
 
     await book.save();
+    await BookChange.record(book, 'create');
+
     res.status(201).json({
       message: 'Book added successfully',
       book
@@ -60,10 +70,8 @@ router.post('/', auth, uploadSingle, optimizeImage, async (req, res) => {
   } catch (error) {
     console.error('Error adding book:', error);
     
-    // Delete uploaded file if database save fails
-    if (req.file) {
-      deleteUploadedFile(req.file.filename);
-    }
+    // Delete uploaded cover if database save fails
+    deleteCoverFiles(req.cover);
     
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
@@ -78,97 +86,396 @@ router.post('/', auth, uploadSingle, optimizeImage, async (req, res) => {
 });
 
 // @route   GET /api/books/search-external
-// @desc    Search books via Google Books API
+// @desc    Search external book databases (Google Books, Open Library)
 // @access  Public
 router.get('/search-external', async (req, res) => {
   try {
-    const { query } = req.query;
+    const { query, provider } = req.query;
 
     if (!query) {
       return res.status(400).json({ message: 'Query is required' });
     }
 
-    if (!process.env.GOOGLE_BOOKS_API_KEY) {
-      return res.status(500).json({ message: 'Google Books API not configured' });
+    const result = await searchBooks(query, { provider });
+    res.json(result);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
     }
+    console.error('External book search error:', error.message);
+    res.status(502).json({ message: 'Error searching external book database' });
+  }
+});
 
-    const response = await axios.get(`https://www.googleapis.com/books/v1/volumes?q=${encodeURIComponent(query)}&maxResults=10&key=${process.env.GOOGLE_BOOKS_API_KEY}`);
-    
-    if (!response.data.items) {
-      return res.json({ books: [] });
+// @route   GET /api/books/lookup/:isbn
+// @desc    Look up a single edition by ISBN for autofilling the book form
+// @access  Private
+router.get('/lookup/:isbn', auth, requireScope('read'), async (req, res) => {
+  try {
+    const { provider, book } = await lookupIsbn(req.params.isbn, { provider: req.query.provider });
+
+    if (!book) {
+      return res.status(404).json({ message: 'No book found for that ISBN' });
     }
-    
-    const books = response.data.items.map(item => {
-      const book = item.volumeInfo;
-      return {
-        title: book.title || 'Unknown Title',
-        author: book.authors ? book.authors.join(', ') : 'Unknown Author',
-        genre: book.categories ? book.categories[0] : '',
-        description: book.description || '',
-        isbn: book.industryIdentifiers ? book.industryIdentifiers.find(id => id.type === 'ISBN_13')?.identifier || book.industryIdentifiers[0]?.identifier : '',
-        publishedDate: book.publishedDate || '',
-        pageCount: book.pageCount || null,
-        coverImage: book.imageLinks ? book.imageLinks.thumbnail || book.imageLinks.smallThumbnail : null,
-        language: book.language || 'en'
-      };
-    });
 
-    res.json({ books });
+    res.json({ provider, book });
   } catch (error) {
-    console.error('Google Books API error:', error.response?.data || error.message);
-    res.status(500).json({ message: 'Error searching external book database' });
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('ISBN lookup error:', error.message);
+    res.status(502).json({ message: 'Error looking up ISBN' });
   }
 });
 
 // @route   GET /api/books/search
-// @desc    Search user's books
+// @desc    Full-text search with relevance ranking, highlights and field:value filters
 // @access  Private
-router.get('/search', auth, async (req, res) => {
+router.get('/search', auth, requireScope('read'), async (req, res) => {
   try {
-    const { query } = req.query;
+    const { error, value } = bookSearchQuerySchema.validate(req.query, { stripUnknown: true });
+    if (error) {
+      return res.status(400).json({
+        message: 'Invalid query parameters',
+        details: error.details.map(d => d.message)
+      });
+    }
 
-    if (!query) {
-      return res.status(400).json({ message: 'Query is required' });
+    const parsed = parseSearchQuery(value.query);
+    const baseFilter = applySearchFilters({ user: req.user._id }, parsed.filters);
+    const skip = (value.page - 1) * value.limit;
+
+    // Free text goes through the text index and is ranked by score; a query
+    // of only field filters is listed newest first
+    const runSearch = async (mode) => {
+      if (mode === 'text') {
+        const filter = { ...baseFilter, $text: { $search: parsed.text } };
+        const [books, total] = await Promise.all([
+          Book.find(filter, { score: { $meta: 'textScore' } })
+            .sort({ score: { $meta: 'textScore' }, _id: -1 })
+            .skip(skip)
+            .limit(value.limit),
+          Book.countDocuments(filter)
+        ]);
+        return { books, total };
+      }
+
+      const filter = mode === 'prefix'
+        ? { ...baseFilter, $and: [...(baseFilter.$and || []), ...buildPrefixClauses(parsed.text)] }
+        : baseFilter;
+      const [books, total] = await Promise.all([
+        Book.find(filter).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(value.limit),
+        Book.countDocuments(filter)
+      ]);
+      return { books, total };
+    };
+
+    let mode = parsed.text ? 'text' : 'filter';
+    let { books, total } = await runSearch(mode);
+    if (mode === 'text' && total === 0) {
+      mode = 'prefix';
+      ({ books, total } = await runSearch(mode));
     }
 
-    const searchRegex = new RegExp(query, 'i');
-    
-    const books = await Book.find({
-      user: req.user._id,
-      $or: [
-        { title: searchRegex },
-        { author: searchRegex },
-        { genre: searchRegex },
-        { description: searchRegex },
-        { notes: searchRegex },
-        { tags: { $in: [searchRegex] } }
-      ]
-    }).sort({ createdAt: -1 });
-
-    res.json(books);
+    const totalPages = Math.ceil(total / value.limit);
+
+    res.json({
+      query: value.query,
+      mode,
+      parsed: { text: parsed.text, filters: parsed.filters },
+      results: books.map(book => ({
+        book,
+        score: mode === 'text' ? book.get('score') : null,
+        highlights: buildHighlights(book, parsed.terms)
+      })),
+      pagination: {
+        page: value.page,
+        limit: value.limit,
+        total,
+        totalPages,
+        hasNextPage: value.page < totalPages,
+        hasPrevPage: value.page > 1
+      }
+    });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Search error:', error);
     res.status(500).json({ message: 'Server error during search' });
   }
 });
 
+// @route   GET /api/books/export
+// @desc    Export the user's library as CSV or JSON (streamed)
+// @access  Private
+router.get('/export', auth, requireScope('export'), async (req, res) => {
+  const format = (req.query.format || 'csv').toLowerCase();
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ message: `Export format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  const cursor = Book.find({ user: req.user._id }).sort({ createdAt: 1 }).lean().cursor();
+  const filename = `library-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  try {
+    res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    await streamBookExport(cursor, format, res);
+    res.end();
+  } catch (error) {
+    console.error('Error exporting books:', error);
+
+    if (!res.headersSent) {
+      return res.status(500).json({ message: 'Server error while exporting books' });
+    }
+    // Headers are already out, so the only way to signal failure is to abort
+    res.destroy(error);
+  } finally {
+    await cursor.close();
+  }
+});
+
 // @route   GET /api/books
-// @desc    Get all books for a user
+// @desc    Get a page of the user's books with optional filters and sorting
 // @access  Private
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, requireScope('read'), async (req, res) => {
   try {
-    const books = await Book.find({ user: req.user._id }).sort({ createdAt: -1 });
-    res.json(books);
+    const { error, value: query } = bookQuerySchema.validate(req.query, {
+      stripUnknown: true
+    });
+
+    if (error) {
+      return res.status(400).json({
+        message: 'Invalid query parameters',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    // q accepts the same field:value syntax as /search; its free text part
+    // stays a title/author substring match so the chosen sort applies
+    const { text, filters } = parseSearchQuery(query.q);
+    const filter = applySearchFilters(buildBookFilter(req.user._id, { ...query, q: text.replace(/"/g, '') }), filters);
+    const skip = (query.page - 1) * query.limit;
+
+    let shelfOrder = null;
+    if (query.shelf) {
+      const shelf = await Shelf.findOne({ _id: query.shelf, user: req.user._id });
+      if (!shelf) {
+        return res.status(404).json({ message: 'Shelf not found' });
+      }
+      shelfOrder = shelf.getOrderedBookIds();
+      filter._id = { $in: shelfOrder };
+    } else if (query.sort === 'position') {
+      return res.status(400).json({ message: 'Sorting by position requires a shelf' });
+    }
+
+    // Shelf order lives on the Shelf document, so page through it in memory
+    const findPage = async () => {
+      if (query.sort !== 'position') {
+        return Book.find(filter).sort(buildSort(query.sort)).skip(skip).limit(query.limit);
+      }
+
+      const matching = new Set((await Book.find(filter).select('_id').lean()).map(book => book._id.toString()));
+      const pageIds = shelfOrder
+        .map(id => id.toString())
+        .filter(id => matching.has(id))
+        .slice(skip, skip + query.limit);
+      const pageBooks = await Book.find({ _id: { $in: pageIds } });
+      const byId = new Map(pageBooks.map(book => [book._id.toString(), book]));
+      return pageIds.map(id => byId.get(id));
+    };
+
+    const [books, total, statusCounts] = await Promise.all([
+      findPage(),
+      Book.countDocuments(filter),
+      Book.aggregate([
+        { $match: { user: req.user._id } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const totalPages = Math.ceil(total / query.limit);
+
+    res.json({
+      books,
+      pagination: {
+        page: query.page,
+        limit: query.limit,
+        total,
+        totalPages,
+        hasNextPage: query.page < totalPages,
+        hasPrevPage: query.page > 1
+      },
+      counts: statusCounts.reduce((acc, stat) => {
+        acc[stat._id] = stat.count;
+        acc.total += stat.count;
+        return acc;
+      }, { 'To Read': 0, Reading: 0, Read: 0, total: 0 })
+    });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// These fixed paths must be registered before /:id, which would otherwise
+// treat "stats", "genres" and "authors" as book IDs
+
+// @route   GET /api/books/stats
+// @desc    Get reading statistics for user
+// @access  Private
+router.get('/stats', auth, requireScope('read'), async (req, res) => {
+  try {
+    const stats = await Book.getReadingStats(req.user._id);
+    res.json({
+      message: 'Statistics retrieved successfully',
+      stats
+    });
+  } catch (error) {
+    console.error('Error getting stats:', error);
+    res.status(500).json({ message: 'Server error while retrieving statistics' });
+  }
+});
+
+// @route   GET /api/books/genres
+// @desc    Get all genres for user's books
+// @access  Private
+router.get('/genres', auth, requireScope('read'), async (req, res) => {
+  try {
+    const genres = await Book.distinct('genre', { 
+      user: req.user._id, 
+      genre: { $nin: [null, ''] }
+    });
+    
+    res.json({
+      message: 'Genres retrieved successfully',
+      genres: genres.filter(genre => genre).sort()
+    });
+  } catch (error) {
+    console.error('Error getting genres:', error);
+    res.status(500).json({ message: 'Server error while retrieving genres' });
+  }
+});
+
+// @route   GET /api/books/authors
+// @desc    Get all authors for user's books
+// @access  Private
+router.get('/authors', auth, requireScope('read'), async (req, res) => {
+  try {
+    const authors = await Book.distinct('author', { 
+      user: req.user._id, 
+      author: { $nin: [null, ''] }
+    });
+    
+    res.json({
+      message: 'Authors retrieved successfully',
+      authors: authors.filter(author => author).sort()
+    });
+  } catch (error) {
+    console.error('Error getting authors:', error);
+    res.status(500).json({ message: 'Server error while retrieving authors' });
+  }
+});
+
+// @route   GET /api/books/trash
+// @desc    Get books in the trash, most recently deleted first
+// @access  Private
+router.get('/trash', auth, requireScope('read'), async (req, res) => {
+  try {
+    const books = await Book.find({ user: req.user._id, deletedAt: { $ne: null } })
+      .sort({ deletedAt: -1 });
+
+    res.json({
+      retentionDays: trashRetentionDays(),
+      books: books.map(book => ({
+        ...book.toJSON(),
+        purgeAt: purgeDateFor(book.deletedAt)
+      }))
+    });
+  } catch (error) {
+    console.error('Error getting trash:', error);
+    res.status(500).json({ message: 'Server error while retrieving trash' });
+  }
+});
+
+// @route   POST /api/books/trash/:id/restore
+// @desc    Take a book back out of the trash
+// @access  Private
+router.post('/trash/:id/restore', auth, requireScope('books:write'), async (req, res) => {
+  try {
+    const book = await Book.findOne({ _id: req.params.id, user: req.user._id, deletedAt: { $ne: null } });
+
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found in trash' });
+    }
+
+    book.deletedAt = null;
+    await Book.updateOne({ _id: book._id }, { $set: { deletedAt: null } });
+    await req.user.updateStats();
+    await BookChange.record(book, 'restore');
+
+    res.json({
+      message: 'Book restored',
+      book
+    });
+  } catch (error) {
+    console.error('Error restoring book:', error);
+    res.status(500).json({ message: 'Server error while restoring book' });
+  }
+});
+
+// @route   DELETE /api/books/trash/:id
+// @desc    Permanently delete a book in the trash, with its cover, sessions,
+//          loans, annotations and history
+// @access  Private
+router.delete('/trash/:id', auth, requireScope('books:write'), async (req, res) => {
+  try {
+    const book = await Book.findOne({ _id: req.params.id, user: req.user._id, deletedAt: { $ne: null } });
+
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found in trash' });
+    }
+
+    await purgeBook(book);
+
+    res.json({ message: 'Book permanently deleted' });
+  } catch (error) {
+    console.error('Error purging book:', error);
+    res.status(500).json({ message: 'Server error while permanently deleting book' });
+  }
+});
+
+// @route   DELETE /api/books/trash
+// @desc    Empty the trash
+// @access  Private
+router.delete('/trash', auth, requireScope('books:write'), async (req, res) => {
+  try {
+    const books = await Book.find({ user: req.user._id, deletedAt: { $ne: null } });
+
+    for (const book of books) {
+      await purgeBook(book);
+    }
+
+    res.json({
+      message: `Permanently deleted ${books.length} book${books.length === 1 ? '' : 's'}`,
+      purged: books.length
+    });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({ message: 'Server error while emptying trash' });
+  }
+});
+
 // @route   GET /api/books/:id
 // @desc    Get a specific book
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, requireScope('read'), async (req, res) => {
   try {
     const book = await Book.findOne({ _id: req.params.id, user: req.user._id });
 
@@ -183,22 +490,191 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/books/:id/similar
+// @desc    Get books from the same series, author or genre, or with shared tags
+// @access  Private
+router.get('/:id/similar', auth, requireScope('read'), async (req, res) => {
+  try {
+    const book = await Book.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 8, 1), 20);
+    const books = await book.getSimilarBooks(limit);
+
+    res.json({ books });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error while finding similar books' });
+  }
+});
+
+// @route   GET /api/books/:id/activity
+// @desc    Get a book's activity timeline (reading dates, sessions, loans
+//          and annotations), newest first
+// @access  Private
+router.get('/:id/activity', auth, requireScope('read'), async (req, res) => {
+  try {
+    const book = await Book.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    const events = await buildBookActivity(book);
+
+    res.json({ events });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error while retrieving book activity' });
+  }
+});
+
+// @route   GET /api/books/:id/history
+// @desc    Get a book's recorded changes, newest first
+// @access  Private
+router.get('/:id/history', auth, requireScope('read'), async (req, res) => {
+  try {
+    const book = await Book.findOne({ _id: req.params.id, user: req.user._id }).select('_id');
+
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const filter = { book: book._id, user: req.user._id };
+
+    const [changes, total] = await Promise.all([
+      BookChange.find(filter)
+        .sort({ version: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-snapshot'),
+      BookChange.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      changes,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error getting book history:', error);
+    res.status(500).json({ message: 'Server error while retrieving book history' });
+  }
+});
+
+// Find one recorded version of a user's book, or send a 404
+const findBookVersion = async (req, res) => {
+  const version = parseInt(req.params.version, 10);
+  const book = await Book.findOne({ _id: req.params.id, user: req.user._id });
+  const change = book && version > 0
+    ? await BookChange.findOne({ book: book._id, user: req.user._id, version })
+    : null;
+
+  if (!change) {
+    res.status(404).json({ message: book ? 'Version not found' : 'Book not found' });
+    return {};
+  }
+  return { book, change };
+};
+
+// An uploaded cover may have been deleted since, when the cover was replaced
+const coverAvailable = async (coverImage) => {
+  const key = keyFromUrl(coverImage);
+  return !key || getDriver().exists(key);
+};
+
+// @route   GET /api/books/:id/history/:version
+// @desc    Get one version of a book, with the full snapshot
+// @access  Private
+router.get('/:id/history/:version', auth, requireScope('read'), async (req, res) => {
+  try {
+    const { change } = await findBookVersion(req, res);
+    if (!change) return;
+
+    res.json({ change });
+  } catch (error) {
+    console.error('Error getting book version:', error);
+    res.status(500).json({ message: 'Server error while retrieving book version' });
+  }
+});
+
+// @route   POST /api/books/:id/history/:version/restore
+// @desc    Put a book back the way it was at a previous version. This is
+//          recorded as a new version, so it can be undone as well.
+// @access  Private
+router.post('/:id/history/:version/restore', auth, requireScope('books:write'), async (req, res) => {
+  try {
+    const { book: existingBook, change } = await findBookVersion(req, res);
+    if (!change) return;
+
+    const before = snapshotBook(existingBook);
+    const target = change.snapshot;
+    const warnings = [];
+    const skipFields = [];
+
+    const coverChanged = (target.coverImage || null) !== (before.coverImage || null);
+    if (coverChanged && !(await coverAvailable(target.coverImage))) {
+      skipFields.push('coverImage', 'coverRenditions');
+      warnings.push('The cover from that version is no longer stored, so the current cover was kept');
+    }
+
+    const book = await Book.findOneAndUpdate(
+      { _id: existingBook._id, user: req.user._id },
+      buildRestoreUpdate(target, { skipFields }),
+      { new: true, runValidators: true }
+    );
+
+    if (coverChanged && !skipFields.length) {
+      deleteCoverFiles(existingBook);
+    }
+
+    await req.user.updateStats();
+    await BookChange.record(book, 'revert', before, { revertedTo: change.version });
+
+    res.json({
+      message: `Restored version ${change.version}`,
+      book,
+      warnings
+    });
+  } catch (error) {
+    console.error('Error restoring book version:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ 
+        message: 'Validation error', 
+        details: errors 
+      });
+    }
+
+    res.status(500).json({ message: 'Server error while restoring book version' });
+  }
+});
+
 // @route   PUT /api/books/:id
 // @desc    Update a book
 // @access  Private
-router.put('/:id', auth, uploadSingle, optimizeImage, async (req, res) => {
+router.put('/:id', auth, requireScope('books:write'), uploadSingle, optimizeImage, async (req, res) => {
   try {
     // Validate request body
-    const { error, value } = bookValidationSchema.validate(req.body, { 
-      allowUnknown: true,
-      stripUnknown: true 
-    });
+    const { error, value } = validateBook(req.body);
     
     if (error) {
-      // Delete uploaded file if validation fails
-      if (req.file) {
-        deleteUploadedFile(req.file.filename);
-      }
+      // Delete uploaded cover if validation fails
+      deleteCoverFiles(req.cover);
       return res.status(400).json({ 
         message: 'Validation error', 
         details: error.details.map(d => d.message) 
@@ -209,22 +685,24 @@ router.put('/:id', auth, uploadSingle, optimizeImage, async (req, res) => {
     const existingBook = await Book.findOne({ _id: req.params.id, user: req.user._id });
     
     if (!existingBook) {
-      // Delete uploaded file if book not found
-      if (req.file) {
-        deleteUploadedFile(req.file.filename);
-      }
+      // Delete uploaded cover if book not found
+      deleteCoverFiles(req.cover);
       return res.status(404).json({ message: 'Book not found' });
     }
 
     // Handle cover image update
-    let updateData = { ...value };
-    if (req.file) {
-      // Delete old cover image if it exists and is not a default image
-      if (existingBook.coverImage && existingBook.coverImage.startsWith('/uploads/')) {
-        const oldFilename = existingBook.coverImage.replace('/uploads/', '');
-        deleteUploadedFile(oldFilename);
-      }
-      updateData.coverImage = `/uploads/${req.file.filename}`;
+    const { coverImageUrl, ...fields } = value;
+    const { bookData: updateData, series } = extractSeries(fields);
+    if (series !== undefined) {
+      updateData.series = series;
+    }
+    // Picking the cover URL the book already has is not a change
+    if (!req.cover && coverImageUrl && coverImageUrl !== existingBook.coverImage) {
+      req.cover = await importRemoteCover(coverImageUrl);
+    }
+    if (req.cover) {
+      updateData.coverImage = req.cover.coverImage;
+      updateData.coverRenditions = req.cover.coverRenditions;
     }
 
     const book = await Book.findOneAndUpdate(
@@ -233,6 +711,17 @@ router.put('/:id', auth, uploadSingle, optimizeImage, async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    // Only remove the old cover files once the new ones are saved
+    if (req.cover) {
+      deleteCoverFiles(existingBook);
+    }
+
+    await BookChange.record(
+      book,
+      book.status !== existingBook.status ? 'status' : 'update',
+      snapshotBook(existingBook)
+    );
+
     res.json({
       message: 'Book updated successfully',
       book
@@ -240,10 +729,8 @@ router.put('/:id', auth, uploadSingle, optimizeImage, async (req, res) => {
   } catch (error) {
     console.error('Error updating book:', error);
     
-    // Delete uploaded file if database save fails
-    if (req.file) {
-      deleteUploadedFile(req.file.filename);
-    }
+    // Delete uploaded cover if database save fails
+    deleteCoverFiles(req.cover);
     
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
@@ -258,28 +745,29 @@ router.put('/:id', auth, uploadSingle, optimizeImage, async (req, res) => {
 });
 
 // @route   DELETE /api/books/:id
-// @desc    Delete a book
+// @desc    Move a book to the trash. It can be restored until it is purged
+//          after the retention period.
 // @access  Private
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, requireScope('books:write'), async (req, res) => {
   try {
-    const book = await Book.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    const book = await Book.findOne({ _id: req.params.id, user: req.user._id });
 
     if (!book) {
       return res.status(404).json({ message: 'Book not found' });
     }
 
-    // Delete associated cover image if it exists
-    if (book.coverImage && book.coverImage.startsWith('/uploads/')) {
-      const filename = book.coverImage.replace('/uploads/', '');
-      deleteUploadedFile(filename);
-    }
+    book.deletedAt = new Date();
+    await Book.updateOne({ _id: book._id }, { $set: { deletedAt: book.deletedAt } });
+    await req.user.updateStats();
+    await BookChange.record(book, 'delete');
 
     res.json({ 
-      message: 'Book deleted successfully',
+      message: 'Book moved to the trash',
       deletedBook: {
         id: book._id,
         title: book.title,
-        author: book.author
+        author: book.author,
+        purgeAt: purgeDateFor(book.deletedAt)
       }
     });
   } catch (error) {
@@ -288,62 +776,6 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
-// @route   GET /api/books/stats
-// @desc    Get reading statistics for user
-// @access  Private
-router.get('/stats', auth, async (req, res) => {
-  try {
-    const stats = await Book.getReadingStats(req.user._id);
-    res.json({
-      message: 'Statistics retrieved successfully',
-      stats
-    });
-  } catch (error) {
-    console.error('Error getting stats:', error);
-    res.status(500).json({ message: 'Server error while retrieving statistics' });
-  }
-});
-
-// @route   GET /api/books/genres
-// @desc    Get all genres for user's books
-// @access  Private
-router.get('/genres', auth, async (req, res) => {
-  try {
-    const genres = await Book.distinct('genre', { 
-      user: req.user._id, 
-      genre: { $ne: null, $ne: '' } 
-    });
-    
-    res.json({
-      message: 'Genres retrieved successfully',
-      genres: genres.filter(genre => genre).sort()
-    });
-  } catch (error) {
-    console.error('Error getting genres:', error);
-    res.status(500).json({ message: 'Server error while retrieving genres' });
-  }
-});
-
-// @route   GET /api/books/authors
-// @desc    Get all authors for user's books
-// @access  Private
-router.get('/authors', auth, async (req, res) => {
-  try {
-    const authors = await Book.distinct('author', { 
-      user: req.user._id, 
-      author: { $ne: null, $ne: '' } 
-    });
-    
-    res.json({
-      message: 'Authors retrieved successfully',
-      authors: authors.filter(author => author).sort()
-    });
-  } catch (error) {
-    console.error('Error getting authors:', error);
-    res.status(500).json({ message: 'Server error while retrieving authors' });
-  }
-});
-
 // Error handling middleware for this router
 router.use(handleUploadError);
 
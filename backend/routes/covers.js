@@ -0,0 +1,32 @@
+const express = require('express');
+const Joi = require('joi');
+const { renderPlaceholderSvg } = require('../utils/coverPlaceholder');
+
+const router = express.Router();
+
+const placeholderQuerySchema = Joi.object({
+  title: Joi.string().trim().max(200).allow('').default('Untitled'),
+  author: Joi.string().trim().max(200).allow('').default(''),
+  width: Joi.number().integer().min(60).max(1200).default(300),
+  height: Joi.number().integer().min(90).max(1800).default(450)
+});
+
+// @route   GET /api/covers/placeholder
+// @desc    Generated SVG cover showing a title and author
+// @access  Public (used directly as an <img> src)
+router.get('/placeholder', (req, res) => {
+  const { error, value } = placeholderQuerySchema.validate(req.query, { stripUnknown: true });
+  if (error) {
+    return res.status(400).json({
+      message: 'Validation error',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  res.set('Content-Type', 'image/svg+xml; charset=utf-8');
+  // Output depends only on the query string
+  res.set('Cache-Control', 'public, max-age=604800, immutable');
+  res.send(renderPlaceholderSvg({ ...value, title: value.title || 'Untitled' }));
+});
+
+module.exports = router;
@@ -0,0 +1,148 @@
+const express = require('express');
+const Joi = require('joi');
+const Goal = require('../models/Goal');
+const { auth, requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation schemas
+const goalValidationSchema = Joi.object({
+  year: Joi.number().integer().min(1900).max(2100).default(() => new Date().getFullYear()),
+  metric: Joi.string().valid('books', 'pages').default('books'),
+  target: Joi.number().integer().min(1).max(10000000).required()
+});
+
+const goalUpdateSchema = Joi.object({
+  target: Joi.number().integer().min(1).max(10000000).required()
+});
+
+const withProgress = async (goal) => ({
+  ...goal.toJSON(),
+  progress: await goal.getProgress()
+});
+
+// @route   GET /api/goals
+// @desc    Get the user's reading goals with progress (optionally for one year)
+// @access  Private
+router.get('/', auth, requireScope('read'), async (req, res) => {
+  try {
+    const filter = { user: req.user._id };
+    if (req.query.year) {
+      const year = parseInt(req.query.year, 10);
+      if (isNaN(year)) {
+        return res.status(400).json({ message: 'Year must be a number' });
+      }
+      filter.year = year;
+    }
+
+    const goals = await Goal.find(filter).sort({ year: -1, metric: 1 });
+    res.json({ goals: await Promise.all(goals.map(withProgress)) });
+  } catch (error) {
+    console.error('Error getting goals:', error);
+    res.status(500).json({ message: 'Server error while retrieving goals' });
+  }
+});
+
+// @route   POST /api/goals
+// @desc    Create a reading goal
+// @access  Private
+router.post('/', auth, requireScope('books:write'), async (req, res) => {
+  try {
+    const { error, value } = goalValidationSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const existing = await Goal.findOne({ user: req.user._id, year: value.year, metric: value.metric });
+    if (existing) {
+      return res.status(400).json({
+        message: `You already have a ${value.metric} goal for ${value.year}`
+      });
+    }
+
+    const goal = new Goal({ ...value, user: req.user._id });
+    await goal.save();
+
+    res.status(201).json({
+      message: 'Goal created successfully',
+      goal: await withProgress(goal)
+    });
+  } catch (error) {
+    console.error('Error creating goal:', error);
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ message: 'Validation error', details: errors });
+    }
+    res.status(500).json({ message: 'Server error while creating goal' });
+  }
+});
+
+// @route   GET /api/goals/:id
+// @desc    Get a reading goal with progress
+// @access  Private
+router.get('/:id', auth, requireScope('read'), async (req, res) => {
+  try {
+    const goal = await Goal.findOne({ _id: req.params.id, user: req.user._id });
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+    res.json({ goal: await withProgress(goal) });
+  } catch (error) {
+    console.error('Error getting goal:', error);
+    res.status(500).json({ message: 'Server error while retrieving goal' });
+  }
+});
+
+// @route   PUT /api/goals/:id
+// @desc    Change a goal's target
+// @access  Private
+router.put('/:id', auth, requireScope('books:write'), async (req, res) => {
+  try {
+    const { error, value } = goalUpdateSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const goal = await Goal.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { $set: value },
+      { new: true, runValidators: true }
+    );
+
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    res.json({
+      message: 'Goal updated successfully',
+      goal: await withProgress(goal)
+    });
+  } catch (error) {
+    console.error('Error updating goal:', error);
+    res.status(500).json({ message: 'Server error while updating goal' });
+  }
+});
+
+// @route   DELETE /api/goals/:id
+// @desc    Delete a reading goal
+// @access  Private
+router.delete('/:id', auth, requireScope('books:write'), async (req, res) => {
+  try {
+    const goal = await Goal.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+    res.json({ message: 'Goal deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting goal:', error);
+    res.status(500).json({ message: 'Server error while deleting goal' });
+  }
+});
+
+module.exports = router;
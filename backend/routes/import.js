@@ -0,0 +1,293 @@
+const express = require('express');
+const Joi = require('joi');
+const Book = require('../models/Book');
+const Annotation = require('../models/Annotation');
+const BookChange = require('../models/BookChange');
+const { auth, requireScope } = require('../middleware/auth');
+const { uploadImportFile, handleUploadError } = require('../middleware/upload');
+const { IMPORT_SOURCES, buildImportPreview } = require('../utils/libraryImport');
+const {
+  CLIPPING_SOURCES,
+  validateNewBook,
+  markDuplicates,
+  existingImportKeys,
+  buildClippingsPreview
+} = require('../utils/clippingsImport');
+
+const router = express.Router();
+
+// Validation schemas
+const importOptionsSchema = Joi.object({
+  source: Joi.string().valid('auto', ...IMPORT_SOURCES).default('auto'),
+  dryRun: Joi.boolean().default(true),
+  // Spreadsheet row numbers to import; defaults to every new (non-duplicate) row
+  rows: Joi.alternatives().try(
+    Joi.array().items(Joi.number().integer().min(2)),
+    Joi.string().trim().pattern(/^\d+(,\d+)*$/).custom(value => value.split(',').map(Number))
+  )
+});
+
+// What to do with each book's clippings, keyed by the preview's group key
+const clippingDecisionSchema = Joi.object({
+  key: Joi.string().max(500).required(),
+  action: Joi.string().valid('match', 'create', 'skip').required(),
+  bookId: Joi.string().hex().length(24),
+  book: Joi.object({
+    title: Joi.string().trim().max(200),
+    author: Joi.string().trim().max(100)
+  })
+});
+
+const clippingDecisionsSchema = Joi.array().items(clippingDecisionSchema).max(5000);
+
+const clippingsImportOptionsSchema = Joi.object({
+  source: Joi.string().valid('auto', ...CLIPPING_SOURCES).default('auto'),
+  dryRun: Joi.boolean().default(true),
+  // Multipart forms can only carry the decisions as a JSON string
+  decisions: Joi.alternatives().try(
+    clippingDecisionsSchema,
+    Joi.string().custom((value, helpers) => {
+      let parsed;
+      try {
+        parsed = JSON.parse(value);
+      } catch (err) {
+        return helpers.message('decisions must be valid JSON');
+      }
+      const { error, value: decisions } = clippingDecisionsSchema.validate(parsed);
+      if (error) return helpers.message(error.details[0].message);
+      return decisions;
+    })
+  ).default([])
+});
+
+// Insert the selected preview rows. With ordered: false one bad row doesn't
+// stop the rest, but insertMany then throws after the others are written;
+// those are returned as inserted and the rest reported by row number.
+const insertImportRows = async (rows, userId) => {
+  const docs = rows.map(row => new Book({ ...row.book, user: userId }));
+  let inserted = [];
+
+  if (docs.length) {
+    try {
+      inserted = await Book.insertMany(docs, { ordered: false });
+    } catch (error) {
+      if (!error.writeErrors) throw error;
+      console.error('Some imported books could not be saved:', error);
+      inserted = error.insertedDocs || [];
+    }
+  }
+
+  // Documents that failed validation are dropped from the result too
+  const saved = new Set(inserted);
+  return {
+    inserted,
+    failedRows: rows.filter((row, i) => !saved.has(docs[i])).map(row => row.row)
+  };
+};
+
+// @route   POST /api/import/books
+// @desc    Import a Goodreads or StoryGraph CSV export (dry-run preview by default)
+// @access  Private
+router.post('/books', auth, requireScope('books:write'), uploadImportFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'An export file is required' });
+    }
+
+    const { error, value: options } = importOptionsSchema.validate(
+      { ...req.query, ...req.body },
+      { stripUnknown: true }
+    );
+
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const preview = await buildImportPreview(
+      req.user._id,
+      req.file.buffer.toString('utf8'),
+      options.source
+    );
+
+    if (options.dryRun) {
+      return res.json({
+        message: 'Import preview generated',
+        dryRun: true,
+        ...preview
+      });
+    }
+
+    // Explicitly selected rows may include duplicates the user wants anyway;
+    // rows that failed validation can never be imported
+    const selected = options.rows ? new Set(options.rows) : null;
+    const toImport = preview.rows.filter(row => (
+      row.status !== 'error' && (selected ? selected.has(row.row) : row.status === 'new')
+    ));
+
+    const { inserted, failedRows } = await insertImportRows(toImport, req.user._id);
+
+    // insertMany skips the per-document post('save') hook, so refresh once
+    await req.user.updateStats();
+    await BookChange.recordCreates(inserted);
+
+    const failed = new Set(failedRows);
+    res.status(201).json({
+      message: `Imported ${inserted.length} book${inserted.length === 1 ? '' : 's'}`
+        + (failedRows.length ? `; ${failedRows.length} could not be saved` : ''),
+      dryRun: false,
+      source: preview.source,
+      summary: {
+        ...preview.summary,
+        imported: inserted.length,
+        failed: failedRows.length,
+        skipped: preview.rows.length - inserted.length
+      },
+      importedRows: toImport.map(row => row.row).filter(row => !failed.has(row)),
+      failedRows
+    });
+  } catch (error) {
+    console.error('Error importing books:', error);
+
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Server error while importing books' });
+  }
+});
+
+// @route   POST /api/import/clippings
+// @desc    Import highlights and notes from a Kindle "My Clippings.txt" or a
+//          Kobo annotation export (dry-run preview by default)
+// @access  Private
+router.post('/clippings', auth, requireScope('books:write'), uploadImportFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'A clippings file is required' });
+    }
+
+    const { error, value: options } = clippingsImportOptionsSchema.validate(
+      { ...req.query, ...req.body },
+      { stripUnknown: true }
+    );
+
+    if (error) {
+      return res.status(400).json({
+        message: 'Validation error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const preview = await buildClippingsPreview(
+      req.user._id,
+      req.file.buffer.toString('utf8'),
+      options.source
+    );
+
+    if (options.dryRun) {
+      return res.json({
+        message: 'Clippings preview generated',
+        dryRun: true,
+        ...preview
+      });
+    }
+
+    // Books without a decision get the suggested action
+    const decisions = new Map(options.decisions.map(decision => [decision.key, decision]));
+    const createdBooks = [];
+    const toInsert = [];
+    const errors = [];
+    let duplicates = 0;
+    let skippedBooks = 0;
+
+    for (const group of preview.books) {
+      const decision = decisions.get(group.key) || {
+        action: group.suggestedAction,
+        bookId: group.match?.bookId
+      };
+      let bookId = null;
+
+      if (decision.action === 'match') {
+        const book = await Book.findOne({
+          _id: decision.bookId || group.match?.bookId,
+          user: req.user._id
+        }).select('_id');
+        if (!book) {
+          errors.push({ key: group.key, title: group.title, errors: ['Book not found'] });
+          continue;
+        }
+        bookId = book._id;
+      } else if (decision.action === 'create') {
+        const { book: fields, errors: bookErrors } = validateNewBook({
+          title: group.title,
+          author: group.author,
+          ...decision.book
+        });
+        if (!fields) {
+          errors.push({ key: group.key, title: group.title, errors: bookErrors });
+          continue;
+        }
+        const book = new Book({ ...fields, user: req.user._id });
+        await book.save();
+        await BookChange.record(book, 'create');
+        createdBooks.push(book);
+        bookId = book._id;
+      } else {
+        skippedBooks++;
+        continue;
+      }
+
+      // Duplicates are checked against the book actually chosen, which may
+      // not be the one the preview suggested
+      const existingKeys = await existingImportKeys(req.user._id, bookId, group.clippings);
+      markDuplicates(group.clippings, existingKeys).forEach(({ status, addedAt, ...clipping }) => {
+        if (status === 'duplicate') {
+          duplicates++;
+          return;
+        }
+        toInsert.push({
+          ...clipping,
+          ...(addedAt && { createdAt: addedAt }),
+          source: preview.source,
+          book: bookId,
+          user: req.user._id
+        });
+      });
+    }
+
+    const inserted = toInsert.length
+      ? await Annotation.insertMany(toInsert, { ordered: false })
+      : [];
+
+    res.status(201).json({
+      message: `Imported ${inserted.length} clipping${inserted.length === 1 ? '' : 's'}`,
+      dryRun: false,
+      source: preview.source,
+      summary: {
+        ...preview.summary,
+        imported: inserted.length,
+        duplicates,
+        booksCreated: createdBooks.length,
+        booksSkipped: skippedBooks
+      },
+      createdBooks: createdBooks.map(book => ({ _id: book._id, title: book.title, author: book.author })),
+      errors
+    });
+  } catch (error) {
+    console.error('Error importing clippings:', error);
+
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Server error while importing clippings' });
+  }
+});
+
+// Error handling middleware for this router
+router.use(handleUploadError);
+
+module.exports = router;
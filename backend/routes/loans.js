@@ -0,0 +1,93 @@
+const express = require('express');
+const Joi = require('joi');
+const Book = require('../models/Book');
+const Loan = require('../models/Loan');
+const { auth, requireScope } = require('../middleware/auth');
+const { escapeRegex } = require('../utils/bookQuery');
+
+const router = express.Router();
+
+// Validation schemas
+const loanListQuerySchema = Joi.object({
+  status: Joi.string().valid('out', 'overdue', 'returned', 'all').default('out'),
+  q: Joi.string().trim().max(100).allow(''),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+const validationError = (res, error) => res.status(400).json({
+  message: 'Validation error',
+  details: error.details.map(d => d.message)
+});
+
+// Books out longest (or most overdue) first; returned ones most recent first
+const SORTS = {
+  out: { lentAt: 1 },
+  overdue: { dueAt: 1 },
+  returned: { returnedAt: -1 },
+  all: { lentAt: -1 }
+};
+
+const listLoans = async (req, res, status) => {
+  try {
+    const { error, value } = loanListQuerySchema.validate({ ...req.query, ...(status && { status }) }, { stripUnknown: true });
+    if (error) return validationError(res, error);
+
+    // Loans of books in the trash stay hidden, from the list and the
+    // counts, until the book is restored
+    const now = new Date();
+    const bookIds = await Book.find({ user: req.user._id }).distinct('_id');
+    const loanFilter = (view) => ({
+      ...Loan.statusFilter(req.user._id, view, now),
+      book: { $in: bookIds }
+    });
+
+    const filter = loanFilter(value.status);
+    if (value.q) {
+      filter.borrowerName = new RegExp(escapeRegex(value.q), 'i');
+    }
+
+    const skip = (value.page - 1) * value.limit;
+    const [loans, total, out, overdue] = await Promise.all([
+      Loan.find(filter)
+        .sort(SORTS[value.status])
+        .skip(skip)
+        .limit(value.limit)
+        .populate('book', 'title author coverImage coverRenditions format location'),
+      Loan.countDocuments(filter),
+      Loan.countDocuments(loanFilter('out')),
+      Loan.countDocuments(loanFilter('overdue'))
+    ]);
+
+    const totalPages = Math.ceil(total / value.limit);
+
+    res.json({
+      status: value.status,
+      loans,
+      counts: { out, overdue },
+      pagination: {
+        page: value.page,
+        limit: value.limit,
+        total,
+        totalPages,
+        hasNextPage: value.page < totalPages,
+        hasPrevPage: value.page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get loans error:', error);
+    res.status(500).json({ message: 'Server error while retrieving loans' });
+  }
+};
+
+// @route   GET /api/loans
+// @desc    List loans across the library (status: out, overdue, returned, all)
+// @access  Private
+router.get('/', auth, requireScope('read'), (req, res) => listLoans(req, res));
+
+// @route   GET /api/loans/overdue
+// @desc    List books still out past their due date
+// @access  Private
+router.get('/overdue', auth, requireScope('read'), (req, res) => listLoans(req, res, 'overdue'));
+
+module.exports = router;
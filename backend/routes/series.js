@@ -0,0 +1,69 @@
+const express = require('express');
+const Book = require('../models/Book');
+const { auth, requireScope } = require('../middleware/auth');
+const { groupSeries, summarizeSeries } = require('../utils/series');
+
+const router = express.Router();
+
+// List view: drop the full volume list but keep each volume's number and status
+const withoutVolumes = ({ volumes, ...series }) => ({
+  ...series,
+  volumes: volumes.map(book => ({
+    _id: book._id,
+    title: book.title,
+    number: book.series.number ?? null,
+    status: book.status
+  }))
+});
+
+// @route   GET /api/series
+// @desc    Get the user's series with gaps and the next unread volume
+// @access  Private
+router.get('/', auth, requireScope('read'), async (req, res) => {
+  try {
+    const books = await Book.findSeriesBooks(req.user._id)
+      .select('title author status series');
+
+    res.json({ series: groupSeries(books).map(withoutVolumes) });
+  } catch (error) {
+    console.error('Error getting series:', error);
+    res.status(500).json({ message: 'Server error while retrieving series' });
+  }
+});
+
+// @route   GET /api/series/names
+// @desc    Get distinct series names for autocomplete
+// @access  Private
+router.get('/names', auth, requireScope('read'), async (req, res) => {
+  try {
+    const names = await Book.distinct('series.name', {
+      user: req.user._id,
+      'series.name': { $nin: [null, ''] }
+    });
+    // distinct is case-sensitive; keep one spelling per series
+    const unique = new Map(names.map(name => [name.toLowerCase(), name]));
+    res.json({ names: [...unique.values()].sort((a, b) => a.localeCompare(b)) });
+  } catch (error) {
+    console.error('Error getting series names:', error);
+    res.status(500).json({ message: 'Server error while retrieving series names' });
+  }
+});
+
+// @route   GET /api/series/:name
+// @desc    Get one series with its volumes in reading order
+// @access  Private
+router.get('/:name', auth, requireScope('read'), async (req, res) => {
+  try {
+    const books = await Book.findSeriesBooks(req.user._id, req.params.name);
+    if (!books.length) {
+      return res.status(404).json({ message: 'Series not found' });
+    }
+
+    res.json({ series: summarizeSeries(books) });
+  } catch (error) {
+    console.error('Error getting series:', error);
+    res.status(500).json({ message: 'Server error while retrieving series' });
+  }
+});
+
+module.exports = router;
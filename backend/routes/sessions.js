@@ -0,0 +1,295 @@
+const express = require('express');
+const Joi = require('joi');
+const Book = require('../models/Book');
+const ReadingSession = require('../models/ReadingSession');
+const BookChange = require('../models/BookChange');
+const { auth, requireScope } = require('../middleware/auth');
+const { snapshotBook } = require('../utils/bookHistory');
+
+// Mounted under /api/books/:bookId/sessions
+const router = express.Router({ mergeParams: true });
+
+// Validation schemas
+const sessionValidationSchema = Joi.object({
+  startedAt: Joi.date().iso(),
+  endedAt: Joi.date().iso().allow(null),
+  startPage: Joi.number().integer().min(0).max(50000),
+  endPage: Joi.number().integer().min(0).max(50000).allow(null),
+  percent: Joi.number().min(0).max(100).allow(null),
+  note: Joi.string().trim().max(1000).allow('')
+});
+
+const validationError = (res, details) => res.status(400).json({
+  message: 'Validation error',
+  details
+});
+
+// Find a book owned by the current user, or send a 404
+const findUserBook = async (req, res) => {
+  const book = await Book.findOne({ _id: req.params.bookId, user: req.user._id });
+  if (!book) {
+    res.status(404).json({ message: 'Book not found' });
+    return null;
+  }
+  return book;
+};
+
+// Fill in whichever of endPage/percent is missing using the book's pageCount
+const fillPosition = (book, session) => {
+  if (!book.pageCount) return;
+  if (session.endPage !== undefined && session.endPage !== null) {
+    session.percent = Math.min(100, Math.round((session.endPage / book.pageCount) * 100));
+  } else if (session.percent !== undefined && session.percent !== null) {
+    session.endPage = Math.round((session.percent / 100) * book.pageCount);
+  }
+};
+
+// The most recent session that recorded a position; the book's currentPage
+// follows it
+const findLatestPosition = (book) => ReadingSession.findOne({
+  book: book._id,
+  user: book.user,
+  endPage: { $ne: null }
+}).sort({ startedAt: -1, createdAt: -1 });
+
+// Point currentPage at the most recent session's endPage. With `onlyFrom`,
+// progress only moves when that session is the most recent one, so logging
+// an older session after the fact leaves it alone. A finished book stays on
+// its last page.
+const syncCurrentPage = async (book, { onlyFrom, fallbackPage } = {}) => {
+  if (book.status === 'Read') return;
+
+  const latest = await findLatestPosition(book);
+  if (onlyFrom && !(latest && latest._id.equals(onlyFrom._id))) return;
+
+  if (latest) {
+    book.currentPage = book.pageCount ? Math.min(latest.endPage, book.pageCount) : latest.endPage;
+  } else if (fallbackPage !== undefined) {
+    book.currentPage = fallbackPage;
+  }
+};
+
+// Move the book forward after a session has been saved: "To Read" ->
+// "Reading" when a session is logged, and "Reading" -> "Read" once a finished
+// session reaches the last page. Status changes are saved through the Book
+// pre('save') hook so dateStarted, dateFinished and readingDuration stay
+// consistent with manual edits.
+const applyProgress = async (book, session, { recompute = false } = {}) => {
+  const before = snapshotBook(book);
+  const previousStatus = book.status;
+
+  await syncCurrentPage(book, recompute ? {} : { onlyFrom: session });
+
+  if (book.status === 'To Read') {
+    book.dateStarted = book.dateStarted || session.startedAt;
+    book.status = 'Reading';
+  }
+
+  const reachedEnd = book.pageCount
+    ? session.endPage >= book.pageCount
+    : session.percent >= 100;
+
+  if (session.endedAt && reachedEnd && book.status !== 'Read') {
+    book.status = 'Read';
+    // A session logged after the fact finished the book when it ended. It
+    // can predate a start date that was set by hand, so the start moves back
+    // to the session instead of leaving a negative reading duration
+    if (book.dateStarted && session.startedAt < book.dateStarted) {
+      book.dateStarted = session.startedAt;
+    }
+    book.dateFinished = session.endedAt;
+  }
+
+  if (!book.isModified()) return;
+  await book.save();
+  await BookChange.record(book, book.status !== previousStatus ? 'status' : 'update', before);
+};
+
+// Save a session and the progress it implies. If the book can't be saved the
+// session is put back the way it was (or removed if it was new), so a failed
+// request never leaves a session the book doesn't reflect.
+const saveSession = async (book, session, { previous = null, recompute = false } = {}) => {
+  await session.save();
+
+  try {
+    await applyProgress(book, session, { recompute });
+  } catch (error) {
+    if (previous) {
+      session.overwrite(previous);
+      await session.save();
+    } else {
+      await session.deleteOne();
+    }
+    throw error;
+  }
+};
+
+const handleError = (res, error, fallbackMessage) => {
+  console.error(fallbackMessage, error);
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return validationError(res, errors);
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(404).json({ message: 'Book or reading session not found' });
+  }
+
+  res.status(500).json({ message: fallbackMessage });
+};
+
+// @route   GET /api/books/:bookId/sessions
+// @desc    Get reading sessions for a book, newest first
+// @access  Private
+router.get('/', auth, requireScope('read'), async (req, res) => {
+  try {
+    const book = await findUserBook(req, res);
+    if (!book) return;
+
+    const sessions = await ReadingSession.find({ book: book._id, user: req.user._id })
+      .sort({ startedAt: -1 });
+
+    res.json({
+      sessions,
+      activeSession: sessions.find(session => !session.endedAt) || null,
+      progress: {
+        currentPage: book.currentPage || 0,
+        pageCount: book.pageCount || null,
+        percentComplete: book.percentComplete
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Server error while retrieving reading sessions');
+  }
+});
+
+// @route   POST /api/books/:bookId/sessions
+// @desc    Start a reading session (or log a finished one by sending endedAt)
+// @access  Private
+router.post('/', auth, requireScope('books:write'), async (req, res) => {
+  try {
+    const { error, value } = sessionValidationSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return validationError(res, error.details.map(d => d.message));
+    }
+
+    const book = await findUserBook(req, res);
+    if (!book) return;
+
+    if (!value.endedAt) {
+      const openSession = await ReadingSession.findOne({
+        book: book._id,
+        user: req.user._id,
+        endedAt: null
+      });
+
+      if (openSession) {
+        return res.status(400).json({
+          message: 'A reading session is already in progress for this book',
+          session: openSession
+        });
+      }
+    }
+
+    const session = new ReadingSession({
+      ...value,
+      startPage: value.startPage !== undefined ? value.startPage : (book.currentPage || 0),
+      book: book._id,
+      user: req.user._id
+    });
+
+    fillPosition(book, session);
+    await saveSession(book, session);
+
+    res.status(201).json({
+      message: session.endedAt ? 'Reading session logged' : 'Reading session started',
+      session,
+      book
+    });
+  } catch (error) {
+    handleError(res, error, 'Server error while saving reading session');
+  }
+});
+
+// @route   PUT /api/books/:bookId/sessions/:sessionId
+// @desc    Update a reading session; send endedAt to finish it
+// @access  Private
+router.put('/:sessionId', auth, requireScope('books:write'), async (req, res) => {
+  try {
+    const { error, value } = sessionValidationSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return validationError(res, error.details.map(d => d.message));
+    }
+
+    const book = await findUserBook(req, res);
+    if (!book) return;
+
+    const session = await ReadingSession.findOne({
+      _id: req.params.sessionId,
+      book: book._id,
+      user: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Reading session not found' });
+    }
+
+    const previous = session.toObject();
+
+    // Page and percent are two views of the same position; a new value for
+    // one replaces the old value of the other
+    if (value.endPage !== undefined) session.percent = undefined;
+    else if (value.percent !== undefined) session.endPage = undefined;
+
+    session.set(value);
+
+    fillPosition(book, session);
+    await saveSession(book, session, { previous, recompute: true });
+
+    res.json({
+      message: 'Reading session updated',
+      session,
+      book
+    });
+  } catch (error) {
+    handleError(res, error, 'Server error while updating reading session');
+  }
+});
+
+// @route   DELETE /api/books/:bookId/sessions/:sessionId
+// @desc    Delete a reading session
+// @access  Private
+router.delete('/:sessionId', auth, requireScope('books:write'), async (req, res) => {
+  try {
+    const book = await findUserBook(req, res);
+    if (!book) return;
+
+    const session = await ReadingSession.findOneAndDelete({
+      _id: req.params.sessionId,
+      book: book._id,
+      user: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Reading session not found' });
+    }
+
+    // Progress falls back to the latest remaining session, or to where this
+    // one started if it was the only one
+    const before = snapshotBook(book);
+    if (session.endPage !== undefined && session.endPage !== null) {
+      await syncCurrentPage(book, { fallbackPage: session.startPage });
+    }
+    if (book.isModified()) {
+      await book.save();
+      await BookChange.record(book, 'update', before);
+    }
+
+    res.json({ message: 'Reading session deleted', book });
+  } catch (error) {
+    handleError(res, error, 'Server error while deleting reading session');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,281 @@
+const express = require('express');
+const Joi = require('joi');
+const Shelf = require('../models/Shelf');
+const Book = require('../models/Book');
+const { auth, requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation schemas
+const objectId = Joi.string().hex().length(24);
+
+const shelfValidationSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(50).required(),
+  description: Joi.string().trim().max(500).allow(''),
+  color: Joi.string().trim().pattern(/^#[0-9a-fA-F]{6}$/).allow(null)
+});
+
+const shelfUpdateSchema = shelfValidationSchema.fork(['name'], schema => schema.optional());
+
+const addBookSchema = Joi.object({
+  bookId: objectId.required(),
+  position: Joi.number().integer().min(0)
+});
+
+const reorderSchema = Joi.object({
+  bookIds: Joi.array().items(objectId).required()
+});
+
+const validationError = (res, error) => res.status(400).json({
+  message: 'Validation error',
+  details: error.details.map(d => d.message)
+});
+
+// Duplicate key on the { user, name } index
+const isDuplicateName = (error) => error.code === 11000;
+
+// IDs (as strings) of the shelf's books that are in the trash. They keep
+// their shelf entries so restoring them puts them back, but clients never see
+// them.
+const trashedBookIds = async (shelf) => {
+  const ids = await Book.distinct('_id', {
+    _id: { $in: shelf.getOrderedBookIds() },
+    user: shelf.user,
+    deletedAt: { $ne: null }
+  });
+  return new Set(ids.map(id => id.toString()));
+};
+
+// Shelf summary for lists: member IDs without the full entries, leaving out
+// books in the trash
+const summarize = (shelf, trashedIds) => {
+  const bookIds = shelf.getOrderedBookIds().filter(id => !trashedIds.has(id.toString()));
+  return {
+    _id: shelf._id,
+    name: shelf.name,
+    description: shelf.description,
+    color: shelf.color,
+    bookCount: bookIds.length,
+    bookIds,
+    createdAt: shelf.createdAt,
+    updatedAt: shelf.updatedAt
+  };
+};
+
+// summarize() for a single shelf, looking up its trashed books first
+const summarizeShelf = async (shelf) => summarize(shelf, await trashedBookIds(shelf));
+
+// @route   GET /api/shelves
+// @desc    Get the user's shelves
+// @access  Private
+router.get('/', auth, requireScope('read'), async (req, res) => {
+  try {
+    const [shelves, trashedIds] = await Promise.all([
+      Shelf.find({ user: req.user._id }).sort({ name: 1 }),
+      Book.distinct('_id', { user: req.user._id, deletedAt: { $ne: null } })
+    ]);
+    const trashed = new Set(trashedIds.map(id => id.toString()));
+    res.json({ shelves: shelves.map(shelf => summarize(shelf, trashed)) });
+  } catch (error) {
+    console.error('Error getting shelves:', error);
+    res.status(500).json({ message: 'Server error while retrieving shelves' });
+  }
+});
+
+// @route   POST /api/shelves
+// @desc    Create a shelf
+// @access  Private
+router.post('/', auth, requireScope('books:write'), async (req, res) => {
+  try {
+    const { error, value } = shelfValidationSchema.validate(req.body, { stripUnknown: true });
+    if (error) return validationError(res, error);
+
+    const shelf = new Shelf({ ...value, user: req.user._id });
+    await shelf.save();
+
+    res.status(201).json({
+      message: 'Shelf created successfully',
+      shelf: await summarizeShelf(shelf)
+    });
+  } catch (error) {
+    console.error('Error creating shelf:', error);
+    if (isDuplicateName(error)) {
+      return res.status(400).json({ message: 'You already have a shelf with that name' });
+    }
+    res.status(500).json({ message: 'Server error while creating shelf' });
+  }
+});
+
+// @route   GET /api/shelves/:id
+// @desc    Get a shelf with its books in shelf order
+// @access  Private
+router.get('/:id', auth, requireScope('read'), async (req, res) => {
+  try {
+    const shelf = await Shelf.findOne({ _id: req.params.id, user: req.user._id });
+    if (!shelf) {
+      return res.status(404).json({ message: 'Shelf not found' });
+    }
+
+    const orderedIds = shelf.getOrderedBookIds();
+    const books = await Book.find({ _id: { $in: orderedIds }, user: req.user._id });
+    const byId = new Map(books.map(book => [book._id.toString(), book]));
+
+    res.json({
+      shelf: await summarizeShelf(shelf),
+      books: orderedIds.map(id => byId.get(id.toString())).filter(Boolean)
+    });
+  } catch (error) {
+    console.error('Error getting shelf:', error);
+    res.status(500).json({ message: 'Server error while retrieving shelf' });
+  }
+});
+
+// @route   PUT /api/shelves/:id
+// @desc    Rename or update a shelf
+// @access  Private
+router.put('/:id', auth, requireScope('books:write'), async (req, res) => {
+  try {
+    const { error, value } = shelfUpdateSchema.validate(req.body, { stripUnknown: true });
+    if (error) return validationError(res, error);
+
+    const shelf = await Shelf.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { $set: value },
+      { new: true, runValidators: true }
+    );
+
+    if (!shelf) {
+      return res.status(404).json({ message: 'Shelf not found' });
+    }
+
+    res.json({
+      message: 'Shelf updated successfully',
+      shelf: await summarizeShelf(shelf)
+    });
+  } catch (error) {
+    console.error('Error updating shelf:', error);
+    if (isDuplicateName(error)) {
+      return res.status(400).json({ message: 'You already have a shelf with that name' });
+    }
+    res.status(500).json({ message: 'Server error while updating shelf' });
+  }
+});
+
+// @route   DELETE /api/shelves/:id
+// @desc    Delete a shelf (its books stay in the library)
+// @access  Private
+router.delete('/:id', auth, requireScope('books:write'), async (req, res) => {
+  try {
+    const shelf = await Shelf.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!shelf) {
+      return res.status(404).json({ message: 'Shelf not found' });
+    }
+    res.json({ message: 'Shelf deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting shelf:', error);
+    res.status(500).json({ message: 'Server error while deleting shelf' });
+  }
+});
+
+// @route   POST /api/shelves/:id/books
+// @desc    Add a book to a shelf, optionally at a position
+// @access  Private
+router.post('/:id/books', auth, requireScope('books:write'), async (req, res) => {
+  try {
+    const { error, value } = addBookSchema.validate(req.body, { stripUnknown: true });
+    if (error) return validationError(res, error);
+
+    const [shelf, book] = await Promise.all([
+      Shelf.findOne({ _id: req.params.id, user: req.user._id }),
+      Book.findOne({ _id: value.bookId, user: req.user._id }).select('_id')
+    ]);
+
+    if (!shelf) {
+      return res.status(404).json({ message: 'Shelf not found' });
+    }
+    if (!book) {
+      return res.status(404).json({ message: 'Book not found' });
+    }
+
+    if (!shelf.addBook(book._id, value.position)) {
+      return res.status(400).json({ message: 'Book is already on this shelf' });
+    }
+    await shelf.save();
+
+    res.status(201).json({
+      message: 'Book added to shelf',
+      shelf: await summarizeShelf(shelf)
+    });
+  } catch (error) {
+    console.error('Error adding book to shelf:', error);
+    res.status(500).json({ message: 'Server error while adding book to shelf' });
+  }
+});
+
+// @route   PUT /api/shelves/:id/books/order
+// @desc    Reorder a shelf; bookIds must list every book on the shelf that
+//          isn't in the trash
+// @access  Private
+router.put('/:id/books/order', auth, requireScope('books:write'), async (req, res) => {
+  try {
+    const { error, value } = reorderSchema.validate(req.body, { stripUnknown: true });
+    if (error) return validationError(res, error);
+
+    const shelf = await Shelf.findOne({ _id: req.params.id, user: req.user._id });
+    if (!shelf) {
+      return res.status(404).json({ message: 'Shelf not found' });
+    }
+
+    // Books in the trash aren't listed by clients; they keep their slots
+    const trashed = await trashedBookIds(shelf);
+    const current = shelf.getOrderedBookIds()
+      .map(id => id.toString())
+      .filter(id => !trashed.has(id))
+      .sort();
+    const requested = [...new Set(value.bookIds)].sort();
+    if (current.length !== requested.length || current.some((id, i) => id !== requested[i])) {
+      return res.status(400).json({ message: 'bookIds must contain exactly the books on this shelf' });
+    }
+
+    shelf.setOrder([...new Set(value.bookIds)], [...trashed]);
+    await shelf.save();
+
+    res.json({
+      message: 'Shelf reordered',
+      shelf: summarize(shelf, trashed)
+    });
+  } catch (error) {
+    console.error('Error reordering shelf:', error);
+    res.status(500).json({ message: 'Server error while reordering shelf' });
+  }
+});
+
+// @route   DELETE /api/shelves/:id/books/:bookId
+// @desc    Remove a book from a shelf
+// @access  Private
+router.delete('/:id/books/:bookId', auth, requireScope('books:write'), async (req, res) => {
+  try {
+    const shelf = await Shelf.findOne({ _id: req.params.id, user: req.user._id });
+    if (!shelf) {
+      return res.status(404).json({ message: 'Shelf not found' });
+    }
+
+    const remaining = shelf.getOrderedBookIds().filter(id => id.toString() !== req.params.bookId);
+    if (remaining.length === shelf.books.length) {
+      return res.status(404).json({ message: 'Book is not on this shelf' });
+    }
+
+    shelf.setOrder(remaining);
+    await shelf.save();
+
+    res.json({
+      message: 'Book removed from shelf',
+      shelf: await summarizeShelf(shelf)
+    });
+  } catch (error) {
+    console.error('Error removing book from shelf:', error);
+    res.status(500).json({ message: 'Server error while removing book from shelf' });
+  }
+});
+
+module.exports = router;
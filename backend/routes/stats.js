@@ -0,0 +1,119 @@
+const express = require('express');
+const Joi = require('joi');
+const Book = require('../models/Book');
+const { auth, requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+const BREAKDOWN_FIELDS = ['genre', 'author', 'format', 'language', 'status'];
+
+// Validation schemas
+const timelineQuerySchema = Joi.object({
+  period: Joi.string().valid('month', 'year').default('month'),
+  year: Joi.number().integer().min(1900).max(2100)
+});
+
+const breakdownQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const validationError = (res, error) => res.status(400).json({
+  message: 'Invalid query parameters',
+  details: error.details.map(d => d.message)
+});
+
+// Restrict a timeline to one calendar year when requested
+const yearRange = (year) => (year
+  ? { from: new Date(Date.UTC(year, 0, 1)), to: new Date(Date.UTC(year + 1, 0, 1)) }
+  : {});
+
+// @route   GET /api/stats
+// @desc    Get every statistic the stats page charts in one request
+// @access  Private
+router.get('/', auth, requireScope('read'), async (req, res) => {
+  try {
+    const { error, value } = timelineQuerySchema.validate(req.query, { stripUnknown: true });
+    if (error) return validationError(res, error);
+
+    const userId = req.user._id;
+    const [summary, timeline, genres, authors, formats, ratings] = await Promise.all([
+      Book.getReadingStats(userId),
+      Book.getFinishedTimeline(userId, { period: value.period, ...yearRange(value.year) }),
+      Book.getBreakdown(userId, 'genre', { limit: 10 }),
+      Book.getBreakdown(userId, 'author', { limit: 10 }),
+      Book.getBreakdown(userId, 'format'),
+      Book.getRatingDistribution(userId)
+    ]);
+
+    res.json({
+      message: 'Statistics retrieved successfully',
+      summary,
+      timeline,
+      genres,
+      authors,
+      formats,
+      ratings
+    });
+  } catch (error) {
+    console.error('Error getting statistics:', error);
+    res.status(500).json({ message: 'Server error while retrieving statistics' });
+  }
+});
+
+// @route   GET /api/stats/timeline
+// @desc    Get books and pages finished per month or year
+// @access  Private
+router.get('/timeline', auth, requireScope('read'), async (req, res) => {
+  try {
+    const { error, value } = timelineQuerySchema.validate(req.query, { stripUnknown: true });
+    if (error) return validationError(res, error);
+
+    const timeline = await Book.getFinishedTimeline(req.user._id, {
+      period: value.period,
+      ...yearRange(value.year)
+    });
+
+    res.json({ period: value.period, timeline });
+  } catch (error) {
+    console.error('Error getting reading timeline:', error);
+    res.status(500).json({ message: 'Server error while retrieving timeline' });
+  }
+});
+
+// @route   GET /api/stats/breakdown/:field
+// @desc    Get book counts grouped by genre, author, format, language or status
+// @access  Private
+router.get('/breakdown/:field', auth, requireScope('read'), async (req, res) => {
+  try {
+    const { field } = req.params;
+    if (!BREAKDOWN_FIELDS.includes(field)) {
+      return res.status(400).json({
+        message: `Breakdown field must be one of: ${BREAKDOWN_FIELDS.join(', ')}`
+      });
+    }
+
+    const { error, value } = breakdownQuerySchema.validate(req.query, { stripUnknown: true });
+    if (error) return validationError(res, error);
+
+    const breakdown = await Book.getBreakdown(req.user._id, field, { limit: value.limit });
+    res.json({ field, breakdown });
+  } catch (error) {
+    console.error('Error getting breakdown:', error);
+    res.status(500).json({ message: 'Server error while retrieving breakdown' });
+  }
+});
+
+// @route   GET /api/stats/ratings
+// @desc    Get how many books have each star rating
+// @access  Private
+router.get('/ratings', auth, requireScope('read'), async (req, res) => {
+  try {
+    const ratings = await Book.getRatingDistribution(req.user._id);
+    res.json({ ratings });
+  } catch (error) {
+    console.error('Error getting rating distribution:', error);
+    res.status(500).json({ message: 'Server error while retrieving ratings' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const { isValidKey, contentTypeFor, getDriver, signedUrlFor, signedUrlTtl } = require('../services/storage');
+
+const router = express.Router();
+
+// @route   GET /uploads/:key
+// @desc    Serve an uploaded cover or avatar from the configured storage
+// @access  Public (used directly as an <img> src)
+router.get('/:key', async (req, res) => {
+  const { key } = req.params;
+  if (!isValidKey(key)) {
+    return res.status(404).json({ message: 'File not found' });
+  }
+
+  try {
+    const signedUrl = signedUrlFor(key);
+    if (signedUrl) {
+      // Cache the redirect for less time than the link stays valid
+      res.set('Cache-Control', `private, max-age=${Math.floor(signedUrlTtl() / 2)}`);
+      return res.redirect(302, signedUrl);
+    }
+
+    const file = await getDriver().open(key);
+    if (!file) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    // Every upload gets a fresh key, so browsers can cache it for good
+    res.set('Content-Type', contentTypeFor(key));
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    if (file.size) res.set('Content-Length', String(file.size));
+
+    file.stream.on('error', (error) => {
+      console.error(`Error streaming upload ${key}:`, error.message);
+      res.destroy(error);
+    });
+    file.stream.pipe(res);
+  } catch (error) {
+    console.error('Serve upload error:', error);
+    res.status(500).json({ message: 'Server error while loading file' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+// Replace the old title/author text index on books with the weighted
+// book_text_search index that GET /api/books/search relies on. A collection
+// can only have one text index, so the new one is never built while the old
+// one exists:
+//   npm run migrate-search-index -- [--dry-run]
+// Safe to run more than once; a database that is already migrated is left as
+// it is.
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Book = require('../models/Book');
+
+const SEARCH_INDEX = 'book_text_search';
+
+const isTextIndex = (index) => Object.values(index.key).includes('text');
+
+// diffIndexes() names the indexes to drop but gives key specs for new ones
+const describe = (indexes) => indexes
+  .map(index => (typeof index === 'string' ? index : JSON.stringify(index)))
+  .join(', ') || 'nothing';
+
+const run = async () => {
+  const dryRun = process.argv.slice(2).includes('--dry-run');
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/personal-library-tracker');
+  // A fresh database has no books collection yet; syncIndexes creates it
+  const existing = await Book.collection.indexes().catch(error => {
+    if (error.codeName === 'NamespaceNotFound') return [];
+    throw error;
+  });
+  const stale = existing.filter(index => isTextIndex(index) && index.name !== SEARCH_INDEX);
+
+  for (const index of stale) {
+    console.log(`${dryRun ? 'Would drop' : 'Dropping'} old text index ${index.name}`);
+    if (!dryRun) await Book.collection.dropIndex(index.name);
+  }
+
+  // syncIndexes also drops any other index the schema no longer declares
+  const { toDrop, toCreate } = await Book.diffIndexes();
+  if (dryRun) {
+    console.log(`Would drop: ${describe(toDrop)}`);
+    console.log(`Would create: ${describe(toCreate)}`);
+  } else {
+    await Book.syncIndexes();
+    console.log(`Dropped: ${describe(toDrop)}`);
+    console.log(`Created: ${describe(toCreate)}`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
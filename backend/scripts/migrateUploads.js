@@ -0,0 +1,90 @@
+// Move the files behind existing /uploads/... references from the local
+// uploads directory into the configured storage, e.g. before switching a
+// deployment to S3:
+//   STORAGE_DRIVER=s3 npm run migrate-uploads -- [--dry-run] [--delete-local] [--from <dir>]
+// References keep their /uploads/<key> form, which GET /uploads resolves
+// through whichever driver is configured.
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config();
+const Book = require('../models/Book');
+const User = require('../models/User');
+const localDriver = require('../services/storage/localDriver');
+const { getDriver, keyFromUrl, contentTypeFor } = require('../services/storage');
+
+const parseArgs = (argv) => {
+  const fromIndex = argv.indexOf('--from');
+  return {
+    dryRun: argv.includes('--dry-run'),
+    deleteLocal: argv.includes('--delete-local'),
+    from: fromIndex >= 0 ? argv[fromIndex + 1] : null
+  };
+};
+
+// Every upload key some book or user points at
+const referencedKeys = async () => {
+  const [covers, renditions, avatars] = await Promise.all([
+    Book.distinct('coverImage', { coverImage: /^\/uploads\// }).withDeleted(),
+    Book.distinct('coverRenditions.url', { 'coverRenditions.url': /^\/uploads\// }).withDeleted(),
+    User.distinct('avatar', { avatar: /^\/uploads\// })
+  ]);
+  return [...new Set([...covers, ...renditions, ...avatars].map(keyFromUrl).filter(Boolean))];
+};
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.from) {
+    process.env.STORAGE_LOCAL_DIR = path.resolve(options.from);
+  }
+
+  const target = getDriver();
+  if (target.name === localDriver.name) {
+    console.log('STORAGE_DRIVER is local, so uploads are already where they need to be');
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/personal-library-tracker');
+  const keys = await referencedKeys();
+  const counts = { copied: 0, alreadyThere: 0, missing: 0, failed: 0 };
+
+  for (const key of keys) {
+    try {
+      const data = await localDriver.get(key);
+      if (!data) {
+        counts.missing += 1;
+        console.warn(`Missing locally: ${key}`);
+        continue;
+      }
+
+      if (await target.exists(key)) {
+        counts.alreadyThere += 1;
+      } else {
+        if (!options.dryRun) {
+          await target.put(key, data, { contentType: contentTypeFor(key) });
+        }
+        counts.copied += 1;
+      }
+
+      if (options.deleteLocal && !options.dryRun) {
+        await localDriver.remove(key);
+      }
+    } catch (error) {
+      counts.failed += 1;
+      console.error(`Failed to migrate ${key}:`, error.message);
+    }
+  }
+
+  console.log(`${options.dryRun ? '[dry run] ' : ''}Checked ${keys.length} referenced upload(s) in ${localDriver.rootDir()}: ` +
+    `${counts.copied} copied to ${target.name}, ${counts.alreadyThere} already there, ` +
+    `${counts.missing} missing, ${counts.failed} failed`);
+  await mongoose.disconnect();
+
+  if (counts.failed) {
+    process.exitCode = 1;
+  }
+};
+
+run().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
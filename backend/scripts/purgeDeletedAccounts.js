@@ -0,0 +1,18 @@
+// Delete accounts whose deletion grace period has run out, for running from
+// cron instead of (or as well as) the sweep inside the API process:
+//   npm run purge-accounts
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { purgeScheduledDeletions } = require('../services/accounts');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/personal-library-tracker');
+  const purged = await purgeScheduledDeletions();
+  console.log(`Purged ${purged} account(s)`);
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
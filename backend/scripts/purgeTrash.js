@@ -0,0 +1,19 @@
+// Permanently delete books that have been in the trash longer than
+// BOOK_TRASH_DAYS, for running from cron instead of (or as well as) the
+// sweep inside the API process:
+//   npm run purge-trash
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { purgeExpiredTrash } = require('../services/bookTrash');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/personal-library-tracker');
+  const purged = await purgeExpiredTrash();
+  console.log(`Purged ${purged} book(s)`);
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,35 @@
+// Grant or remove admin rights from the command line:
+//   npm run set-role -- someone@example.com admin
+const mongoose = require('mongoose');
+require('dotenv').config();
+const User = require('../models/User');
+
+const ROLES = ['user', 'admin'];
+
+const run = async () => {
+  const [email, role] = process.argv.slice(2);
+  if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: npm run set-role -- <email> <${ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/personal-library-tracker');
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { $set: { role } },
+    { new: true }
+  );
+
+  if (!user) {
+    console.error(`No user found with email ${email}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`${user.username} <${user.email}> is now ${user.role}`);
+  }
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
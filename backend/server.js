@@ -1,25 +1,44 @@
 const express = require('express');
 const mongoose = require('mongoose');
-const cors = require('cors');
-const path = require('path');
 require('dotenv').config();
+const { corsMiddleware, helmetMiddleware, trustProxySetting } = require('./middleware/security');
+const { requestId, requestLogger } = require('./middleware/requestLogger');
+const { apiLimiter } = require('./middleware/rateLimit');
+const { startDeletionSweep } = require('./services/accounts');
+const { startTrashSweep } = require('./services/bookTrash');
 
 const app = express();
+app.set('trust proxy', trustProxySetting());
 
 // Middleware
-app.use(cors({
-  origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  credentials: true
-}));
+app.use(requestId);
+app.use(requestLogger);
+app.use(helmetMiddleware());
+app.use(corsMiddleware());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Serve uploaded files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Serve uploaded files from local disk or object storage (see services/storage)
+app.use('/uploads', require('./routes/uploads'));
 
 // Routes
+// Placeholder covers are cheap, cached and requested once per coverless book,
+// so they sit in front of the API rate limit
+app.use('/api/covers', require('./routes/covers'));
+app.use('/api', apiLimiter);
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/books/:bookId/sessions', require('./routes/sessions'));
+app.use('/api/books/:bookId/loans', require('./routes/bookLoans'));
+app.use('/api/books/:bookId/annotations', require('./routes/bookAnnotations'));
 app.use('/api/books', require('./routes/books'));
+app.use('/api/import', require('./routes/import'));
+app.use('/api/goals', require('./routes/goals'));
+app.use('/api/stats', require('./routes/stats'));
+app.use('/api/shelves', require('./routes/shelves'));
+app.use('/api/series', require('./routes/series'));
+app.use('/api/loans', require('./routes/loans'));
+app.use('/api/annotations', require('./routes/annotations'));
+app.use('/api/admin', require('./routes/admin'));
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -28,9 +47,10 @@ app.get('/api/health', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error(err.stack);
+  console.error(`[${req.id}]`, err.stack);
   res.status(500).json({ 
     message: 'Something went wrong!',
+    requestId: req.id,
     error: process.env.NODE_ENV === 'production' ? {} : err.message
   });
 });
@@ -56,6 +76,8 @@ const PORT = process.env.PORT || 5000;
 
 const startServer = async () => {
   await connectDB();
+  startDeletionSweep();
+  startTrashSweep();
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
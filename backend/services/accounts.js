@@ -0,0 +1,120 @@
+const User = require('../models/User');
+const Book = require('../models/Book');
+const BookChange = require('../models/BookChange');
+const ReadingSession = require('../models/ReadingSession');
+const Loan = require('../models/Loan');
+const Annotation = require('../models/Annotation');
+const Shelf = require('../models/Shelf');
+const Goal = require('../models/Goal');
+const AuthSession = require('../models/AuthSession');
+const UserToken = require('../models/UserToken');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { deleteCoverFiles, deleteUploadedFile } = require('../middleware/upload');
+const { keyFromUrl } = require('./storage');
+
+// Per-user library counts for the admin console
+const getLibraryCounts = async (userIds) => {
+  const [books, shelves, goals, sessions] = await Promise.all([
+    Book.aggregate([
+      { $match: { user: { $in: userIds } } },
+      { $group: { _id: { user: '$user', status: '$status' }, count: { $sum: 1 } } }
+    ]),
+    Shelf.aggregate([
+      { $match: { user: { $in: userIds } } },
+      { $group: { _id: '$user', count: { $sum: 1 } } }
+    ]),
+    Goal.aggregate([
+      { $match: { user: { $in: userIds } } },
+      { $group: { _id: '$user', count: { $sum: 1 } } }
+    ]),
+    AuthSession.aggregate([
+      { $match: { user: { $in: userIds }, revokedAt: null, expiresAt: { $gt: new Date() } } },
+      { $group: { _id: '$user', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const counts = new Map(userIds.map(id => [id.toString(), {
+    books: { 'To Read': 0, Reading: 0, Read: 0, total: 0 },
+    shelves: 0,
+    goals: 0,
+    activeSessions: 0
+  }]));
+
+  books.forEach(({ _id, count }) => {
+    const entry = counts.get(_id.user.toString());
+    entry.books[_id.status] = count;
+    entry.books.total += count;
+  });
+  [['shelves', shelves], ['goals', goals], ['activeSessions', sessions]].forEach(([key, rows]) => {
+    rows.forEach(({ _id, count }) => {
+      counts.get(_id.toString())[key] = count;
+    });
+  });
+
+  return counts;
+};
+
+// Delete a user and everything they own: books (including the trash) and
+// their covers and change history, reading sessions, loans, annotations,
+// shelves, goals, login sessions, email and access tokens and the avatar
+const deleteAccount = async (user) => {
+  const books = await Book.find({ user: user._id }).withDeleted().select('coverImage coverRenditions').lean();
+
+  const [deletedBooks] = await Promise.all([
+    Book.deleteMany({ user: user._id }),
+    BookChange.deleteMany({ user: user._id }),
+    ReadingSession.deleteMany({ user: user._id }),
+    Loan.deleteMany({ user: user._id }),
+    Annotation.deleteMany({ user: user._id }),
+    Shelf.deleteMany({ user: user._id }),
+    Goal.deleteMany({ user: user._id }),
+    AuthSession.deleteMany({ user: user._id }),
+    UserToken.deleteMany({ user: user._id }),
+    PersonalAccessToken.deleteMany({ user: user._id })
+  ]);
+  await User.deleteOne({ _id: user._id });
+
+  await Promise.all([
+    ...books.map(deleteCoverFiles),
+    deleteUploadedFile(keyFromUrl(user.avatar))
+  ]);
+
+  return { books: deletedBooks.deletedCount };
+};
+
+// Delete every account whose deletion grace period has run out; resolves to
+// the number of accounts removed
+const purgeScheduledDeletions = async () => {
+  const users = await User.find({ deletionScheduledFor: { $lte: new Date() } });
+  let purged = 0;
+
+  for (const user of users) {
+    try {
+      await deleteAccount(user);
+      purged += 1;
+    } catch (error) {
+      console.error(`Error purging account ${user._id}:`, error);
+    }
+  }
+  return purged;
+};
+
+// Run purgeScheduledDeletions on a timer inside the API process. Deployments
+// with a scheduler can run scripts/purgeDeletedAccounts.js instead.
+const startDeletionSweep = (intervalMs = 60 * 60 * 1000) => {
+  const sweep = () => purgeScheduledDeletions()
+    .then(purged => {
+      if (purged) console.log(`Purged ${purged} account(s) scheduled for deletion`);
+    })
+    .catch(error => console.error('Account deletion sweep failed:', error));
+
+  sweep();
+  return setInterval(sweep, intervalMs).unref();
+};
+
+module.exports = {
+  getLibraryCounts,
+  deleteAccount,
+  purgeScheduledDeletions,
+  startDeletionSweep
+};
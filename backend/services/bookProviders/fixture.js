@@ -0,0 +1,26 @@
+const path = require('path');
+const fs = require('fs');
+const { normalizeIsbn } = require('../../utils/isbn');
+
+// Offline provider backed by a JSON file, for tests and local development
+// without network access. Point BOOK_PROVIDER_FIXTURE at another file to
+// use different data.
+const loadFixtures = () => {
+  const file = process.env.BOOK_PROVIDER_FIXTURE || path.join(__dirname, '..', '..', 'fixtures', 'books.json');
+  return JSON.parse(fs.readFileSync(file, 'utf8')).map(book => ({ ...book, source: 'fixture' }));
+};
+
+module.exports = {
+  name: 'fixture',
+  label: 'Local fixtures',
+  search: async (query, { limit = 10 } = {}) => {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return loadFixtures()
+      .filter(book => {
+        const haystack = `${book.title} ${book.author} ${book.isbn}`.toLowerCase();
+        return terms.every(term => haystack.includes(term));
+      })
+      .slice(0, limit);
+  },
+  lookupIsbn: async (isbn) => loadFixtures().find(book => normalizeIsbn(book.isbn) === isbn) || null
+};
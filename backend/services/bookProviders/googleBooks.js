@@ -0,0 +1,44 @@
+const axios = require('axios');
+
+const API_URL = 'https://www.googleapis.com/books/v1/volumes';
+
+const toBook = (item) => {
+  const book = item.volumeInfo || {};
+  const identifiers = book.industryIdentifiers || [];
+
+  return {
+    title: book.title || 'Unknown Title',
+    author: book.authors ? book.authors.join(', ') : 'Unknown Author',
+    genre: book.categories ? book.categories[0] : '',
+    description: book.description || '',
+    isbn: identifiers.find(id => id.type === 'ISBN_13')?.identifier || identifiers[0]?.identifier || '',
+    publishedDate: book.publishedDate || '',
+    pageCount: book.pageCount || null,
+    coverImage: book.imageLinks
+      ? (book.imageLinks.thumbnail || book.imageLinks.smallThumbnail || '').replace(/^http:/, 'https:') || null
+      : null,
+    language: book.language || 'en',
+    source: 'google'
+  };
+};
+
+const request = async (q, limit) => {
+  const params = { q, maxResults: limit };
+  // The API works without a key but at a much lower quota
+  if (process.env.GOOGLE_BOOKS_API_KEY) {
+    params.key = process.env.GOOGLE_BOOKS_API_KEY;
+  }
+
+  const response = await axios.get(API_URL, { params, timeout: 10000 });
+  return (response.data.items || []).map(toBook);
+};
+
+module.exports = {
+  name: 'google',
+  label: 'Google Books',
+  search: (query, { limit = 10 } = {}) => request(query, limit),
+  lookupIsbn: async (isbn) => {
+    const [book] = await request(`isbn:${isbn}`, 1);
+    return book || null;
+  }
+};
@@ -0,0 +1,87 @@
+const { normalizeIsbn } = require('../../utils/isbn');
+
+const PROVIDERS = {
+  google: require('./googleBooks'),
+  openlibrary: require('./openLibrary'),
+  fixture: require('./fixture')
+};
+
+const DEFAULT_PROVIDERS = ['google', 'openlibrary'];
+
+// Providers in the order they should be tried, from BOOK_PROVIDERS
+// (comma-separated, e.g. "openlibrary,google" or "fixture")
+const getEnabledProviders = () => {
+  const names = (process.env.BOOK_PROVIDERS || DEFAULT_PROVIDERS.join(','))
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => PROVIDERS[name]);
+
+  return (names.length ? names : DEFAULT_PROVIDERS).map(name => PROVIDERS[name]);
+};
+
+const resolveProviders = (providerName) => {
+  if (!providerName) return getEnabledProviders();
+
+  const provider = PROVIDERS[providerName];
+  if (!provider || !getEnabledProviders().includes(provider)) {
+    const error = new Error(`Unknown or disabled book provider: ${providerName}`);
+    error.status = 400;
+    throw error;
+  }
+  return [provider];
+};
+
+// Try each provider in turn and return the first non-empty result. A provider
+// that errors (quota, outage) is skipped; the error is only raised if every
+// provider failed.
+const firstResult = async (providers, run, isEmpty) => {
+  let lastError = null;
+
+  for (const provider of providers) {
+    try {
+      const result = await run(provider);
+      if (!isEmpty(result)) {
+        return { provider: provider.name, result };
+      }
+    } catch (error) {
+      console.error(`Book provider "${provider.name}" failed:`, error.response?.data || error.message);
+      lastError = error;
+    }
+  }
+
+  if (lastError) throw lastError;
+  return { provider: null, result: null };
+};
+
+const searchBooks = async (query, { provider, limit = 10 } = {}) => {
+  const { provider: used, result } = await firstResult(
+    resolveProviders(provider),
+    p => p.search(query, { limit }),
+    books => !books || books.length === 0
+  );
+  return { provider: used, books: result || [] };
+};
+
+const lookupIsbn = async (isbn, { provider } = {}) => {
+  const normalized = normalizeIsbn(isbn);
+  if (!normalized) {
+    const error = new Error('Please enter a valid ISBN-10 or ISBN-13');
+    error.status = 400;
+    throw error;
+  }
+
+  const { provider: used, result } = await firstResult(
+    resolveProviders(provider),
+    p => p.lookupIsbn(normalized),
+    book => !book
+  );
+  return { provider: used, book: result };
+};
+
+const listProviders = () => getEnabledProviders().map(({ name, label }) => ({ name, label }));
+
+module.exports = {
+  searchBooks,
+  lookupIsbn,
+  listProviders
+};
@@ -0,0 +1,55 @@
+const axios = require('axios');
+
+const BASE_URL = 'https://openlibrary.org';
+
+const coverUrl = (coverId) => (coverId ? `https://covers.openlibrary.org/b/id/${coverId}-L.jpg` : null);
+
+// Open Library uses ISO 639-2 codes ("eng"); keep the common ones readable
+const LANGUAGES = { eng: 'English', spa: 'Spanish', fre: 'French', ger: 'German', ita: 'Italian', por: 'Portuguese' };
+
+const fromSearchDoc = (doc) => ({
+  title: doc.title || 'Unknown Title',
+  author: doc.author_name ? doc.author_name.join(', ') : 'Unknown Author',
+  genre: doc.subject ? doc.subject[0] : '',
+  description: '',
+  isbn: (doc.isbn || []).find(isbn => isbn.length === 13) || (doc.isbn || [])[0] || '',
+  publishedDate: doc.first_publish_year ? String(doc.first_publish_year) : '',
+  pageCount: doc.number_of_pages_median || null,
+  coverImage: coverUrl(doc.cover_i),
+  language: doc.language ? (LANGUAGES[doc.language[0]] || doc.language[0]) : '',
+  source: 'openlibrary'
+});
+
+const fromBooksApi = (isbn, data) => ({
+  title: data.title || 'Unknown Title',
+  author: data.authors ? data.authors.map(author => author.name).join(', ') : 'Unknown Author',
+  genre: data.subjects ? data.subjects[0].name : '',
+  description: typeof data.notes === 'string' ? data.notes : (data.notes?.value || ''),
+  isbn,
+  publishedDate: data.publish_date || '',
+  pageCount: data.number_of_pages || null,
+  coverImage: data.cover ? (data.cover.large || data.cover.medium || null) : null,
+  language: '',
+  source: 'openlibrary'
+});
+
+module.exports = {
+  name: 'openlibrary',
+  label: 'Open Library',
+  search: async (query, { limit = 10 } = {}) => {
+    const response = await axios.get(`${BASE_URL}/search.json`, {
+      params: { q: query, limit },
+      timeout: 10000
+    });
+    return (response.data.docs || []).map(fromSearchDoc);
+  },
+  lookupIsbn: async (isbn) => {
+    const key = `ISBN:${isbn}`;
+    const response = await axios.get(`${BASE_URL}/api/books`, {
+      params: { bibkeys: key, format: 'json', jscmd: 'data' },
+      timeout: 10000
+    });
+    const data = response.data[key];
+    return data ? fromBooksApi(isbn, data) : null;
+  }
+};
@@ -0,0 +1,71 @@
+const Book = require('../models/Book');
+const BookChange = require('../models/BookChange');
+const ReadingSession = require('../models/ReadingSession');
+const Loan = require('../models/Loan');
+const Annotation = require('../models/Annotation');
+const Shelf = require('../models/Shelf');
+const { deleteCoverFiles } = require('../middleware/upload');
+
+// Days a deleted book stays in the trash before it is purged for good
+const trashRetentionDays = () => parseInt(process.env.BOOK_TRASH_DAYS, 10) || 30;
+
+// When a book deleted at the given time will be purged
+const purgeDateFor = (deletedAt) => new Date(
+  new Date(deletedAt).getTime() + trashRetentionDays() * 24 * 60 * 60 * 1000
+);
+
+// Permanently delete a book with its cover, reading sessions, loans,
+// annotations, change history and shelf entries
+const purgeBook = async (book) => {
+  await Promise.all([
+    ReadingSession.deleteMany({ book: book._id, user: book.user }),
+    Loan.deleteMany({ book: book._id, user: book.user }),
+    Annotation.deleteMany({ book: book._id, user: book.user }),
+    BookChange.deleteMany({ book: book._id, user: book.user }),
+    Shelf.updateMany(
+      { user: book.user, 'books.book': book._id },
+      { $pull: { books: { book: book._id } } }
+    )
+  ]);
+  await Book.deleteOne({ _id: book._id });
+  await deleteCoverFiles(book);
+};
+
+// Purge every book that has been in the trash longer than the retention
+// period; resolves to the number of books removed
+const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - trashRetentionDays() * 24 * 60 * 60 * 1000);
+  const books = await Book.find({ deletedAt: { $ne: null, $lte: cutoff } });
+  let purged = 0;
+
+  for (const book of books) {
+    try {
+      await purgeBook(book);
+      purged += 1;
+    } catch (error) {
+      console.error(`Error purging book ${book._id}:`, error);
+    }
+  }
+  return purged;
+};
+
+// Run purgeExpiredTrash on a timer inside the API process. Deployments with a
+// scheduler can run scripts/purgeTrash.js instead.
+const startTrashSweep = (intervalMs = 60 * 60 * 1000) => {
+  const sweep = () => purgeExpiredTrash()
+    .then(purged => {
+      if (purged) console.log(`Purged ${purged} book(s) from the trash`);
+    })
+    .catch(error => console.error('Trash sweep failed:', error));
+
+  sweep();
+  return setInterval(sweep, intervalMs).unref();
+};
+
+module.exports = {
+  trashRetentionDays,
+  purgeDateFor,
+  purgeBook,
+  purgeExpiredTrash,
+  startTrashSweep
+};
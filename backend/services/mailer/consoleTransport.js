@@ -0,0 +1,16 @@
+// Development transport: print the message instead of sending it
+module.exports = {
+  name: 'console',
+  send: async (message) => {
+    console.log([
+      '----- Outgoing email -----',
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      '',
+      message.text,
+      '--------------------------'
+    ].join('\n'));
+    return { transport: 'console' };
+  }
+};
@@ -0,0 +1,20 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Offline transport for tests: each message is written as JSON to MAIL_DIR
+// (default <tmpdir>/library-mail-outbox) so it can be read back and its links followed
+const outboxDir = () => process.env.MAIL_DIR || path.join(os.tmpdir(), 'library-mail-outbox');
+
+module.exports = {
+  name: 'file',
+  send: async (message) => {
+    const dir = outboxDir();
+    await fs.mkdir(dir, { recursive: true });
+
+    const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    return { transport: 'file', file };
+  }
+};
@@ -0,0 +1,29 @@
+const TRANSPORTS = {
+  console: require('./consoleTransport'),
+  file: require('./fileTransport'),
+  smtp: require('./smtpTransport')
+};
+
+// MAIL_TRANSPORT picks where mail goes: "smtp" in production, "file" or
+// "console" (the default) for development and tests without a mail server
+const getTransport = () => {
+  const name = (process.env.MAIL_TRANSPORT || 'console').trim().toLowerCase();
+  const transport = TRANSPORTS[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+};
+
+const defaultFrom = () => process.env.MAIL_FROM || 'Personal Library Tracker <no-reply@localhost>';
+
+// Send a message ({ to, subject, text, html }) through the configured transport
+const sendMail = async (message) => {
+  const transport = getTransport();
+  return transport.send({ from: defaultFrom(), ...message });
+};
+
+module.exports = {
+  sendMail,
+  getTransport
+};
@@ -0,0 +1,28 @@
+let transporter = null;
+
+// nodemailer is only loaded when SMTP is actually used
+const getTransporter = () => {
+  if (!transporter) {
+    const nodemailer = require('nodemailer');
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+module.exports = {
+  name: 'smtp',
+  send: async (message) => {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST must be set to send mail over SMTP');
+    }
+    const info = await getTransporter().sendMail(message);
+    return { transport: 'smtp', messageId: info.messageId };
+  }
+};
@@ -0,0 +1,64 @@
+const frontendUrl = (pathname, token) => {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return token ? `${base}${pathname}?token=${encodeURIComponent(token)}` : `${base}${pathname}`;
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Shared layout: a greeting, one paragraph, a button and a footer note
+const buildEmail = ({ user, subject, intro, actionLabel, url, footer }) => ({
+  to: user.email,
+  subject,
+  text: [
+    `Hi ${user.firstName},`,
+    '',
+    intro,
+    '',
+    `${actionLabel}: ${url}`,
+    '',
+    footer
+  ].join('\n'),
+  html: `
+    <p>Hi ${escapeHtml(user.firstName)},</p>
+    <p>${escapeHtml(intro)}</p>
+    <p><a href="${escapeHtml(url)}">${escapeHtml(actionLabel)}</a></p>
+    <p style="color:#666;font-size:12px">${escapeHtml(footer)}</p>
+  `
+});
+
+const passwordResetEmail = (user, token, expiresInMinutes) => buildEmail({
+  user,
+  subject: 'Reset your Personal Library Tracker password',
+  intro: `Someone asked to reset the password for your account. The link below works once and expires in ${expiresInMinutes} minutes.`,
+  actionLabel: 'Reset your password',
+  url: frontendUrl('/reset-password', token),
+  footer: 'If you did not ask for this, you can ignore this email; your password will not change.'
+});
+
+const verificationEmail = (user, token) => buildEmail({
+  user,
+  subject: 'Confirm your email address',
+  intro: 'Please confirm that this is your email address for Personal Library Tracker.',
+  actionLabel: 'Verify your email',
+  url: frontendUrl('/verify-email', token),
+  footer: 'If you did not create an account, you can ignore this email.'
+});
+
+const accountDeletionEmail = (user, deletionDate) => buildEmail({
+  user,
+  subject: 'Your Personal Library Tracker account will be deleted',
+  intro: `Your account and everything in it will be permanently deleted on ${deletionDate.toDateString()}. Until then you can sign in and cancel the deletion from your settings.`,
+  actionLabel: 'Keep my account',
+  url: frontendUrl('/settings'),
+  footer: 'If you did not ask for this, sign in now, cancel the deletion and change your password.'
+});
+
+module.exports = {
+  passwordResetEmail,
+  verificationEmail,
+  accountDeletionEmail
+};
@@ -0,0 +1,124 @@
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { createCoverRenditions } = require('../middleware/upload');
+
+const MAX_REMOTE_COVER_BYTES = parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024;
+
+// Covers are fetched from URLs users type in, so refuse anything that
+// resolves to this machine or the private network behind it
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+const badCover = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// dns.lookup replacement for the HTTP agents. Checking at connect time also
+// covers redirects and hostnames that re-resolve between check and use.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.some(entry => (
+      blockedAddresses.check(entry.address, entry.family === 6 ? 'ipv6' : 'ipv4')
+    ));
+    if (blocked) {
+      return callback(badCover('Cover URL points to a private address'));
+    }
+    callback(null, address, family);
+  });
+};
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+const MAX_REDIRECTS = 3;
+
+// Parse a cover URL and refuse non-HTTP schemes and literal private IPs
+// (the lookup above only runs for hostnames)
+const checkCoverUrl = (url, base) => {
+  let parsed;
+  try {
+    parsed = new URL(url, base);
+  } catch (error) {
+    throw badCover('Cover URL is not valid');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw badCover('Cover URL must use http or https');
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  const family = net.isIP(host);
+  if (family && blockedAddresses.check(host, family === 6 ? 'ipv6' : 'ipv4')) {
+    throw badCover('Cover URL points to a private address');
+  }
+  return parsed;
+};
+
+// GET with redirects followed by hand so every hop is checked
+const downloadImage = async (url) => {
+  let target = checkCoverUrl(url);
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop += 1) {
+    let response;
+    try {
+      response = await axios.get(target.href, {
+        responseType: 'arraybuffer',
+        timeout: 10000,
+        maxRedirects: 0,
+        maxContentLength: MAX_REMOTE_COVER_BYTES,
+        validateStatus: status => status >= 200 && status < 400,
+        httpAgent,
+        httpsAgent,
+        headers: { Accept: 'image/*' }
+      });
+    } catch (error) {
+      if (error.status === 400) throw error;
+      throw badCover(`Could not download cover: ${error.message}`);
+    }
+
+    if (response.status < 300) {
+      return response;
+    }
+    if (!response.headers.location) {
+      throw badCover('Could not download cover: redirect without a location');
+    }
+    target = checkCoverUrl(response.headers.location, target);
+  }
+
+  throw badCover('Could not download cover: too many redirects');
+};
+
+// Download an image and store it as cover renditions; resolves to
+// { coverImage, coverRenditions }. Errors carry status 400 when the URL or
+// the file it points at is unusable.
+const fetchRemoteCover = async (url) => {
+  const response = await downloadImage(url);
+
+  const contentType = String(response.headers['content-type'] || '');
+  if (!contentType.startsWith('image/')) {
+    throw badCover('Cover URL did not return an image');
+  }
+
+  try {
+    return await createCoverRenditions(Buffer.from(response.data));
+  } catch (error) {
+    throw badCover('Cover image could not be processed');
+  }
+};
+
+module.exports = {
+  fetchRemoteCover
+};
@@ -0,0 +1,92 @@
+const path = require('path');
+
+const DRIVERS = {
+  local: require('./localDriver'),
+  s3: require('./s3Driver')
+};
+
+// STORAGE_DRIVER picks where uploads live: "local" disk (the default) or "s3"
+// for any S3-compatible store shared between API instances
+const getDriver = () => {
+  const name = (process.env.STORAGE_DRIVER || 'local').trim().toLowerCase();
+  const driver = DRIVERS[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return driver;
+};
+
+// Books and users keep uploads as /uploads/<key> whichever driver holds the
+// file; GET /uploads/<key> then streams it or redirects to a signed URL
+const urlForKey = (key) => `/uploads/${key}`;
+
+// Keys are flat generated filenames; anything else isn't one of ours
+const isValidKey = (key) => /^[\w][\w.-]*$/.test(key || '');
+
+const keyFromUrl = (url) => {
+  if (!url || !url.startsWith('/uploads/')) return null;
+  const key = url.slice('/uploads/'.length);
+  return isValidKey(key) ? key : null;
+};
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.svg': 'image/svg+xml'
+};
+
+const contentTypeFor = (key) => CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+// Store a file and resolve to its /uploads URL
+const saveUpload = async (key, data) => {
+  if (!isValidKey(key)) {
+    throw new Error(`Invalid upload key: ${key}`);
+  }
+  await getDriver().put(key, data, { contentType: contentTypeFor(key) });
+  return urlForKey(key);
+};
+
+// File contents as a Buffer, or null if it has gone missing
+const readUpload = (key) => getDriver().get(key);
+
+// Best-effort delete: a file left behind only costs storage, so failures are
+// logged instead of failing the request that triggered them
+const deleteUpload = async (key) => {
+  if (!isValidKey(key)) return;
+  try {
+    await getDriver().remove(key);
+  } catch (error) {
+    console.error(`Error deleting upload ${key}:`, error.message);
+  }
+};
+
+const listUploads = () => getDriver().list();
+
+// How long presigned links stay valid, and so how long browsers may cache
+// the redirect to one
+const signedUrlTtl = () => parseInt(process.env.STORAGE_SIGNED_URL_TTL) || 3600;
+
+// STORAGE_URL_MODE=proxy streams remote files through the API instead of
+// redirecting to a signed URL, for buckets the browser can't reach
+const signedUrlFor = (key) => {
+  if ((process.env.STORAGE_URL_MODE || 'signed').trim().toLowerCase() === 'proxy') return null;
+  return getDriver().signedUrl(key, signedUrlTtl());
+};
+
+module.exports = {
+  getDriver,
+  urlForKey,
+  keyFromUrl,
+  isValidKey,
+  contentTypeFor,
+  saveUpload,
+  readUpload,
+  deleteUpload,
+  listUploads,
+  signedUrlTtl,
+  signedUrlFor
+};
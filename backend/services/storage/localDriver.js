@@ -0,0 +1,78 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+// Files on this machine's disk, in STORAGE_LOCAL_DIR (default backend/uploads).
+// Fine for a single instance; use the s3 driver once there are several.
+const defaultDir = path.join(__dirname, '..', '..', 'uploads');
+const rootDir = () => process.env.STORAGE_LOCAL_DIR || defaultDir;
+
+const filePath = (key) => path.join(rootDir(), path.basename(key));
+
+const missing = (error) => error.code === 'ENOENT';
+
+module.exports = {
+  name: 'local',
+  rootDir,
+
+  put: async (key, data) => {
+    await fsp.mkdir(rootDir(), { recursive: true });
+    await fsp.writeFile(filePath(key), data);
+  },
+
+  get: async (key) => {
+    try {
+      return await fsp.readFile(filePath(key));
+    } catch (error) {
+      if (missing(error)) return null;
+      throw error;
+    }
+  },
+
+  // { stream, size } for serving a file, or null if it doesn't exist
+  open: async (key) => {
+    try {
+      const stats = await fsp.stat(filePath(key));
+      if (!stats.isFile()) return null;
+      return { stream: fs.createReadStream(filePath(key)), size: stats.size };
+    } catch (error) {
+      if (missing(error)) return null;
+      throw error;
+    }
+  },
+
+  exists: async (key) => {
+    try {
+      return (await fsp.stat(filePath(key))).isFile();
+    } catch (error) {
+      if (missing(error)) return false;
+      throw error;
+    }
+  },
+
+  remove: async (key) => {
+    try {
+      await fsp.unlink(filePath(key));
+    } catch (error) {
+      if (!missing(error)) throw error;
+    }
+  },
+
+  // Every stored file as { key, size }
+  list: async () => {
+    let entries;
+    try {
+      entries = await fsp.readdir(rootDir(), { withFileTypes: true });
+    } catch (error) {
+      if (missing(error)) return [];
+      throw error;
+    }
+
+    const files = entries.filter(entry => entry.isFile() && !entry.name.startsWith('.'));
+    const stats = await Promise.all(files.map(entry => fsp.stat(filePath(entry.name))));
+    return files.map((entry, index) => ({ key: entry.name, size: stats[index].size }));
+  },
+
+  // Local files are streamed by the API itself
+  signedUrl: () => null
+};
@@ -0,0 +1,228 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+// Any S3-compatible object store: AWS S3, or MinIO for local testing with
+//   STORAGE_S3_ENDPOINT=http://localhost:9000 STORAGE_S3_BUCKET=library-uploads
+// Requests are signed with AWS Signature Version 4.
+const config = () => {
+  const region = process.env.STORAGE_S3_REGION || 'us-east-1';
+  const endpoint = process.env.STORAGE_S3_ENDPOINT || `https://s3.${region}.amazonaws.com`;
+  const settings = {
+    region,
+    endpoint: new URL(endpoint),
+    bucket: process.env.STORAGE_S3_BUCKET,
+    accessKeyId: process.env.STORAGE_S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.STORAGE_S3_SECRET_ACCESS_KEY,
+    prefix: process.env.STORAGE_S3_PREFIX || '',
+    // MinIO and most self-hosted stores want /bucket/key rather than bucket.host/key
+    pathStyle: process.env.STORAGE_S3_FORCE_PATH_STYLE
+      ? process.env.STORAGE_S3_FORCE_PATH_STYLE === 'true'
+      : Boolean(process.env.STORAGE_S3_ENDPOINT)
+  };
+
+  if (!settings.bucket || !settings.accessKeyId || !settings.secretAccessKey) {
+    throw new Error('STORAGE_S3_BUCKET, STORAGE_S3_ACCESS_KEY_ID and STORAGE_S3_SECRET_ACCESS_KEY must be set for S3 storage');
+  }
+  return settings;
+};
+
+const EMPTY_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as SigV4 expects it (encodeURIComponent leaves !'()* alone)
+const encode = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const canonicalQuery = (query) => Object.keys(query)
+  .sort()
+  .map(name => `${encode(name)}=${encode(query[name])}`)
+  .join('&');
+
+// 20240102T030405Z and 20240102
+const amzDates = (date) => {
+  const stamp = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  return { amzDate: stamp, dateStamp: stamp.slice(0, 8) };
+};
+
+// URL of an object (or of the bucket when key is empty)
+const objectUrl = (settings, key = '') => {
+  const objectPath = key
+    ? `/${`${settings.prefix}${key}`.split('/').map(encode).join('/')}`
+    : '/';
+  const { protocol, host } = settings.endpoint;
+  return settings.pathStyle
+    ? new URL(`${protocol}//${host}/${settings.bucket}${objectPath === '/' ? '' : objectPath}`)
+    : new URL(`${protocol}//${settings.bucket}.${host}${objectPath}`);
+};
+
+const signingKey = (settings, dateStamp) => {
+  const dateKey = hmac(`AWS4${settings.secretAccessKey}`, dateStamp);
+  const regionKey = hmac(dateKey, settings.region);
+  return hmac(hmac(regionKey, 's3'), 'aws4_request');
+};
+
+// Signature for a request whose headers (lower-case names) are all signed
+const signature = (settings, { method, url, query, headers, payloadHash, amzDate, dateStamp }) => {
+  const names = Object.keys(headers).sort();
+  const canonicalRequest = [
+    method,
+    url.pathname || '/',
+    canonicalQuery(query),
+    names.map(name => `${name}:${String(headers[name]).trim()}\n`).join(''),
+    names.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const scope = `${dateStamp}/${settings.region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  return {
+    scope,
+    signedHeaders: names.join(';'),
+    signature: hmac(signingKey(settings, dateStamp), stringToSign).toString('hex')
+  };
+};
+
+// Signed request; resolves to the axios response whatever its status
+const request = async (method, key, { query = {}, body, contentType, responseType = 'arraybuffer' } = {}) => {
+  const settings = config();
+  const url = objectUrl(settings, key);
+  const { amzDate, dateStamp } = amzDates(new Date());
+  const payloadHash = body ? sha256(body) : EMPTY_HASH;
+
+  const headers = {
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  if (contentType) headers['content-type'] = contentType;
+
+  const signed = signature(settings, { method, url, query, headers, payloadHash, amzDate, dateStamp });
+  const search = canonicalQuery(query);
+
+  const { host, ...sentHeaders } = headers;
+  return axios.request({
+    method,
+    url: `${url.href}${search ? `?${search}` : ''}`,
+    data: body,
+    responseType,
+    timeout: 30000,
+    maxBodyLength: Infinity,
+    maxContentLength: Infinity,
+    validateStatus: () => true,
+    headers: {
+      ...sentHeaders,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${settings.accessKeyId}/${signed.scope}, SignedHeaders=${signed.signedHeaders}, Signature=${signed.signature}`
+    }
+  });
+};
+
+const failed = (method, key, response) => new Error(
+  `S3 ${method} ${key || '(bucket)'} failed with status ${response.status}`
+);
+
+const xmlValues = (xml, tag) => [...xml.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g'))]
+  .map(match => match[1]);
+
+const decodeXml = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+module.exports = {
+  name: 's3',
+
+  put: async (key, data, { contentType } = {}) => {
+    const response = await request('PUT', key, { body: data, contentType });
+    if (response.status >= 300) throw failed('PUT', key, response);
+  },
+
+  get: async (key) => {
+    const response = await request('GET', key);
+    if (response.status === 404) return null;
+    if (response.status >= 300) throw failed('GET', key, response);
+    return Buffer.from(response.data);
+  },
+
+  // { stream, size, contentType } for proxying a file, or null if it doesn't exist
+  open: async (key) => {
+    const response = await request('GET', key, { responseType: 'stream' });
+    if (response.status >= 300) {
+      response.data.resume();
+      if (response.status === 404) return null;
+      throw failed('GET', key, response);
+    }
+    return {
+      stream: response.data,
+      size: Number(response.headers['content-length']) || undefined,
+      contentType: response.headers['content-type']
+    };
+  },
+
+  exists: async (key) => {
+    const response = await request('HEAD', key);
+    if (response.status === 404) return false;
+    if (response.status >= 300) throw failed('HEAD', key, response);
+    return true;
+  },
+
+  // Deleting a key that isn't there succeeds on S3 too
+  remove: async (key) => {
+    const response = await request('DELETE', key);
+    if (response.status >= 300 && response.status !== 404) throw failed('DELETE', key, response);
+  },
+
+  // Every stored file as { key, size }, following ListObjectsV2 pagination
+  list: async () => {
+    const { prefix } = config();
+    const files = [];
+    let continuationToken = null;
+
+    do {
+      const query = { 'list-type': '2', prefix };
+      if (continuationToken) query['continuation-token'] = continuationToken;
+
+      const response = await request('GET', '', { query, responseType: 'text' });
+      if (response.status >= 300) throw failed('LIST', '', response);
+
+      const xml = String(response.data);
+      xmlValues(xml, 'Contents').forEach(entry => {
+        const key = decodeXml(xmlValues(entry, 'Key')[0] || '');
+        files.push({ key: key.slice(prefix.length), size: Number(xmlValues(entry, 'Size')[0]) || 0 });
+      });
+
+      const truncated = xmlValues(xml, 'IsTruncated')[0] === 'true';
+      continuationToken = truncated ? decodeXml(xmlValues(xml, 'NextContinuationToken')[0] || '') : null;
+    } while (continuationToken);
+
+    return files.filter(file => file.key && !file.key.includes('/'));
+  },
+
+  // Presigned GET URL, valid for expiresIn seconds (at most 7 days)
+  signedUrl: (key, expiresIn, now = new Date()) => {
+    const settings = config();
+    const url = objectUrl(settings, key);
+    const { amzDate, dateStamp } = amzDates(now);
+    const query = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${settings.accessKeyId}/${dateStamp}/${settings.region}/s3/aws4_request`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(Math.min(Math.max(Math.floor(expiresIn), 1), 604800)),
+      'X-Amz-SignedHeaders': 'host'
+    };
+
+    const signed = signature(settings, {
+      method: 'GET',
+      url,
+      query,
+      headers: { host: url.host },
+      payloadHash: 'UNSIGNED-PAYLOAD',
+      amzDate,
+      dateStamp
+    });
+    return `${url.href}?${canonicalQuery({ ...query, 'X-Amz-Signature': signed.signature })}`;
+  }
+};
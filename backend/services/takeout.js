@@ -0,0 +1,102 @@
+const Book = require('../models/Book');
+const BookChange = require('../models/BookChange');
+const ReadingSession = require('../models/ReadingSession');
+const Loan = require('../models/Loan');
+const Annotation = require('../models/Annotation');
+const Shelf = require('../models/Shelf');
+const Goal = require('../models/Goal');
+const AuthSession = require('../models/AuthSession');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { toCsvRow } = require('../utils/csv');
+const { BOOK_EXPORT_COLUMNS, toExportObject } = require('../utils/bookExport');
+const { createZipWriter } = require('../utils/zip');
+const { keyFromUrl, readUpload: readStoredUpload } = require('./storage');
+
+const README = `Personal Library Tracker data export
+
+profile.json            Your account details and preferences
+books.json / books.csv  Every book in your library, including any in the trash
+book-history.json       Every recorded change to your books
+reading-sessions.json   Logged reading sessions
+loans.json              Books you have lent out and their return history
+annotations.json        Quotes, highlights and notes
+shelves.json            Shelves and the books on them
+goals.json              Reading goals
+account/sessions.json   Devices signed in to your account
+account/access-tokens.json  Personal access tokens (the tokens themselves are never stored)
+covers/                 Cover images you uploaded
+avatar/                 Your profile picture
+`;
+
+const toJsonFile = (value) => `${JSON.stringify(value, null, 2)}\n`;
+
+// Profile without credentials or internal counters
+const profileExport = (user) => {
+  const { password, twoFactor, failedLoginAttempts, lockUntil, isLocked, __v, ...profile } = user.toObject();
+  return {
+    ...profile,
+    twoFactorEnabled: Boolean(twoFactor?.enabled)
+  };
+};
+
+// Read an uploaded file, or null if it has gone missing from storage
+const readUpload = async (url) => {
+  const filename = keyFromUrl(url);
+  if (!filename) return null;
+  const data = await readStoredUpload(filename);
+  return data ? { filename, data } : null;
+};
+
+// Write a zip of everything held about the user to a writable stream.
+// The caller ends the stream.
+const writeTakeout = async (user, output) => {
+  const [books, bookChanges, readingSessions, loans, annotations, shelves, goals, authSessions, accessTokens] = await Promise.all([
+    Book.find({ user: user._id }).withDeleted().sort({ createdAt: 1 }).lean(),
+    BookChange.find({ user: user._id }).sort({ book: 1, version: 1 }).lean(),
+    ReadingSession.find({ user: user._id }).sort({ startedAt: 1 }).lean(),
+    Loan.find({ user: user._id }).sort({ lentAt: 1 }).lean(),
+    Annotation.find({ user: user._id }).sort({ createdAt: 1 }).lean(),
+    Shelf.find({ user: user._id }).sort({ name: 1 }).lean(),
+    Goal.find({ user: user._id }).lean(),
+    AuthSession.findActive(user._id),
+    PersonalAccessToken.find({ user: user._id })
+  ]);
+
+  const zip = createZipWriter(output);
+  const withoutUser = ({ user: owner, __v, ...rest }) => rest;
+
+  await zip.addFile('README.txt', README);
+  await zip.addFile('profile.json', toJsonFile(profileExport(user)));
+  await zip.addFile('books.json', toJsonFile(books.map(toExportObject)));
+  await zip.addFile('books.csv', [
+    toCsvRow(BOOK_EXPORT_COLUMNS.map(column => column.header)),
+    ...books.map(book => toCsvRow(BOOK_EXPORT_COLUMNS.map(column => column.get(book))))
+  ].join(''));
+  await zip.addFile('book-history.json', toJsonFile(bookChanges.map(withoutUser)));
+  await zip.addFile('reading-sessions.json', toJsonFile(readingSessions.map(withoutUser)));
+  await zip.addFile('loans.json', toJsonFile(loans.map(withoutUser)));
+  await zip.addFile('annotations.json', toJsonFile(annotations.map(withoutUser)));
+  await zip.addFile('shelves.json', toJsonFile(shelves.map(withoutUser)));
+  await zip.addFile('goals.json', toJsonFile(goals.map(withoutUser)));
+  await zip.addFile('account/sessions.json', toJsonFile(authSessions.map(session => withoutUser(session.toJSON()))));
+  await zip.addFile('account/access-tokens.json', toJsonFile(accessTokens.map(token => withoutUser(token.toJSON()))));
+
+  // Uploaded files are read one at a time so only one is in memory
+  for (const book of books) {
+    const cover = await readUpload(book.coverImage);
+    if (cover) {
+      await zip.addFile(`covers/${cover.filename}`, cover.data);
+    }
+  }
+
+  const avatar = await readUpload(user.avatar);
+  if (avatar) {
+    await zip.addFile(`avatar/${avatar.filename}`, avatar.data);
+  }
+
+  await zip.finalize();
+};
+
+module.exports = {
+  writeTakeout
+};
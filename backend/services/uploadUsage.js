@@ -0,0 +1,70 @@
+const Book = require('../models/Book');
+const User = require('../models/User');
+const { getDriver, listUploads, keyFromUrl } = require('./storage');
+
+const CATEGORIES = [
+  ['covers', /^book-cover-/],
+  ['avatars', /^avatar-/]
+];
+
+const categorize = (filename) => {
+  const match = CATEGORIES.find(([, pattern]) => pattern.test(filename));
+  return match ? match[0] : 'other';
+};
+
+// Size of every stored upload, keyed by filename
+const listUploadSizes = async () => {
+  const files = await listUploads();
+  return new Map(files.map(file => [file.key, file.size]));
+};
+
+// Filenames in /uploads that some book or user still points at
+const findReferencedUploads = async (filter = {}) => {
+  const [covers, renditions, avatars] = await Promise.all([
+    Book.distinct('coverImage', { ...filter.books, coverImage: /^\/uploads\// }).withDeleted(),
+    Book.distinct('coverRenditions.url', { ...filter.books, 'coverRenditions.url': /^\/uploads\// }).withDeleted(),
+    User.distinct('avatar', { ...filter.users, avatar: /^\/uploads\// })
+  ]);
+  return new Set([...covers, ...renditions, ...avatars].map(keyFromUrl));
+};
+
+// Storage used by uploads by category, plus files nothing references any more
+const getUploadUsage = async () => {
+  const [sizes, referenced] = await Promise.all([listUploadSizes(), findReferencedUploads()]);
+
+  const usage = {
+    driver: getDriver().name,
+    totalFiles: 0,
+    totalBytes: 0,
+    byCategory: { covers: { files: 0, bytes: 0 }, avatars: { files: 0, bytes: 0 }, other: { files: 0, bytes: 0 } },
+    orphaned: { files: 0, bytes: 0 }
+  };
+
+  sizes.forEach((size, filename) => {
+    const category = usage.byCategory[categorize(filename)];
+    usage.totalFiles += 1;
+    usage.totalBytes += size;
+    category.files += 1;
+    category.bytes += size;
+    if (!referenced.has(filename)) {
+      usage.orphaned.files += 1;
+      usage.orphaned.bytes += size;
+    }
+  });
+
+  return usage;
+};
+
+// Bytes of uploads used by one user's covers and avatar
+const getUserUploadBytes = async (userId) => {
+  const [sizes, referenced] = await Promise.all([
+    listUploadSizes(),
+    findReferencedUploads({ books: { user: userId }, users: { _id: userId } })
+  ]);
+  return [...referenced].reduce((total, filename) => total + (sizes.get(filename) || 0), 0);
+};
+
+module.exports = {
+  getUploadUsage,
+  getUserUploadBytes
+};
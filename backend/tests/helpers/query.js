@@ -0,0 +1,14 @@
+// Stand-in for a mongoose Query: every chained call returns the query and
+// awaiting it resolves to result, so routes can be tested without MongoDB
+const mockQuery = (result) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    catch: (reject) => Promise.resolve(result).catch(reject)
+  };
+  ['sort', 'skip', 'limit', 'select', 'lean', 'populate', 'withDeleted', 'session', 'collation'].forEach((method) => {
+    query[method] = jest.fn(() => query);
+  });
+  return query;
+};
+
+module.exports = { mockQuery };
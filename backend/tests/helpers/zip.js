@@ -0,0 +1,30 @@
+const zlib = require('zlib');
+
+// Read a zip archive back into { name, method, data } entries through its
+// central directory
+const readZip = (archive) => {
+  const end = archive.length - 22;
+  expect(archive.readUInt32LE(end)).toBe(0x06054b50);
+  const count = archive.readUInt16LE(end + 10);
+  let pointer = archive.readUInt32LE(end + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i += 1) {
+    expect(archive.readUInt32LE(pointer)).toBe(0x02014b50);
+    const method = archive.readUInt16LE(pointer + 10);
+    const compressedSize = archive.readUInt32LE(pointer + 20);
+    const nameLength = archive.readUInt16LE(pointer + 28);
+    const offset = archive.readUInt32LE(pointer + 42);
+    const name = archive.toString('utf8', pointer + 46, pointer + 46 + nameLength);
+
+    expect(archive.readUInt32LE(offset)).toBe(0x04034b50);
+    const dataStart = offset + 30 + archive.readUInt16LE(offset + 26);
+    const body = archive.subarray(dataStart, dataStart + compressedSize);
+    entries.push({ name, method, data: method === 8 ? zlib.inflateRawSync(body) : body });
+
+    pointer += 46 + nameLength;
+  }
+  return entries;
+};
+
+module.exports = { readZip };
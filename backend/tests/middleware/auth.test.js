@@ -0,0 +1,204 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const mongoose = require('mongoose');
+const { mockQuery } = require('../helpers/query');
+const User = require('../../models/User');
+const AuthSession = require('../../models/AuthSession');
+const PersonalAccessToken = require('../../models/PersonalAccessToken');
+const { auth, optionalAuth, sessionAuth, requireScope, requireRole, adminAuth } = require('../../middleware/auth');
+const { signAccessToken } = require('../../utils/tokens');
+
+let user;
+let sessionId;
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  user = User.hydrate({ _id: new mongoose.Types.ObjectId(), username: 'reader', role: 'user' });
+  sessionId = new mongoose.Types.ObjectId();
+
+  jest.spyOn(User, 'findById').mockImplementation(() => mockQuery(user));
+  jest.spyOn(AuthSession, 'exists').mockImplementation(async filter => (
+    String(filter._id) === String(sessionId) ? { _id: sessionId } : null
+  ));
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+// A personal access token for user with the given scopes
+const mockAccessToken = (scopes) => {
+  const accessToken = new PersonalAccessToken({ user: user._id, scopes, expiresAt: new Date(Date.now() + 60 * 1000) });
+  jest.spyOn(PersonalAccessToken, 'findByToken').mockResolvedValue(accessToken);
+  jest.spyOn(accessToken, 'touch').mockResolvedValue();
+  return accessToken;
+};
+
+// Run a middleware against a request with the given Authorization header;
+// resolves to { req, res, nextCalled } once it answers or calls next
+const run = (middleware, authorization) => new Promise((resolve) => {
+  const req = { header: () => authorization };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      resolve({ req, res, nextCalled: false });
+      return this;
+    }
+  };
+  middleware(req, res, () => resolve({ req, res, nextCalled: true }));
+});
+
+const bearer = (token) => `Bearer ${token}`;
+
+describe('auth', () => {
+  it('lets a token for a live session through', async () => {
+    const { req, nextCalled } = await run(auth, bearer(signAccessToken(user._id, sessionId)));
+
+    expect(nextCalled).toBe(true);
+    expect(req.user).toBe(user);
+    expect(String(req.sessionId)).toBe(String(sessionId));
+  });
+
+  it('refuses missing, invalid and signed-out tokens', async () => {
+    expect((await run(auth, undefined)).res.statusCode).toBe(401);
+    expect((await run(auth, bearer('garbage'))).res.body.message).toBe('Invalid token');
+
+    const signedOut = await run(auth, bearer(signAccessToken(user._id, new mongoose.Types.ObjectId())));
+    expect(signedOut.res.statusCode).toBe(401);
+    expect(signedOut.res.body.message).toBe('Session has been signed out');
+  });
+
+  it('refuses disabled accounts', async () => {
+    user.disabled = true;
+
+    const { res, nextCalled } = await run(auth, bearer(signAccessToken(user._id, sessionId)));
+
+    expect(nextCalled).toBe(false);
+    expect(res.statusCode).toBe(403);
+  });
+});
+
+describe('optionalAuth', () => {
+  it('signs the request in when the token is good', async () => {
+    const { req, nextCalled } = await run(optionalAuth, bearer(signAccessToken(user._id, sessionId)));
+
+    expect(nextCalled).toBe(true);
+    expect(req.user).toBe(user);
+  });
+
+  it('carries on anonymously without a token', async () => {
+    const { req, nextCalled } = await run(optionalAuth, undefined);
+
+    expect(nextCalled).toBe(true);
+    expect(req.user).toBeUndefined();
+  });
+
+  it('carries on anonymously and quietly with a bad token', async () => {
+    const log = jest.spyOn(console, 'log');
+
+    const { req, res, nextCalled } = await run(optionalAuth, bearer('garbage'));
+
+    expect(nextCalled).toBe(true);
+    expect(req.user).toBeUndefined();
+    expect(res.body).toBeNull();
+    expect(log).not.toHaveBeenCalled();
+  });
+
+  it('leaves disabled accounts signed out', async () => {
+    user.disabled = true;
+
+    const { req, nextCalled } = await run(optionalAuth, bearer(signAccessToken(user._id, sessionId)));
+
+    expect(nextCalled).toBe(true);
+    expect(req.user).toBeUndefined();
+  });
+});
+
+describe('requireRole', () => {
+  it('only lets the listed roles through', async () => {
+    const middleware = requireRole('admin');
+    const check = (role) => {
+      const req = { user: { role } };
+      const res = { status: jest.fn(() => res), json: jest.fn() };
+      const next = jest.fn();
+      middleware(req, res, next);
+      return { res, next };
+    };
+
+    expect(check('admin').next).toHaveBeenCalled();
+    const refused = check('user');
+    expect(refused.next).not.toHaveBeenCalled();
+    expect(refused.res.status).toHaveBeenCalledWith(403);
+  });
+});
+
+describe('adminAuth', () => {
+  it('lets admins through and refuses everyone else', async () => {
+    const token = bearer(signAccessToken(user._id, sessionId));
+
+    const refused = await run(adminAuth, token);
+    expect(refused.nextCalled).toBe(false);
+    expect(refused.res.statusCode).toBe(403);
+
+    user.role = 'admin';
+    expect((await run(adminAuth, token)).nextCalled).toBe(true);
+  });
+});
+
+describe('personal access tokens', () => {
+  it('sign the request in with the token attached', async () => {
+    const accessToken = mockAccessToken(['read']);
+
+    const { req, nextCalled } = await run(auth, bearer('plt_token'));
+
+    expect(nextCalled).toBe(true);
+    expect(req.user).toBe(user);
+    expect(req.accessToken).toBe(accessToken);
+    expect(req.sessionId).toBeNull();
+    expect(accessToken.touch).toHaveBeenCalled();
+  });
+
+  it('are refused when unknown or expired', async () => {
+    jest.spyOn(PersonalAccessToken, 'findByToken').mockResolvedValue(null);
+
+    const { res } = await run(auth, bearer('plt_token'));
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toBe('Access token is invalid or has expired');
+  });
+
+  it('are refused by sessionAuth', async () => {
+    mockAccessToken(['read', 'books:write', 'export']);
+
+    const { res, nextCalled } = await run(sessionAuth, bearer('plt_token'));
+
+    expect(nextCalled).toBe(false);
+    expect(res.statusCode).toBe(403);
+  });
+});
+
+describe('requireScope', () => {
+  const check = (accessToken) => {
+    const res = { status: jest.fn(() => res), json: jest.fn() };
+    const next = jest.fn();
+    requireScope('export')({ accessToken }, res, next);
+    return { res, next };
+  };
+
+  it('lets session logins and tokens with the scope through', () => {
+    expect(check(null).next).toHaveBeenCalled();
+    expect(check(new PersonalAccessToken({ scopes: ['export'] })).next).toHaveBeenCalled();
+  });
+
+  it('refuses tokens without the scope', () => {
+    const { res, next } = check(new PersonalAccessToken({ scopes: ['read'] }));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({ message: 'This access token is missing the "export" scope' });
+  });
+});
@@ -0,0 +1,65 @@
+// Small limits so they can be reached; read when the limiters are created
+process.env.LOGIN_RATE_LIMIT_MAX = '4';
+process.env.LOGIN_ACCOUNT_RATE_LIMIT_MAX = '2';
+process.env.REGISTER_RATE_LIMIT_MAX = '3';
+
+const express = require('express');
+const request = require('supertest');
+const { loginLimiters, registerLimiters } = require('../../middleware/rateLimit');
+
+// Stand-in endpoints: "right" is the only good password
+const app = express();
+app.set('trust proxy', 1);
+app.use(express.json());
+app.post('/login', loginLimiters, (req, res) => {
+  if (req.body.password === 'right') return res.json({ message: 'ok' });
+  res.status(400).json({ message: 'Invalid credentials' });
+});
+app.post('/register', registerLimiters, (req, res) => res.status(201).json({ message: 'created' }));
+
+const login = (ip, email, password = 'wrong') => request(app)
+  .post('/login')
+  .set('X-Forwarded-For', ip)
+  .send({ email, password });
+
+describe('login limits', () => {
+  it('limits failed attempts on one account from any address', async () => {
+    expect((await login('10.0.0.1', 'a@example.com')).status).toBe(400);
+    expect((await login('10.0.0.2', 'A@example.com ')).status).toBe(400);
+
+    const response = await login('10.0.0.3', 'a@example.com', 'right');
+
+    expect(response.status).toBe(429);
+    expect(response.body).toEqual({ message: 'Too many failed login attempts for this account, please try again later' });
+    expect(response.headers['ratelimit-limit']).toBeDefined();
+  });
+
+  it('does not count successful logins', async () => {
+    for (let i = 0; i < 3; i += 1) {
+      expect((await login('10.0.1.1', 'b@example.com', 'right')).status).toBe(200);
+    }
+  });
+
+  it('limits failed attempts from one address across accounts', async () => {
+    for (let i = 0; i < 4; i += 1) {
+      expect((await login('10.0.2.1', `user${i}@example.com`)).status).toBe(400);
+    }
+
+    const response = await login('10.0.2.1', 'fresh@example.com', 'right');
+
+    expect(response.status).toBe(429);
+    expect(response.body.message).toBe('Too many failed login attempts from this address, please try again later');
+    expect((await login('10.0.2.2', 'fresh@example.com', 'right')).status).toBe(200);
+  });
+});
+
+describe('register limits', () => {
+  it('limits sign-ups from one address', async () => {
+    for (let i = 0; i < 3; i += 1) {
+      expect((await request(app).post('/register').set('X-Forwarded-For', '10.0.3.1').send({ email: `new${i}@example.com` })).status).toBe(201);
+    }
+
+    const response = await request(app).post('/register').set('X-Forwarded-For', '10.0.3.1').send({ email: 'new9@example.com' });
+    expect(response.status).toBe(429);
+  });
+});
@@ -0,0 +1,64 @@
+const express = require('express');
+const request = require('supertest');
+const { requestId, requestLogger } = require('../../middleware/requestLogger');
+
+const app = express();
+app.use(requestId);
+app.use(requestLogger);
+app.get('/ping', (req, res) => {
+  req.user = { _id: 'user-1' };
+  res.json({ id: req.id });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('requestId', () => {
+  it('gives every request an id and echoes it back', async () => {
+    const response = await request(app).get('/ping');
+
+    expect(response.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    expect(response.body.id).toBe(response.headers['x-request-id']);
+  });
+
+  it('keeps an id from an upstream proxy only if it looks like one', async () => {
+    expect((await request(app).get('/ping').set('X-Request-Id', 'lb-1234:abc')).headers['x-request-id']).toBe('lb-1234:abc');
+    expect((await request(app).get('/ping').set('X-Request-Id', 'not ok!')).headers['x-request-id']).not.toBe('not ok!');
+  });
+});
+
+describe('requestLogger', () => {
+  const withEnv = async (env, fn) => {
+    const saved = process.env.NODE_ENV;
+    process.env.NODE_ENV = env;
+    try {
+      await fn();
+    } finally {
+      process.env.NODE_ENV = saved;
+    }
+  };
+
+  it('writes one JSON line per request with the request id and user', async () => {
+    const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+
+    await withEnv('production', async () => {
+      await request(app).get('/ping?x=1').set('X-Request-Id', 'req-1');
+    });
+
+    const line = write.mock.calls.map(([chunk]) => String(chunk)).find(chunk => chunk.includes('"req-1"'));
+    expect(JSON.parse(line)).toMatchObject({
+      requestId: 'req-1',
+      method: 'GET',
+      url: '/ping?x=1',
+      status: 200,
+      userId: 'user-1'
+    });
+  });
+
+  it('stays quiet under test', async () => {
+    const write = jest.spyOn(process.stdout, 'write');
+
+    await request(app).get('/ping').set('X-Request-Id', 'req-2');
+
+    expect(write.mock.calls.some(([chunk]) => String(chunk).includes('req-2'))).toBe(false);
+  });
+});
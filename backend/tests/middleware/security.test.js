@@ -0,0 +1,87 @@
+const express = require('express');
+const request = require('supertest');
+const {
+  allowedOrigins,
+  corsMiddleware,
+  helmetMiddleware,
+  trustProxySetting
+} = require('../../middleware/security');
+
+const ENV_KEYS = ['CORS_ORIGINS', 'FRONTEND_URL', 'TRUST_PROXY'];
+const savedEnv = {};
+
+beforeEach(() => {
+  ENV_KEYS.forEach((key) => {
+    savedEnv[key] = process.env[key];
+    delete process.env[key];
+  });
+});
+
+afterEach(() => {
+  ENV_KEYS.forEach((key) => {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  });
+});
+
+describe('allowedOrigins', () => {
+  it('defaults to the local frontend', () => {
+    expect(allowedOrigins()).toEqual(['http://localhost:3000']);
+  });
+
+  it('combines CORS_ORIGINS with FRONTEND_URL without duplicates', () => {
+    process.env.CORS_ORIGINS = 'https://a.example.com/, https://b.example.com,,';
+    process.env.FRONTEND_URL = 'https://a.example.com';
+
+    expect(allowedOrigins()).toEqual(['https://a.example.com', 'https://b.example.com']);
+  });
+});
+
+describe('corsMiddleware', () => {
+  const buildApp = () => {
+    const app = express();
+    app.use(helmetMiddleware());
+    app.use(corsMiddleware());
+    app.get('/ping', (req, res) => res.json({ ok: true }));
+    return app;
+  };
+
+  it('allows listed origins with credentials', async () => {
+    process.env.CORS_ORIGINS = 'https://library.example.com';
+
+    const response = await request(buildApp()).get('/ping').set('Origin', 'https://library.example.com');
+
+    expect(response.headers['access-control-allow-origin']).toBe('https://library.example.com');
+    expect(response.headers['access-control-allow-credentials']).toBe('true');
+    expect(response.headers['access-control-expose-headers']).toBe('Content-Disposition,X-Request-Id');
+  });
+
+  it('sends no CORS headers to other origins', async () => {
+    process.env.CORS_ORIGINS = 'https://library.example.com';
+
+    const response = await request(buildApp()).get('/ping').set('Origin', 'https://evil.example.com');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['access-control-allow-origin']).toBeUndefined();
+  });
+
+  it('sets helmet headers but lets uploads be shown cross-origin', async () => {
+    const response = await request(buildApp()).get('/ping');
+
+    expect(response.headers['x-content-type-options']).toBe('nosniff');
+    expect(response.headers['cross-origin-resource-policy']).toBe('cross-origin');
+    expect(response.headers['x-powered-by']).toBeUndefined();
+  });
+});
+
+describe('trustProxySetting', () => {
+  it('reads booleans, hop counts and address lists', () => {
+    expect(trustProxySetting()).toBe(false);
+    process.env.TRUST_PROXY = 'true';
+    expect(trustProxySetting()).toBe(true);
+    process.env.TRUST_PROXY = '2';
+    expect(trustProxySetting()).toBe(2);
+    process.env.TRUST_PROXY = 'loopback, 10.0.0.0/8';
+    expect(trustProxySetting()).toBe('loopback, 10.0.0.0/8');
+  });
+});
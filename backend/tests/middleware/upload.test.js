@@ -0,0 +1,141 @@
+const sharp = require('sharp');
+const localDriver = require('../../services/storage/localDriver');
+const { optimizeImage, createCoverRenditions, deleteCoverFiles } = require('../../middleware/upload');
+
+const image = (width = 1200, height = 1600) => sharp({
+  create: { width, height, channels: 3, background: '#336699' }
+}).png().toBuffer();
+
+// Run the middleware and resolve with whatever it passed to next()
+const run = (req) => new Promise(resolve => optimizeImage(req, {}, resolve));
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(localDriver, 'put').mockResolvedValue();
+  jest.spyOn(localDriver, 'remove').mockResolvedValue();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('createCoverRenditions', () => {
+  it('stores each size as WebP and JPEG and uses the large JPEG as the cover', async () => {
+    const { coverImage, coverRenditions } = await createCoverRenditions(await image());
+
+    expect(coverRenditions.map(({ size, format, width, height }) => [size, format, width, height])).toEqual([
+      ['thumb', 'webp', 120, 160],
+      ['thumb', 'jpeg', 120, 160],
+      ['medium', 'webp', 300, 400],
+      ['medium', 'jpeg', 300, 400],
+      ['large', 'webp', 600, 800],
+      ['large', 'jpeg', 600, 800]
+    ]);
+    expect(coverImage).toBe(coverRenditions[5].url);
+    expect(coverImage).toMatch(/^\/uploads\/book-cover-[\d-]+-large\.jpg$/);
+
+    expect(localDriver.put).toHaveBeenCalledTimes(6);
+    const [key, data, options] = localDriver.put.mock.calls[0];
+    expect(coverRenditions[0].url).toBe(`/uploads/${key}`);
+    expect(options).toEqual({ contentType: 'image/webp' });
+    expect(await sharp(data).metadata()).toMatchObject({ format: 'webp', width: 120, height: 160 });
+  });
+
+  it('never enlarges small images', async () => {
+    const { coverRenditions } = await createCoverRenditions(await image(100, 150));
+
+    expect(coverRenditions.every(({ width, height }) => width === 100 && height === 150)).toBe(true);
+  });
+
+  it('removes the renditions already stored when one fails', async () => {
+    localDriver.put
+      .mockResolvedValueOnce()
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(createCoverRenditions(await image())).rejects.toThrow('disk full');
+
+    const stored = localDriver.put.mock.calls.slice(0, 2).map(([key]) => key);
+    expect(localDriver.remove.mock.calls.map(([key]) => key)).toEqual(stored);
+  });
+
+  it('rejects data that is not an image', async () => {
+    await expect(createCoverRenditions(Buffer.from('not an image'))).rejects.toThrow();
+    expect(localDriver.put).not.toHaveBeenCalled();
+  });
+});
+
+describe('optimizeImage', () => {
+  it('passes requests without a file straight through', async () => {
+    const req = {};
+
+    expect(await run(req)).toBeUndefined();
+    expect(req.cover).toBeUndefined();
+    expect(localDriver.put).not.toHaveBeenCalled();
+  });
+
+  it('turns an uploaded cover into renditions', async () => {
+    const req = { file: { fieldname: 'coverImage', originalname: 'cover.png', buffer: await image() } };
+
+    expect(await run(req)).toBeUndefined();
+    expect(req.cover.coverRenditions).toHaveLength(6);
+    expect(req.cover.coverImage).toMatch(/-large\.jpg$/);
+  });
+
+  it('keeps a cover it cannot read as it arrived', async () => {
+    const buffer = Buffer.from('mystery bytes');
+    const req = { file: { fieldname: 'coverImage', originalname: 'Cover.HEIC', buffer } };
+
+    expect(await run(req)).toBeUndefined();
+    expect(req.cover.coverRenditions).toEqual([]);
+    expect(req.cover.coverImage).toMatch(/^\/uploads\/book-cover-[\d-]+\.heic$/);
+    expect(localDriver.put).toHaveBeenCalledWith(expect.stringMatching(/\.heic$/), buffer, expect.anything());
+  });
+
+  it('drops odd extensions from originals', async () => {
+    const req = { file: { fieldname: 'coverImage', originalname: 'cover.../../x', buffer: Buffer.from('x') } };
+
+    await run(req);
+
+    expect(req.cover.coverImage).toMatch(/^\/uploads\/book-cover-[\d-]+$/);
+  });
+
+  it('crops avatars to a square JPEG and sets the storage key', async () => {
+    const req = { file: { fieldname: 'avatar', originalname: 'me.png', buffer: await image(400, 300) } };
+
+    expect(await run(req)).toBeUndefined();
+    expect(req.file.filename).toMatch(/^avatar-[\d-]+\.jpg$/);
+    const [key, data] = localDriver.put.mock.calls[0];
+    expect(key).toBe(req.file.filename);
+    expect(await sharp(data).metadata()).toMatchObject({ format: 'jpeg', width: 256, height: 256 });
+  });
+
+  it('passes storage failures on', async () => {
+    localDriver.put.mockRejectedValue(new Error('disk full'));
+    const req = { file: { fieldname: 'avatar', originalname: 'me.png', buffer: await image(400, 300) } };
+
+    expect(await run(req)).toEqual(new Error('disk full'));
+  });
+});
+
+describe('deleteCoverFiles', () => {
+  it('removes the cover and every rendition once', async () => {
+    await deleteCoverFiles({
+      coverImage: '/uploads/book-cover-1-large.jpg',
+      coverRenditions: [
+        { url: '/uploads/book-cover-1-thumb.webp' },
+        { url: '/uploads/book-cover-1-large.jpg' }
+      ]
+    });
+
+    expect(localDriver.remove.mock.calls.map(([key]) => key)).toEqual([
+      'book-cover-1-large.jpg',
+      'book-cover-1-thumb.webp'
+    ]);
+  });
+
+  it('leaves remote covers and missing covers alone', async () => {
+    await deleteCoverFiles({ coverImage: 'https://covers.example.com/1.jpg', coverRenditions: [] });
+    await deleteCoverFiles(undefined);
+
+    expect(localDriver.remove).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const Annotation = require('../../models/Annotation');
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('Annotation', () => {
+  it('defaults to a manual quote and normalises tags', () => {
+    const annotation = new Annotation({
+      user: new mongoose.Types.ObjectId(),
+      book: new mongoose.Types.ObjectId(),
+      text: '  All that is gold does not glitter  ',
+      tags: [' Poetry ']
+    });
+
+    expect(annotation.validateSync()).toBeUndefined();
+    expect(annotation.type).toBe('quote');
+    expect(annotation.source).toBe('manual');
+    expect(annotation.text).toBe('All that is gold does not glitter');
+    expect(annotation.tags).toEqual(['poetry']);
+  });
+
+  it('refuses unknown types and negative pages', () => {
+    const error = new Annotation({ type: 'doodle', page: -1 }).validateSync();
+
+    expect(error.errors.type.message).toBe('Type must be quote, highlight or note');
+    expect(error.errors.page.message).toBe('Page cannot be negative');
+    expect(error.errors.text.message).toBe('Text is required');
+  });
+
+  it('counts tags for one user, most used first', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    jest.spyOn(Annotation, 'aggregate').mockResolvedValue([]);
+
+    await Annotation.tagCounts(userId.toString());
+
+    const [pipeline] = Annotation.aggregate.mock.calls[0];
+    expect(pipeline[0]).toEqual({ $match: { user: userId } });
+    expect(pipeline).toContainEqual({ $unwind: '$tags' });
+    expect(pipeline).toContainEqual({ $sort: { count: -1, _id: 1 } });
+  });
+});
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const AuthSession = require('../../models/AuthSession');
+const { hashToken } = require('../../utils/tokens');
+
+// Enough of an Express request for clientDetails()
+const mockRequest = (userAgent) => ({ ip: '203.0.113.7', get: () => userAgent });
+
+beforeEach(() => {
+  jest.spyOn(AuthSession.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+  jest.spyOn(AuthSession, 'create').mockImplementation(async fields => new AuthSession(fields));
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('AuthSession.start', () => {
+  it('stores the hash of the refresh token it hands out', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const { session, refreshToken } = await AuthSession.start(userId, mockRequest('Mozilla/5.0 (iPhone) Safari/604.1'));
+
+    expect(session.tokenHash).toBe(hashToken(refreshToken));
+    expect(session).toMatchObject({ user: userId, device: 'Safari on iOS', ip: '203.0.113.7' });
+    expect(session.isActive).toBe(true);
+  });
+});
+
+describe('rotate', () => {
+  it('keeps the replaced token so a replay can be spotted', async () => {
+    const { session, refreshToken } = await AuthSession.start(new mongoose.Types.ObjectId(), mockRequest(''));
+    const expiresAt = new Date(Date.now() + 1000);
+    session.expiresAt = expiresAt;
+
+    const rotated = await session.rotate(mockRequest('curl/8.0'));
+
+    expect(rotated).not.toBe(refreshToken);
+    expect(session.previousTokenHash).toBe(hashToken(refreshToken));
+    expect(session.tokenHash).toBe(hashToken(rotated));
+    expect(session.expiresAt.getTime()).toBeGreaterThan(expiresAt.getTime());
+    expect(session.device).toBe('curl/8.0');
+  });
+});
+
+describe('revoke', () => {
+  it('ends the session once', async () => {
+    const { session } = await AuthSession.start(new mongoose.Types.ObjectId(), mockRequest(''));
+
+    await session.revoke();
+    const { revokedAt } = session;
+    await session.revoke();
+
+    expect(session.isActive).toBe(false);
+    expect(session.revokedAt).toBe(revokedAt);
+    expect(AuthSession.prototype.save).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('toJSON', () => {
+  it('leaves out the token hashes', async () => {
+    const { session } = await AuthSession.start(new mongoose.Types.ObjectId(), mockRequest(''));
+    await session.rotate(mockRequest(''));
+
+    const json = session.toJSON();
+    expect(json).not.toHaveProperty('tokenHash');
+    expect(json).not.toHaveProperty('previousTokenHash');
+    expect(json.isActive).toBe(true);
+  });
+});
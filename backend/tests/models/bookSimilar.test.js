@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const Book = require('../../models/Book');
+const { mockQuery } = require('../helpers/query');
+
+const userId = new mongoose.Types.ObjectId();
+
+const book = (fields) => Book.hydrate({ _id: new mongoose.Types.ObjectId(), user: userId, ...fields });
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('Book#getSimilarBooks', () => {
+  const dune = () => book({
+    title: 'Dune',
+    author: 'Frank Herbert',
+    genre: 'Science Fiction',
+    tags: ['desert', 'politics'],
+    series: { name: 'Dune', number: 1 }
+  });
+
+  it('ranks series, then author, then genre, then shared tags', async () => {
+    const source = dune();
+    const byTags = book({ title: 'Arrakis Atlas', author: 'Someone', tags: ['desert'] });
+    const byGenre = book({ title: 'Hyperion', author: 'Dan Simmons', genre: 'Science Fiction' });
+    const byAuthor = book({ title: 'The Dosadi Experiment', author: 'Frank Herbert' });
+    const inSeries = book({ title: 'Dune Messiah', author: 'Frank Herbert', series: { name: 'Dune', number: 2 } });
+    const query = mockQuery([byTags, byGenre, byAuthor, inSeries]);
+    jest.spyOn(Book, 'find').mockReturnValue(query);
+
+    const similar = await source.getSimilarBooks(3);
+
+    expect(similar).toEqual([inSeries, byAuthor, byGenre]);
+    expect(Book.find).toHaveBeenCalledWith({
+      user: userId,
+      _id: { $ne: source._id },
+      $or: [
+        { 'series.name': 'Dune' },
+        { author: 'Frank Herbert' },
+        { genre: 'Science Fiction' },
+        { tags: { $in: ['desert', 'politics'] } }
+      ]
+    });
+    expect(query.limit).toHaveBeenCalledWith(200);
+  });
+
+  it('breaks ties by rating', async () => {
+    const low = book({ title: 'Children of Dune', author: 'Frank Herbert', rating: 3 });
+    const high = book({ title: 'God Emperor of Dune', author: 'Frank Herbert', rating: 5 });
+    jest.spyOn(Book, 'find').mockReturnValue(mockQuery([low, high]));
+
+    expect(await book({ title: 'Dune', author: 'Frank Herbert' }).getSimilarBooks()).toEqual([high, low]);
+  });
+
+  it('has nothing to compare without an author, genre, series or tags', async () => {
+    jest.spyOn(Book, 'find');
+
+    expect(await new Book({ user: userId }).getSimilarBooks()).toEqual([]);
+    expect(Book.find).not.toHaveBeenCalled();
+  });
+});
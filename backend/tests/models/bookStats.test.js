@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const Book = require('../../models/Book');
+
+const userId = new mongoose.Types.ObjectId();
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('Book.getFinishedTimeline', () => {
+  it('labels months and years and passes the date range on', async () => {
+    jest.spyOn(Book, 'aggregate').mockResolvedValue([
+      { _id: { year: 2024, month: 3 }, books: 2, pages: 640 },
+      { _id: { year: 2024, month: 11 }, books: 1, pages: 0 }
+    ]);
+    const from = new Date('2024-01-01T00:00:00.000Z');
+    const to = new Date('2025-01-01T00:00:00.000Z');
+
+    const timeline = await Book.getFinishedTimeline(userId, { from, to });
+
+    expect(timeline).toEqual([
+      { period: '2024-03', books: 2, pages: 640 },
+      { period: '2024-11', books: 1, pages: 0 }
+    ]);
+    const [[{ $match: match }]] = Book.aggregate.mock.calls[0];
+    expect(match.dateFinished).toEqual({ $ne: null, $gte: from, $lt: to });
+  });
+
+  it('groups by year on request', async () => {
+    jest.spyOn(Book, 'aggregate').mockResolvedValue([{ _id: { year: 2023 }, books: 12, pages: 4000 }]);
+
+    expect(await Book.getFinishedTimeline(userId, { period: 'year' }))
+      .toEqual([{ period: '2023', books: 12, pages: 4000 }]);
+  });
+});
+
+describe('Book.getBreakdown', () => {
+  it('names missing values Unknown and rounds the average rating', async () => {
+    jest.spyOn(Book, 'aggregate').mockResolvedValue([
+      { _id: 'Fantasy', count: 5, read: 3, pages: 900, averageRating: 4.333 },
+      { _id: null, count: 2, read: 0, pages: 0, averageRating: null }
+    ]);
+
+    expect(await Book.getBreakdown(userId, 'genre', { limit: 5 })).toEqual([
+      { name: 'Fantasy', count: 5, read: 3, pages: 900, averageRating: 4.3 },
+      { name: 'Unknown', count: 2, read: 0, pages: 0, averageRating: null }
+    ]);
+    expect(Book.aggregate.mock.calls[0][0]).toContainEqual({ $limit: 5 });
+  });
+});
+
+describe('Book.getRatingDistribution', () => {
+  it('reports every star rating, including those with no books', async () => {
+    jest.spyOn(Book, 'aggregate').mockResolvedValue([{ _id: 5, count: 4 }, { _id: 3, count: 1 }]);
+
+    expect(await Book.getRatingDistribution(userId)).toEqual([
+      { rating: 1, count: 0 },
+      { rating: 2, count: 0 },
+      { rating: 3, count: 1 },
+      { rating: 4, count: 0 },
+      { rating: 5, count: 4 }
+    ]);
+  });
+});
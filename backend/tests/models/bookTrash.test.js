@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const Book = require('../../models/Book');
+
+const userId = new mongoose.Types.ObjectId();
+
+// The filter or pipeline each query hands to the driver, with no database
+const filterOf = (method) => Book.collection[method].mock.calls[0][method === 'distinct' ? 1 : 0];
+
+beforeEach(() => {
+  jest.spyOn(Book.collection, 'find').mockReturnValue({ toArray: async () => [] });
+  jest.spyOn(Book.collection, 'distinct').mockResolvedValue([]);
+  jest.spyOn(Book.collection, 'countDocuments').mockResolvedValue(0);
+  jest.spyOn(Book.collection, 'aggregate').mockReturnValue({ toArray: async () => [] });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('Book trash filtering', () => {
+  it('leaves trashed books out of queries', async () => {
+    await Book.find({ user: userId });
+    await Book.find({ user: userId }).distinct('_id');
+    await Book.countDocuments({ user: userId });
+
+    expect(filterOf('find')).toEqual({ user: userId, deletedAt: null });
+    expect(filterOf('distinct')).toEqual({ user: userId, deletedAt: null });
+    expect(filterOf('countDocuments')).toEqual({ user: userId, deletedAt: null });
+  });
+
+  it('lets queries about deletedAt through unchanged', async () => {
+    await Book.distinct('_id', { user: userId, deletedAt: { $ne: null } });
+
+    expect(filterOf('distinct')).toEqual({ user: userId, deletedAt: { $ne: null } });
+  });
+
+  it('includes the trash on request', async () => {
+    await Book.find({ user: userId }).withDeleted();
+
+    expect(filterOf('find')).toEqual({ user: userId });
+  });
+
+  it('adds the filter to the first $match of aggregations, or a $match of its own', async () => {
+    await Book.aggregate([{ $match: { user: userId } }, { $count: 'books' }]);
+    await Book.aggregate([{ $group: { _id: '$status' } }]);
+
+    expect(Book.collection.aggregate.mock.calls[0][0][0]).toEqual({ $match: { user: userId, deletedAt: null } });
+    expect(Book.collection.aggregate.mock.calls[1][0][0]).toEqual({ $match: { deletedAt: null } });
+  });
+});
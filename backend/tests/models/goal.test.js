@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const Book = require('../../models/Book');
+const Goal = require('../../models/Goal');
+
+const userId = new mongoose.Types.ObjectId();
+
+const goal = (fields) => new Goal({ user: userId, year: 2024, metric: 'books', target: 24, ...fields });
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('Goal#getProgress', () => {
+  it('counts books finished in the goal year and compares them with an even pace', async () => {
+    jest.spyOn(Book, 'aggregate').mockResolvedValue([{ _id: null, books: 10, pages: 3200 }]);
+
+    // 2024 is a leap year: July 1st is day 183 of 366
+    const progress = await goal().getProgress(new Date(Date.UTC(2024, 6, 1)));
+
+    const [[{ $match: match }]] = Book.aggregate.mock.calls[0];
+    expect(match).toEqual({
+      user: userId,
+      status: 'Read',
+      dateFinished: { $gte: new Date('2024-01-01T00:00:00.000Z'), $lt: new Date('2025-01-01T00:00:00.000Z') }
+    });
+    expect(progress).toEqual({
+      current: 10,
+      target: 24,
+      percentComplete: 42,
+      expected: 12,
+      difference: -2,
+      schedule: 'behind',
+      projected: 20,
+      remaining: 14,
+      elapsedDays: 182,
+      remainingDays: 184,
+      requiredPerWeek: 0.5
+    });
+  });
+
+  it('tracks pages for a pages goal', async () => {
+    jest.spyOn(Book, 'aggregate').mockResolvedValue([{ _id: null, books: 10, pages: 3200 }]);
+
+    const progress = await goal({ metric: 'pages', target: 5000 }).getProgress(new Date(Date.UTC(2024, 6, 1)));
+
+    expect(progress).toMatchObject({ current: 3200, schedule: 'ahead' });
+  });
+
+  it('reports a met target as completed', async () => {
+    jest.spyOn(Book, 'aggregate').mockResolvedValue([{ _id: null, books: 30, pages: 0 }]);
+
+    const progress = await goal().getProgress(new Date(Date.UTC(2024, 2, 1)));
+
+    expect(progress).toMatchObject({ schedule: 'completed', percentComplete: 100, remaining: 0 });
+  });
+
+  it('stops counting days once the year is over', async () => {
+    jest.spyOn(Book, 'aggregate').mockResolvedValue([]);
+
+    const progress = await goal().getProgress(new Date(Date.UTC(2025, 5, 1)));
+
+    expect(progress).toMatchObject({
+      current: 0,
+      elapsedDays: 366,
+      remainingDays: 0,
+      expected: 24,
+      requiredPerWeek: null
+    });
+  });
+
+  it('has no projection before the year starts', async () => {
+    jest.spyOn(Book, 'aggregate').mockResolvedValue([]);
+
+    const progress = await goal().getProgress(new Date(Date.UTC(2023, 11, 1)));
+
+    expect(progress).toMatchObject({ elapsedDays: 0, projected: 0, expected: 0, schedule: 'on-track' });
+  });
+});
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const Loan = require('../../models/Loan');
+
+const userId = new mongoose.Types.ObjectId();
+const day = (n) => new Date(Date.UTC(2024, 0, n));
+
+const loan = (fields) => new Loan({
+  user: userId,
+  book: new mongoose.Types.ObjectId(),
+  borrowerName: 'Sam',
+  lentAt: day(1),
+  ...fields
+});
+
+afterEach(() => jest.useRealTimers());
+
+describe('Loan', () => {
+  it('refuses due and return dates before the lent date', () => {
+    const error = loan({ dueAt: day(0), returnedAt: new Date(Date.UTC(2023, 11, 30)) }).validateSync();
+
+    expect(error.errors.dueAt.message).toBe('Due date cannot be before the lent date');
+    expect(error.errors.returnedAt.message).toBe('Return date cannot be before the lent date');
+    expect(loan({ dueAt: day(14), returnedAt: day(10) }).validateSync()).toBeUndefined();
+  });
+
+  it('is overdue only while out past its due date', () => {
+    jest.useFakeTimers({ now: day(20) });
+
+    expect(loan({ dueAt: day(14) }).isOverdue).toBe(true);
+    expect(loan({ dueAt: day(21) }).isOverdue).toBe(false);
+    expect(loan({ dueAt: day(14), returnedAt: day(18) }).isOverdue).toBe(false);
+    expect(loan({}).isOverdue).toBe(false);
+  });
+
+  it('counts whole days out until today or the return', () => {
+    jest.useFakeTimers({ now: new Date(Date.UTC(2024, 0, 11, 12)) });
+
+    expect(loan({}).daysOut).toBe(10);
+    expect(loan({ returnedAt: day(4) }).daysOut).toBe(3);
+  });
+
+  it('includes virtuals in JSON', () => {
+    expect(loan({}).toJSON()).toHaveProperty('daysOut');
+    expect(loan({}).toJSON()).toHaveProperty('isOverdue', false);
+  });
+
+  it('summarises itself for the book', () => {
+    const item = loan({ dueAt: day(14), borrowerContact: 'sam@example.com' });
+
+    expect(item.toBookSummary()).toEqual({
+      loan: item._id,
+      borrowerName: 'Sam',
+      lentAt: day(1),
+      dueAt: day(14)
+    });
+  });
+
+  describe('statusFilter', () => {
+    const now = day(20);
+
+    it.each([
+      ['out', { user: userId, returnedAt: null }],
+      ['overdue', { user: userId, returnedAt: null, dueAt: { $ne: null, $lt: now } }],
+      ['returned', { user: userId, returnedAt: { $ne: null } }],
+      ['all', { user: userId }]
+    ])('builds the %s filter', (status, filter) => {
+      expect(Loan.statusFilter(userId, status, now)).toEqual(filter);
+    });
+
+    it('lists books still out by default', () => {
+      expect(Loan.statusFilter(userId, undefined, now)).toEqual({ user: userId, returnedAt: null });
+    });
+  });
+});
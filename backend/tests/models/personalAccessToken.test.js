@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const PersonalAccessToken = require('../../models/PersonalAccessToken');
+const { hashToken } = require('../../utils/tokens');
+
+beforeEach(() => {
+  jest.spyOn(PersonalAccessToken, 'create').mockImplementation(async fields => new PersonalAccessToken(fields));
+  jest.spyOn(PersonalAccessToken, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const issue = (scopes = ['read']) => PersonalAccessToken.issue(new mongoose.Types.ObjectId(), {
+  name: 'Script',
+  scopes,
+  expiresInDays: 30
+});
+
+describe('PersonalAccessToken.issue', () => {
+  it('hands out a prefixed token and keeps only its hash and a hint', async () => {
+    const { accessToken, token } = await issue(['read', 'export', 'read']);
+
+    expect(PersonalAccessToken.looksLikeToken(token)).toBe(true);
+    expect(accessToken.tokenHash).toBe(hashToken(token));
+    expect(accessToken.hint).toBe(token.slice(0, 8));
+    expect(accessToken.scopes).toEqual(['read', 'export']);
+    expect(accessToken.isExpired).toBe(false);
+    expect(accessToken.toJSON()).not.toHaveProperty('tokenHash');
+  });
+});
+
+describe('looksLikeToken', () => {
+  it('tells access tokens from JWTs', () => {
+    expect(PersonalAccessToken.looksLikeToken('eyJhbGciOiJIUzI1NiJ9.e30.x')).toBe(false);
+    expect(PersonalAccessToken.looksLikeToken(undefined)).toBe(false);
+  });
+});
+
+describe('hasScope', () => {
+  it('only grants the scopes it was given', async () => {
+    const { accessToken } = await issue(['export']);
+
+    expect(accessToken.hasScope('export')).toBe(true);
+    expect(accessToken.hasScope('read')).toBe(false);
+  });
+});
+
+describe('scopes', () => {
+  it('must be known and not empty', async () => {
+    const unknown = new PersonalAccessToken({ scopes: ['admin'] });
+    const empty = new PersonalAccessToken({ scopes: [] });
+
+    expect(unknown.validateSync().errors['scopes.0']).toBeDefined();
+    expect(empty.validateSync().errors.scopes.message).toBe('At least one scope is required');
+  });
+});
+
+describe('touch', () => {
+  it('records use at most once a minute', async () => {
+    const { accessToken } = await issue();
+
+    await accessToken.touch({ ip: '203.0.113.7' });
+    await accessToken.touch({ ip: '203.0.113.8' });
+
+    expect(PersonalAccessToken.updateOne).toHaveBeenCalledTimes(1);
+    expect(accessToken.lastUsedIp).toBe('203.0.113.7');
+  });
+});
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const Shelf = require('../../models/Shelf');
+
+const [a, b, c, d] = Array.from({ length: 4 }, () => new mongoose.Types.ObjectId());
+
+const shelfWith = (...ids) => Shelf.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  user: new mongoose.Types.ObjectId(),
+  name: 'Favourites',
+  // Stored out of array order on purpose: position is what counts
+  books: ids.map((book, position) => ({ book, position, addedAt: new Date(2024, 0, position + 1) })).reverse()
+});
+
+const order = (shelf) => shelf.getOrderedBookIds().map(String);
+
+describe('Shelf#getOrderedBookIds', () => {
+  it('orders books by position', () => {
+    expect(order(shelfWith(a, b, c))).toEqual([a, b, c].map(String));
+  });
+});
+
+describe('Shelf#addBook', () => {
+  it('appends by default and inserts at a clamped position', () => {
+    const shelf = shelfWith(a, b);
+
+    expect(shelf.addBook(c)).toBe(true);
+    expect(shelf.addBook(d, 0)).toBe(true);
+    expect(order(shelf)).toEqual([d, a, b, c].map(String));
+
+    const other = shelfWith(a);
+    other.addBook(b, 99);
+    expect(order(other)).toEqual([a, b].map(String));
+  });
+
+  it('refuses a book that is already on the shelf', () => {
+    const shelf = shelfWith(a, b);
+
+    expect(shelf.addBook(a, 1)).toBe(false);
+    expect(order(shelf)).toEqual([a, b].map(String));
+  });
+});
+
+describe('Shelf#setOrder', () => {
+  it('renumbers positions and keeps when each book was added', () => {
+    const shelf = shelfWith(a, b, c);
+
+    shelf.setOrder([c, a, b]);
+
+    expect(shelf.books.map(entry => [entry.book.toString(), entry.position])).toEqual([
+      [c.toString(), 0],
+      [a.toString(), 1],
+      [b.toString(), 2]
+    ]);
+    expect(shelf.books[0].addedAt).toEqual(new Date(2024, 0, 3));
+  });
+});
+
+describe('Shelf#setOrder with books kept in place', () => {
+  it('fills the slots around them', () => {
+    const shelf = shelfWith(a, b, c, d);
+
+    shelf.setOrder([d, a, c], [b]);
+
+    expect(order(shelf)).toEqual([d, b, a, c].map(String));
+  });
+
+  it('appends books that were not on the shelf yet', () => {
+    const shelf = shelfWith(a, b);
+
+    shelf.setOrder([c, a], [b]);
+
+    expect(order(shelf)).toEqual([c, b, a].map(String));
+  });
+});
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+
+const makeUser = (fields = {}) => User.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  failedLoginAttempts: 0,
+  ...fields
+});
+
+beforeEach(() => {
+  jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('registerFailedLogin', () => {
+  it('counts atomically and locks the account on the fifth failure', async () => {
+    const user = makeUser();
+
+    for (let i = 0; i < 4; i += 1) {
+      await user.registerFailedLogin();
+    }
+    expect(user.isLocked).toBe(false);
+    expect(User.updateOne).toHaveBeenLastCalledWith({ _id: user._id }, { $inc: { failedLoginAttempts: 1 } });
+
+    await user.registerFailedLogin();
+
+    expect(user.isLocked).toBe(true);
+    expect(user.lockUntil.getTime() - Date.now()).toBeGreaterThan(14 * 60 * 1000);
+    expect(User.updateOne).toHaveBeenLastCalledWith(
+      { _id: user._id },
+      { $inc: { failedLoginAttempts: 1 }, $set: { lockUntil: user.lockUntil } }
+    );
+  });
+
+  it('starts a fresh count once a lock has run out', async () => {
+    const user = makeUser({ failedLoginAttempts: 5, lockUntil: new Date(Date.now() - 1000) });
+
+    await user.registerFailedLogin();
+
+    expect(user.failedLoginAttempts).toBe(1);
+    expect(user.lockUntil).toBeUndefined();
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: user._id },
+      { $set: { failedLoginAttempts: 1 }, $unset: { lockUntil: 1 } }
+    );
+  });
+});
+
+describe('clearFailedLogins', () => {
+  it('resets the count and lifts a lock', async () => {
+    const user = makeUser({ failedLoginAttempts: 5, lockUntil: new Date(Date.now() + 60 * 1000) });
+
+    await user.clearFailedLogins();
+
+    expect(user.isLocked).toBe(false);
+    expect(user.failedLoginAttempts).toBe(0);
+  });
+
+  it('does not write when there is nothing to clear', async () => {
+    await makeUser().clearFailedLogins();
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+});
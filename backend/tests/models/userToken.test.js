@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const UserToken = require('../../models/UserToken');
+const { hashToken } = require('../../utils/tokens');
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('UserToken.issue', () => {
+  it('replaces unused tokens for the same purpose and stores only the hash', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    jest.spyOn(UserToken, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(UserToken, 'create').mockResolvedValue({});
+
+    const token = await UserToken.issue(userId, 'password-reset', 60);
+
+    expect(UserToken.deleteMany).toHaveBeenCalledWith({ user: userId, purpose: 'password-reset', usedAt: null });
+    const [fields] = UserToken.create.mock.calls[0];
+    expect(fields).toMatchObject({ user: userId, purpose: 'password-reset', tokenHash: hashToken(token) });
+    expect(fields.expiresAt.getTime() - Date.now()).toBeGreaterThan(59 * 60 * 1000);
+  });
+});
+
+describe('UserToken.consume', () => {
+  it('only matches an unused, unexpired token for the purpose and marks it used', async () => {
+    jest.spyOn(UserToken, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await UserToken.consume('raw-token', 'email-verification');
+
+    const [filter, update] = UserToken.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({
+      tokenHash: hashToken('raw-token'),
+      purpose: 'email-verification',
+      usedAt: null,
+      expiresAt: { $gt: expect.any(Date) }
+    });
+    expect(update.$set.usedAt).toEqual(expect.any(Date));
+  });
+});
+
+describe('UserToken.findUsable', () => {
+  it('looks the token up with the same checks but leaves it unused', async () => {
+    jest.spyOn(UserToken, 'findOne').mockResolvedValue(null);
+    jest.spyOn(UserToken, 'findOneAndUpdate');
+
+    await UserToken.findUsable('raw-token', 'two-factor-challenge');
+
+    expect(UserToken.findOne).toHaveBeenCalledWith({
+      tokenHash: hashToken('raw-token'),
+      purpose: 'two-factor-challenge',
+      usedAt: null,
+      expiresAt: { $gt: expect.any(Date) }
+    });
+    expect(UserToken.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
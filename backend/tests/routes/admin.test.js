@@ -0,0 +1,205 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { mockQuery } = require('../helpers/query');
+
+jest.mock('../../services/accounts', () => ({ getLibraryCounts: jest.fn(), deleteAccount: jest.fn() }));
+jest.mock('../../services/uploadUsage', () => ({ getUploadUsage: jest.fn(), getUserUploadBytes: jest.fn() }));
+
+const { getLibraryCounts, deleteAccount } = require('../../services/accounts');
+const { getUploadUsage, getUserUploadBytes } = require('../../services/uploadUsage');
+const User = require('../../models/User');
+const AuthSession = require('../../models/AuthSession');
+const { signAccessToken } = require('../../utils/tokens');
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', require('../../routes/admin'));
+
+const sessionId = new mongoose.Types.ObjectId();
+let admin;
+let member;
+let users;
+
+const makeUser = (fields) => User.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  firstName: 'Test',
+  lastName: 'User',
+  role: 'user',
+  ...fields
+});
+
+const as = (user) => `Bearer ${signAccessToken(user._id, sessionId)}`;
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  admin = makeUser({ username: 'admin', email: 'admin@example.com', role: 'admin' });
+  member = makeUser({ username: 'member', email: 'member@example.com' });
+  users = [admin, member];
+
+  jest.spyOn(AuthSession, 'exists').mockResolvedValue({ _id: sessionId });
+  jest.spyOn(AuthSession, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+  jest.spyOn(User, 'findById').mockImplementation(id => (
+    mockQuery(users.find(user => user._id.equals(id)) || null)
+  ));
+  jest.spyOn(User, 'find').mockImplementation(() => mockQuery(users));
+  jest.spyOn(User, 'countDocuments').mockResolvedValue(2);
+  jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+
+  getLibraryCounts.mockImplementation(async ids => new Map(ids.map(id => [id.toString(), { books: { total: 3 } }])));
+  getUserUploadBytes.mockResolvedValue(2048);
+  getUploadUsage.mockResolvedValue({ driver: 'local', totalFiles: 4, totalBytes: 4096 });
+  deleteAccount.mockResolvedValue({ books: 3 });
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('access', () => {
+  it('is refused to users who are not admins', async () => {
+    const response = await request(app).get('/api/admin/users').set('Authorization', as(member));
+
+    expect(response.status).toBe(403);
+    expect(response.body.message).toBe('Admin access required');
+    expect(User.find).not.toHaveBeenCalled();
+  });
+
+  it('needs a login', async () => {
+    expect((await request(app).get('/api/admin/storage')).status).toBe(401);
+  });
+
+  it('checks the role before the id', async () => {
+    const response = await request(app).get('/api/admin/users/not-an-id').set('Authorization', as(member));
+    expect(response.status).toBe(403);
+  });
+});
+
+describe('GET /api/admin/users', () => {
+  it('searches users with the search text taken literally', async () => {
+    const response = await request(app)
+      .get('/api/admin/users')
+      .query({ q: 'a.b', status: 'disabled', limit: 1 })
+      .set('Authorization', as(admin));
+
+    expect(response.status).toBe(200);
+    const [filter] = User.find.mock.calls[0];
+    expect(filter.$or[0].username).toEqual(/a\.b/i);
+    expect(filter.disabled).toBe(true);
+    expect(response.body.users[0]).toMatchObject({ username: 'admin', library: { books: { total: 3 } } });
+    expect(response.body.users[0]).not.toHaveProperty('password');
+    expect(response.body.pagination).toMatchObject({ total: 2, totalPages: 2, hasNextPage: true });
+  });
+
+  it('rejects unknown roles', async () => {
+    const response = await request(app).get('/api/admin/users?role=owner').set('Authorization', as(admin));
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('GET /api/admin/users/:id', () => {
+  it('includes library counts and upload storage', async () => {
+    const response = await request(app).get(`/api/admin/users/${member._id}`).set('Authorization', as(admin));
+
+    expect(response.status).toBe(200);
+    expect(response.body.user).toMatchObject({ username: 'member', uploadBytes: 2048, library: { books: { total: 3 } } });
+  });
+
+  it('returns 404 for unknown and malformed ids', async () => {
+    const unknown = await request(app)
+      .get(`/api/admin/users/${new mongoose.Types.ObjectId()}`)
+      .set('Authorization', as(admin));
+    expect(unknown.status).toBe(404);
+
+    User.findById.mockClear();
+    const malformed = await request(app).get('/api/admin/users/not-an-id').set('Authorization', as(admin));
+    expect(malformed.status).toBe(404);
+    expect(malformed.body.message).toBe('User not found');
+    expect(User.findById).not.toHaveBeenCalledWith('not-an-id');
+  });
+});
+
+describe('PATCH /api/admin/users/:id', () => {
+  it('disables an account and signs it out everywhere', async () => {
+    const response = await request(app)
+      .patch(`/api/admin/users/${member._id}`)
+      .set('Authorization', as(admin))
+      .send({ disabled: true });
+
+    expect(response.status).toBe(200);
+    expect(member.disabled).toBe(true);
+    expect(member.disabledAt).toEqual(expect.any(Date));
+    expect(AuthSession.updateMany).toHaveBeenCalledWith(
+      { user: member._id, revokedAt: null },
+      { $set: { revokedAt: expect.any(Date) } }
+    );
+  });
+
+  it('changes a role without touching sessions', async () => {
+    const response = await request(app)
+      .patch(`/api/admin/users/${member._id}`)
+      .set('Authorization', as(admin))
+      .send({ role: 'admin' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.user.role).toBe('admin');
+    expect(AuthSession.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('does not let admins change themselves', async () => {
+    const response = await request(app)
+      .patch(`/api/admin/users/${admin._id}`)
+      .set('Authorization', as(admin))
+      .send({ role: 'user' });
+
+    expect(response.status).toBe(400);
+    expect(admin.role).toBe('admin');
+  });
+
+  it('returns 404 for a malformed id', async () => {
+    const response = await request(app)
+      .patch('/api/admin/users/not-an-id')
+      .set('Authorization', as(admin))
+      .send({ disabled: true });
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('DELETE /api/admin/users/:id', () => {
+  it('deletes the account and its data', async () => {
+    const response = await request(app).delete(`/api/admin/users/${member._id}`).set('Authorization', as(admin));
+
+    expect(response.status).toBe(200);
+    expect(deleteAccount).toHaveBeenCalledWith(member);
+    expect(response.body.deleted).toMatchObject({ username: 'member', books: 3 });
+  });
+
+  it('does not let admins delete themselves', async () => {
+    const response = await request(app).delete(`/api/admin/users/${admin._id}`).set('Authorization', as(admin));
+
+    expect(response.status).toBe(400);
+    expect(deleteAccount).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 for a malformed id', async () => {
+    const response = await request(app).delete('/api/admin/users/not-an-id').set('Authorization', as(admin));
+
+    expect(response.status).toBe(404);
+    expect(deleteAccount).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/admin/storage', () => {
+  it('reports upload usage', async () => {
+    const response = await request(app).get('/api/admin/storage').set('Authorization', as(admin));
+
+    expect(response.status).toBe(200);
+    expect(response.body.storage).toMatchObject({ driver: 'local', totalBytes: 4096 });
+  });
+});
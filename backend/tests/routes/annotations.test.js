@@ -0,0 +1,144 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { mockQuery } = require('../helpers/query');
+
+const mockUser = { _id: new mongoose.Types.ObjectId() };
+
+// Every request is signed in as mockUser
+jest.mock('../../middleware/auth', () => {
+  const actual = jest.requireActual('../../middleware/auth');
+  const auth = (req, res, next) => {
+    req.user = mockUser;
+    next();
+  };
+  return Object.assign(auth, actual, { auth });
+});
+
+const Annotation = require('../../models/Annotation');
+const Book = require('../../models/Book');
+
+const app = express();
+app.use(express.json());
+app.use('/api/annotations', require('../../routes/annotations'));
+
+let pageQuery;
+let bookIds;
+
+// Book.find(...).distinct('_id'): the books outside the trash, or an author's
+const mockBookIds = (ids) => jest.spyOn(Book, 'find').mockReturnValue({
+  distinct: jest.fn().mockResolvedValue(ids)
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  bookIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+  mockBookIds(bookIds);
+  pageQuery = mockQuery([]);
+  jest.spyOn(Annotation, 'find').mockReturnValue(pageQuery);
+  jest.spyOn(Annotation, 'countDocuments').mockResolvedValue(30);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('GET /api/annotations', () => {
+  it('lists the newest annotations a page at a time', async () => {
+    const response = await request(app).get('/api/annotations?page=2&limit=10');
+
+    expect(response.status).toBe(200);
+    expect(response.body.mode).toBe('filter');
+    expect(response.body.pagination).toEqual({
+      page: 2,
+      limit: 10,
+      total: 30,
+      totalPages: 3,
+      hasNextPage: true,
+      hasPrevPage: true
+    });
+    expect(Book.find).toHaveBeenCalledWith({ user: mockUser._id });
+    expect(Annotation.find).toHaveBeenCalledWith({ user: mockUser._id, book: { $in: bookIds } });
+    expect(pageQuery.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+    expect(pageQuery.skip).toHaveBeenCalledWith(10);
+    expect(pageQuery.populate).toHaveBeenCalledWith('book', 'title author coverImage coverRenditions');
+  });
+
+  it('filters by type, tag and book', async () => {
+    const book = bookIds[1].toString();
+
+    await request(app).get(`/api/annotations?type=note&tag=Stoicism&book=${book}`);
+
+    expect(Annotation.find).toHaveBeenCalledWith({ user: mockUser._id, type: 'note', tags: 'stoicism', book });
+  });
+
+  it('ranks free text through the text index', async () => {
+    await request(app).get('/api/annotations?q=memento%20mori');
+
+    const [filter, projection] = Annotation.find.mock.calls[0];
+    expect(filter).toEqual({ user: mockUser._id, book: { $in: bookIds }, $text: { $search: 'memento mori' } });
+    expect(projection).toEqual({ score: { $meta: 'textScore' } });
+    expect(pageQuery.sort).toHaveBeenCalledWith({ score: { $meta: 'textScore' }, _id: -1 });
+  });
+
+  it('falls back to a substring match when the text index finds nothing', async () => {
+    Annotation.countDocuments.mockResolvedValueOnce(0).mockResolvedValueOnce(2);
+
+    const response = await request(app).get('/api/annotations?q=mement');
+
+    expect(response.body.mode).toBe('substring');
+    expect(response.body.pagination.total).toBe(2);
+    expect(Annotation.find.mock.calls[1][0]).toEqual({ user: mockUser._id, book: { $in: bookIds }, text: /mement/i });
+  });
+
+  it('narrows to the books by an author', async () => {
+    await request(app).get('/api/annotations?author=le%20guin');
+
+    expect(Book.find).toHaveBeenCalledWith({ user: mockUser._id, author: /le guin/i });
+    expect(Annotation.find).toHaveBeenCalledWith({ user: mockUser._id, book: { $in: bookIds } });
+  });
+
+  it('finds nothing for a book that is in the trash or not by the author', async () => {
+    const book = new mongoose.Types.ObjectId().toString();
+
+    await request(app).get(`/api/annotations?book=${book}`);
+    await request(app).get(`/api/annotations?author=tolkien&book=${book}`);
+
+    expect(Annotation.find).toHaveBeenNthCalledWith(1, { user: mockUser._id, book: { $in: [] } });
+    expect(Annotation.find).toHaveBeenNthCalledWith(2, { user: mockUser._id, book: { $in: [] } });
+  });
+
+  it('keeps the book when it is by the author', async () => {
+    const book = bookIds[0].toString();
+
+    await request(app).get(`/api/annotations?author=tolkien&book=${book}`);
+
+    expect(Annotation.find).toHaveBeenCalledWith({ user: mockUser._id, book });
+  });
+
+  it('rejects malformed book ids', async () => {
+    const response = await request(app).get('/api/annotations?book=nope');
+
+    expect(response.status).toBe(400);
+    expect(Annotation.find).not.toHaveBeenCalled();
+  });
+
+  it('reports database failures', async () => {
+    Annotation.countDocuments.mockRejectedValue(new Error('connection lost'));
+
+    const response = await request(app).get('/api/annotations');
+
+    expect(response.status).toBe(500);
+    expect(response.body).toEqual({ message: 'Server error while searching annotations' });
+  });
+});
+
+describe('GET /api/annotations/tags', () => {
+  it('returns the tag counts', async () => {
+    jest.spyOn(Annotation, 'tagCounts').mockResolvedValue([{ tag: 'stoicism', count: 3 }]);
+
+    const response = await request(app).get('/api/annotations/tags');
+
+    expect(response.status).toBe(200);
+    expect(response.body.tags).toEqual([{ tag: 'stoicism', count: 3 }]);
+    expect(Annotation.tagCounts).toHaveBeenCalledWith(mockUser._id);
+  });
+});
@@ -0,0 +1,958 @@
+process.env.JWT_SECRET = 'test-secret';
+// Keep the rate limiters out of the way of the flows tested here
+process.env.EMAIL_RATE_LIMIT_MAX = '1000';
+process.env.LOGIN_RATE_LIMIT_MAX = '1000';
+process.env.LOGIN_ACCOUNT_RATE_LIMIT_MAX = '1000';
+
+const bcrypt = require('bcryptjs');
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const sharp = require('sharp');
+const { mockQuery } = require('../helpers/query');
+
+// Mail is captured instead of sent
+jest.mock('../../services/mailer', () => ({ sendMail: jest.fn() }));
+// The archive itself is covered in tests/services/takeout.test.js
+jest.mock('../../services/takeout', () => ({ writeTakeout: jest.fn() }));
+
+const { sendMail } = require('../../services/mailer');
+const { writeTakeout } = require('../../services/takeout');
+const User = require('../../models/User');
+const AuthSession = require('../../models/AuthSession');
+const UserToken = require('../../models/UserToken');
+const PersonalAccessToken = require('../../models/PersonalAccessToken');
+const localDriver = require('../../services/storage/localDriver');
+const { generateSecret, generateCode } = require('../../utils/totp');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', require('../../routes/auth'));
+
+const PASSWORD = 'correct horse';
+const PASSWORD_HASH = bcrypt.hashSync(PASSWORD, 4);
+
+// In-memory stand-ins for the collections the routes touch
+let user;
+let authSessions;
+let userTokens;
+let accessTokens;
+
+const same = (a, b) => (a === null || a === undefined ? b === null || b === undefined : String(a) === String(b));
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => {
+  if (value && value.$ne !== undefined) return !same(doc[key], value.$ne);
+  if (value && value.$gt !== undefined) return doc[key] > value.$gt;
+  return same(doc[key], value);
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  authSessions = [];
+  userTokens = [];
+  accessTokens = [];
+  user = User.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    username: 'reader',
+    email: 'reader@example.com',
+    password: PASSWORD_HASH,
+    firstName: 'Ada',
+    lastName: 'Reader',
+    failedLoginAttempts: 0
+  });
+
+  jest.spyOn(User, 'findOne').mockImplementation(filter => mockQuery(filter.email === user.email ? user : null));
+  jest.spyOn(User, 'findById').mockImplementation(id => mockQuery(same(id, user._id) ? user : null));
+  jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(User, 'findByIdAndUpdate').mockImplementation((id, update) => (
+    mockQuery(same(id, user._id) ? user.set(update.$set) : null)
+  ));
+  jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+
+  jest.spyOn(AuthSession, 'create').mockImplementation(async (fields) => {
+    const session = new AuthSession(fields);
+    authSessions.push(session);
+    return session;
+  });
+  jest.spyOn(AuthSession, 'findOne').mockImplementation(filter => (
+    mockQuery(authSessions.find(session => matches(session, filter)) || null)
+  ));
+  jest.spyOn(AuthSession, 'find').mockImplementation(filter => (
+    mockQuery(authSessions.filter(session => matches(session, filter)))
+  ));
+  jest.spyOn(AuthSession, 'exists').mockImplementation(async filter => (
+    authSessions.some(session => matches(session, filter)) ? { _id: filter._id } : null
+  ));
+  jest.spyOn(AuthSession, 'updateMany').mockImplementation(async (filter, update) => {
+    const hits = authSessions.filter(session => matches(session, filter));
+    hits.forEach(session => session.set(update.$set));
+    return { modifiedCount: hits.length };
+  });
+  jest.spyOn(AuthSession.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+
+  jest.spyOn(UserToken, 'create').mockImplementation(async (fields) => {
+    const token = new UserToken(fields);
+    userTokens.push(token);
+    return token;
+  });
+  jest.spyOn(UserToken, 'deleteMany').mockImplementation(async (filter) => {
+    userTokens = userTokens.filter(token => !matches(token, filter));
+    return {};
+  });
+  jest.spyOn(UserToken, 'findOne').mockImplementation(filter => (
+    mockQuery(userTokens.find(token => matches(token, filter)) || null)
+  ));
+  jest.spyOn(UserToken, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const token = userTokens.find(item => matches(item, filter));
+    return token ? token.set(update.$set) : null;
+  });
+
+  jest.spyOn(PersonalAccessToken, 'create').mockImplementation(async (fields) => {
+    const accessToken = new PersonalAccessToken(fields);
+    accessTokens.push(accessToken);
+    return accessToken;
+  });
+  jest.spyOn(PersonalAccessToken, 'findOne').mockImplementation(filter => (
+    mockQuery(accessTokens.find(accessToken => matches(accessToken, filter)) || null)
+  ));
+  jest.spyOn(PersonalAccessToken, 'find').mockImplementation(filter => (
+    mockQuery(accessTokens.filter(accessToken => matches(accessToken, filter)))
+  ));
+  jest.spyOn(PersonalAccessToken, 'countDocuments').mockImplementation(async filter => (
+    accessTokens.filter(accessToken => matches(accessToken, filter)).length
+  ));
+  jest.spyOn(PersonalAccessToken, 'findOneAndDelete').mockImplementation(async (filter) => {
+    const accessToken = accessTokens.find(item => matches(item, filter));
+    accessTokens = accessTokens.filter(item => item !== accessToken);
+    return accessToken || null;
+  });
+  jest.spyOn(PersonalAccessToken, 'deleteMany').mockImplementation(async (filter) => {
+    const kept = accessTokens.filter(accessToken => !matches(accessToken, filter));
+    const deletedCount = accessTokens.length - kept.length;
+    accessTokens = kept;
+    return { deletedCount };
+  });
+  jest.spyOn(PersonalAccessToken, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+  sendMail.mockResolvedValue({ transport: 'test' });
+  jest.spyOn(localDriver, 'put').mockResolvedValue();
+  jest.spyOn(localDriver, 'remove').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+// "refreshToken=..." pair from a response, ready to send back as a Cookie header
+const refreshCookie = (response) => (response.headers['set-cookie'] || [])
+  .find(cookie => cookie.startsWith('refreshToken='))
+  ?.split(';')[0];
+
+const login = async () => {
+  const response = await request(app).post('/api/auth/login').send({ email: user.email, password: PASSWORD });
+  return { token: response.body.token, cookie: refreshCookie(response) };
+};
+
+// Token from the link in the last email sent
+const tokenFromLastEmail = () => {
+  const [message] = sendMail.mock.calls[sendMail.mock.calls.length - 1];
+  return decodeURIComponent(message.text.match(/token=(\S+)/)[1]);
+};
+
+const refresh = (cookie) => request(app).post('/api/auth/refresh').set('Cookie', cookie);
+
+describe('POST /api/auth/login', () => {
+  it('starts a session with an httpOnly refresh cookie', async () => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', 'Mozilla/5.0 (Windows NT 10.0) Gecko/20100101 Firefox/128.0')
+      .send({ email: user.email, password: PASSWORD });
+
+    expect(response.status).toBe(200);
+    expect(response.body.token).toEqual(expect.any(String));
+    expect(response.headers['set-cookie'][0]).toMatch(/^refreshToken=.+; Max-Age=\d+; Path=\/api\/auth; .*HttpOnly/);
+    expect(authSessions).toHaveLength(1);
+    expect(authSessions[0]).toMatchObject({ device: 'Firefox on Windows', revokedAt: null });
+  });
+
+  it('refuses a wrong password without starting a session', async () => {
+    const response = await request(app).post('/api/auth/login').send({ email: user.email, password: 'nope' });
+
+    expect(response.status).toBe(400);
+    expect(refreshCookie(response)).toBeUndefined();
+    expect(authSessions).toEqual([]);
+  });
+});
+
+describe('account lockout', () => {
+  const attempt = (password) => request(app).post('/api/auth/login').send({ email: user.email, password });
+
+  it('locks the account after five wrong passwords, even for the right one', async () => {
+    for (let i = 0; i < 5; i += 1) {
+      expect((await attempt('wrong')).status).toBe(400);
+    }
+
+    const response = await attempt(PASSWORD);
+
+    expect(response.status).toBe(429);
+    expect(response.body.message).toMatch(/^Too many failed login attempts\. Try again in 15 minutes/);
+    expect(authSessions).toEqual([]);
+  });
+
+  it('clears the count after a successful login', async () => {
+    user.failedLoginAttempts = 4;
+
+    expect((await attempt(PASSWORD)).status).toBe(200);
+    expect(user.failedLoginAttempts).toBe(0);
+    expect((await attempt('wrong')).status).toBe(400);
+    expect(user.isLocked).toBe(false);
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  it('rotates the refresh cookie and hands out a working access token', async () => {
+    const { cookie } = await login();
+
+    const response = await refresh(cookie);
+
+    expect(response.status).toBe(200);
+    expect(refreshCookie(response)).not.toBe(cookie);
+    expect(authSessions).toHaveLength(1);
+
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${response.body.token}`);
+    expect(me.status).toBe(200);
+    expect(me.body.user.email).toBe(user.email);
+  });
+
+  it('lets a replayed token through during the grace period without rotating again', async () => {
+    const { cookie } = await login();
+    const rotated = refreshCookie(await refresh(cookie));
+
+    const replay = await refresh(cookie);
+
+    expect(replay.status).toBe(200);
+    expect(replay.body.token).toEqual(expect.any(String));
+    expect(refreshCookie(replay)).toBeUndefined();
+    expect((await refresh(rotated)).status).toBe(200);
+  });
+
+  it('signs the device out when a rotated-away token is replayed later', async () => {
+    const { token, cookie } = await login();
+    const rotated = refreshCookie(await refresh(cookie));
+    authSessions[0].lastSeenAt = new Date(Date.now() - 60 * 1000);
+
+    const replay = await refresh(cookie);
+
+    expect(replay.status).toBe(401);
+    expect(replay.body.message).toBe('Invalid refresh token');
+    expect(authSessions[0].revokedAt).toEqual(expect.any(Date));
+    expect((await refresh(rotated)).status).toBe(401);
+    expect((await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`)).status).toBe(401);
+  });
+
+  it('refuses unknown and missing refresh tokens', async () => {
+    expect((await refresh('refreshToken=made-up')).status).toBe(401);
+    expect((await request(app).post('/api/auth/refresh')).body.message).toBe('No refresh token provided');
+  });
+
+  it('refuses an expired session', async () => {
+    const { cookie } = await login();
+    authSessions[0].expiresAt = new Date(Date.now() - 1000);
+
+    const response = await refresh(cookie);
+
+    expect(response.status).toBe(401);
+    expect(response.body.message).toBe('Session has expired, please log in again');
+  });
+
+  it('ends the session of a disabled account', async () => {
+    const { cookie } = await login();
+    user.disabled = true;
+
+    const response = await refresh(cookie);
+
+    expect(response.status).toBe(401);
+    expect(authSessions[0].revokedAt).toEqual(expect.any(Date));
+  });
+});
+
+describe('POST /api/auth/logout', () => {
+  it('revokes the session so neither token works any more', async () => {
+    const { token, cookie } = await login();
+
+    const response = await request(app).post('/api/auth/logout').set('Cookie', cookie);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['set-cookie'][0]).toMatch(/^refreshToken=;/);
+    expect((await refresh(cookie)).status).toBe(401);
+
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+    expect(me.status).toBe(401);
+    expect(me.body.message).toBe('Session has been signed out');
+  });
+});
+
+describe('session management', () => {
+  it('lists the active sessions and marks the current one', async () => {
+    await login();
+    const { token } = await login();
+    await login();
+    authSessions[2].revokedAt = new Date();
+
+    const response = await request(app).get('/api/auth/sessions').set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.sessions.map(session => session.current)).toEqual([false, true]);
+    expect(response.body.sessions[0]).not.toHaveProperty('tokenHash');
+  });
+
+  it('signs out one device', async () => {
+    const { token } = await login();
+    const other = await login();
+
+    const response = await request(app)
+      .delete(`/api/auth/sessions/${authSessions[1]._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect((await refresh(other.cookie)).status).toBe(401);
+  });
+
+  it('does not reach another user\'s sessions', async () => {
+    const { token } = await login();
+    const stranger = await AuthSession.create({
+      user: new mongoose.Types.ObjectId(),
+      tokenHash: 'other',
+      expiresAt: new Date(Date.now() + 60 * 1000)
+    });
+
+    const response = await request(app)
+      .delete(`/api/auth/sessions/${stranger._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(404);
+    expect(stranger.revokedAt).toBeNull();
+  });
+
+  it('signs out every other device but keeps this one', async () => {
+    const { token, cookie } = await login();
+    const others = [await login(), await login()];
+
+    const response = await request(app).delete('/api/auth/sessions').set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.revoked).toBe(2);
+    expect((await refresh(others[0].cookie)).status).toBe(401);
+    expect((await refresh(cookie)).status).toBe(200);
+  });
+});
+
+describe('POST /api/auth/forgot-password', () => {
+  it('emails a reset link to a known account', async () => {
+    const response = await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+
+    expect(response.status).toBe(200);
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: user.email }));
+    expect(userTokens).toHaveLength(1);
+    expect(userTokens[0].tokenHash).not.toBe(tokenFromLastEmail());
+  });
+
+  it('gives the same answer for an unknown email without sending anything', async () => {
+    const known = await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+    sendMail.mockClear();
+
+    const unknown = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+
+    expect(unknown.status).toBe(known.status);
+    expect(unknown.body).toEqual(known.body);
+    expect(sendMail).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/auth/reset-password', () => {
+  const requestReset = async () => {
+    await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+    return tokenFromLastEmail();
+  };
+
+  const reset = (token, password = 'a brand new password') => request(app)
+    .post('/api/auth/reset-password')
+    .send({ token, password });
+
+  it('sets the new password, lifts a lockout and signs out every device', async () => {
+    const { cookie } = await login();
+    const token = await requestReset();
+    user.failedLoginAttempts = 5;
+    user.lockUntil = new Date(Date.now() + 60 * 1000);
+
+    const response = await reset(token);
+
+    expect(response.status).toBe(200);
+    expect(user.password).toBe('a brand new password');
+    expect(user.isLocked).toBe(false);
+    expect(user.emailVerified).toBe(true);
+    expect((await refresh(cookie)).status).toBe(401);
+  });
+
+  it('only works once', async () => {
+    const token = await requestReset();
+
+    expect((await reset(token)).status).toBe(200);
+
+    const again = await reset(token, 'yet another password');
+    expect(again.status).toBe(400);
+    expect(again.body.message).toBe('Reset link is invalid or has expired');
+  });
+
+  it('refuses an older link once a newer one was sent', async () => {
+    const older = await requestReset();
+    const newer = await requestReset();
+
+    expect((await reset(older)).status).toBe(400);
+    expect((await reset(newer)).status).toBe(200);
+  });
+
+  it('refuses an expired link', async () => {
+    const token = await requestReset();
+    userTokens[0].expiresAt = new Date(Date.now() - 1000);
+
+    expect((await reset(token)).status).toBe(400);
+  });
+
+  it('refuses a short password', async () => {
+    const response = await reset(await requestReset(), 'short');
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Validation error');
+    expect(userTokens[0].usedAt).toBeNull();
+  });
+});
+
+describe('POST /api/auth/verify-email', () => {
+  it('verifies the address from the verification email', async () => {
+    const { token } = await login();
+    await request(app).post('/api/auth/resend-verification').set('Authorization', `Bearer ${token}`);
+
+    const response = await request(app).post('/api/auth/verify-email').send({ token: tokenFromLastEmail() });
+
+    expect(response.status).toBe(200);
+    expect(user.emailVerified).toBe(true);
+    expect(user.emailVerifiedAt).toEqual(expect.any(Date));
+  });
+
+  it('does not accept a password reset token', async () => {
+    await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+
+    const response = await request(app).post('/api/auth/verify-email').send({ token: tokenFromLastEmail() });
+
+    expect(response.status).toBe(400);
+    expect(user.emailVerified).toBe(false);
+  });
+});
+
+describe('PATCH /api/auth/me', () => {
+  it('updates profile fields and preferences', async () => {
+    const { token } = await login();
+
+    const response = await request(app)
+      .patch('/api/auth/me')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ firstName: ' Grace ', preferences: { theme: 'dark' }, role: 'admin' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.user).toMatchObject({
+      firstName: 'Grace',
+      role: 'user',
+      preferences: { theme: 'dark', defaultBookStatus: 'To Read' }
+    });
+    expect(User.findByIdAndUpdate.mock.calls[0][1]).toEqual({
+      $set: { firstName: 'Grace', 'preferences.theme': 'dark' }
+    });
+  });
+
+  it('asks for a changed email to be verified again', async () => {
+    user.emailVerified = true;
+    const { token } = await login();
+
+    const response = await request(app)
+      .patch('/api/auth/me')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ email: 'New@Example.com' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.user).toMatchObject({ email: 'new@example.com', emailVerified: false });
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'new@example.com' }));
+  });
+
+  it('reports a username that is taken', async () => {
+    const { token } = await login();
+    User.findByIdAndUpdate.mockImplementationOnce(() => {
+      throw Object.assign(new Error('E11000'), { code: 11000, keyPattern: { username: 1 } });
+    });
+
+    const response = await request(app)
+      .patch('/api/auth/me')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ username: 'taken' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('That username is already in use');
+  });
+
+  it('rejects unknown preference values and empty updates', async () => {
+    const { token } = await login();
+    const patch = (body) => request(app).patch('/api/auth/me').set('Authorization', `Bearer ${token}`).send(body);
+
+    expect((await patch({ preferences: { theme: 'sepia' } })).status).toBe(400);
+    expect((await patch({})).status).toBe(400);
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('PUT /api/auth/me/password', () => {
+  const changePassword = (token, currentPassword) => request(app)
+    .put('/api/auth/me/password')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ currentPassword, newPassword: 'a brand new password' });
+
+  it('needs the current password', async () => {
+    const { token } = await login();
+
+    const response = await changePassword(token, 'wrong');
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Current password is incorrect');
+    expect(User.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('changes the password and signs out the other devices', async () => {
+    const { token, cookie } = await login();
+    const other = await login();
+
+    const response = await changePassword(token, PASSWORD);
+
+    expect(response.status).toBe(200);
+    expect(user.password).toBe('a brand new password');
+    expect((await refresh(other.cookie)).status).toBe(401);
+    expect((await refresh(cookie)).status).toBe(200);
+  });
+});
+
+describe('avatar', () => {
+  const image = () => sharp({
+    create: { width: 400, height: 300, channels: 3, background: '#336699' }
+  }).png().toBuffer();
+
+  it('stores an uploaded picture as a square JPEG and removes the old one', async () => {
+    user.avatar = '/uploads/avatar-old.jpg';
+    const { token } = await login();
+
+    const response = await request(app)
+      .post('/api/auth/me/avatar')
+      .set('Authorization', `Bearer ${token}`)
+      .attach('avatar', await image(), 'me.png');
+
+    expect(response.status).toBe(200);
+    expect(response.body.user.avatar).toMatch(/^\/uploads\/avatar-[\d-]+\.jpg$/);
+    const [key, data] = localDriver.put.mock.calls[0];
+    expect(response.body.user.avatar).toBe(`/uploads/${key}`);
+    expect(await sharp(data).metadata()).toMatchObject({ format: 'jpeg', width: 256, height: 256 });
+    expect(localDriver.remove).toHaveBeenCalledWith('avatar-old.jpg');
+  });
+
+  it('refuses files that are not images', async () => {
+    const { token } = await login();
+
+    const response = await request(app)
+      .post('/api/auth/me/avatar')
+      .set('Authorization', `Bearer ${token}`)
+      .attach('avatar', Buffer.from('hello'), { filename: 'notes.txt', contentType: 'text/plain' });
+
+    expect(response.status).toBe(400);
+    expect(localDriver.put).not.toHaveBeenCalled();
+  });
+
+  it('needs a file', async () => {
+    const { token } = await login();
+
+    const response = await request(app).post('/api/auth/me/avatar').set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('No image uploaded');
+  });
+
+  it('removes the picture', async () => {
+    user.avatar = '/uploads/avatar-old.jpg';
+    const { token } = await login();
+
+    const response = await request(app).delete('/api/auth/me/avatar').set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.user.avatar).toBeNull();
+    expect(localDriver.remove).toHaveBeenCalledWith('avatar-old.jpg');
+  });
+});
+
+describe('personal access tokens', () => {
+  const createToken = async (sessionToken, scopes = ['read']) => {
+    const response = await request(app)
+      .post('/api/auth/tokens')
+      .set('Authorization', `Bearer ${sessionToken}`)
+      .send({ name: 'Backup script', scopes });
+    return response.body.token;
+  };
+
+  it('shows the token once and stores only its hash', async () => {
+    const { token } = await login();
+
+    const response = await request(app)
+      .post('/api/auth/tokens')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Backup script', scopes: ['read', 'export'], expiresInDays: 7 });
+
+    expect(response.status).toBe(201);
+    expect(response.body.token).toMatch(/^plt_/);
+    expect(response.body.accessToken).toMatchObject({ name: 'Backup script', scopes: ['read', 'export'] });
+    expect(response.body.accessToken).not.toHaveProperty('tokenHash');
+    expect(accessTokens[0].tokenHash).not.toContain(response.body.token);
+
+    const list = await request(app).get('/api/auth/tokens').set('Authorization', `Bearer ${token}`);
+    expect(list.body.tokens).toHaveLength(1);
+    expect(JSON.stringify(list.body)).not.toContain(response.body.token);
+  });
+
+  it('rejects unknown scopes', async () => {
+    const { token } = await login();
+
+    const response = await request(app)
+      .post('/api/auth/tokens')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Too much', scopes: ['admin'] });
+
+    expect(response.status).toBe(400);
+    expect(accessTokens).toEqual([]);
+  });
+
+  it('only reaches endpoints its scopes allow', async () => {
+    const { token } = await login();
+    const readToken = await createToken(token, ['read']);
+    const exportToken = await createToken(token, ['export']);
+
+    expect((await request(app).get('/api/auth/me').set('Authorization', `Bearer ${readToken}`)).status).toBe(200);
+
+    const missingScope = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${exportToken}`);
+    expect(missingScope.status).toBe(403);
+    expect(missingScope.body.message).toBe('This access token is missing the "read" scope');
+  });
+
+  it('cannot manage the account or mint more tokens', async () => {
+    const { token } = await login();
+    const accessToken = await createToken(token, ['read', 'books:write', 'export']);
+    const as = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${accessToken}`);
+
+    expect((await as('post', '/api/auth/tokens').send({ name: 'Another', scopes: ['read'] })).status).toBe(403);
+    expect((await as('put', '/api/auth/me/password').send({ currentPassword: PASSWORD, newPassword: 'something else' })).status).toBe(403);
+    expect((await as('get', '/api/auth/sessions')).status).toBe(403);
+    expect(accessTokens).toHaveLength(1);
+  });
+
+  it('stops working once revoked', async () => {
+    const { token } = await login();
+    const accessToken = await createToken(token);
+
+    const response = await request(app)
+      .delete(`/api/auth/tokens/${accessTokens[0]._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${accessToken}`);
+    expect(me.status).toBe(401);
+    expect(me.body.message).toBe('Access token is invalid or has expired');
+  });
+
+  it('returns 404 for unknown, foreign and malformed ids', async () => {
+    const { token } = await login();
+    const foreign = await PersonalAccessToken.issue(new mongoose.Types.ObjectId(), {
+      name: 'Not yours',
+      scopes: ['read'],
+      expiresInDays: 1
+    });
+    const revoke = (id) => request(app).delete(`/api/auth/tokens/${id}`).set('Authorization', `Bearer ${token}`);
+
+    expect((await revoke(new mongoose.Types.ObjectId())).status).toBe(404);
+    expect((await revoke(foreign.accessToken._id)).status).toBe(404);
+    expect(accessTokens).toHaveLength(1);
+
+    const malformed = await revoke('not-an-id');
+    expect(malformed.status).toBe(404);
+    expect(malformed.body.message).toBe('Access token not found');
+  });
+
+  it('are revoked with a password change unless asked to keep them', async () => {
+    const { token } = await login();
+    await createToken(token);
+    const changePassword = (extra) => {
+      // save() is stubbed, so put the hash back for the next change
+      user.password = PASSWORD_HASH;
+      return request(app)
+        .put('/api/auth/me/password')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ currentPassword: PASSWORD, newPassword: 'a brand new password', ...extra });
+    };
+
+    const kept = await changePassword({ revokeAccessTokens: false });
+    expect(kept.body.accessTokensRevoked).toBe(0);
+    expect(accessTokens).toHaveLength(1);
+
+    const revoked = await changePassword();
+    expect(revoked.status).toBe(200);
+    expect(revoked.body.accessTokensRevoked).toBe(1);
+    expect(accessTokens).toEqual([]);
+  });
+
+  it('are revoked by a password reset', async () => {
+    const { token } = await login();
+    await createToken(token);
+    await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+
+    const response = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token: tokenFromLastEmail(), password: 'a brand new password' });
+
+    expect(response.status).toBe(200);
+    expect(accessTokens).toEqual([]);
+  });
+});
+
+describe('DELETE /api/auth/sessions/:id', () => {
+  it('returns 404 for a malformed id', async () => {
+    const { token } = await login();
+
+    const response = await request(app).delete('/api/auth/sessions/not-an-id').set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(404);
+    expect(response.body.message).toBe('Session not found');
+  });
+});
+
+describe('two-factor login', () => {
+  const secret = generateSecret();
+
+  beforeEach(() => {
+    user.twoFactor = { enabled: true, secret, recoveryCodes: [] };
+  });
+
+  const passwordStep = () => request(app).post('/api/auth/login').send({ email: user.email, password: PASSWORD });
+
+  const codeStep = (challengeToken, code = generateCode(secret)) => request(app)
+    .post('/api/auth/login/2fa')
+    .send({ challengeToken, code });
+
+  it('answers the password with a challenge instead of a session', async () => {
+    const response = await passwordStep();
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ twoFactorRequired: true, challengeToken: expect.any(String) });
+    expect(response.body.token).toBeUndefined();
+    expect(refreshCookie(response)).toBeUndefined();
+    expect(authSessions).toEqual([]);
+  });
+
+  it('starts a session once the code is right', async () => {
+    const { body } = await passwordStep();
+
+    const response = await codeStep(body.challengeToken);
+
+    expect(response.status).toBe(200);
+    expect(response.body.token).toEqual(expect.any(String));
+    expect(refreshCookie(response)).toBeDefined();
+    expect(authSessions).toHaveLength(1);
+  });
+
+  it('lets the code be retyped with the same challenge', async () => {
+    const { body } = await passwordStep();
+
+    expect((await codeStep(body.challengeToken, '000000')).status).toBe(400);
+    expect((await codeStep(body.challengeToken)).status).toBe(200);
+  });
+
+  it('does not let a challenge be used twice', async () => {
+    const { body } = await passwordStep();
+    expect((await codeStep(body.challengeToken)).status).toBe(200);
+
+    const replay = await codeStep(body.challengeToken, generateCode(secret, Math.floor(Date.now() / 30000) + 1));
+
+    expect(replay.status).toBe(401);
+    expect(replay.body.message).toBe('Login has expired, please sign in again');
+    expect(authSessions).toHaveLength(1);
+  });
+
+  it('drops the earlier challenge when the password is entered again', async () => {
+    const first = await passwordStep();
+    const second = await passwordStep();
+
+    expect((await codeStep(first.body.challengeToken)).status).toBe(401);
+    expect((await codeStep(second.body.challengeToken)).status).toBe(200);
+  });
+
+  it('refuses an expired challenge', async () => {
+    const { body } = await passwordStep();
+    userTokens[0].expiresAt = new Date(Date.now() - 1000);
+
+    expect((await codeStep(body.challengeToken)).status).toBe(401);
+  });
+
+  it('keeps the lockout when the password is entered again between wrong codes', async () => {
+    for (let i = 0; i < 5; i += 1) {
+      const { status, body } = await passwordStep();
+      expect(status).toBe(200);
+      expect((await codeStep(body.challengeToken, '000000')).status).toBe(400);
+    }
+
+    expect(user.isLocked).toBe(true);
+    expect((await passwordStep()).status).toBe(429);
+    expect(authSessions).toEqual([]);
+  });
+
+  it('refuses the right code once the account is locked', async () => {
+    const { body } = await passwordStep();
+    user.failedLoginAttempts = 5;
+    user.lockUntil = new Date(Date.now() + 60 * 1000);
+
+    expect((await codeStep(body.challengeToken)).status).toBe(429);
+    expect(authSessions).toEqual([]);
+  });
+
+  it('clears failed logins only after the code step', async () => {
+    user.failedLoginAttempts = 3;
+
+    const { body } = await passwordStep();
+    expect(user.failedLoginAttempts).toBe(3);
+
+    await codeStep(body.challengeToken);
+    expect(user.failedLoginAttempts).toBe(0);
+  });
+});
+
+describe('two-factor enrollment', () => {
+  it('enables two-factor once the first code from the new secret is right', async () => {
+    const { token } = await login();
+    const setup = await request(app).post('/api/auth/2fa/setup').set('Authorization', `Bearer ${token}`);
+
+    expect(setup.status).toBe(200);
+    expect(setup.body.otpauthUri).toContain(`secret=${setup.body.secret}`);
+    user.twoFactor.pendingSecret = setup.body.secret;
+
+    const wrong = await request(app)
+      .post('/api/auth/2fa/enable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: '000000' });
+    expect(wrong.status).toBe(400);
+
+    const response = await request(app)
+      .post('/api/auth/2fa/enable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: generateCode(setup.body.secret) });
+
+    expect(response.status).toBe(200);
+    expect(response.body.recoveryCodes).toHaveLength(10);
+    const [, update] = User.updateOne.mock.calls[User.updateOne.mock.calls.length - 1];
+    expect(update.$set).toMatchObject({ 'twoFactor.enabled': true, 'twoFactor.secret': setup.body.secret });
+    expect(JSON.stringify(update)).not.toContain(response.body.recoveryCodes[0]);
+  });
+
+  it('needs the password to turn two-factor off', async () => {
+    const { token } = await login();
+    user.twoFactor = { enabled: true, secret: generateSecret() };
+    User.updateOne.mockClear();
+
+    const response = await request(app)
+      .post('/api/auth/2fa/disable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: 'wrong' });
+
+    expect(response.status).toBe(400);
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/auth/me/takeout', () => {
+  it('streams a dated zip of the account', async () => {
+    writeTakeout.mockImplementation(async (account, output) => {
+      output.write('zip bytes');
+    });
+    const { token } = await login();
+
+    const response = await request(app).get('/api/auth/me/takeout').set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/zip');
+    expect(response.headers['content-disposition']).toMatch(/^attachment; filename="library-takeout-\d{4}-\d{2}-\d{2}\.zip"$/);
+    expect(writeTakeout.mock.calls[0][0]).toBe(user);
+  });
+
+  it('answers with an error when the export fails before any data is sent', async () => {
+    writeTakeout.mockRejectedValue(new Error('read failed'));
+    const { token } = await login();
+
+    const response = await request(app).get('/api/auth/me/takeout').set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(500);
+    expect(response.body.message).toBe('Server error while creating data export');
+  });
+});
+
+describe('account deletion', () => {
+  const scheduleDeletion = (token, password = PASSWORD) => request(app)
+    .post('/api/auth/me/deletion')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ password });
+
+  it('needs the password', async () => {
+    const { token } = await login();
+
+    const response = await scheduleDeletion(token, 'wrong');
+
+    expect(response.status).toBe(400);
+    expect(user.deletionScheduledFor).toBeUndefined();
+  });
+
+  it('schedules deletion after the grace period and signs out the other devices', async () => {
+    const { token, cookie } = await login();
+    const other = await login();
+
+    const response = await scheduleDeletion(token);
+
+    expect(response.status).toBe(200);
+    const graceDays = (user.deletionScheduledFor - user.deletionRequestedAt) / (24 * 60 * 60 * 1000);
+    expect(graceDays).toBeCloseTo(14);
+    expect(response.body.user.deletionScheduledFor).toBe(user.deletionScheduledFor.toISOString());
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: user.email }));
+    expect((await refresh(other.cookie)).status).toBe(401);
+    expect((await refresh(cookie)).status).toBe(200);
+  });
+
+  it('is not scheduled twice', async () => {
+    const { token } = await login();
+    await scheduleDeletion(token);
+
+    expect((await scheduleDeletion(token)).status).toBe(400);
+  });
+
+  it('can be cancelled during the grace period', async () => {
+    const { token } = await login();
+    await scheduleDeletion(token);
+
+    const response = await request(app).delete('/api/auth/me/deletion').set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(user.deletionScheduledFor).toBeUndefined();
+    expect(response.body.user.deletionScheduledFor).toBeNull();
+    expect((await request(app).delete('/api/auth/me/deletion').set('Authorization', `Bearer ${token}`)).status).toBe(400);
+  });
+});
@@ -0,0 +1,181 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const mockUser = { _id: new mongoose.Types.ObjectId() };
+
+// Every request is signed in as mockUser
+jest.mock('../../middleware/auth', () => {
+  const actual = jest.requireActual('../../middleware/auth');
+  const auth = (req, res, next) => {
+    req.user = mockUser;
+    next();
+  };
+  return Object.assign(auth, actual, { auth });
+});
+
+const Book = require('../../models/Book');
+const Annotation = require('../../models/Annotation');
+
+const app = express();
+app.use(express.json());
+app.use('/api/books/:bookId/annotations', require('../../routes/bookAnnotations'));
+
+// In-memory stand-ins for the collections the route touches
+let book;
+let annotations;
+
+const matches = (annotation, filter) => Object.entries(filter).every(([field, value]) => (
+  String(annotation[field]) === String(value)
+));
+
+const addAnnotation = (fields) => {
+  const annotation = new Annotation({ book: book._id, user: mockUser._id, text: 'A quote', ...fields });
+  annotations.push(annotation);
+  return annotation;
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  annotations = [];
+  book = Book.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    user: mockUser._id,
+    title: 'Meditations',
+    author: 'Marcus Aurelius'
+  });
+
+  jest.spyOn(Book, 'findOne').mockImplementation(async (filter) => (
+    String(filter._id) === String(book._id) ? book : null
+  ));
+  jest.spyOn(Annotation, 'find').mockImplementation(filter => ({
+    sort: async () => annotations
+      .filter(annotation => matches(annotation, filter))
+      .sort((a, b) => a.page - b.page)
+  }));
+  jest.spyOn(Annotation, 'findOne').mockImplementation(async filter => (
+    annotations.find(annotation => matches(annotation, filter)) || null
+  ));
+  jest.spyOn(Annotation, 'findOneAndDelete').mockImplementation(async (filter) => {
+    const annotation = annotations.find(item => matches(item, filter));
+    annotations = annotations.filter(item => item !== annotation);
+    return annotation || null;
+  });
+  jest.spyOn(Annotation.prototype, 'save').mockImplementation(async function() {
+    await this.validate();
+    if (!annotations.includes(this)) annotations.push(this);
+    return this;
+  });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const url = (path = '') => `/api/books/${book._id}/annotations${path}`;
+
+describe('GET /api/books/:bookId/annotations', () => {
+  it('lists the book\'s annotations in reading order', async () => {
+    const later = addAnnotation({ page: 90 });
+    const earlier = addAnnotation({ page: 12, type: 'note' });
+
+    const response = await request(app).get(url());
+
+    expect(response.status).toBe(200);
+    expect(response.body.annotations.map(item => item._id)).toEqual([earlier, later].map(item => String(item._id)));
+    expect(Annotation.find).toHaveBeenCalledWith({ book: book._id, user: mockUser._id });
+  });
+
+  it('filters by type', async () => {
+    addAnnotation({ page: 90 });
+    const note = addAnnotation({ page: 12, type: 'note' });
+
+    const response = await request(app).get(url('?type=note'));
+
+    expect(response.body.annotations.map(item => item._id)).toEqual([String(note._id)]);
+  });
+
+  it('returns 404 for books that are not the user\'s', async () => {
+    const response = await request(app).get(`/api/books/${new mongoose.Types.ObjectId()}/annotations`);
+
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({ message: 'Book not found' });
+  });
+});
+
+describe('POST /api/books/:bookId/annotations', () => {
+  it('adds an annotation to the book', async () => {
+    const response = await request(app)
+      .post(url())
+      .send({ type: 'highlight', text: 'You have power over your mind', page: 42, tags: ['Stoicism'] });
+
+    expect(response.status).toBe(201);
+    expect(response.body.annotation).toMatchObject({
+      type: 'highlight',
+      page: 42,
+      tags: ['stoicism'],
+      book: String(book._id),
+      user: String(mockUser._id)
+    });
+    expect(annotations).toHaveLength(1);
+  });
+
+  it('needs text', async () => {
+    const response = await request(app).post(url()).send({ page: 42 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual(['"text" is required']);
+    expect(annotations).toEqual([]);
+  });
+
+  it('returns 404 for malformed book ids', async () => {
+    Book.findOne.mockRejectedValueOnce(new mongoose.Error.CastError('ObjectId', 'nope', '_id'));
+
+    const response = await request(app).post('/api/books/nope/annotations').send({ text: 'A quote' });
+
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({ message: 'Book or annotation not found' });
+  });
+});
+
+describe('PUT /api/books/:bookId/annotations/:annotationId', () => {
+  it('updates the annotation', async () => {
+    const annotation = addAnnotation({ page: 12 });
+
+    const response = await request(app).put(url(`/${annotation._id}`)).send({ chapter: 'Book II', page: 14 });
+
+    expect(response.status).toBe(200);
+    expect(annotation.chapter).toBe('Book II');
+    expect(annotation.page).toBe(14);
+  });
+
+  it('needs at least one field', async () => {
+    const annotation = addAnnotation({});
+
+    const response = await request(app).put(url(`/${annotation._id}`)).send({});
+
+    expect(response.status).toBe(400);
+  });
+
+  it('returns 404 for unknown annotations', async () => {
+    const response = await request(app).put(url(`/${new mongoose.Types.ObjectId()}`)).send({ page: 1 });
+
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({ message: 'Annotation not found' });
+  });
+});
+
+describe('DELETE /api/books/:bookId/annotations/:annotationId', () => {
+  it('deletes the annotation', async () => {
+    const annotation = addAnnotation({});
+
+    const response = await request(app).delete(url(`/${annotation._id}`));
+
+    expect(response.status).toBe(200);
+    expect(annotations).toEqual([]);
+  });
+
+  it('returns 404 for unknown annotations', async () => {
+    const response = await request(app).delete(url(`/${new mongoose.Types.ObjectId()}`));
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,254 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const mockUser = { _id: new mongoose.Types.ObjectId() };
+
+// Every request is signed in as mockUser
+jest.mock('../../middleware/auth', () => {
+  const actual = jest.requireActual('../../middleware/auth');
+  const auth = (req, res, next) => {
+    req.user = mockUser;
+    next();
+  };
+  return Object.assign(auth, actual, { auth });
+});
+
+const Book = require('../../models/Book');
+const Loan = require('../../models/Loan');
+
+const app = express();
+app.use(express.json());
+app.use('/api/books/:bookId/loans', require('../../routes/bookLoans'));
+
+// In-memory stand-ins for the collections the route touches
+let book;
+let loans;
+
+const matches = (loan, filter) => Object.entries(filter).every(([field, value]) => (
+  value === null ? !loan[field] : String(loan[field]) === String(value)
+));
+
+// A thenable query that also supports .sort(), like a mongoose Query
+const query = (results, single) => {
+  const settle = (items) => (single ? items[0] || null : items);
+  return {
+    sort: (spec) => {
+      const [[field, direction]] = Object.entries(spec);
+      return Promise.resolve(settle([...results].sort((a, b) => direction * (a[field] - b[field]))));
+    },
+    then: (resolve, reject) => Promise.resolve(settle(results)).then(resolve, reject)
+  };
+};
+
+const addLoan = (fields) => {
+  const loan = new Loan({ book: book._id, user: mockUser._id, borrowerName: 'Sam', ...fields });
+  loans.push(loan);
+  return loan;
+};
+
+const day = (n) => new Date(Date.UTC(2024, 0, n));
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  loans = [];
+  book = Book.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    user: mockUser._id,
+    title: 'Piranesi',
+    author: 'Susanna Clarke',
+    format: 'Physical',
+    currentLoan: null
+  });
+
+  jest.spyOn(Book, 'findOne').mockImplementation(async (filter) => (
+    String(filter._id) === String(book._id) ? book : null
+  ));
+  jest.spyOn(Book, 'updateOne').mockImplementation(async (filter, update) => {
+    book.currentLoan = update.$set.currentLoan;
+    return { modifiedCount: 1 };
+  });
+  jest.spyOn(Loan, 'find').mockImplementation(filter => query(loans.filter(loan => matches(loan, filter))));
+  jest.spyOn(Loan, 'findOne').mockImplementation(filter => query(loans.filter(loan => matches(loan, filter)), true));
+  jest.spyOn(Loan, 'findOneAndDelete').mockImplementation(async (filter) => {
+    const loan = loans.find(item => matches(item, filter));
+    loans = loans.filter(item => item !== loan);
+    return loan || null;
+  });
+  jest.spyOn(Loan.prototype, 'save').mockImplementation(async function() {
+    await this.validate();
+    if (!loans.includes(this)) loans.push(this);
+    return this;
+  });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const url = (path = '') => `/api/books/${book._id}/loans${path}`;
+
+describe('GET /api/books/:bookId/loans', () => {
+  it('lists the history newest first with the open loan', async () => {
+    const older = addLoan({ borrowerName: 'Ana', lentAt: day(1), returnedAt: day(5) });
+    const open = addLoan({ borrowerName: 'Sam', lentAt: day(10) });
+
+    const response = await request(app).get(url());
+
+    expect(response.status).toBe(200);
+    expect(response.body.loans.map(loan => loan._id)).toEqual([open, older].map(loan => String(loan._id)));
+    expect(response.body.currentLoan._id).toBe(String(open._id));
+  });
+
+  it('returns 404 for books that are not the user\'s', async () => {
+    const response = await request(app).get(`/api/books/${new mongoose.Types.ObjectId()}/loans`);
+
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({ message: 'Book not found' });
+  });
+});
+
+describe('POST /api/books/:bookId/loans', () => {
+  it('lends the book and records it on the book', async () => {
+    const response = await request(app)
+      .post(url())
+      .send({ borrowerName: 'Sam', lentAt: day(1), dueAt: day(15), conditionOut: 'Like new' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.message).toBe('Lent to Sam');
+    expect(loans).toHaveLength(1);
+    expect(Book.updateOne).toHaveBeenCalledWith({ _id: book._id }, {
+      $set: { currentLoan: { loan: loans[0]._id, borrowerName: 'Sam', lentAt: day(1), dueAt: day(15) } }
+    });
+    expect(response.body.currentLoan.borrowerName).toBe('Sam');
+  });
+
+  it('needs a borrower', async () => {
+    const response = await request(app).post(url()).send({ dueAt: day(15) });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual(['"borrowerName" is required']);
+  });
+
+  it('refuses a second loan while the book is out', async () => {
+    addLoan({ borrowerName: 'Ana', lentAt: day(1) });
+
+    const response = await request(app).post(url()).send({ borrowerName: 'Sam' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('This book is already lent to Ana');
+    expect(loans).toHaveLength(1);
+  });
+
+  it('only lends physical copies', async () => {
+    book.format = 'Ebook';
+
+    const response = await request(app).post(url()).send({ borrowerName: 'Sam' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Only physical copies can be lent');
+  });
+
+  it('reports model validation errors', async () => {
+    const response = await request(app)
+      .post(url())
+      .send({ borrowerName: 'Sam', lentAt: day(10), dueAt: day(5) });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual(['Due date cannot be before the lent date']);
+    expect(book.currentLoan).toBeNull();
+  });
+});
+
+describe('PUT /api/books/:bookId/loans/:loanId', () => {
+  it('updates the loan and the summary on the book', async () => {
+    const loan = addLoan({ lentAt: day(1), dueAt: day(15) });
+
+    const response = await request(app).put(url(`/${loan._id}`)).send({ dueAt: day(30) });
+
+    expect(response.status).toBe(200);
+    expect(loan.dueAt).toEqual(day(30));
+    expect(book.currentLoan.dueAt).toEqual(day(30));
+  });
+
+  it('needs at least one field', async () => {
+    const loan = addLoan({ lentAt: day(1) });
+
+    const response = await request(app).put(url(`/${loan._id}`)).send({});
+
+    expect(response.status).toBe(400);
+  });
+
+  it('returns 404 for unknown and malformed loan ids', async () => {
+    const missing = await request(app).put(url(`/${new mongoose.Types.ObjectId()}`)).send({ dueAt: day(30) });
+    expect(missing.status).toBe(404);
+    expect(missing.body).toEqual({ message: 'Loan not found' });
+
+    Loan.findOne.mockImplementationOnce(() => {
+      throw new mongoose.Error.CastError('ObjectId', 'nope', '_id');
+    });
+    const malformed = await request(app).put(url('/nope')).send({ dueAt: day(30) });
+    expect(malformed.status).toBe(404);
+    expect(malformed.body).toEqual({ message: 'Book or loan not found' });
+  });
+});
+
+describe('POST /api/books/:bookId/loans/:loanId/return', () => {
+  it('marks the loan returned and clears it from the book', async () => {
+    const loan = addLoan({ lentAt: day(1) });
+    book.currentLoan = loan.toBookSummary();
+
+    const response = await request(app)
+      .post(url(`/${loan._id}/return`))
+      .send({ returnedAt: day(9), conditionReturned: 'Coffee stain on p. 12' });
+
+    expect(response.status).toBe(200);
+    expect(loan.returnedAt).toEqual(day(9));
+    expect(loan.conditionReturned).toBe('Coffee stain on p. 12');
+    expect(book.currentLoan).toBeNull();
+    expect(response.body.currentLoan).toBeNull();
+  });
+
+  it('returns today by default', async () => {
+    const loan = addLoan({ lentAt: day(1) });
+
+    await request(app).post(url(`/${loan._id}/return`)).send({});
+
+    expect(Date.now() - loan.returnedAt.getTime()).toBeLessThan(5000);
+  });
+
+  it('refuses to return a loan twice', async () => {
+    const loan = addLoan({ lentAt: day(1), returnedAt: day(5) });
+
+    const response = await request(app).post(url(`/${loan._id}/return`)).send({});
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('This loan has already been returned');
+  });
+});
+
+describe('DELETE /api/books/:bookId/loans/:loanId', () => {
+  it('deletes the loan and falls back to no current loan', async () => {
+    const loan = addLoan({ lentAt: day(1) });
+    book.currentLoan = loan.toBookSummary();
+
+    const response = await request(app).delete(url(`/${loan._id}`));
+
+    expect(response.status).toBe(200);
+    expect(loans).toEqual([]);
+    expect(book.currentLoan).toBeNull();
+  });
+
+  it('keeps the current loan when an old one is deleted', async () => {
+    const old = addLoan({ borrowerName: 'Ana', lentAt: day(1), returnedAt: day(5) });
+    addLoan({ borrowerName: 'Sam', lentAt: day(10) });
+
+    const response = await request(app).delete(url(`/${old._id}`));
+
+    expect(response.body.currentLoan.borrowerName).toBe('Sam');
+  });
+
+  it('returns 404 for unknown loans', async () => {
+    const response = await request(app).delete(url(`/${new mongoose.Types.ObjectId()}`));
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,345 @@
+const axios = require('axios');
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const sharp = require('sharp');
+const { mockQuery } = require('../helpers/query');
+
+const mockUser = { _id: new mongoose.Types.ObjectId() };
+
+// Every request is signed in as mockUser
+jest.mock('../../middleware/auth', () => {
+  const actual = jest.requireActual('../../middleware/auth');
+  const auth = (req, res, next) => {
+    req.user = mockUser;
+    next();
+  };
+  return Object.assign(auth, actual, { auth });
+});
+
+const Annotation = require('../../models/Annotation');
+const Book = require('../../models/Book');
+const BookChange = require('../../models/BookChange');
+const Loan = require('../../models/Loan');
+const ReadingSession = require('../../models/ReadingSession');
+const Shelf = require('../../models/Shelf');
+const localDriver = require('../../services/storage/localDriver');
+
+const app = express();
+app.use(express.json());
+app.use('/api/books', require('../../routes/books'));
+
+let pageQuery;
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  pageQuery = mockQuery([]);
+  jest.spyOn(Book, 'find').mockReturnValue(pageQuery);
+  jest.spyOn(Book, 'countDocuments').mockResolvedValue(45);
+  jest.spyOn(Book, 'aggregate').mockResolvedValue([
+    { _id: 'Read', count: 30 },
+    { _id: 'Reading', count: 15 }
+  ]);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('GET /api/books', () => {
+  it('returns a page with pagination metadata and status counts', async () => {
+    const response = await request(app).get('/api/books?page=2&limit=20');
+
+    expect(response.status).toBe(200);
+    expect(response.body.pagination).toEqual({
+      page: 2,
+      limit: 20,
+      total: 45,
+      totalPages: 3,
+      hasNextPage: true,
+      hasPrevPage: true
+    });
+    expect(response.body.counts).toEqual({ 'To Read': 0, Reading: 15, Read: 30, total: 45 });
+    expect(pageQuery.skip).toHaveBeenCalledWith(20);
+    expect(pageQuery.limit).toHaveBeenCalledWith(20);
+  });
+
+  it('filters and sorts the query for the signed-in user', async () => {
+    await request(app).get('/api/books?status=Read,Reading&sort=-rating&addedTo=2024-01-31');
+
+    const [filter] = Book.find.mock.calls[0];
+    expect(filter.user).toEqual(mockUser._id);
+    expect(filter.status).toEqual({ $in: ['Read', 'Reading'] });
+    expect(filter.createdAt).toEqual({ $lte: new Date('2024-01-31T23:59:59.999Z') });
+    expect(pageQuery.sort).toHaveBeenCalledWith({ rating: -1, _id: -1 });
+    expect(Book.countDocuments).toHaveBeenCalledWith(filter);
+  });
+
+  it('pages through a shelf in shelf order', async () => {
+    const [a, b, c] = Array.from({ length: 3 }, () => new mongoose.Types.ObjectId());
+    const shelf = Shelf.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      user: mockUser._id,
+      name: 'Favourites',
+      books: [{ book: a, position: 2 }, { book: b, position: 0 }, { book: c, position: 1 }]
+    });
+    jest.spyOn(Shelf, 'findOne').mockResolvedValue(shelf);
+    Book.find
+      .mockReturnValueOnce(mockQuery([{ _id: a }, { _id: b }, { _id: c }]))
+      .mockReturnValueOnce(mockQuery([{ _id: c }, { _id: b }]));
+
+    const response = await request(app).get(`/api/books?shelf=${shelf._id}&sort=position&limit=2`);
+
+    expect(response.status).toBe(200);
+    expect(Book.find.mock.calls[1][0]).toEqual({ _id: { $in: [b, c].map(String) } });
+    expect(response.body.books.map(book => book._id)).toEqual([b, c].map(String));
+  });
+
+  it('only sorts by position within a shelf', async () => {
+    const response = await request(app).get('/api/books?sort=position');
+    expect(response.status).toBe(400);
+  });
+
+  it('rejects invalid query parameters', async () => {
+    const response = await request(app).get('/api/books?limit=500');
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      message: 'Invalid query parameters',
+      details: ['"limit" must be less than or equal to 100']
+    });
+    expect(Book.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/books/export', () => {
+  const mockCursor = (books) => {
+    const cursor = {
+      close: jest.fn().mockResolvedValue(),
+      [Symbol.asyncIterator]: async function* () {
+        yield* books;
+      }
+    };
+    pageQuery.cursor = jest.fn(() => cursor);
+    return cursor;
+  };
+
+  it('streams the library as a CSV download', async () => {
+    const cursor = mockCursor([{ _id: 'b1', title: 'Dune', author: 'Frank Herbert' }]);
+
+    const response = await request(app).get('/api/books/export?format=csv');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(response.headers['content-disposition']).toMatch(/^attachment; filename="library-\d{4}-\d{2}-\d{2}\.csv"$/);
+    expect(response.text.split('\r\n')[1]).toMatch(/^b1,Dune,Frank Herbert,/);
+    expect(Book.find).toHaveBeenCalledWith({ user: mockUser._id });
+    expect(cursor.close).toHaveBeenCalled();
+  });
+
+  it('streams JSON on request', async () => {
+    mockCursor([{ _id: 'b1', user: 'u1', title: 'Dune' }]);
+
+    const response = await request(app).get('/api/books/export?format=JSON');
+
+    expect(response.headers['content-type']).toBe('application/json; charset=utf-8');
+    expect(JSON.parse(response.text)).toEqual([{ _id: 'b1', title: 'Dune' }]);
+  });
+
+  it('rejects unknown formats', async () => {
+    const response = await request(app).get('/api/books/export?format=xml');
+
+    expect(response.status).toBe(400);
+    expect(Book.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/books/lookup/:isbn', () => {
+  beforeEach(() => {
+    process.env.BOOK_PROVIDERS = 'fixture';
+  });
+
+  afterEach(() => {
+    delete process.env.BOOK_PROVIDERS;
+  });
+
+  it('returns the edition for autofill', async () => {
+    const response = await request(app).get('/api/books/lookup/978-0-547-72202-3');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      provider: 'fixture',
+      book: { title: 'A Wizard of Earthsea', author: 'Ursula K. Le Guin', pageCount: 183 }
+    });
+  });
+
+  it('returns 404 for an unknown ISBN and 400 for an invalid one', async () => {
+    expect((await request(app).get('/api/books/lookup/9780441013593')).status).toBe(404);
+    expect((await request(app).get('/api/books/lookup/12345')).status).toBe(400);
+  });
+});
+
+describe('GET /api/books/stats', () => {
+  it('is not mistaken for a book id', async () => {
+    jest.spyOn(Book, 'getReadingStats').mockResolvedValue({ totalBooks: 0 });
+    const findOne = jest.spyOn(Book, 'findOne');
+
+    const response = await request(app).get('/api/books/stats');
+
+    expect(response.status).toBe(200);
+    expect(Book.getReadingStats).toHaveBeenCalledWith(mockUser._id);
+    expect(findOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/books/search', () => {
+  const dune = () => Book.hydrate({ _id: new mongoose.Types.ObjectId(), title: 'Dune', author: 'Frank Herbert' });
+
+  it('ranks free text through the text index', async () => {
+    const book = dune();
+    book.set('score', 1.5, { strict: false });
+    Book.find.mockReturnValue(mockQuery([book]));
+    Book.countDocuments.mockResolvedValue(1);
+
+    const response = await request(app).get('/api/books/search?q=dune%20status:read');
+
+    expect(response.status).toBe(200);
+    expect(response.body.mode).toBe('text');
+    expect(Book.find.mock.calls[0][0]).toEqual({
+      user: mockUser._id,
+      status: 'Read',
+      $text: { $search: 'dune' }
+    });
+    expect(response.body.results[0].highlights).toEqual([{ field: 'title', snippet: 'Dune', matches: [[0, 4]] }]);
+  });
+
+  it('falls back to prefix matching when the text index finds nothing', async () => {
+    Book.find
+      .mockReturnValueOnce(mockQuery([]))
+      .mockReturnValueOnce(mockQuery([dune()]));
+    Book.countDocuments.mockResolvedValueOnce(0).mockResolvedValueOnce(1);
+
+    const response = await request(app).get('/api/books/search?q=du');
+
+    expect(response.body.mode).toBe('prefix');
+    expect(response.body.results).toHaveLength(1);
+    expect(response.body.results[0].score).toBeNull();
+  });
+
+  it('reports bad field values as a 400', async () => {
+    const response = await request(app).get('/api/books/search?q=status:lost');
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toMatch(/^status must be one of/);
+  });
+});
+
+describe('book detail', () => {
+  const piranesi = () => Book.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    user: mockUser._id,
+    title: 'Piranesi',
+    author: 'Susanna Clarke',
+    createdAt: new Date('2024-01-01T00:00:00.000Z'),
+    dateStarted: new Date('2024-01-03T00:00:00.000Z')
+  });
+
+  it('returns the activity timeline newest first', async () => {
+    const book = piranesi();
+    jest.spyOn(Book, 'findOne').mockResolvedValue(book);
+    jest.spyOn(ReadingSession, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(Loan, 'find').mockResolvedValue([]);
+    jest.spyOn(Annotation, 'aggregate').mockResolvedValue([]);
+
+    const response = await request(app).get(`/api/books/${book._id}/activity`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.events.map(event => event.type)).toEqual(['started', 'added']);
+    expect(Book.findOne).toHaveBeenCalledWith({ _id: String(book._id), user: mockUser._id });
+  });
+
+  it('returns similar books up to a capped limit', async () => {
+    const book = piranesi();
+    const other = Book.hydrate({ _id: new mongoose.Types.ObjectId(), title: 'Jonathan Strange', author: 'Susanna Clarke' });
+    jest.spyOn(Book, 'findOne').mockResolvedValue(book);
+    jest.spyOn(Book.prototype, 'getSimilarBooks').mockResolvedValue([other]);
+
+    const response = await request(app).get(`/api/books/${book._id}/similar?limit=50`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.books.map(item => item.title)).toEqual(['Jonathan Strange']);
+    expect(Book.prototype.getSimilarBooks).toHaveBeenCalledWith(20);
+  });
+
+  it('returns 404 for books that are not the user\'s', async () => {
+    jest.spyOn(Book, 'findOne').mockResolvedValue(null);
+    const id = new mongoose.Types.ObjectId();
+
+    expect((await request(app).get(`/api/books/${id}/activity`)).status).toBe(404);
+    expect((await request(app).get(`/api/books/${id}/similar`)).status).toBe(404);
+  });
+});
+
+describe('POST /api/books covers', () => {
+  const image = () => sharp({
+    create: { width: 600, height: 900, channels: 3, background: '#336699' }
+  }).png().toBuffer();
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(Book.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(BookChange, 'record').mockResolvedValue();
+    jest.spyOn(localDriver, 'put').mockResolvedValue();
+    jest.spyOn(localDriver, 'remove').mockResolvedValue();
+  });
+
+  it('stores an uploaded cover as renditions', async () => {
+    const response = await request(app)
+      .post('/api/books')
+      .field('title', 'Dune')
+      .field('author', 'Frank Herbert')
+      .attach('coverImage', await image(), 'dune.png');
+
+    expect(response.status).toBe(201);
+    expect(response.body.book.coverRenditions).toHaveLength(6);
+    expect(response.body.book.coverImage).toMatch(/^\/uploads\/book-cover-[\d-]+-large\.jpg$/);
+  });
+
+  it('downloads a cover picked from an online search', async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue({
+      status: 200,
+      headers: { 'content-type': 'image/png' },
+      data: await image()
+    });
+
+    const response = await request(app)
+      .post('/api/books')
+      .send({ title: 'Dune', author: 'Frank Herbert', coverImageUrl: 'https://covers.example.com/dune.png' });
+
+    expect(response.status).toBe(201);
+    expect(axios.get.mock.calls[0][0]).toBe('https://covers.example.com/dune.png');
+    expect(response.body.book.coverRenditions).toHaveLength(6);
+  });
+
+  it('keeps the remote URL when the download fails', async () => {
+    jest.spyOn(axios, 'get').mockRejectedValue(new Error('timeout of 10000ms exceeded'));
+
+    const response = await request(app)
+      .post('/api/books')
+      .send({ title: 'Dune', author: 'Frank Herbert', coverImageUrl: 'https://covers.example.com/dune.png' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.book.coverImage).toBe('https://covers.example.com/dune.png');
+    expect(response.body.book.coverRenditions).toEqual([]);
+  });
+
+  it('removes the stored renditions when the book is invalid', async () => {
+    const response = await request(app)
+      .post('/api/books')
+      .field('author', 'Frank Herbert')
+      .attach('coverImage', await image(), 'dune.png');
+
+    expect(response.status).toBe(400);
+    expect(localDriver.remove).toHaveBeenCalledTimes(6);
+  });
+});
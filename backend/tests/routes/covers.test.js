@@ -0,0 +1,42 @@
+const express = require('express');
+const request = require('supertest');
+
+const app = express();
+app.use('/api/covers', require('../../routes/covers'));
+
+// supertest hands SVG responses back as a Buffer
+
+describe('GET /api/covers/placeholder', () => {
+  it('returns a cacheable SVG for the title and author', async () => {
+    const response = await request(app)
+      .get('/api/covers/placeholder')
+      .query({ title: 'Dune', author: 'Frank Herbert', width: 120, height: 180 });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/svg+xml; charset=utf-8');
+    expect(response.headers['cache-control']).toBe('public, max-age=604800, immutable');
+    const svg = response.body.toString();
+    expect(svg).toContain('width="120" height="180"');
+    expect(svg).toContain('>Dune</tspan>');
+    expect(svg).toContain('>Frank Herbert</tspan>');
+  });
+
+  it('falls back to Untitled at the default size', async () => {
+    const response = await request(app).get('/api/covers/placeholder?title=');
+
+    const svg = response.body.toString();
+    expect(response.status).toBe(200);
+    expect(svg).toContain('width="300" height="450"');
+    expect(svg).toContain('aria-label="Untitled"');
+  });
+
+  it('rejects sizes out of range', async () => {
+    const response = await request(app).get('/api/covers/placeholder?width=5000');
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      message: 'Validation error',
+      details: ['"width" must be less than or equal to 1200']
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const mockUser = { _id: new mongoose.Types.ObjectId() };
+
+// Every request is signed in as mockUser
+jest.mock('../../middleware/auth', () => {
+  const actual = jest.requireActual('../../middleware/auth');
+  const auth = (req, res, next) => {
+    req.user = mockUser;
+    next();
+  };
+  return Object.assign(auth, actual, { auth });
+});
+
+const Goal = require('../../models/Goal');
+
+const app = express();
+app.use(express.json());
+app.use('/api/goals', require('../../routes/goals'));
+
+const progress = { current: 3, target: 12, schedule: 'on-track' };
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(Goal.prototype, 'getProgress').mockResolvedValue(progress);
+  jest.spyOn(Goal.prototype, 'save').mockImplementation(async function() {
+    await this.validate();
+    return this;
+  });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('POST /api/goals', () => {
+  it('creates a books goal for the current year by default', async () => {
+    jest.spyOn(Goal, 'findOne').mockResolvedValue(null);
+
+    const response = await request(app).post('/api/goals').send({ target: 12 });
+
+    expect(response.status).toBe(201);
+    expect(response.body.goal).toMatchObject({
+      year: new Date().getFullYear(),
+      metric: 'books',
+      target: 12,
+      progress
+    });
+    expect(response.body.goal.user).toBe(mockUser._id.toString());
+  });
+
+  it('allows one goal per metric and year', async () => {
+    jest.spyOn(Goal, 'findOne').mockResolvedValue(new Goal({ user: mockUser._id, year: 2024, target: 10 }));
+
+    const response = await request(app).post('/api/goals').send({ year: 2024, target: 12 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('You already have a books goal for 2024');
+    expect(Goal.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('validates the target', async () => {
+    const response = await request(app).post('/api/goals').send({ target: 0, metric: 'minutes' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Validation error');
+  });
+});
+
+describe('GET /api/goals', () => {
+  it('lists the user\'s goals for a year with progress', async () => {
+    const goals = [new Goal({ user: mockUser._id, year: 2024, target: 12 })];
+    jest.spyOn(Goal, 'find').mockReturnValue({ sort: async () => goals });
+
+    const response = await request(app).get('/api/goals?year=2024');
+
+    expect(Goal.find).toHaveBeenCalledWith({ user: mockUser._id, year: 2024 });
+    expect(response.body.goals).toEqual([expect.objectContaining({ year: 2024, progress })]);
+  });
+
+  it('rejects a year that is not a number', async () => {
+    const response = await request(app).get('/api/goals?year=soon');
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('PUT /api/goals/:id', () => {
+  it('only changes goals that belong to the user', async () => {
+    jest.spyOn(Goal, 'findOneAndUpdate').mockResolvedValue(null);
+    const id = new mongoose.Types.ObjectId();
+
+    const response = await request(app).put(`/api/goals/${id}`).send({ target: 20 });
+
+    expect(response.status).toBe(404);
+    expect(Goal.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: id.toString(), user: mockUser._id },
+      { $set: { target: 20 } },
+      expect.any(Object)
+    );
+  });
+});
@@ -0,0 +1,102 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { mockQuery } = require('../helpers/query');
+
+const mockUser = { _id: new mongoose.Types.ObjectId(), updateStats: jest.fn() };
+
+// Every request is signed in as mockUser
+jest.mock('../../middleware/auth', () => {
+  const actual = jest.requireActual('../../middleware/auth');
+  const auth = (req, res, next) => {
+    req.user = mockUser;
+    next();
+  };
+  return Object.assign(auth, actual, { auth });
+});
+
+const Book = require('../../models/Book');
+const BookChange = require('../../models/BookChange');
+
+const app = express();
+app.use(express.json());
+app.use('/api/import', require('../../routes/import'));
+
+const GOODREADS_CSV = [
+  'Book Id,Title,Author,ISBN,ISBN13,My Rating,Number of Pages,Year Published,Original Publication Year,'
+    + 'Date Read,Date Added,Bookshelves,Exclusive Shelf,My Review,Binding',
+  '1,Dune,Frank Herbert,,,,,,,,,,read,,',
+  '2,Hyperion,Dan Simmons,,,,,,,,,,to-read,,',
+  '3,Piranesi,Susanna Clarke,,,,,,,,,,to-read,,'
+].join('\n');
+
+const upload = (query = '') => request(app)
+  .post(`/api/import/books${query}`)
+  .attach('file', Buffer.from(GOODREADS_CSV), 'goodreads_library_export.csv');
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(Book, 'find').mockReturnValue(mockQuery([{ _id: 'existing', title: 'Dune', author: 'Frank Herbert' }]));
+  jest.spyOn(BookChange, 'recordCreates').mockResolvedValue([]);
+  mockUser.updateStats.mockClear();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('POST /api/import/books', () => {
+  it('previews the import without writing anything by default', async () => {
+    const insertMany = jest.spyOn(Book, 'insertMany');
+
+    const response = await upload();
+
+    expect(response.status).toBe(200);
+    expect(response.body.dryRun).toBe(true);
+    expect(response.body.summary).toEqual({ total: 3, new: 2, duplicates: 1, errors: 0 });
+    expect(insertMany).not.toHaveBeenCalled();
+  });
+
+  it('imports the new rows', async () => {
+    jest.spyOn(Book, 'insertMany').mockImplementation(async docs => docs);
+
+    const response = await upload('?dryRun=false');
+
+    expect(response.status).toBe(201);
+    expect(response.body.message).toBe('Imported 2 books');
+    expect(response.body.importedRows).toEqual([3, 4]);
+    expect(response.body.failedRows).toEqual([]);
+    expect(mockUser.updateStats).toHaveBeenCalled();
+  });
+
+  it('reports rows that fail to insert and keeps the rest', async () => {
+    jest.spyOn(Book, 'insertMany').mockImplementation(async (docs) => {
+      const error = new Error('E11000 duplicate key error');
+      error.writeErrors = [{ index: 1 }];
+      error.insertedDocs = [docs[0]];
+      throw error;
+    });
+
+    const response = await upload('?dryRun=false');
+
+    expect(response.status).toBe(201);
+    expect(response.body.message).toBe('Imported 1 book; 1 could not be saved');
+    expect(response.body.summary).toMatchObject({ imported: 1, failed: 1 });
+    expect(response.body.importedRows).toEqual([3]);
+    expect(response.body.failedRows).toEqual([4]);
+    expect(mockUser.updateStats).toHaveBeenCalled();
+    expect(BookChange.recordCreates).toHaveBeenCalledWith([expect.objectContaining({ title: 'Hyperion' })]);
+  });
+
+  it('fails outright on errors other than rejected rows', async () => {
+    jest.spyOn(Book, 'insertMany').mockRejectedValue(new Error('connection lost'));
+
+    const response = await upload('?dryRun=false');
+
+    expect(response.status).toBe(500);
+    expect(BookChange.recordCreates).not.toHaveBeenCalled();
+  });
+
+  it('requires a file', async () => {
+    const response = await request(app).post('/api/import/books');
+    expect(response.status).toBe(400);
+  });
+});
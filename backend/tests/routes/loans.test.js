@@ -0,0 +1,119 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { mockQuery } = require('../helpers/query');
+
+const mockUser = { _id: new mongoose.Types.ObjectId() };
+
+// Every request is signed in as mockUser
+jest.mock('../../middleware/auth', () => {
+  const actual = jest.requireActual('../../middleware/auth');
+  const auth = (req, res, next) => {
+    req.user = mockUser;
+    next();
+  };
+  return Object.assign(auth, actual, { auth });
+});
+
+const Book = require('../../models/Book');
+const Loan = require('../../models/Loan');
+
+const app = express();
+app.use(express.json());
+app.use('/api/loans', require('../../routes/loans'));
+
+let pageQuery;
+// The user's books outside the trash
+let bookIds;
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  bookIds = [new mongoose.Types.ObjectId()];
+  jest.spyOn(Book, 'find').mockReturnValue({ distinct: jest.fn().mockResolvedValue(bookIds) });
+  pageQuery = mockQuery([]);
+  jest.spyOn(Loan, 'find').mockReturnValue(pageQuery);
+  // Page total, then the out and overdue badges
+  jest.spyOn(Loan, 'countDocuments')
+    .mockResolvedValueOnce(60)
+    .mockResolvedValueOnce(4)
+    .mockResolvedValueOnce(1);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('GET /api/loans', () => {
+  it('lists books still out, longest first, with badge counts', async () => {
+    const response = await request(app).get('/api/loans?page=2');
+
+    expect(response.status).toBe(200);
+    expect(response.body.status).toBe('out');
+    expect(response.body.counts).toEqual({ out: 4, overdue: 1 });
+    expect(response.body.pagination).toEqual({
+      page: 2,
+      limit: 50,
+      total: 60,
+      totalPages: 2,
+      hasNextPage: false,
+      hasPrevPage: true
+    });
+    expect(Loan.find).toHaveBeenCalledWith({ user: mockUser._id, returnedAt: null, book: { $in: bookIds } });
+    expect(pageQuery.sort).toHaveBeenCalledWith({ lentAt: 1 });
+    expect(pageQuery.skip).toHaveBeenCalledWith(50);
+    expect(pageQuery.populate).toHaveBeenCalledWith('book', expect.stringContaining('title'));
+  });
+
+  it('lists returned loans most recent first', async () => {
+    await request(app).get('/api/loans?status=returned');
+
+    expect(Loan.find).toHaveBeenCalledWith({ user: mockUser._id, returnedAt: { $ne: null }, book: { $in: bookIds } });
+    expect(pageQuery.sort).toHaveBeenCalledWith({ returnedAt: -1 });
+  });
+
+  it('searches borrowers as plain text', async () => {
+    await request(app).get('/api/loans?status=all&q=sam.');
+
+    const [filter] = Loan.find.mock.calls[0];
+    expect(filter.borrowerName).toEqual(/sam\./i);
+    expect(Loan.countDocuments.mock.calls[0][0]).toBe(filter);
+  });
+
+  it('leaves books in the trash out of the list and the counts', async () => {
+    await request(app).get('/api/loans?status=returned');
+
+    expect(Book.find).toHaveBeenCalledWith({ user: mockUser._id });
+    const filters = Loan.countDocuments.mock.calls.map(([filter]) => filter);
+    expect(filters).toHaveLength(3);
+    filters.forEach(filter => expect(filter.book).toEqual({ $in: bookIds }));
+    expect(filters[1]).toMatchObject({ returnedAt: null });
+    expect(filters[2]).toMatchObject({ returnedAt: null, dueAt: { $ne: null } });
+  });
+
+  it('rejects unknown statuses', async () => {
+    const response = await request(app).get('/api/loans?status=lost');
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Validation error');
+    expect(Loan.find).not.toHaveBeenCalled();
+  });
+
+  it('reports database failures', async () => {
+    Loan.countDocuments.mockReset().mockRejectedValue(new Error('connection lost'));
+
+    const response = await request(app).get('/api/loans');
+
+    expect(response.status).toBe(500);
+    expect(response.body).toEqual({ message: 'Server error while retrieving loans' });
+  });
+});
+
+describe('GET /api/loans/overdue', () => {
+  it('lists overdue loans, most overdue first, whatever the query says', async () => {
+    const response = await request(app).get('/api/loans/overdue?status=returned');
+
+    expect(response.body.status).toBe('overdue');
+    const [filter] = Loan.find.mock.calls[0];
+    expect(filter).toMatchObject({ user: mockUser._id, returnedAt: null, dueAt: { $ne: null } });
+    expect(filter.dueAt.$lt).toBeInstanceOf(Date);
+    expect(pageQuery.sort).toHaveBeenCalledWith({ dueAt: 1 });
+  });
+});
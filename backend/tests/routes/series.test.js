@@ -0,0 +1,83 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { mockQuery } = require('../helpers/query');
+
+const mockUser = { _id: new mongoose.Types.ObjectId() };
+
+// Every request is signed in as mockUser
+jest.mock('../../middleware/auth', () => {
+  const actual = jest.requireActual('../../middleware/auth');
+  const auth = (req, res, next) => {
+    req.user = mockUser;
+    next();
+  };
+  return Object.assign(auth, actual, { auth });
+});
+
+const Book = require('../../models/Book');
+
+const app = express();
+app.use(express.json());
+app.use('/api/series', require('../../routes/series'));
+
+const books = [
+  { _id: 'b2', title: 'Caliban\'s War', author: 'James S.A. Corey', status: 'To Read', series: { name: 'The Expanse', number: 2 } },
+  { _id: 'b1', title: 'Leviathan Wakes', author: 'James S.A. Corey', status: 'Read', series: { name: 'The Expanse', number: 1 } }
+];
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('GET /api/series', () => {
+  it('lists series with a short volume list', async () => {
+    jest.spyOn(Book, 'find').mockReturnValue(mockQuery(books));
+
+    const response = await request(app).get('/api/series');
+
+    expect(response.status).toBe(200);
+    expect(response.body.series).toEqual([expect.objectContaining({
+      name: 'The Expanse',
+      total: 2,
+      volumes: [
+        { _id: 'b1', title: 'Leviathan Wakes', number: 1, status: 'Read' },
+        { _id: 'b2', title: 'Caliban\'s War', number: 2, status: 'To Read' }
+      ]
+    })]);
+    expect(Book.find).toHaveBeenCalledWith({ user: mockUser._id, 'series.name': { $nin: [null, ''] } });
+  });
+});
+
+describe('GET /api/series/names', () => {
+  it('keeps one spelling per series', async () => {
+    jest.spyOn(Book, 'distinct').mockResolvedValue(['the expanse', 'Dune', 'The Expanse']);
+
+    const response = await request(app).get('/api/series/names');
+
+    expect(response.body.names).toEqual(['Dune', 'The Expanse']);
+  });
+});
+
+describe('GET /api/series/:name', () => {
+  it('matches the name case-insensitively', async () => {
+    const query = mockQuery(books);
+    jest.spyOn(Book, 'find').mockReturnValue(query);
+
+    const response = await request(app).get('/api/series/the%20expanse');
+
+    expect(response.status).toBe(200);
+    expect(response.body.series.nextUnread).toMatchObject({ title: 'Caliban\'s War', number: 2 });
+    expect(Book.find.mock.calls[0][0]['series.name']).toBe('the expanse');
+    expect(query.collation).toHaveBeenCalledWith({ locale: 'en', strength: 2 });
+  });
+
+  it('returns 404 for a series with no books', async () => {
+    jest.spyOn(Book, 'find').mockReturnValue(mockQuery([]));
+
+    const response = await request(app).get('/api/series/Unknown');
+    expect(response.status).toBe(404);
+  });
+});
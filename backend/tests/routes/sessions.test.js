@@ -0,0 +1,242 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const mockUser = { _id: new mongoose.Types.ObjectId() };
+
+// Every request is signed in as mockUser
+jest.mock('../../middleware/auth', () => {
+  const actual = jest.requireActual('../../middleware/auth');
+  const auth = (req, res, next) => {
+    req.user = mockUser;
+    next();
+  };
+  return Object.assign(auth, actual, { auth });
+});
+
+const Book = require('../../models/Book');
+const ReadingSession = require('../../models/ReadingSession');
+const BookChange = require('../../models/BookChange');
+
+const app = express();
+app.use(express.json());
+app.use('/api/books/:bookId/sessions', require('../../routes/sessions'));
+
+// In-memory stand-ins for the collections the route touches
+let book;
+let sessions;
+let order;
+
+// A thenable query that also supports .sort(), like a mongoose Query
+const query = (results) => ({
+  sort: (spec) => {
+    const [field] = Object.keys(spec);
+    return Promise.resolve([...results].sort((a, b) => b[field] - a[field])[0] || null);
+  },
+  then: (resolve, reject) => Promise.resolve(results[0] || null).then(resolve, reject)
+});
+
+const matches = (session, filter) => (
+  (!filter._id || session._id.equals(filter._id))
+  && (filter.endedAt !== null || !session.endedAt)
+  && (!filter.endPage || (session.endPage !== undefined && session.endPage !== null))
+);
+
+const addSession = (fields) => {
+  const session = new ReadingSession({ book: book._id, user: mockUser._id, ...fields });
+  sessions.push(session);
+  return session;
+};
+
+const days = (n) => new Date(Date.UTC(2024, 0, n));
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  order = [];
+  sessions = [];
+  book = Book.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    user: mockUser._id,
+    title: 'Piranesi',
+    author: 'Susanna Clarke',
+    status: 'Reading',
+    pageCount: 200,
+    currentPage: 0,
+    dateStarted: days(1)
+  });
+
+  jest.spyOn(Book, 'findOne').mockImplementation(() => Promise.resolve(book));
+  jest.spyOn(Book.prototype, 'save').mockImplementation(async function() {
+    order.push('book');
+    return this;
+  });
+  jest.spyOn(BookChange, 'record').mockResolvedValue(null);
+  jest.spyOn(ReadingSession, 'findOne').mockImplementation(filter => (
+    query(sessions.filter(session => matches(session, filter)))
+  ));
+  jest.spyOn(ReadingSession, 'findOneAndDelete').mockImplementation(async (filter) => {
+    const session = sessions.find(item => item._id.equals(filter._id));
+    sessions = sessions.filter(item => item !== session);
+    return session || null;
+  });
+  jest.spyOn(ReadingSession.prototype, 'save').mockImplementation(async function() {
+    await this.validate();
+    order.push('session');
+    if (!sessions.includes(this)) sessions.push(this);
+    return this;
+  });
+  jest.spyOn(ReadingSession.prototype, 'deleteOne').mockImplementation(async function() {
+    sessions = sessions.filter(item => item !== this);
+    return this;
+  });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const url = (path = '') => `/api/books/${book._id}/sessions${path}`;
+
+describe('POST /api/books/:bookId/sessions', () => {
+  it('moves progress forward from the newest session', async () => {
+    addSession({ startedAt: days(2), endedAt: days(2), startPage: 0, endPage: 40 });
+    book.currentPage = 40;
+
+    const response = await request(app)
+      .post(url())
+      .send({ startedAt: days(3), endedAt: days(3), endPage: 80 });
+
+    expect(response.status).toBe(201);
+    expect(book.currentPage).toBe(80);
+    expect(response.body.session.percent).toBe(40);
+  });
+
+  it('does not move progress back when an older session is logged', async () => {
+    addSession({ startedAt: days(5), endedAt: days(5), startPage: 40, endPage: 120 });
+    book.currentPage = 120;
+
+    const response = await request(app)
+      .post(url())
+      .send({ startedAt: days(2), endedAt: days(2), startPage: 0, endPage: 40 });
+
+    expect(response.status).toBe(201);
+    expect(book.currentPage).toBe(120);
+  });
+
+  it('finishes a book on the date the session ended', async () => {
+    const response = await request(app)
+      .post(url())
+      .send({ startedAt: days(10), endedAt: days(10), startPage: 150, endPage: 200 });
+
+    expect(response.status).toBe(201);
+    expect(book.status).toBe('Read');
+    expect(book.dateFinished).toEqual(days(10));
+  });
+
+  it('saves the session before the book', async () => {
+    await request(app)
+      .post(url())
+      .send({ startedAt: days(3), endedAt: days(3), endPage: 80 });
+
+    expect(order).toEqual(['session', 'book']);
+  });
+
+  it('leaves the book alone when the session cannot be saved', async () => {
+    ReadingSession.prototype.save.mockRejectedValueOnce(new Error('write failed'));
+
+    const response = await request(app)
+      .post(url())
+      .send({ startedAt: days(3), endedAt: days(3), endPage: 80 });
+
+    expect(response.status).toBe(500);
+    expect(order).toEqual([]);
+    expect(BookChange.record).not.toHaveBeenCalled();
+    expect(book.currentPage).toBe(0);
+  });
+
+  it('moves the start date back when a backdated session finishes the book', async () => {
+    book.dateStarted = days(20);
+
+    const response = await request(app)
+      .post(url())
+      .send({ startedAt: days(8), endedAt: days(10), startPage: 150, endPage: 200 });
+
+    expect(response.status).toBe(201);
+    expect(book.dateStarted).toEqual(days(8));
+    expect(book.dateFinished).toEqual(days(10));
+  });
+
+  it('removes the new session when the book cannot be saved', async () => {
+    Book.prototype.save.mockRejectedValueOnce(new Error('write failed'));
+
+    const response = await request(app)
+      .post(url())
+      .send({ startedAt: days(3), endedAt: days(3), endPage: 80 });
+
+    expect(response.status).toBe(500);
+    expect(sessions).toEqual([]);
+  });
+});
+
+describe('PUT /api/books/:bookId/sessions/:sessionId', () => {
+  it('corrects progress when the newest session is edited down', async () => {
+    addSession({ startedAt: days(2), endedAt: days(2), startPage: 0, endPage: 40 });
+    const latest = addSession({ startedAt: days(3), endedAt: days(3), startPage: 40, endPage: 180 });
+    book.currentPage = 180;
+
+    const response = await request(app).put(url(`/${latest._id}`)).send({ endPage: 80 });
+
+    expect(response.status).toBe(200);
+    expect(book.currentPage).toBe(80);
+  });
+
+  it('keeps progress on the newest session when an older one is edited', async () => {
+    const older = addSession({ startedAt: days(2), endedAt: days(2), startPage: 0, endPage: 40 });
+    addSession({ startedAt: days(3), endedAt: days(3), startPage: 40, endPage: 120 });
+    book.currentPage = 120;
+
+    await request(app).put(url(`/${older._id}`)).send({ endPage: 30 });
+
+    expect(book.currentPage).toBe(120);
+  });
+
+  it('puts the session back when the book cannot be saved', async () => {
+    const latest = addSession({ startedAt: days(3), endedAt: days(3), startPage: 40, endPage: 120 });
+    book.currentPage = 120;
+    Book.prototype.save.mockRejectedValueOnce(new Error('write failed'));
+
+    const response = await request(app).put(url(`/${latest._id}`)).send({ endPage: 80 });
+
+    expect(response.status).toBe(500);
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0].endPage).toBe(120);
+    expect(sessions[0].percent).toBeUndefined();
+  });
+});
+
+describe('DELETE /api/books/:bookId/sessions/:sessionId', () => {
+  it('falls back to the previous session when the newest is deleted', async () => {
+    addSession({ startedAt: days(2), endedAt: days(2), startPage: 0, endPage: 40 });
+    const latest = addSession({ startedAt: days(3), endedAt: days(3), startPage: 40, endPage: 120 });
+    book.currentPage = 120;
+
+    const response = await request(app).delete(url(`/${latest._id}`));
+
+    expect(response.status).toBe(200);
+    expect(book.currentPage).toBe(40);
+    expect(book.percentComplete).toBe(20);
+    expect(BookChange.record).toHaveBeenCalledWith(book, 'update', expect.any(Object));
+  });
+
+  it('falls back to where the only session started', async () => {
+    const only = addSession({ startedAt: days(2), endedAt: days(2), startPage: 10, endPage: 60 });
+    book.currentPage = 60;
+
+    await request(app).delete(url(`/${only._id}`));
+
+    expect(book.currentPage).toBe(10);
+  });
+
+  it('returns 404 for an unknown session', async () => {
+    const response = await request(app).delete(url(`/${new mongoose.Types.ObjectId()}`));
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,214 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { mockQuery } = require('../helpers/query');
+
+const mockUser = { _id: new mongoose.Types.ObjectId() };
+
+// Every request is signed in as mockUser
+jest.mock('../../middleware/auth', () => {
+  const actual = jest.requireActual('../../middleware/auth');
+  const auth = (req, res, next) => {
+    req.user = mockUser;
+    next();
+  };
+  return Object.assign(auth, actual, { auth });
+});
+
+const Book = require('../../models/Book');
+const Shelf = require('../../models/Shelf');
+
+const app = express();
+app.use(express.json());
+app.use('/api/shelves', require('../../routes/shelves'));
+
+const ids = Array.from({ length: 4 }, () => new mongoose.Types.ObjectId());
+const [first, second, third, fourth] = ids;
+
+let shelf;
+
+const shelfOrder = () => shelf.getOrderedBookIds().map(id => id.toString());
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  shelf = Shelf.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    user: mockUser._id,
+    name: 'Favourites',
+    books: ids.slice(0, 3).map((book, position) => ({ book, position, addedAt: new Date(2024, 0, position + 1) }))
+  });
+
+  jest.spyOn(Shelf, 'findOne').mockImplementation(async () => shelf);
+  jest.spyOn(Shelf.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+  jest.spyOn(Book, 'distinct').mockResolvedValue([]);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('POST /api/shelves', () => {
+  it('creates an empty shelf', async () => {
+    const response = await request(app).post('/api/shelves').send({ name: ' To gift ', color: '#aa3300' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.shelf).toMatchObject({ name: 'To gift', color: '#aa3300', bookCount: 0, bookIds: [] });
+  });
+
+  it('reports a name the user already has', async () => {
+    Shelf.prototype.save.mockRejectedValueOnce(Object.assign(new Error('E11000'), { code: 11000 }));
+
+    const response = await request(app).post('/api/shelves').send({ name: 'Favourites' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('You already have a shelf with that name');
+  });
+
+  it('rejects colours that are not hex', async () => {
+    const response = await request(app).post('/api/shelves').send({ name: 'Red', color: 'red' });
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('GET /api/shelves/:id', () => {
+  it('returns the books in shelf order', async () => {
+    const books = [third, first, second].map(_id => Book.hydrate({ _id, title: _id.toString(), author: 'A' }));
+    jest.spyOn(Book, 'find').mockResolvedValue(books);
+
+    const response = await request(app).get(`/api/shelves/${shelf._id}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.books.map(book => book._id)).toEqual([first, second, third].map(String));
+  });
+});
+
+describe('POST /api/shelves/:id/books', () => {
+  it('adds one of the user\'s books at a position', async () => {
+    jest.spyOn(Book, 'findOne').mockReturnValue(mockQuery({ _id: fourth }));
+
+    const response = await request(app)
+      .post(`/api/shelves/${shelf._id}/books`)
+      .send({ bookId: fourth.toString(), position: 1 });
+
+    expect(response.status).toBe(201);
+    expect(Book.findOne).toHaveBeenCalledWith({ _id: fourth.toString(), user: mockUser._id });
+    expect(shelfOrder()).toEqual([first, fourth, second, third].map(String));
+  });
+
+  it('does not add a book twice', async () => {
+    jest.spyOn(Book, 'findOne').mockReturnValue(mockQuery({ _id: first }));
+
+    const response = await request(app).post(`/api/shelves/${shelf._id}/books`).send({ bookId: first.toString() });
+
+    expect(response.status).toBe(400);
+    expect(Shelf.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 for a book the user does not own', async () => {
+    jest.spyOn(Book, 'findOne').mockReturnValue(mockQuery(null));
+
+    const response = await request(app).post(`/api/shelves/${shelf._id}/books`).send({ bookId: fourth.toString() });
+
+    expect(response.status).toBe(404);
+    expect(response.body.message).toBe('Book not found');
+  });
+});
+
+describe('PUT /api/shelves/:id/books/order', () => {
+  const reorder = (bookIds) => request(app)
+    .put(`/api/shelves/${shelf._id}/books/order`)
+    .send({ bookIds: bookIds.map(String) });
+
+  it('rewrites the shelf order', async () => {
+    const response = await reorder([third, first, second]);
+
+    expect(response.status).toBe(200);
+    expect(shelfOrder()).toEqual([third, first, second].map(String));
+    expect(response.body.shelf.bookIds).toEqual([third, first, second].map(String));
+  });
+
+  it('requires exactly the books on the shelf', async () => {
+    expect((await reorder([third, first])).status).toBe(400);
+    expect((await reorder([third, first, second, fourth])).status).toBe(400);
+    expect(Shelf.prototype.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('DELETE /api/shelves/:id/books/:bookId', () => {
+  it('closes the gap the book leaves', async () => {
+    const response = await request(app).delete(`/api/shelves/${shelf._id}/books/${first}`);
+
+    expect(response.status).toBe(200);
+    expect(shelf.books.map(entry => entry.position)).toEqual([0, 1]);
+    expect(shelfOrder()).toEqual([second, third].map(String));
+  });
+
+  it('returns 404 for a book that is not on the shelf', async () => {
+    const response = await request(app).delete(`/api/shelves/${shelf._id}/books/${fourth}`);
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('books in the trash', () => {
+  const trashed = fourth;
+
+  const reorder = (bookIds) => request(app)
+    .put(`/api/shelves/${shelf._id}/books/order`)
+    .send({ bookIds: bookIds.map(String) });
+
+  beforeEach(() => {
+    shelf.set('books', [first, trashed, second, third].map((book, position) => ({
+      book,
+      position,
+      addedAt: new Date(2024, 0, position + 1)
+    })));
+    jest.spyOn(Shelf, 'find').mockReturnValue({ sort: async () => [shelf] });
+    // Book.distinct for trashed books, honouring an _id: { $in } filter
+    Book.distinct.mockImplementation(async (field, filter) => {
+      const candidates = filter._id ? filter._id.$in.map(String) : ids.map(String);
+      return candidates.includes(trashed.toString()) ? [trashed] : [];
+    });
+  });
+
+  it('are left out of shelf lists and their counts', async () => {
+    const response = await request(app).get('/api/shelves');
+
+    expect(response.status).toBe(200);
+    expect(response.body.shelves[0].bookIds).toEqual([first, second, third].map(String));
+    expect(response.body.shelves[0].bookCount).toBe(3);
+  });
+
+  it('are left out of a single shelf the same way', async () => {
+    jest.spyOn(Book, 'find').mockResolvedValue([]);
+
+    const response = await request(app).get(`/api/shelves/${shelf._id}`);
+
+    expect(response.body.shelf.bookIds).toEqual([first, second, third].map(String));
+    expect(response.body.shelf.bookCount).toBe(3);
+  });
+
+  it('keep their slots when the visible books are reordered', async () => {
+    const response = await reorder([third, first, second]);
+
+    expect(response.status).toBe(200);
+    expect(shelfOrder()).toEqual([third, trashed, first, second].map(String));
+    expect(response.body.shelf.bookIds).toEqual([third, first, second].map(String));
+    expect(response.body.shelf.bookCount).toBe(3);
+    const entry = shelf.books.find(item => item.book.equals(trashed));
+    expect(entry.addedAt).toEqual(new Date(2024, 0, 2));
+  });
+
+  it('are not needed, or accepted, in a reorder', async () => {
+    expect((await reorder([third, first])).status).toBe(400);
+    expect((await reorder([third, trashed, first, second])).status).toBe(400);
+    expect(Shelf.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('stay on the shelf when another book is removed', async () => {
+    const response = await request(app).delete(`/api/shelves/${shelf._id}/books/${first}`);
+
+    expect(response.status).toBe(200);
+    expect(shelfOrder()).toEqual([trashed, second, third].map(String));
+    expect(response.body.shelf.bookIds).toEqual([second, third].map(String));
+  });
+});
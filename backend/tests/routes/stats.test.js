@@ -0,0 +1,77 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const mockUser = { _id: new mongoose.Types.ObjectId() };
+
+// Every request is signed in as mockUser
+jest.mock('../../middleware/auth', () => {
+  const actual = jest.requireActual('../../middleware/auth');
+  const auth = (req, res, next) => {
+    req.user = mockUser;
+    next();
+  };
+  return Object.assign(auth, actual, { auth });
+});
+
+const Book = require('../../models/Book');
+
+const app = express();
+app.use(express.json());
+app.use('/api/stats', require('../../routes/stats'));
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(Book, 'getReadingStats').mockResolvedValue({ totalBooks: 3 });
+  jest.spyOn(Book, 'getFinishedTimeline').mockResolvedValue([]);
+  jest.spyOn(Book, 'getBreakdown').mockResolvedValue([]);
+  jest.spyOn(Book, 'getRatingDistribution').mockResolvedValue([]);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('GET /api/stats', () => {
+  it('returns every chart in one response', async () => {
+    const response = await request(app).get('/api/stats');
+
+    expect(response.status).toBe(200);
+    expect(Object.keys(response.body)).toEqual(
+      expect.arrayContaining(['summary', 'timeline', 'genres', 'authors', 'formats', 'ratings'])
+    );
+    expect(Book.getReadingStats).toHaveBeenCalledWith(mockUser._id);
+  });
+});
+
+describe('GET /api/stats/timeline', () => {
+  it('limits the timeline to the requested year', async () => {
+    const response = await request(app).get('/api/stats/timeline?period=month&year=2024');
+
+    expect(response.status).toBe(200);
+    expect(Book.getFinishedTimeline).toHaveBeenCalledWith(mockUser._id, {
+      period: 'month',
+      from: new Date('2024-01-01T00:00:00.000Z'),
+      to: new Date('2025-01-01T00:00:00.000Z')
+    });
+  });
+
+  it('rejects unknown periods', async () => {
+    const response = await request(app).get('/api/stats/timeline?period=week');
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('GET /api/stats/breakdown/:field', () => {
+  it('groups by an allowed field', async () => {
+    const response = await request(app).get('/api/stats/breakdown/author?limit=5');
+
+    expect(response.body).toEqual({ field: 'author', breakdown: [] });
+    expect(Book.getBreakdown).toHaveBeenCalledWith(mockUser._id, 'author', { limit: 5 });
+  });
+
+  it('refuses fields outside the allow-list', async () => {
+    const response = await request(app).get('/api/stats/breakdown/password');
+
+    expect(response.status).toBe(400);
+    expect(Book.getBreakdown).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,78 @@
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { Readable } = require('stream');
+const localDriver = require('../../services/storage/localDriver');
+const s3Driver = require('../../services/storage/s3Driver');
+
+const app = express();
+app.use('/uploads', require('../../routes/uploads'));
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-test-'));
+  process.env.STORAGE_LOCAL_DIR = dir;
+});
+
+afterEach(() => {
+  ['STORAGE_LOCAL_DIR', 'STORAGE_DRIVER', 'STORAGE_URL_MODE', 'STORAGE_SIGNED_URL_TTL'].forEach(name => delete process.env[name]);
+  fs.rmSync(dir, { recursive: true, force: true });
+  jest.restoreAllMocks();
+});
+
+describe('GET /uploads/:key', () => {
+  it('streams local files with a long cache lifetime', async () => {
+    fs.writeFileSync(path.join(dir, 'cover.webp'), 'webp bytes');
+
+    const response = await request(app).get('/uploads/cover.webp');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/webp');
+    expect(response.headers['content-length']).toBe('10');
+    expect(response.headers['cache-control']).toBe('public, max-age=31536000, immutable');
+    expect(response.body.toString()).toBe('webp bytes');
+  });
+
+  it('returns 404 for missing files and keys that are not ours', async () => {
+    expect((await request(app).get('/uploads/missing.jpg')).status).toBe(404);
+    expect((await request(app).get('/uploads/.env')).body).toEqual({ message: 'File not found' });
+  });
+
+  it('redirects to a signed URL when the driver has one', async () => {
+    process.env.STORAGE_DRIVER = 's3';
+    process.env.STORAGE_SIGNED_URL_TTL = '600';
+    jest.spyOn(s3Driver, 'signedUrl').mockReturnValue('https://bucket.example.com/cover.jpg?X-Amz-Signature=abc');
+
+    const response = await request(app).get('/uploads/cover.jpg');
+
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toBe('https://bucket.example.com/cover.jpg?X-Amz-Signature=abc');
+    expect(response.headers['cache-control']).toBe('private, max-age=300');
+    expect(s3Driver.signedUrl).toHaveBeenCalledWith('cover.jpg', 600);
+  });
+
+  it('streams remote files through the API in proxy mode', async () => {
+    process.env.STORAGE_DRIVER = 's3';
+    process.env.STORAGE_URL_MODE = 'proxy';
+    jest.spyOn(s3Driver, 'open').mockResolvedValue({ stream: Readable.from([Buffer.from('jpeg bytes')]) });
+
+    const response = await request(app).get('/uploads/cover.jpg');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/jpeg');
+    expect(response.body.toString()).toBe('jpeg bytes');
+  });
+
+  it('reports storage failures', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(localDriver, 'open').mockRejectedValue(new Error('EACCES'));
+
+    const response = await request(app).get('/uploads/cover.jpg');
+
+    expect(response.status).toBe(500);
+    expect(response.body).toEqual({ message: 'Server error while loading file' });
+  });
+});
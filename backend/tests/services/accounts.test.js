@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { mockQuery } = require('../helpers/query');
+
+const User = require('../../models/User');
+const Book = require('../../models/Book');
+const BookChange = require('../../models/BookChange');
+const ReadingSession = require('../../models/ReadingSession');
+const Loan = require('../../models/Loan');
+const Annotation = require('../../models/Annotation');
+const Shelf = require('../../models/Shelf');
+const Goal = require('../../models/Goal');
+const AuthSession = require('../../models/AuthSession');
+const UserToken = require('../../models/UserToken');
+const PersonalAccessToken = require('../../models/PersonalAccessToken');
+const localDriver = require('../../services/storage/localDriver');
+const { deleteAccount, purgeScheduledDeletions } = require('../../services/accounts');
+
+const OWNED_MODELS = [Book, BookChange, ReadingSession, Loan, Annotation, Shelf, Goal, AuthSession, UserToken, PersonalAccessToken];
+
+const makeUser = () => User.hydrate({ _id: new mongoose.Types.ObjectId(), avatar: '/uploads/avatar-1.jpg' });
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  OWNED_MODELS.forEach(Model => jest.spyOn(Model, 'deleteMany').mockResolvedValue({ deletedCount: 2 }));
+  jest.spyOn(User, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+  jest.spyOn(Book, 'find').mockReturnValue(mockQuery([
+    { coverImage: '/uploads/book-cover-1-large.jpg', coverRenditions: [{ url: '/uploads/book-cover-1-thumb.webp' }] },
+    { coverImage: 'https://covers.example.com/remote.jpg', coverRenditions: [] }
+  ]));
+  jest.spyOn(localDriver, 'remove').mockResolvedValue();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('deleteAccount', () => {
+  it('removes everything the user owns, the trash and uploaded files included', async () => {
+    const user = makeUser();
+
+    const result = await deleteAccount(user);
+
+    expect(result).toEqual({ books: 2 });
+    OWNED_MODELS.forEach(Model => expect(Model.deleteMany).toHaveBeenCalledWith({ user: user._id }));
+    expect(User.deleteOne).toHaveBeenCalledWith({ _id: user._id });
+    expect(Book.find.mock.results[0].value.withDeleted).toHaveBeenCalled();
+    expect(localDriver.remove.mock.calls.map(([key]) => key).sort()).toEqual([
+      'avatar-1.jpg', 'book-cover-1-large.jpg', 'book-cover-1-thumb.webp'
+    ]);
+  });
+
+  it('keeps the files when the documents could not be deleted', async () => {
+    Book.deleteMany.mockRejectedValueOnce(new Error('write failed'));
+
+    await expect(deleteAccount(makeUser())).rejects.toThrow('write failed');
+    expect(localDriver.remove).not.toHaveBeenCalled();
+  });
+});
+
+describe('purgeScheduledDeletions', () => {
+  it('deletes accounts past their grace period and carries on after a failure', async () => {
+    const users = [makeUser(), makeUser()];
+    jest.spyOn(User, 'find').mockResolvedValue(users);
+    User.deleteOne.mockRejectedValueOnce(new Error('write failed'));
+
+    const purged = await purgeScheduledDeletions();
+
+    expect(User.find).toHaveBeenCalledWith({ deletionScheduledFor: { $lte: expect.any(Date) } });
+    expect(purged).toBe(1);
+    expect(User.deleteOne).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,148 @@
+const axios = require('axios');
+const { searchBooks, lookupIsbn, listProviders } = require('../../services/bookProviders');
+
+const GOOGLE_VOLUME = {
+  volumeInfo: {
+    title: 'Dune',
+    authors: ['Frank Herbert'],
+    categories: ['Fiction'],
+    industryIdentifiers: [
+      { type: 'ISBN_10', identifier: '0441013597' },
+      { type: 'ISBN_13', identifier: '9780441013593' }
+    ],
+    publishedDate: '2005-08-02',
+    pageCount: 528,
+    imageLinks: { thumbnail: 'http://books.google.com/cover.jpg' },
+    language: 'en'
+  }
+};
+
+const OPEN_LIBRARY_BOOK = {
+  title: 'Dune',
+  authors: [{ name: 'Frank Herbert' }],
+  subjects: [{ name: 'Science fiction' }],
+  notes: { value: 'Ace edition' },
+  publish_date: '2005',
+  number_of_pages: 528,
+  cover: { medium: 'https://covers.openlibrary.org/b/id/1-M.jpg' }
+};
+
+// Answer axios.get per host; a function value can throw to simulate an outage
+const mockApis = (responses) => jest.spyOn(axios, 'get').mockImplementation(async (url) => {
+  const host = new URL(url).host;
+  const response = responses[host];
+  if (typeof response === 'function') return response();
+  return { data: response || {} };
+});
+
+const outage = () => {
+  throw new Error('quota exceeded');
+};
+
+beforeEach(() => {
+  delete process.env.BOOK_PROVIDERS;
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('lookupIsbn', () => {
+  it('normalizes the ISBN and maps the first provider with a result', async () => {
+    mockApis({ 'www.googleapis.com': { items: [GOOGLE_VOLUME] } });
+
+    const { provider, book } = await lookupIsbn('0-441-01359-7');
+
+    expect(axios.get).toHaveBeenCalledWith(
+      'https://www.googleapis.com/books/v1/volumes',
+      expect.objectContaining({ params: { q: 'isbn:9780441013593', maxResults: 1 } })
+    );
+    expect(provider).toBe('google');
+    expect(book).toEqual({
+      title: 'Dune',
+      author: 'Frank Herbert',
+      genre: 'Fiction',
+      description: '',
+      isbn: '9780441013593',
+      publishedDate: '2005-08-02',
+      pageCount: 528,
+      coverImage: 'https://books.google.com/cover.jpg',
+      language: 'en',
+      source: 'google'
+    });
+  });
+
+  it('falls back to Open Library when Google has nothing', async () => {
+    mockApis({
+      'www.googleapis.com': { items: [] },
+      'openlibrary.org': { 'ISBN:9780441013593': OPEN_LIBRARY_BOOK }
+    });
+
+    const { provider, book } = await lookupIsbn('9780441013593');
+
+    expect(provider).toBe('openlibrary');
+    expect(book).toMatchObject({
+      author: 'Frank Herbert',
+      genre: 'Science fiction',
+      description: 'Ace edition',
+      coverImage: 'https://covers.openlibrary.org/b/id/1-M.jpg'
+    });
+  });
+
+  it('skips a provider that fails', async () => {
+    mockApis({
+      'www.googleapis.com': outage,
+      'openlibrary.org': { 'ISBN:9780441013593': OPEN_LIBRARY_BOOK }
+    });
+
+    expect((await lookupIsbn('9780441013593')).provider).toBe('openlibrary');
+  });
+
+  it('raises the error only when every provider failed', async () => {
+    mockApis({ 'www.googleapis.com': outage, 'openlibrary.org': outage });
+
+    await expect(lookupIsbn('9780441013593')).rejects.toThrow('quota exceeded');
+  });
+
+  it('returns no book when no provider knows the ISBN', async () => {
+    mockApis({});
+
+    expect(await lookupIsbn('9780441013593')).toEqual({ provider: null, book: null });
+  });
+
+  it('rejects invalid ISBNs before calling any provider', async () => {
+    mockApis({});
+
+    await expect(lookupIsbn('12345')).rejects.toMatchObject({ status: 400 });
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+});
+
+describe('BOOK_PROVIDERS', () => {
+  it('chooses and orders the enabled providers', async () => {
+    process.env.BOOK_PROVIDERS = 'openlibrary, google, nonsense';
+
+    expect(listProviders()).toEqual([
+      { name: 'openlibrary', label: 'Open Library' },
+      { name: 'google', label: 'Google Books' }
+    ]);
+  });
+
+  it('serves lookups and searches from the offline fixture', async () => {
+    process.env.BOOK_PROVIDERS = 'fixture';
+    mockApis({});
+
+    const { provider, book } = await lookupIsbn('9780547722023');
+    const { books } = await searchBooks('le guin darkness');
+
+    expect(provider).toBe('fixture');
+    expect(book.title).toBe('A Wizard of Earthsea');
+    expect(books.map(result => result.title)).toEqual(['The Left Hand of Darkness']);
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  it('refuses a provider that is not enabled', async () => {
+    process.env.BOOK_PROVIDERS = 'fixture';
+
+    await expect(searchBooks('dune', { provider: 'google' })).rejects.toMatchObject({ status: 400 });
+  });
+});
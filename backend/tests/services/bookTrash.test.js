@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const Annotation = require('../../models/Annotation');
+const Book = require('../../models/Book');
+const BookChange = require('../../models/BookChange');
+const Loan = require('../../models/Loan');
+const ReadingSession = require('../../models/ReadingSession');
+const Shelf = require('../../models/Shelf');
+const localDriver = require('../../services/storage/localDriver');
+const { trashRetentionDays, purgeDateFor, purgeBook, purgeExpiredTrash } = require('../../services/bookTrash');
+
+const trashedBook = (fields) => Book.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  user: new mongoose.Types.ObjectId(),
+  title: 'Dune',
+  author: 'Frank Herbert',
+  deletedAt: new Date('2024-01-01T00:00:00.000Z'),
+  ...fields
+});
+
+beforeEach(() => {
+  [ReadingSession, Loan, Annotation, BookChange].forEach(Model => jest.spyOn(Model, 'deleteMany').mockResolvedValue({}));
+  jest.spyOn(Shelf, 'updateMany').mockResolvedValue({});
+  jest.spyOn(Book, 'deleteOne').mockResolvedValue({});
+  jest.spyOn(localDriver, 'remove').mockResolvedValue();
+});
+
+afterEach(() => {
+  delete process.env.BOOK_TRASH_DAYS;
+  jest.restoreAllMocks();
+});
+
+describe('trash retention', () => {
+  it('keeps books for 30 days unless BOOK_TRASH_DAYS says otherwise', () => {
+    expect(trashRetentionDays()).toBe(30);
+    expect(purgeDateFor('2024-01-01T00:00:00.000Z')).toEqual(new Date('2024-01-31T00:00:00.000Z'));
+
+    process.env.BOOK_TRASH_DAYS = '7';
+    expect(purgeDateFor('2024-01-01T00:00:00.000Z')).toEqual(new Date('2024-01-08T00:00:00.000Z'));
+  });
+});
+
+describe('purgeBook', () => {
+  it('deletes the book with everything that belongs to it', async () => {
+    const book = trashedBook({
+      coverImage: '/uploads/book-cover-1-large.jpg',
+      coverRenditions: [{ size: 'thumb', format: 'webp', url: '/uploads/book-cover-1-thumb.webp' }]
+    });
+
+    await purgeBook(book);
+
+    const owned = { book: book._id, user: book.user };
+    [ReadingSession, Loan, Annotation, BookChange].forEach(Model => (
+      expect(Model.deleteMany).toHaveBeenCalledWith(owned)
+    ));
+    expect(Shelf.updateMany).toHaveBeenCalledWith(
+      { user: book.user, 'books.book': book._id },
+      { $pull: { books: { book: book._id } } }
+    );
+    expect(Book.deleteOne).toHaveBeenCalledWith({ _id: book._id });
+    expect(localDriver.remove.mock.calls.map(([key]) => key)).toEqual([
+      'book-cover-1-large.jpg',
+      'book-cover-1-thumb.webp'
+    ]);
+  });
+
+  it('keeps the book when its records could not be removed', async () => {
+    Loan.deleteMany.mockRejectedValue(new Error('connection lost'));
+
+    await expect(purgeBook(trashedBook())).rejects.toThrow('connection lost');
+    expect(Book.deleteOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('purgeExpiredTrash', () => {
+  it('purges books past the retention period and carries on after a failure', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const books = [trashedBook(), trashedBook(), trashedBook()];
+    jest.spyOn(Book, 'find').mockResolvedValue(books);
+    Book.deleteOne.mockRejectedValueOnce(new Error('connection lost'));
+
+    expect(await purgeExpiredTrash()).toBe(2);
+
+    const [filter] = Book.find.mock.calls[0];
+    expect(filter.deletedAt.$ne).toBeNull();
+    expect(Date.now() - filter.deletedAt.$lte.getTime()).toBeGreaterThanOrEqual(30 * 24 * 60 * 60 * 1000);
+    expect(console.error).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const localDriver = require('../../services/storage/localDriver');
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-test-'));
+  // A directory that doesn't exist yet, so put has to create it
+  process.env.STORAGE_LOCAL_DIR = path.join(dir, 'uploads');
+});
+
+afterEach(() => {
+  delete process.env.STORAGE_LOCAL_DIR;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('localDriver', () => {
+  it('stores files in STORAGE_LOCAL_DIR', async () => {
+    await localDriver.put('cover.jpg', Buffer.from('jpeg bytes'));
+
+    expect(localDriver.rootDir()).toBe(path.join(dir, 'uploads'));
+    expect(fs.readFileSync(path.join(dir, 'uploads', 'cover.jpg'), 'utf8')).toBe('jpeg bytes');
+    expect((await localDriver.get('cover.jpg')).toString()).toBe('jpeg bytes');
+    expect(await localDriver.exists('cover.jpg')).toBe(true);
+  });
+
+  it('opens files as a stream with their size', async () => {
+    await localDriver.put('cover.jpg', Buffer.from('jpeg bytes'));
+
+    const file = await localDriver.open('cover.jpg');
+
+    expect(file.size).toBe(10);
+    expect((await readStream(file.stream)).toString()).toBe('jpeg bytes');
+  });
+
+  it('treats missing files as absent rather than failing', async () => {
+    expect(await localDriver.get('missing.jpg')).toBeNull();
+    expect(await localDriver.open('missing.jpg')).toBeNull();
+    expect(await localDriver.exists('missing.jpg')).toBe(false);
+    await expect(localDriver.remove('missing.jpg')).resolves.toBeUndefined();
+    expect(await localDriver.list()).toEqual([]);
+  });
+
+  it('removes files', async () => {
+    await localDriver.put('cover.jpg', Buffer.from('jpeg bytes'));
+
+    await localDriver.remove('cover.jpg');
+
+    expect(await localDriver.exists('cover.jpg')).toBe(false);
+  });
+
+  it('lists stored files with their sizes, skipping dotfiles and directories', async () => {
+    await localDriver.put('a.jpg', Buffer.from('12345'));
+    await localDriver.put('b.webp', Buffer.from('123'));
+    fs.writeFileSync(path.join(dir, 'uploads', '.gitkeep'), '');
+    fs.mkdirSync(path.join(dir, 'uploads', 'nested'));
+
+    const files = await localDriver.list();
+
+    expect(files.sort((a, b) => a.key.localeCompare(b.key))).toEqual([
+      { key: 'a.jpg', size: 5 },
+      { key: 'b.webp', size: 3 }
+    ]);
+    expect(await localDriver.open('nested')).toBeNull();
+  });
+
+  it('keeps keys inside the uploads directory', async () => {
+    await localDriver.put('../escape.jpg', Buffer.from('x'));
+
+    expect(fs.existsSync(path.join(dir, 'escape.jpg'))).toBe(false);
+    expect(fs.existsSync(path.join(dir, 'uploads', 'escape.jpg'))).toBe(true);
+  });
+
+  it('has no signed URLs', () => {
+    expect(localDriver.signedUrl('cover.jpg', 60)).toBeNull();
+  });
+});
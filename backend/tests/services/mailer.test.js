@@ -0,0 +1,87 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sendMail, getTransport } = require('../../services/mailer');
+const { passwordResetEmail, verificationEmail } = require('../../services/mailer/templates');
+
+const ENV_KEYS = ['MAIL_TRANSPORT', 'MAIL_DIR', 'MAIL_FROM', 'SMTP_HOST', 'FRONTEND_URL'];
+const savedEnv = {};
+let outbox;
+
+beforeEach(() => {
+  ENV_KEYS.forEach((key) => {
+    savedEnv[key] = process.env[key];
+    delete process.env[key];
+  });
+  outbox = fs.mkdtempSync(path.join(os.tmpdir(), 'mailer-test-'));
+});
+
+afterEach(() => {
+  ENV_KEYS.forEach((key) => {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  });
+  fs.rmSync(outbox, { recursive: true, force: true });
+  jest.restoreAllMocks();
+});
+
+const user = { email: 'reader@example.com', firstName: '<Ada>' };
+
+describe('getTransport', () => {
+  it('prints to the console unless told otherwise', () => {
+    expect(getTransport().name).toBe('console');
+    process.env.MAIL_TRANSPORT = ' File ';
+    expect(getTransport().name).toBe('file');
+  });
+
+  it('refuses a transport it does not know', () => {
+    process.env.MAIL_TRANSPORT = 'pigeon';
+    expect(() => getTransport()).toThrow('Unknown mail transport: pigeon');
+  });
+});
+
+describe('sendMail', () => {
+  it('writes each message to the outbox with the file transport', async () => {
+    process.env.MAIL_TRANSPORT = 'file';
+    process.env.MAIL_DIR = outbox;
+    process.env.MAIL_FROM = 'Library <library@example.com>';
+
+    const result = await sendMail({ to: user.email, subject: 'Hello', text: 'Hi' });
+
+    expect(result.transport).toBe('file');
+    const message = JSON.parse(fs.readFileSync(result.file, 'utf8'));
+    expect(message).toMatchObject({ from: 'Library <library@example.com>', to: user.email, subject: 'Hello', text: 'Hi' });
+  });
+
+  it('prints the message with the console transport', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await sendMail({ to: user.email, subject: 'Hello', text: 'Hi' });
+
+    expect(log.mock.calls[0][0]).toContain(`To: ${user.email}`);
+  });
+
+  it('needs SMTP_HOST for SMTP', async () => {
+    process.env.MAIL_TRANSPORT = 'smtp';
+    await expect(sendMail({ to: user.email })).rejects.toThrow('SMTP_HOST must be set');
+  });
+});
+
+describe('templates', () => {
+  it('links to the frontend with the token', () => {
+    process.env.FRONTEND_URL = 'https://books.example.com/';
+
+    const message = passwordResetEmail(user, 'a+b/c', 60);
+
+    expect(message.to).toBe(user.email);
+    expect(message.text).toContain('https://books.example.com/reset-password?token=a%2Bb%2Fc');
+    expect(message.text).toContain('expires in 60 minutes');
+  });
+
+  it('escapes user data in the HTML body', () => {
+    const message = verificationEmail(user, 'token');
+
+    expect(message.html).toContain('Hi &lt;Ada&gt;,');
+    expect(message.text).toContain('Hi <Ada>,');
+  });
+});
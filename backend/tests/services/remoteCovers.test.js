@@ -0,0 +1,138 @@
+const axios = require('axios');
+const dns = require('dns');
+const sharp = require('sharp');
+const localDriver = require('../../services/storage/localDriver');
+const { fetchRemoteCover } = require('../../services/remoteCovers');
+
+const image = () => sharp({
+  create: { width: 600, height: 900, channels: 3, background: '#336699' }
+}).jpeg().toBuffer();
+
+const ok = (data, contentType = 'image/jpeg') => ({ status: 200, headers: { 'content-type': contentType }, data });
+const redirect = (location) => ({ status: 302, headers: { location } });
+
+// Resolve the agent's lookup for a hostname, as a connection would
+const lookup = (config, hostname) => new Promise((resolve, reject) => {
+  config.httpsAgent.options.lookup(hostname, {}, (error, address) => (error ? reject(error) : resolve(address)));
+});
+
+beforeEach(() => {
+  jest.spyOn(localDriver, 'put').mockResolvedValue();
+  jest.spyOn(localDriver, 'remove').mockResolvedValue();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('fetchRemoteCover', () => {
+  it('downloads an image and stores it as renditions', async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue(ok(await image()));
+
+    const cover = await fetchRemoteCover('https://covers.example.com/dune.jpg');
+
+    expect(cover.coverRenditions).toHaveLength(6);
+    expect(cover.coverImage).toMatch(/^\/uploads\/book-cover-[\d-]+-large\.jpg$/);
+    const [url, config] = axios.get.mock.calls[0];
+    expect(url).toBe('https://covers.example.com/dune.jpg');
+    expect(config).toMatchObject({ responseType: 'arraybuffer', maxRedirects: 0 });
+  });
+
+  it('follows redirects and checks every hop', async () => {
+    jest.spyOn(axios, 'get')
+      .mockResolvedValueOnce(redirect('/covers/dune.jpg'))
+      .mockResolvedValueOnce(ok(await image()));
+
+    await fetchRemoteCover('https://example.com/dune');
+
+    expect(axios.get.mock.calls[1][0]).toBe('https://example.com/covers/dune.jpg');
+  });
+
+  it.each([
+    ['not a url', 'Cover URL is not valid'],
+    ['ftp://example.com/cover.jpg', 'Cover URL must use http or https'],
+    ['http://127.0.0.1/cover.jpg', 'Cover URL points to a private address'],
+    ['http://192.168.1.20/cover.jpg', 'Cover URL points to a private address'],
+    ['http://[::1]/cover.jpg', 'Cover URL points to a private address']
+  ])('refuses %s', async (url, message) => {
+    jest.spyOn(axios, 'get');
+
+    await expect(fetchRemoteCover(url)).rejects.toMatchObject({ status: 400, message });
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  it('refuses redirects to private addresses', async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue(redirect('http://169.254.169.254/latest/meta-data'));
+
+    await expect(fetchRemoteCover('https://example.com/cover.jpg'))
+      .rejects.toMatchObject({ status: 400, message: 'Cover URL points to a private address' });
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+
+  it('gives up after too many redirects', async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue(redirect('/again'));
+
+    await expect(fetchRemoteCover('https://example.com/cover.jpg'))
+      .rejects.toMatchObject({ status: 400, message: 'Could not download cover: too many redirects' });
+    expect(axios.get).toHaveBeenCalledTimes(4);
+  });
+
+  it('reports redirects without a location', async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue({ status: 301, headers: {} });
+
+    await expect(fetchRemoteCover('https://example.com/cover.jpg'))
+      .rejects.toMatchObject({ status: 400, message: 'Could not download cover: redirect without a location' });
+  });
+
+  it('reports failed downloads', async () => {
+    jest.spyOn(axios, 'get').mockRejectedValue(new Error('Request failed with status code 404'));
+
+    await expect(fetchRemoteCover('https://example.com/cover.jpg'))
+      .rejects.toMatchObject({ status: 400, message: 'Could not download cover: Request failed with status code 404' });
+  });
+
+  it('refuses responses that are not images', async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue(ok(Buffer.from('<html></html>'), 'text/html'));
+
+    await expect(fetchRemoteCover('https://example.com/cover.jpg'))
+      .rejects.toMatchObject({ status: 400, message: 'Cover URL did not return an image' });
+    expect(localDriver.put).not.toHaveBeenCalled();
+  });
+
+  it('refuses images it cannot read', async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue(ok(Buffer.from('not really a jpeg')));
+
+    await expect(fetchRemoteCover('https://example.com/cover.jpg'))
+      .rejects.toMatchObject({ status: 400, message: 'Cover image could not be processed' });
+  });
+
+  describe('connection lookup', () => {
+    let config;
+
+    beforeEach(async () => {
+      jest.spyOn(axios, 'get').mockResolvedValue(ok(await image()));
+      await fetchRemoteCover('https://covers.example.com/dune.jpg');
+      [, config] = axios.get.mock.calls[0];
+    });
+
+    it('refuses hostnames that resolve to private addresses', async () => {
+      jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => callback(null, '10.0.0.5', 4));
+
+      await expect(lookup(config, 'intranet.example.com'))
+        .rejects.toMatchObject({ status: 400, message: 'Cover URL points to a private address' });
+    });
+
+    it('refuses hostnames with any private address among several', async () => {
+      jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => callback(null, [
+        { address: '93.184.216.34', family: 4 },
+        { address: 'fd00::1', family: 6 }
+      ]));
+
+      await expect(lookup(config, 'mixed.example.com')).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('lets public addresses through', async () => {
+      jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => callback(null, '93.184.216.34', 4));
+
+      await expect(lookup(config, 'covers.example.com')).resolves.toBe('93.184.216.34');
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const localDriver = require('../../services/storage/localDriver');
+const s3Driver = require('../../services/storage/s3Driver');
+const {
+  getDriver,
+  keyFromUrl,
+  isValidKey,
+  contentTypeFor,
+  saveUpload,
+  deleteUpload,
+  signedUrlTtl,
+  signedUrlFor
+} = require('../../services/storage');
+
+const ENV = ['STORAGE_DRIVER', 'STORAGE_URL_MODE', 'STORAGE_SIGNED_URL_TTL'];
+
+afterEach(() => {
+  ENV.forEach(name => delete process.env[name]);
+  jest.restoreAllMocks();
+});
+
+describe('getDriver', () => {
+  it('uses local storage by default', () => {
+    expect(getDriver()).toBe(localDriver);
+  });
+
+  it('picks the driver named in STORAGE_DRIVER', () => {
+    process.env.STORAGE_DRIVER = ' S3 ';
+    expect(getDriver()).toBe(s3Driver);
+  });
+
+  it('refuses unknown drivers', () => {
+    process.env.STORAGE_DRIVER = 'ftp';
+    expect(() => getDriver()).toThrow('Unknown storage driver: ftp');
+  });
+});
+
+describe('upload keys', () => {
+  it.each([
+    ['book-cover-1-large.jpg', true],
+    ['avatar_2.webp', true],
+    ['.env', false],
+    ['../server.js', false],
+    ['nested/key.jpg', false],
+    ['', false],
+    [undefined, false]
+  ])('isValidKey(%p) is %p', (key, valid) => {
+    expect(isValidKey(key)).toBe(valid);
+  });
+
+  it('reads keys out of /uploads URLs only', () => {
+    expect(keyFromUrl('/uploads/cover.jpg')).toBe('cover.jpg');
+    expect(keyFromUrl('/uploads/../cover.jpg')).toBeNull();
+    expect(keyFromUrl('https://covers.example.com/cover.jpg')).toBeNull();
+    expect(keyFromUrl(null)).toBeNull();
+  });
+
+  it('derives the content type from the extension', () => {
+    expect(contentTypeFor('cover.JPG')).toBe('image/jpeg');
+    expect(contentTypeFor('cover.webp')).toBe('image/webp');
+    expect(contentTypeFor('cover')).toBe('application/octet-stream');
+  });
+});
+
+describe('saveUpload', () => {
+  it('stores the file with its content type and resolves to its URL', async () => {
+    jest.spyOn(localDriver, 'put').mockResolvedValue();
+
+    expect(await saveUpload('cover.webp', Buffer.from('x'))).toBe('/uploads/cover.webp');
+    expect(localDriver.put).toHaveBeenCalledWith('cover.webp', Buffer.from('x'), { contentType: 'image/webp' });
+  });
+
+  it('refuses keys that are not ours', async () => {
+    jest.spyOn(localDriver, 'put').mockResolvedValue();
+
+    await expect(saveUpload('../cover.jpg', Buffer.from('x'))).rejects.toThrow('Invalid upload key: ../cover.jpg');
+    expect(localDriver.put).not.toHaveBeenCalled();
+  });
+});
+
+describe('deleteUpload', () => {
+  it('logs failures instead of rejecting', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(localDriver, 'remove').mockRejectedValue(new Error('EACCES'));
+
+    await expect(deleteUpload('cover.jpg')).resolves.toBeUndefined();
+    expect(console.error).toHaveBeenCalledWith('Error deleting upload cover.jpg:', 'EACCES');
+  });
+
+  it('ignores invalid keys', async () => {
+    jest.spyOn(localDriver, 'remove').mockResolvedValue();
+
+    await deleteUpload('../server.js');
+
+    expect(localDriver.remove).not.toHaveBeenCalled();
+  });
+});
+
+describe('signed URLs', () => {
+  it('asks the driver for a link valid for STORAGE_SIGNED_URL_TTL seconds', () => {
+    process.env.STORAGE_SIGNED_URL_TTL = '600';
+    jest.spyOn(localDriver, 'signedUrl').mockReturnValue('https://signed.example.com/cover.jpg');
+
+    expect(signedUrlFor('cover.jpg')).toBe('https://signed.example.com/cover.jpg');
+    expect(localDriver.signedUrl).toHaveBeenCalledWith('cover.jpg', 600);
+  });
+
+  it('defaults to an hour', () => {
+    expect(signedUrlTtl()).toBe(3600);
+  });
+
+  it('skips signing in proxy mode', () => {
+    process.env.STORAGE_URL_MODE = 'proxy';
+    jest.spyOn(localDriver, 'signedUrl');
+
+    expect(signedUrlFor('cover.jpg')).toBeNull();
+    expect(localDriver.signedUrl).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const { PassThrough } = require('stream');
+const { mockQuery } = require('../helpers/query');
+const { readZip } = require('../helpers/zip');
+
+const User = require('../../models/User');
+const Book = require('../../models/Book');
+const BookChange = require('../../models/BookChange');
+const ReadingSession = require('../../models/ReadingSession');
+const Loan = require('../../models/Loan');
+const Annotation = require('../../models/Annotation');
+const Shelf = require('../../models/Shelf');
+const Goal = require('../../models/Goal');
+const AuthSession = require('../../models/AuthSession');
+const PersonalAccessToken = require('../../models/PersonalAccessToken');
+const localDriver = require('../../services/storage/localDriver');
+const { writeTakeout } = require('../../services/takeout');
+
+const userId = new mongoose.Types.ObjectId();
+
+const user = User.hydrate({
+  _id: userId,
+  username: 'reader',
+  email: 'reader@example.com',
+  password: 'hash',
+  firstName: 'Ada',
+  lastName: 'Reader',
+  avatar: '/uploads/avatar-1.jpg',
+  failedLoginAttempts: 2,
+  twoFactor: { enabled: true, secret: 'SECRET' }
+});
+
+const files = {
+  'book-cover-1.jpg': Buffer.from('cover'),
+  'avatar-1.jpg': Buffer.from('avatar')
+};
+
+beforeEach(() => {
+  jest.spyOn(Book, 'find').mockReturnValue(mockQuery([
+    { _id: new mongoose.Types.ObjectId(), user: userId, title: 'Dune', author: 'Frank Herbert', status: 'Read', coverImage: '/uploads/book-cover-1.jpg' },
+    { _id: new mongoose.Types.ObjectId(), user: userId, title: 'Gone', author: 'Someone', status: 'To Read', coverImage: '/uploads/book-cover-missing.jpg', deletedAt: new Date() }
+  ]));
+  [BookChange, ReadingSession, Loan, Annotation, Goal].forEach(Model => jest.spyOn(Model, 'find').mockReturnValue(mockQuery([])));
+  jest.spyOn(Shelf, 'find').mockReturnValue(mockQuery([{ _id: 'shelf', user: userId, name: 'Favourites', __v: 0 }]));
+  jest.spyOn(AuthSession, 'findActive').mockReturnValue(mockQuery([
+    new AuthSession({ user: userId, tokenHash: 'session-hash', expiresAt: new Date(Date.now() + 1000) })
+  ]));
+  jest.spyOn(PersonalAccessToken, 'find').mockReturnValue(mockQuery([
+    new PersonalAccessToken({ user: userId, name: 'Script', tokenHash: 'token-hash', hint: 'plt_abcd', scopes: ['read'], expiresAt: new Date() })
+  ]));
+  jest.spyOn(localDriver, 'get').mockImplementation(async key => files[key] || null);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const takeout = async () => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  await writeTakeout(user, output);
+  output.end();
+
+  const entries = readZip(Buffer.concat(chunks));
+  return Object.fromEntries(entries.map(entry => [entry.name, entry.data]));
+};
+
+describe('writeTakeout', () => {
+  it('includes every book, the trash too, and the uploaded files that still exist', async () => {
+    const archive = await takeout();
+
+    expect(Object.keys(archive)).toEqual(expect.arrayContaining([
+      'README.txt', 'profile.json', 'books.json', 'books.csv', 'shelves.json',
+      'account/sessions.json', 'account/access-tokens.json', 'covers/book-cover-1.jpg', 'avatar/avatar-1.jpg'
+    ]));
+    expect(Object.keys(archive)).not.toContain('covers/book-cover-missing.jpg');
+    expect(JSON.parse(archive['books.json']).map(book => book.title)).toEqual(['Dune', 'Gone']);
+    expect(archive['covers/book-cover-1.jpg'].toString()).toBe('cover');
+    expect(Book.find.mock.results[0].value.withDeleted).toHaveBeenCalled();
+  });
+
+  it('leaves out credentials, token hashes and the owner id', async () => {
+    const archive = await takeout();
+    const profile = JSON.parse(archive['profile.json']);
+
+    expect(profile).toMatchObject({ email: 'reader@example.com', twoFactorEnabled: true });
+    expect(profile).not.toHaveProperty('password');
+    expect(profile).not.toHaveProperty('twoFactor');
+    expect(profile).not.toHaveProperty('failedLoginAttempts');
+    expect(archive['account/sessions.json'].toString()).not.toContain('session-hash');
+    expect(archive['account/access-tokens.json'].toString()).not.toContain('token-hash');
+    expect(JSON.parse(archive['shelves.json'])[0]).toEqual({ _id: 'shelf', name: 'Favourites' });
+  });
+});
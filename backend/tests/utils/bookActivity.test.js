@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const Annotation = require('../../models/Annotation');
+const Book = require('../../models/Book');
+const Loan = require('../../models/Loan');
+const ReadingSession = require('../../models/ReadingSession');
+const { buildBookActivity } = require('../../utils/bookActivity');
+const { mockQuery } = require('../helpers/query');
+
+const day = (n) => new Date(Date.UTC(2024, 0, n));
+
+let book;
+let sessionQuery;
+
+beforeEach(() => {
+  book = Book.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    user: new mongoose.Types.ObjectId(),
+    title: 'Piranesi',
+    author: 'Susanna Clarke',
+    createdAt: day(1)
+  });
+  sessionQuery = mockQuery([]);
+  jest.spyOn(ReadingSession, 'find').mockReturnValue(sessionQuery);
+  jest.spyOn(Loan, 'find').mockResolvedValue([]);
+  jest.spyOn(Annotation, 'aggregate').mockResolvedValue([]);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('buildBookActivity', () => {
+  it('starts with the day the book was added', async () => {
+    expect(await buildBookActivity(book)).toEqual([{ type: 'added', date: day(1) }]);
+  });
+
+  it('lists reading dates, sessions, loans and annotations newest first', async () => {
+    book.set({ purchaseDate: day(2), purchasePrice: 12.5, dateStarted: day(3), dateFinished: day(20) });
+    const session = new ReadingSession({
+      book: book._id,
+      user: book.user,
+      startedAt: day(4),
+      endedAt: day(4),
+      startPage: 10,
+      endPage: 40,
+      note: 'Great start'
+    });
+    sessionQuery = mockQuery([session]);
+    ReadingSession.find.mockReturnValue(sessionQuery);
+    const loan = new Loan({
+      book: book._id,
+      user: book.user,
+      borrowerName: 'Sam',
+      lentAt: day(21),
+      returnedAt: day(25),
+      conditionReturned: 'Fine'
+    });
+    Loan.find.mockResolvedValue([loan]);
+    Annotation.aggregate.mockResolvedValue([
+      { _id: '2024-01-05', date: day(5), count: 3, quotes: 1, highlights: 2, notes: 0 }
+    ]);
+
+    const events = await buildBookActivity(book);
+
+    expect(events.map(event => event.type)).toEqual([
+      'returned', 'lent', 'finished', 'annotations', 'session', 'started', 'purchased', 'added'
+    ]);
+    expect(events.find(event => event.type === 'purchased').price).toBe(12.5);
+    expect(events.find(event => event.type === 'session')).toMatchObject({
+      sessionId: session._id,
+      pagesRead: 30,
+      endPage: 40,
+      note: 'Great start'
+    });
+    expect(events[0]).toEqual({
+      type: 'returned',
+      date: day(25),
+      loanId: loan._id,
+      borrowerName: 'Sam',
+      condition: 'Fine'
+    });
+    expect(events.find(event => event.type === 'annotations')).toMatchObject({ count: 3, quotes: 1, highlights: 2 });
+  });
+
+  it('leaves pages read out of sessions without both pages', async () => {
+    ReadingSession.find.mockReturnValue(mockQuery([
+      new ReadingSession({ book: book._id, user: book.user, startedAt: day(4), endedAt: day(4), durationMinutes: 30 })
+    ]));
+
+    const [session] = await buildBookActivity(book);
+
+    expect(session).toMatchObject({ type: 'session', pagesRead: null, endPage: null, note: null });
+  });
+
+  it('only shows loans as returned once they are back', async () => {
+    Loan.find.mockResolvedValue([new Loan({ book: book._id, user: book.user, borrowerName: 'Sam', lentAt: day(5) })]);
+
+    const events = await buildBookActivity(book);
+
+    expect(events.map(event => event.type)).toEqual(['lent', 'added']);
+    expect(events[0].dueAt).toBeNull();
+  });
+
+  it('only looks at the book\'s own records and caps the sessions', async () => {
+    await buildBookActivity(book);
+
+    expect(ReadingSession.find).toHaveBeenCalledWith({ user: book.user, book: book._id });
+    expect(sessionQuery.sort).toHaveBeenCalledWith({ startedAt: -1 });
+    expect(sessionQuery.limit).toHaveBeenCalledWith(100);
+    expect(Loan.find).toHaveBeenCalledWith({ user: book.user, book: book._id });
+    expect(Annotation.aggregate.mock.calls[0][0][0]).toEqual({ $match: { user: book.user, book: book._id } });
+  });
+});
@@ -0,0 +1,88 @@
+const { PassThrough } = require('stream');
+const { escapeCsvValue, toCsvRow } = require('../../utils/csv');
+const { BOOK_EXPORT_COLUMNS, toExportObject, streamBookExport } = require('../../utils/bookExport');
+
+const books = [
+  {
+    _id: 'b1',
+    user: 'u1',
+    __v: 0,
+    title: 'Dune',
+    author: 'Frank Herbert',
+    status: 'Read',
+    tags: ['sci-fi', 'classic'],
+    notes: 'Spice, "worms", sand',
+    dateFinished: new Date('2024-02-01T00:00:00.000Z'),
+    series: { name: 'Dune', number: 1 }
+  },
+  { _id: 'b2', user: 'u1', title: 'Piranesi', author: 'Susanna Clarke', status: 'To Read' }
+];
+
+// Run an export into memory; a plain array stands in for the cursor
+const exportTo = async (format, cursor = books) => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  await streamBookExport(cursor, format, output);
+  output.end();
+  return chunks.join('');
+};
+
+describe('escapeCsvValue', () => {
+  it('quotes values with delimiters, quotes or line breaks', () => {
+    expect(escapeCsvValue('plain')).toBe('plain');
+    expect(escapeCsvValue('a, b')).toBe('"a, b"');
+    expect(escapeCsvValue('say "hi"')).toBe('"say ""hi"""');
+    expect(escapeCsvValue('two\nlines')).toBe('"two\nlines"');
+  });
+
+  it('writes nothing for missing values and ISO strings for dates', () => {
+    expect(escapeCsvValue(null)).toBe('');
+    expect(escapeCsvValue(undefined)).toBe('');
+    expect(escapeCsvValue(new Date('2024-01-01T00:00:00.000Z'))).toBe('2024-01-01T00:00:00.000Z');
+  });
+
+  it('ends each row with CRLF', () => {
+    expect(toCsvRow(['a', 1, null])).toBe('a,1,\r\n');
+  });
+});
+
+describe('streamBookExport', () => {
+  it('writes a header and one CSV row per book', async () => {
+    const lines = (await exportTo('csv')).split('\r\n');
+
+    expect(lines[0]).toBe(BOOK_EXPORT_COLUMNS.map(column => column.header).join(','));
+    expect(lines).toHaveLength(4);
+    expect(lines[1]).toContain('Dune,Frank Herbert');
+    expect(lines[1]).toContain('"Spice, ""worms"", sand"');
+    expect(lines[1]).toContain('sci-fi; classic');
+    expect(lines[1]).toContain('2024-02-01T00:00:00.000Z');
+    expect(lines[3]).toBe('');
+  });
+
+  it('writes a JSON array without internal fields', async () => {
+    const exported = JSON.parse(await exportTo('json'));
+
+    expect(exported).toHaveLength(2);
+    expect(exported[0]).not.toHaveProperty('user');
+    expect(exported[0]).not.toHaveProperty('__v');
+    expect(exported[1]).toEqual({ _id: 'b2', title: 'Piranesi', author: 'Susanna Clarke', status: 'To Read' });
+  });
+
+  it('writes a valid empty JSON array for an empty library', async () => {
+    expect(JSON.parse(await exportTo('json', []))).toEqual([]);
+  });
+
+  it('stops writing once the output is closed', async () => {
+    const output = new PassThrough();
+    output.destroy();
+    await streamBookExport(books, 'csv', output);
+    expect(output.writableLength).toBe(0);
+  });
+});
+
+describe('toExportObject', () => {
+  it('keeps every field except user and __v', () => {
+    expect(toExportObject({ _id: 'b1', user: 'u1', __v: 2, title: 'Dune' })).toEqual({ _id: 'b1', title: 'Dune' });
+  });
+});
@@ -0,0 +1,95 @@
+const Book = require('../../models/Book');
+const {
+  normalizeTitle,
+  normalizeBaseTitle,
+  normalizeAuthor,
+  titleAuthorKey,
+  scoreBookMatch,
+  buildBookIndex
+} = require('../../utils/bookMatching');
+
+// Stand-in for Book.find(...).select(...).lean()
+const mockLibrary = (books) => jest.spyOn(Book, 'find').mockReturnValue({
+  select: () => ({ lean: () => Promise.resolve(books) })
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('normalizeTitle', () => {
+  it('drops case, punctuation, leading articles and series markers', () => {
+    expect(normalizeTitle('The Way of Kings (The Stormlight Archive, #1)')).toBe('way of kings');
+    expect(normalizeTitle('A Wizard of Earthsea')).toBe('wizard of earthsea');
+  });
+
+  it('keeps the subtitle', () => {
+    expect(normalizeTitle('Dune: Messiah')).toBe('dune messiah');
+    expect(normalizeTitle('Dune: Messiah')).not.toBe(normalizeTitle('Dune'));
+  });
+});
+
+describe('normalizeBaseTitle', () => {
+  it('drops the subtitle', () => {
+    expect(normalizeBaseTitle('Dune: Deluxe Edition')).toBe('dune');
+    expect(normalizeBaseTitle('Dune: Deluxe Edition (Dune, #1)')).toBe('dune');
+  });
+});
+
+describe('normalizeAuthor', () => {
+  it('ignores name order, punctuation and initials', () => {
+    expect(normalizeAuthor('Le Guin, Ursula K.')).toBe(normalizeAuthor('Ursula K. Le Guin'));
+  });
+});
+
+describe('scoreBookMatch', () => {
+  const dune = { title: 'Dune', author: 'Frank Herbert' };
+  const messiah = { title: 'Dune Messiah', author: 'Frank Herbert' };
+
+  it('scores an exact match as 1', () => {
+    expect(scoreBookMatch(dune, dune)).toBe(1);
+  });
+
+  it('prefers the book whose full title matches', () => {
+    const clipping = { title: 'Dune: Messiah', author: 'Herbert, Frank' };
+    expect(scoreBookMatch(clipping, messiah)).toBeGreaterThan(scoreBookMatch(clipping, dune));
+  });
+
+  it('still matches an edition subtitle closely', () => {
+    expect(scoreBookMatch({ title: 'Dune: Deluxe Edition', author: 'Frank Herbert' }, dune)).toBeGreaterThan(0.9);
+  });
+
+  it('weights the title without an author on either side', () => {
+    expect(scoreBookMatch({ title: 'Dune' }, dune)).toBeCloseTo(0.85);
+    expect(scoreBookMatch({ title: 'Neuromancer', author: 'William Gibson' }, dune)).toBe(0);
+  });
+});
+
+describe('buildBookIndex', () => {
+  it('finds exact duplicates by ISBN, whatever the spelling', async () => {
+    mockLibrary([{ _id: 'a', title: 'Dune', author: 'Frank Herbert', isbn: '0441013597' }]);
+    const index = await buildBookIndex('user');
+
+    expect(index.find({ isbn: '978-0-441-01359-3', title: 'Something else', author: 'x' }))
+      .toMatchObject({ book: { _id: 'a' }, matchedOn: 'isbn' });
+  });
+
+  it('treats a different subtitle as a different book but hints at it', async () => {
+    mockLibrary([{ _id: 'a', title: 'Dune', author: 'Frank Herbert' }]);
+    const index = await buildBookIndex('user');
+
+    expect(index.find({ title: 'Dune', author: 'Herbert, Frank' })).toMatchObject({ matchedOn: 'title+author' });
+    expect(index.find({ title: 'Dune: The Graphic Novel', author: 'Frank Herbert' })).toBeNull();
+    expect(index.findSimilar({ title: 'Dune: The Graphic Novel', author: 'Frank Herbert' })).toMatchObject({ _id: 'a' });
+  });
+
+  it('checks books added later against each other', async () => {
+    mockLibrary([]);
+    const index = await buildBookIndex('user');
+    index.add({ title: 'Hyperion', author: 'Dan Simmons', row: 2 });
+
+    expect(index.find({ title: 'hyperion', author: 'Simmons, Dan' }).book.row).toBe(2);
+  });
+
+  it('uses the same key for exact matches as titleAuthorKey', () => {
+    expect(titleAuthorKey('The Hobbit', 'J.R.R. Tolkien')).toBe(titleAuthorKey('Hobbit', 'Tolkien, J.R.R.'));
+  });
+});
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const {
+  bookQuerySchema,
+  buildBookFilter,
+  buildSort
+} = require('../../utils/bookQuery');
+
+const userId = new mongoose.Types.ObjectId().toString();
+
+const filterFor = (query) => {
+  const { error, value } = bookQuerySchema.validate(query);
+  expect(error).toBeUndefined();
+  return buildBookFilter(userId, value);
+};
+
+describe('bookQuerySchema', () => {
+  it('applies paging and sort defaults', () => {
+    const { value } = bookQuerySchema.validate({});
+    expect(value).toMatchObject({ page: 1, limit: 20, sort: '-createdAt' });
+  });
+
+  it('splits comma-separated lists and rejects unknown values', () => {
+    expect(bookQuerySchema.validate({ status: 'Read,Reading' }).value.status).toEqual(['Read', 'Reading']);
+    expect(bookQuerySchema.validate({ status: 'Read,Lost' }).error).toBeDefined();
+  });
+
+  it('only sorts by known fields', () => {
+    expect(bookQuerySchema.validate({ sort: '-rating' }).error).toBeUndefined();
+    expect(bookQuerySchema.validate({ sort: 'password' }).error).toBeDefined();
+  });
+
+  it('caps the page size', () => {
+    expect(bookQuerySchema.validate({ limit: 101 }).error).toBeDefined();
+  });
+});
+
+describe('buildBookFilter', () => {
+  it('always scopes to the user first', () => {
+    const filter = filterFor({});
+    expect(Object.keys(filter)[0]).toBe('user');
+    expect(filter.user.toString()).toBe(userId);
+  });
+
+  it('uses equality for one value and $in for several', () => {
+    expect(filterFor({ genre: 'Fantasy' }).genre).toBe('Fantasy');
+    expect(filterFor({ genre: 'Fantasy,Horror' }).genre).toEqual({ $in: ['Fantasy', 'Horror'] });
+    expect(filterFor({ tags: 'signed,gift' }).tags).toEqual({ $all: ['signed', 'gift'] });
+  });
+
+  it('escapes search text before building a regex', () => {
+    const filter = filterFor({ q: 'C++ (2nd ed.)' });
+    expect(filter.$or[0].title.test('Programming C++ (2nd ed.)')).toBe(true);
+    expect(filter.$or[0].title.test('C  2nd ed')).toBe(false);
+  });
+
+  it('builds rating ranges', () => {
+    expect(filterFor({ minRating: 3, maxRating: 4 }).rating).toEqual({ $gte: 3, $lte: 4 });
+  });
+
+  it('treats a date-only upper bound as the end of that day', () => {
+    const filter = filterFor({ addedFrom: '2024-01-01', addedTo: '2024-01-31', finishedTo: '2024-02-29' });
+    expect(filter.createdAt).toEqual({
+      $gte: new Date('2024-01-01T00:00:00.000Z'),
+      $lte: new Date('2024-01-31T23:59:59.999Z')
+    });
+    expect(filter.dateFinished).toEqual({ $lte: new Date('2024-02-29T23:59:59.999Z') });
+  });
+
+  it('keeps an upper bound with a time as given', () => {
+    const filter = filterFor({ startedTo: '2024-01-31T10:00:00.000Z' });
+    expect(filter.dateStarted).toEqual({ $lte: new Date('2024-01-31T10:00:00.000Z') });
+  });
+});
+
+describe('buildSort', () => {
+  it('adds _id in the same direction as a tie-breaker', () => {
+    expect(buildSort('-rating')).toEqual({ rating: -1, _id: -1 });
+    expect(buildSort('title')).toEqual({ title: 1, _id: 1 });
+    expect(buildSort()).toEqual({ createdAt: -1, _id: -1 });
+  });
+});
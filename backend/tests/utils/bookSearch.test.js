@@ -0,0 +1,89 @@
+const {
+  parseSearchQuery,
+  applySearchFilters,
+  buildPrefixClauses,
+  buildHighlights
+} = require('../../utils/bookSearch');
+const { bookSearchQuerySchema } = require('../../utils/bookQuery');
+
+describe('parseSearchQuery', () => {
+  it('splits free text from field filters', () => {
+    const parsed = parseSearchQuery('dune author:frank herbert status:read');
+
+    expect(parsed.text).toBe('dune');
+    expect(parsed.filters).toEqual({ author: ['frank herbert'], status: ['Read'] });
+    expect(parsed.terms).toEqual(['dune', 'frank', 'herbert']);
+  });
+
+  it('lets quoted values end a filter early', () => {
+    const parsed = parseSearchQuery('tag:"to gift" spice "must flow"');
+
+    expect(parsed.filters).toEqual({ tag: ['to gift'] });
+    expect(parsed.text).toBe('spice "must flow"');
+  });
+
+  it('normalizes status and format values and rejects unknown ones', () => {
+    expect(parseSearchQuery('status:to-read format:ebook').filters).toEqual({ status: ['To Read'], format: ['Ebook'] });
+    expect(() => parseSearchQuery('status:lost')).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  it('treats unknown fields as text', () => {
+    expect(parseSearchQuery('isbn:123 dune')).toMatchObject({ text: 'isbn:123 dune', filters: {} });
+  });
+});
+
+describe('applySearchFilters', () => {
+  it('uses equality for enum fields and escaped regexes for the rest', () => {
+    const filter = applySearchFilters({ user: 'u1' }, {
+      status: ['Read', 'Reading'],
+      author: ['J.R.R.'],
+      tag: ['sci-fi']
+    });
+
+    expect(filter.status).toEqual({ $in: ['Read', 'Reading'] });
+    expect(filter.$and).toEqual([{ author: /J\.R\.R\./i }, { tags: /^sci-fi$/i }]);
+  });
+});
+
+describe('buildPrefixClauses', () => {
+  it('matches every word as a word prefix in title, author or tags', () => {
+    const [clause] = buildPrefixClauses('harr');
+
+    expect(clause.$or.map(condition => Object.keys(condition)[0])).toEqual(['title', 'author', 'tags']);
+    expect(clause.$or[0].title.test('Harry Potter')).toBe(true);
+    expect(clause.$or[0].title.test('Sharra')).toBe(false);
+  });
+});
+
+describe('buildHighlights', () => {
+  it('returns offsets of every match per field', () => {
+    const highlights = buildHighlights({ title: 'Dune Messiah', author: 'Frank Herbert', tags: ['dune'] }, ['dune']);
+
+    expect(highlights).toEqual([
+      { field: 'title', snippet: 'Dune Messiah', matches: [[0, 4]] },
+      { field: 'tags', snippet: 'dune', matches: [[0, 4]] }
+    ]);
+  });
+
+  it('cuts long text down to a snippet around the first match', () => {
+    const description = `${'a '.repeat(100)}the spice must flow${' b'.repeat(100)}`;
+    const [highlight] = buildHighlights({ title: 'Dune', description }, ['spice']);
+
+    expect(highlight.field).toBe('description');
+    expect(highlight.snippet.startsWith('…')).toBe(true);
+    expect(highlight.snippet.endsWith('…')).toBe(true);
+    const [[from, to]] = highlight.matches;
+    expect(highlight.snippet.slice(from, to)).toBe('spice');
+  });
+
+  it('returns nothing without terms', () => {
+    expect(buildHighlights({ title: 'Dune' }, [])).toEqual([]);
+  });
+});
+
+describe('bookSearchQuerySchema', () => {
+  it('accepts q as an alias for query', () => {
+    expect(bookSearchQuerySchema.validate({ q: 'dune' }).value.query).toBe('dune');
+    expect(bookSearchQuerySchema.validate({}).error.message).toBe('Query is required');
+  });
+});
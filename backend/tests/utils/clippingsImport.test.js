@@ -0,0 +1,155 @@
+const Book = require('../../models/Book');
+const Annotation = require('../../models/Annotation');
+const {
+  detectClippingsSource,
+  parseKindleClippings,
+  parseKoboAnnotations,
+  validateNewBook,
+  markDuplicates,
+  buildClippingsPreview
+} = require('../../utils/clippingsImport');
+
+afterEach(() => jest.restoreAllMocks());
+
+const KINDLE_FILE = [
+  '\ufeffLeviathan Wakes (The Expanse Book 1) (Corey, James S. A.)',
+  '- Your Highlight on page 12 | Location 180-182 | Added on Monday, 1 January 2024 12:00:00',
+  '',
+  'Doors and corners, kid.',
+  '==========',
+  'Leviathan Wakes (The Expanse Book 1) (Corey, James S. A.)',
+  '- Your Note on Location 181 | Added on Monday, 1 January 2024 12:01:00',
+  '',
+  'Miller says this a lot',
+  '==========',
+  'Leviathan Wakes (The Expanse Book 1) (Corey, James S. A.)',
+  '- Your Bookmark on Location 200 | Added on Monday, 1 January 2024 12:02:00',
+  '',
+  '',
+  '==========',
+  'Some Book (Author, An)',
+  '- Your Highlight on Location 5 | Added on Tuesday, 2 January 2024 09:00:00',
+  '',
+  '<You have reached the clipping limit for this item>',
+  '=========='
+].join('\r\n');
+
+const KOBO_FILE = [
+  'Book Title,Author,Chapter,Highlight,Annotation,Date Created',
+  'Piranesi,Susanna Clarke,Part 1,"The Beauty of the House is immeasurable.",Lovely,2024-03-01T10:00:00Z',
+  'Piranesi,Susanna Clarke,Part 2,"Its Kindness infinite.",,2024-03-02T10:00:00Z'
+].join('\n');
+
+describe('detectClippingsSource', () => {
+  it('recognises Kindle and Kobo files', () => {
+    expect(detectClippingsSource(KINDLE_FILE)).toBe('kindle');
+    expect(detectClippingsSource(KOBO_FILE)).toBe('kobo');
+    expect(detectClippingsSource('just some text')).toBeNull();
+  });
+});
+
+describe('parseKindleClippings', () => {
+  it('reads highlights and notes and drops bookmarks', () => {
+    const { clippings } = parseKindleClippings(KINDLE_FILE);
+
+    expect(clippings).toHaveLength(2);
+    expect(clippings[0]).toEqual({
+      title: 'Leviathan Wakes (The Expanse Book 1)',
+      author: 'James S. A. Corey',
+      type: 'highlight',
+      text: 'Doors and corners, kid.',
+      page: 12,
+      location: '180-182',
+      addedAt: new Date('1 January 2024 12:00:00')
+    });
+    expect(clippings[1]).toMatchObject({ type: 'note', text: 'Miller says this a lot', location: '181' });
+  });
+
+  it('warns about clippings cut off by the publisher limit', () => {
+    const { warnings } = parseKindleClippings(KINDLE_FILE);
+    expect(warnings).toEqual(['Skipped a clipping from "Some Book" that hit the publisher\'s clipping limit']);
+  });
+});
+
+describe('parseKoboAnnotations', () => {
+  it('splits a highlight with a note into two clippings', () => {
+    const { clippings } = parseKoboAnnotations(KOBO_FILE);
+
+    expect(clippings.map(clipping => clipping.type)).toEqual(['highlight', 'note', 'highlight']);
+    expect(clippings[0]).toMatchObject({
+      title: 'Piranesi',
+      author: 'Susanna Clarke',
+      chapter: 'Part 1',
+      text: 'The Beauty of the House is immeasurable.'
+    });
+    expect(clippings[1].text).toBe('Lovely');
+  });
+});
+
+describe('validateNewBook', () => {
+  it('creates an ebook and fills in a missing author', () => {
+    expect(validateNewBook({ title: 'Piranesi' }).book).toMatchObject({
+      title: 'Piranesi',
+      author: 'Unknown',
+      format: 'Ebook'
+    });
+    expect(validateNewBook({ title: '' }).book).toBeNull();
+  });
+});
+
+describe('markDuplicates', () => {
+  it('marks clippings already stored and repeats within the file', () => {
+    const marked = markDuplicates(
+      [{ importKey: 'a' }, { importKey: 'b' }, { importKey: 'b' }],
+      ['a']
+    );
+    expect(marked.map(clipping => clipping.status)).toEqual(['duplicate', 'new', 'duplicate']);
+  });
+});
+
+describe('buildClippingsPreview', () => {
+  const mockLibrary = (books, storedKeys = []) => {
+    jest.spyOn(Book, 'find').mockReturnValue({
+      select: () => ({ lean: () => Promise.resolve(books) })
+    });
+    jest.spyOn(Annotation, 'find').mockReturnValue({
+      distinct: () => Promise.resolve(storedKeys)
+    });
+  };
+
+  it('matches a group to a library book and skips clippings already imported', async () => {
+    mockLibrary([{ _id: 'book1', title: 'Leviathan Wakes', author: 'James S.A. Corey' }]);
+    const first = await buildClippingsPreview('user', KINDLE_FILE);
+    const [group] = first.books;
+
+    expect(first.source).toBe('kindle');
+    expect(group).toMatchObject({
+      title: 'Leviathan Wakes',
+      suggestedAction: 'match',
+      match: { bookId: 'book1', confidence: 1 }
+    });
+    expect(group.summary).toEqual({ total: 2, new: 2, duplicates: 0 });
+
+    jest.restoreAllMocks();
+    mockLibrary(
+      [{ _id: 'book1', title: 'Leviathan Wakes', author: 'James S.A. Corey' }],
+      [group.clippings[0].importKey]
+    );
+    const again = await buildClippingsPreview('user', KINDLE_FILE);
+    expect(again.books[0].summary).toEqual({ total: 2, new: 1, duplicates: 1 });
+  });
+
+  it('suggests creating a book when nothing in the library is close', async () => {
+    mockLibrary([{ _id: 'book1', title: 'Dune', author: 'Frank Herbert' }]);
+    const preview = await buildClippingsPreview('user', KOBO_FILE);
+
+    expect(preview.books).toHaveLength(1);
+    expect(preview.books[0]).toMatchObject({ suggestedAction: 'create', match: null });
+    expect(preview.summary).toMatchObject({ books: 1, toCreate: 1, clippings: 3 });
+  });
+
+  it('rejects files without clippings', async () => {
+    await expect(buildClippingsPreview('user', 'Book Title,Highlight\n'))
+      .rejects.toMatchObject({ status: 400 });
+  });
+});
@@ -0,0 +1,52 @@
+const { renderPlaceholderSvg } = require('../../utils/coverPlaceholder');
+
+const fill = (svg) => svg.match(/<rect width="100%" height="100%" fill="([^"]+)"/)[1];
+const tspans = (svg, index) => [...svg.split('<text')[index].matchAll(/<tspan[^>]*>([^<]*)<\/tspan>/g)].map(match => match[1]);
+
+describe('renderPlaceholderSvg', () => {
+  it('draws an SVG of the requested size', () => {
+    const svg = renderPlaceholderSvg({ title: 'Dune', author: 'Frank Herbert', width: 200, height: 300 });
+
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="200" height="300" viewBox="0 0 200 300"/);
+    expect(tspans(svg, 1)).toEqual(['Dune']);
+    expect(tspans(svg, 2)).toEqual(['Frank Herbert']);
+  });
+
+  it('keeps the same colour for a title and varies it between titles', () => {
+    const dune = fill(renderPlaceholderSvg({ title: 'Dune' }));
+
+    expect(fill(renderPlaceholderSvg({ title: 'Dune', author: 'Someone else' }))).toBe(dune);
+    const colours = new Set(['Dune', 'Emma', 'Ulysses', 'Beloved', 'Middlemarch', 'Persuasion'].map(
+      title => fill(renderPlaceholderSvg({ title }))
+    ));
+    expect(colours.size).toBeGreaterThan(1);
+  });
+
+  it('escapes markup in the title and author', () => {
+    const svg = renderPlaceholderSvg({ title: '<script>"Tom" & \'Jerry\'</script>', author: 'A & B' });
+
+    expect(svg).not.toContain('<script>');
+    expect(svg).toContain('aria-label="&lt;script&gt;&quot;Tom&quot; &amp; &apos;Jerry&apos;&lt;/script&gt;"');
+    expect(tspans(svg, 2)).toEqual(['A &amp; B']);
+  });
+
+  it('wraps long titles and cuts them off with an ellipsis', () => {
+    const title = Array.from({ length: 40 }, (_, index) => `word${index}`).join(' ');
+    const lines = tspans(renderPlaceholderSvg({ title }), 1);
+
+    expect(lines).toHaveLength(5);
+    expect(lines[4]).toMatch(/…$/);
+    expect(lines.every(line => line.length <= 16)).toBe(true);
+  });
+
+  it('shortens single words that are too long for a line', () => {
+    const [line] = tspans(renderPlaceholderSvg({ title: 'Supercalifragilisticexpialidocious' }), 1);
+
+    expect(line).toMatch(/^Supercalifragi.*…$/);
+    expect(line.length).toBeLessThan('Supercalifragilisticexpialidocious'.length);
+  });
+
+  it('leaves the author out when there is none', () => {
+    expect(tspans(renderPlaceholderSvg({ title: 'Dune' }), 2)).toEqual([]);
+  });
+});
@@ -0,0 +1,41 @@
+const { cleanIsbn, isValidIsbn10, isValidIsbn13, normalizeIsbn } = require('../../utils/isbn');
+
+describe('cleanIsbn', () => {
+  it('strips hyphens, spaces and Goodreads spreadsheet quoting', () => {
+    expect(cleanIsbn('978-0-441-01359-3')).toBe('9780441013593');
+    expect(cleanIsbn('="0441013597"')).toBe('0441013597');
+    expect(cleanIsbn('0 8044 2957 x')).toBe('080442957X');
+  });
+
+  it('returns an empty string for empty Goodreads cells', () => {
+    expect(cleanIsbn('=""')).toBe('');
+    expect(cleanIsbn('')).toBe('');
+    expect(cleanIsbn(undefined)).toBe('');
+  });
+});
+
+describe('checksums', () => {
+  it('accepts valid ISBN-10s, including an X check digit', () => {
+    expect(isValidIsbn10('0441013597')).toBe(true);
+    expect(isValidIsbn10('080442957X')).toBe(true);
+    expect(isValidIsbn10('0441013598')).toBe(false);
+  });
+
+  it('accepts valid ISBN-13s', () => {
+    expect(isValidIsbn13('9780441013593')).toBe(true);
+    expect(isValidIsbn13('9780441013594')).toBe(false);
+  });
+});
+
+describe('normalizeIsbn', () => {
+  it('converts ISBN-10 to the matching ISBN-13', () => {
+    expect(normalizeIsbn('0-441-01359-7')).toBe('9780441013593');
+    expect(normalizeIsbn('978-0441013593')).toBe('9780441013593');
+  });
+
+  it('returns null for anything that is not a valid ISBN', () => {
+    expect(normalizeIsbn('12345')).toBeNull();
+    expect(normalizeIsbn('=""')).toBeNull();
+    expect(normalizeIsbn('9780441013594')).toBeNull();
+  });
+});
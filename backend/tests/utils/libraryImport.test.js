@@ -0,0 +1,128 @@
+const Book = require('../../models/Book');
+const { detectSource, buildImportPreview } = require('../../utils/libraryImport');
+
+const mockLibrary = (books) => jest.spyOn(Book, 'find').mockReturnValue({
+  select: () => ({ lean: () => Promise.resolve(books) })
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const GOODREADS_HEADER = 'Book Id,Title,Author,ISBN,ISBN13,My Rating,Number of Pages,'
+  + 'Year Published,Original Publication Year,Date Read,Date Added,Bookshelves,Exclusive Shelf,My Review,Binding';
+
+const goodreadsCsv = (...rows) => [GOODREADS_HEADER, ...rows].join('\n');
+
+describe('detectSource', () => {
+  it('recognises each export by its header', () => {
+    expect(detectSource(['Book Id', 'Title', 'Exclusive Shelf'])).toBe('goodreads');
+    expect(detectSource(['Title', 'Authors', 'Read Status', 'Star Rating'])).toBe('storygraph');
+    expect(detectSource(['Name', 'Writer'])).toBeNull();
+  });
+});
+
+describe('buildImportPreview (Goodreads)', () => {
+  it('maps a row onto a book', async () => {
+    mockLibrary([]);
+    const preview = await buildImportPreview('user', goodreadsCsv(
+      '1,"Leviathan Wakes (The Expanse, #1)",James S.A. Corey,"=""0316129089""","=""9780316129084""",4,561,2011,2011,2023/02/10,2023/01/02,"sci-fi, favourites",read,Great fun,Paperback'
+    ));
+
+    expect(preview.source).toBe('goodreads');
+    expect(preview.rows).toHaveLength(1);
+    const [row] = preview.rows;
+    expect(row).toMatchObject({ row: 2, status: 'new', warnings: [] });
+    expect(row.book).toMatchObject({
+      title: 'Leviathan Wakes',
+      author: 'James S.A. Corey',
+      isbn: '9780316129084',
+      status: 'Read',
+      rating: 4,
+      pageCount: 561,
+      currentPage: 561,
+      notes: 'Great fun',
+      format: 'Physical',
+      tags: ['sci-fi', 'favourites'],
+      series: { name: 'The Expanse', number: 1 }
+    });
+    expect(row.book.dateFinished).toEqual(new Date('2023-02-10T00:00:00.000Z'));
+    expect(row.book.createdAt).toEqual(new Date('2023-01-02T00:00:00.000Z'));
+  });
+
+  it('falls back to the ISBN-10 column when ISBN13 is an empty ="" cell', async () => {
+    mockLibrary([]);
+    const preview = await buildImportPreview('user', goodreadsCsv(
+      '1,Dune,Frank Herbert,"=""0441013597""","=""""",5,,,,,,,to-read,,Kindle Edition'
+    ));
+
+    const [row] = preview.rows;
+    expect(row.warnings).toEqual([]);
+    expect(row.book).toMatchObject({ isbn: '9780441013593', status: 'To Read', format: 'Ebook' });
+  });
+
+  it('leaves a book without any ISBN alone', async () => {
+    mockLibrary([]);
+    const preview = await buildImportPreview('user', goodreadsCsv(
+      '1,Dune,Frank Herbert,"=""""","=""""",,,,,,,,to-read,,'
+    ));
+
+    expect(preview.rows[0].warnings).toEqual([]);
+    expect(preview.rows[0].book.isbn).toBeUndefined();
+  });
+
+  it('flags duplicates of library books and of earlier rows', async () => {
+    mockLibrary([{ _id: 'existing', title: 'Dune', author: 'Frank Herbert' }]);
+    const preview = await buildImportPreview('user', goodreadsCsv(
+      '1,Dune,"Herbert, Frank",,,,,,,,,,read,,',
+      '2,Hyperion,Dan Simmons,,,,,,,,,,read,,',
+      '3,Hyperion,Dan Simmons,,,,,,,,,,read,,'
+    ));
+
+    expect(preview.rows.map(row => row.status)).toEqual(['duplicate', 'new', 'duplicate']);
+    expect(preview.rows[0].duplicateOf).toMatchObject({ id: 'existing', matchedOn: 'title+author' });
+    expect(preview.rows[2].duplicateOf).toMatchObject({ row: 3 });
+    expect(preview.summary).toEqual({ total: 3, new: 1, duplicates: 2, errors: 0 });
+  });
+
+  it('imports a book whose subtitle differs with only a hint', async () => {
+    mockLibrary([{ _id: 'existing', title: 'Dune', author: 'Frank Herbert' }]);
+    const preview = await buildImportPreview('user', goodreadsCsv(
+      '1,Dune: The Graphic Novel,Frank Herbert,,,,,,,,,,to-read,,'
+    ));
+
+    expect(preview.rows[0].status).toBe('new');
+    expect(preview.rows[0].warnings).toEqual(['Possibly the same book as "Dune" in your library']);
+  });
+
+  it('reports rows that fail validation', async () => {
+    mockLibrary([]);
+    const preview = await buildImportPreview('user', goodreadsCsv(
+      '1,,Nobody,,,,,,,,,,read,,'
+    ));
+
+    expect(preview.rows[0].status).toBe('error');
+    expect(preview.summary.errors).toBe(1);
+  });
+});
+
+describe('buildImportPreview (StoryGraph)', () => {
+  it('reads the last read-through and keeps did-not-finish as a tag', async () => {
+    mockLibrary([]);
+    const csv = [
+      'Title,Authors,ISBN/UID,Format,Read Status,Dates Read,Star Rating,Tags,Review',
+      'Piranesi,Susanna Clarke,9781635575996,digital,read,"2022/01/01-2022/01/05, 2023/03/01-2023/03/04",4.5,,',
+      'Ulysses,James Joyce,,hardcover,did-not-finish,,,classics,'
+    ].join('\n');
+
+    const preview = await buildImportPreview('user', csv);
+
+    expect(preview.source).toBe('storygraph');
+    expect(preview.rows[0].book).toMatchObject({ status: 'Read', rating: 5, format: 'Ebook', readingDuration: 3 });
+    expect(preview.rows[0].book.dateStarted).toEqual(new Date('2023-03-01T00:00:00.000Z'));
+    expect(preview.rows[1].book).toMatchObject({ status: 'To Read', tags: ['did-not-finish', 'classics'] });
+  });
+
+  it('rejects files it cannot recognise', async () => {
+    await expect(buildImportPreview('user', 'Name,Writer\nDune,Herbert'))
+      .rejects.toMatchObject({ status: 400 });
+  });
+});
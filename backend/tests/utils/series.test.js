@@ -0,0 +1,85 @@
+const { compareVolumes, findGaps, summarizeSeries, groupSeries } = require('../../utils/series');
+const { extractSeries } = require('../../utils/bookValidation');
+
+const volume = (title, number, status = 'To Read', name = 'The Expanse') => ({
+  _id: title,
+  title,
+  author: 'James S.A. Corey',
+  status,
+  series: { name, number }
+});
+
+describe('compareVolumes', () => {
+  it('orders by number and puts unnumbered volumes last, by title', () => {
+    const volumes = [volume('Gods of Risk', undefined), volume('Caliban\'s War', 2), volume('Drive', undefined), volume('Leviathan Wakes', 1)];
+
+    expect(volumes.sort(compareVolumes).map(book => book.title))
+      .toEqual(['Leviathan Wakes', 'Caliban\'s War', 'Drive', 'Gods of Risk']);
+  });
+});
+
+describe('findGaps', () => {
+  it('lists missing whole volumes up to the highest one owned', () => {
+    expect(findGaps([1, 4, 2])).toEqual([3]);
+    expect(findGaps([])).toEqual([]);
+  });
+
+  it('counts novellas as owned but never as gaps', () => {
+    expect(findGaps([1, 2.5, 3])).toEqual([2]);
+    expect(findGaps([1, 3.5])).toEqual([2, 3]);
+  });
+});
+
+describe('summarizeSeries', () => {
+  it('reports counts, gaps and the next unread volume in reading order', () => {
+    const summary = summarizeSeries([
+      volume('Abaddon\'s Gate', 3),
+      volume('Leviathan Wakes', 1, 'Read'),
+      volume('Cibola Burn', 4, 'Reading')
+    ]);
+
+    expect(summary).toMatchObject({
+      name: 'The Expanse',
+      authors: ['James S.A. Corey'],
+      total: 3,
+      counts: { 'To Read': 1, Reading: 1, Read: 1 },
+      complete: false,
+      gaps: [2],
+      highestNumber: 4,
+      nextUnread: { _id: 'Abaddon\'s Gate', title: 'Abaddon\'s Gate', number: 3, status: 'To Read' }
+    });
+    expect(summary.volumes.map(book => book.series.number)).toEqual([1, 3, 4]);
+  });
+
+  it('marks a fully read series complete', () => {
+    const summary = summarizeSeries([volume('Leviathan Wakes', 1, 'Read')]);
+    expect(summary).toMatchObject({ complete: true, nextUnread: null });
+  });
+});
+
+describe('groupSeries', () => {
+  it('groups names case-insensitively and sorts series by name', () => {
+    const series = groupSeries([
+      volume('Leviathan Wakes', 1, 'Read'),
+      volume('Dune', 1, 'Read', 'Dune'),
+      volume('Caliban\'s War', 2, 'To Read', 'the expanse')
+    ]);
+
+    expect(series.map(item => [item.name, item.total])).toEqual([['Dune', 1], ['The Expanse', 2]]);
+  });
+});
+
+describe('extractSeries', () => {
+  it('turns the flat form fields into a series object', () => {
+    expect(extractSeries({ title: 'Dune', seriesName: 'Dune', seriesNumber: 1 })).toEqual({
+      bookData: { title: 'Dune' },
+      series: { name: 'Dune', number: 1 }
+    });
+    expect(extractSeries({ seriesName: 'Dune', seriesNumber: '' }).series).toEqual({ name: 'Dune', number: undefined });
+  });
+
+  it('clears the series for an empty name and leaves it alone when not sent', () => {
+    expect(extractSeries({ seriesName: '' }).series).toBeNull();
+    expect(extractSeries({ title: 'Dune' }).series).toBeUndefined();
+  });
+});
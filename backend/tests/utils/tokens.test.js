@@ -0,0 +1,34 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const {
+  signAccessToken,
+  verifyAccessToken,
+  generateRefreshToken,
+  hashToken,
+  readRefreshCookie
+} = require('../../utils/tokens');
+
+describe('signAccessToken', () => {
+  it('carries the user and the session it belongs to', () => {
+    const decoded = verifyAccessToken(signAccessToken('user-1', 'session-1'));
+    expect(decoded).toMatchObject({ userId: 'user-1', sid: 'session-1' });
+  });
+});
+
+describe('refresh tokens', () => {
+  it('are random and stored only as a hash', () => {
+    const token = generateRefreshToken();
+
+    expect(token).not.toBe(generateRefreshToken());
+    expect(hashToken(token)).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashToken(token)).toBe(hashToken(token));
+  });
+
+  it('are read from the cookie header', () => {
+    const req = { headers: { cookie: 'theme=dark; refreshToken=abc%2Fdef; other=1' } };
+
+    expect(readRefreshCookie(req)).toBe('abc/def');
+    expect(readRefreshCookie({ headers: { cookie: 'theme=dark' } })).toBeNull();
+    expect(readRefreshCookie({ headers: {} })).toBeNull();
+  });
+});
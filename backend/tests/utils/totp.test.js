@@ -0,0 +1,72 @@
+const {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} = require('../../utils/totp');
+
+// RFC 6238 test secret "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('generateCode', () => {
+  it('matches the RFC 6238 SHA-1 test vectors (last six digits)', () => {
+    expect(generateCode(RFC_SECRET, Math.floor(59 / 30))).toBe('287082');
+    expect(generateCode(RFC_SECRET, Math.floor(1111111109 / 30))).toBe('081804');
+    expect(generateCode(RFC_SECRET, Math.floor(1234567890 / 30))).toBe('005924');
+  });
+});
+
+describe('verifyCode', () => {
+  const time = 1234567890 * 1000;
+
+  it('returns the matched time step for the current code', () => {
+    expect(verifyCode(RFC_SECRET, '005924', time)).toBe(Math.floor(1234567890 / 30));
+  });
+
+  it('allows one step of clock drift either side', () => {
+    const step = Math.floor(1234567890 / 30);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), time)).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), time)).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), time)).toBeNull();
+  });
+
+  it('ignores spaces and rejects malformed codes', () => {
+    expect(verifyCode(RFC_SECRET, '005 924', time)).not.toBeNull();
+    expect(verifyCode(RFC_SECRET, '5924', time)).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef', time)).toBeNull();
+    expect(verifyCode(RFC_SECRET, null, time)).toBeNull();
+  });
+});
+
+describe('generateSecret', () => {
+  it('creates a 160-bit base32 secret that round-trips through the codes', () => {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(verifyCode(secret, generateCode(secret))).not.toBeNull();
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('encodes the label and parameters with %20 for spaces', () => {
+    const uri = buildOtpauthUri({ secret: RFC_SECRET, account: 'reader@example.com', issuer: 'My Library' });
+    expect(uri).toBe(
+      `otpauth://totp/My%20Library%3Areader%40example.com?secret=${RFC_SECRET}`
+      + '&issuer=My%20Library&algorithm=SHA1&digits=6&period=30'
+    );
+  });
+});
+
+describe('recovery codes', () => {
+  it('generates unique dashed codes', () => {
+    const codes = generateRecoveryCodes(10);
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach(code => expect(code).toMatch(/^[A-Z2-7]{4}-[A-Z2-7]{4}-[A-Z2-7]{4}$/));
+  });
+
+  it('compares codes without dashes, spaces or case', () => {
+    expect(normalizeRecoveryCode(' 7kq2-m4xd pf3a ')).toBe('7KQ2M4XDPF3A');
+  });
+});
@@ -0,0 +1,52 @@
+const { PassThrough } = require('stream');
+const { createZipWriter } = require('../../utils/zip');
+const { readZip } = require('../helpers/zip');
+
+// Write an archive into memory
+const buildZip = async (files) => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+
+  const zip = createZipWriter(output);
+  for (const [name, data] of files) {
+    await zip.addFile(name, data, new Date(2024, 0, 31, 12, 30, 10));
+  }
+  await zip.finalize();
+  output.end();
+  return Buffer.concat(chunks);
+};
+
+describe('createZipWriter', () => {
+  it('writes entries that read back with their names and contents', async () => {
+    const text = 'title,author\n'.repeat(50);
+    const random = Buffer.from(Array.from({ length: 64 }, (value, i) => (i * 97) % 256));
+
+    const entries = readZip(await buildZip([
+      ['books.csv', text],
+      ['covers/ünïcode.bin', random]
+    ]));
+
+    expect(entries.map(entry => entry.name)).toEqual(['books.csv', 'covers/ünïcode.bin']);
+    expect(entries[0].data.toString('utf8')).toBe(text);
+    expect(entries[1].data.equals(random)).toBe(true);
+  });
+
+  it('deflates text and stores data that deflate would not shrink', async () => {
+    const entries = readZip(await buildZip([
+      ['repeated.txt', 'a'.repeat(1000)],
+      ['tiny.txt', 'x']
+    ]));
+
+    expect(entries[0].method).toBe(8);
+    expect(entries[1].method).toBe(0);
+  });
+
+  it('fails once the output has been closed', async () => {
+    const output = new PassThrough();
+    output.destroy();
+    const zip = createZipWriter(output);
+
+    await expect(zip.addFile('a.txt', 'a')).rejects.toThrow('Output closed');
+  });
+});
@@ -0,0 +1,100 @@
+const ReadingSession = require('../models/ReadingSession');
+const Loan = require('../models/Loan');
+const Annotation = require('../models/Annotation');
+
+// Older sessions are dropped from the timeline; the sessions list has them all
+const MAX_SESSIONS = 100;
+
+// Annotations are summarised per day, otherwise one import of a few hundred
+// Kindle highlights would bury everything else
+const annotationDays = (book) => Annotation.aggregate([
+  { $match: { user: book.user, book: book._id } },
+  {
+    $group: {
+      _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+      date: { $min: '$createdAt' },
+      count: { $sum: 1 },
+      quotes: { $sum: { $cond: [{ $eq: ['$type', 'quote'] }, 1, 0] } },
+      highlights: { $sum: { $cond: [{ $eq: ['$type', 'highlight'] }, 1, 0] } },
+      notes: { $sum: { $cond: [{ $eq: ['$type', 'note'] }, 1, 0] } }
+    }
+  }
+]);
+
+// Everything that happened to a book, newest first: when it was added,
+// bought, started and finished, its reading sessions, loans and annotations
+const buildBookActivity = async (book) => {
+  const [sessions, loans, days] = await Promise.all([
+    ReadingSession.find({ user: book.user, book: book._id })
+      .sort({ startedAt: -1 })
+      .limit(MAX_SESSIONS),
+    Loan.find({ user: book.user, book: book._id }),
+    annotationDays(book)
+  ]);
+
+  const events = [{ type: 'added', date: book.createdAt }];
+
+  if (book.purchaseDate) {
+    events.push({ type: 'purchased', date: book.purchaseDate, price: book.purchasePrice ?? null });
+  }
+  if (book.dateStarted) {
+    events.push({ type: 'started', date: book.dateStarted });
+  }
+  if (book.dateFinished) {
+    events.push({ type: 'finished', date: book.dateFinished, readingDuration: book.readingDuration ?? null });
+  }
+
+  sessions.forEach(session => {
+    const pagesRead = session.startPage !== undefined && session.endPage !== undefined
+      ? Math.max(0, session.endPage - session.startPage)
+      : null;
+    events.push({
+      type: 'session',
+      date: session.startedAt,
+      sessionId: session._id,
+      durationMinutes: session.durationMinutes,
+      pagesRead,
+      endPage: session.endPage ?? null,
+      percent: session.percent ?? null,
+      note: session.note || null
+    });
+  });
+
+  loans.forEach(loan => {
+    events.push({
+      type: 'lent',
+      date: loan.lentAt,
+      loanId: loan._id,
+      borrowerName: loan.borrowerName,
+      dueAt: loan.dueAt || null
+    });
+    if (loan.returnedAt) {
+      events.push({
+        type: 'returned',
+        date: loan.returnedAt,
+        loanId: loan._id,
+        borrowerName: loan.borrowerName,
+        condition: loan.conditionReturned || null
+      });
+    }
+  });
+
+  days.forEach(day => {
+    events.push({
+      type: 'annotations',
+      date: day.date,
+      count: day.count,
+      quotes: day.quotes,
+      highlights: day.highlights,
+      notes: day.notes
+    });
+  });
+
+  return events
+    .filter(event => event.date)
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+};
+
+module.exports = {
+  buildBookActivity
+};
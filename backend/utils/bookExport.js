@@ -0,0 +1,81 @@
+const { toCsvRow } = require('./csv');
+const { writeChunk } = require('./streams');
+
+const formatDate = (value) => (value ? new Date(value).toISOString() : '');
+
+// Column order for CSV exports; covers every field on bookSchema
+const BOOK_EXPORT_COLUMNS = [
+  { header: 'id', get: book => book._id },
+  { header: 'title', get: book => book.title },
+  { header: 'author', get: book => book.author },
+  { header: 'genre', get: book => book.genre },
+  { header: 'status', get: book => book.status },
+  { header: 'description', get: book => book.description },
+  { header: 'isbn', get: book => book.isbn },
+  { header: 'publishedDate', get: book => book.publishedDate },
+  { header: 'pageCount', get: book => book.pageCount },
+  { header: 'currentPage', get: book => book.currentPage },
+  { header: 'rating', get: book => book.rating },
+  { header: 'notes', get: book => book.notes },
+  { header: 'coverImage', get: book => book.coverImage },
+  { header: 'tags', get: book => (book.tags || []).join('; ') },
+  { header: 'dateStarted', get: book => formatDate(book.dateStarted) },
+  { header: 'dateFinished', get: book => formatDate(book.dateFinished) },
+  { header: 'readingDuration', get: book => book.readingDuration },
+  { header: 'purchasePrice', get: book => book.purchasePrice },
+  { header: 'purchaseDate', get: book => formatDate(book.purchaseDate) },
+  { header: 'location', get: book => book.location },
+  { header: 'seriesName', get: book => book.series?.name },
+  { header: 'seriesNumber', get: book => book.series?.number },
+  { header: 'language', get: book => book.language },
+  { header: 'format', get: book => book.format },
+  { header: 'createdAt', get: book => formatDate(book.createdAt) },
+  { header: 'updatedAt', get: book => formatDate(book.updatedAt) }
+];
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8'
+};
+
+// Plain object for JSON exports, without internal fields
+const toExportObject = (book) => {
+  const { user, __v, ...rest } = book;
+  return rest;
+};
+
+// Stream lean book documents from a cursor to a writable stream as CSV or
+// JSON, one document at a time so large libraries never sit in memory.
+// The caller owns the output stream and is responsible for ending it.
+const streamBookExport = async (cursor, format, output) => {
+  if (format === 'csv') {
+    if (!await writeChunk(output, toCsvRow(BOOK_EXPORT_COLUMNS.map(column => column.header)))) return;
+
+    for await (const book of cursor) {
+      const row = toCsvRow(BOOK_EXPORT_COLUMNS.map(column => column.get(book)));
+      if (!await writeChunk(output, row)) return;
+    }
+    return;
+  }
+
+  if (!await writeChunk(output, '[')) return;
+
+  let first = true;
+  for await (const book of cursor) {
+    const entry = (first ? '\n' : ',\n') + JSON.stringify(toExportObject(book));
+    first = false;
+    if (!await writeChunk(output, entry)) return;
+  }
+
+  await writeChunk(output, '\n]\n');
+};
+
+module.exports = {
+  BOOK_EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  EXPORT_CONTENT_TYPES,
+  toExportObject,
+  streamBookExport
+};
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+// Book fields whose changes are recorded and compared field by field. The
+// owner, timestamps and currentLoan (kept in step by the loans routes) are not.
+const TRACKED_FIELDS = [
+  'title',
+  'author',
+  'genre',
+  'status',
+  'description',
+  'isbn',
+  'publishedDate',
+  'pageCount',
+  'rating',
+  'notes',
+  'coverImage',
+  'tags',
+  'dateStarted',
+  'dateFinished',
+  'readingDuration',
+  'currentPage',
+  'purchasePrice',
+  'purchaseDate',
+  'location',
+  'series',
+  'language',
+  'format'
+];
+
+// Saved with every version so a restore brings the cover back whole, but
+// not listed as changes: they always move together with coverImage
+const SNAPSHOT_ONLY_FIELDS = ['coverRenditions'];
+
+// Reduce a field value to plain JSON, treating empty values alike so that
+// e.g. '' -> undefined is not reported as a change
+const normalizeValue = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Array.isArray(value)) {
+    return value.length ? value.map(normalizeValue) : null;
+  }
+  if (typeof value === 'object') {
+    const entries = Object.entries(value)
+      .filter(([key]) => key !== '_id')
+      .map(([key, item]) => [key, normalizeValue(item)])
+      .filter(([, item]) => item !== null);
+    return entries.length ? Object.fromEntries(entries) : null;
+  }
+  return value;
+};
+
+// Plain copy of a book's tracked fields, leaving out empty ones
+const snapshotBook = (book) => {
+  const source = typeof book.toObject === 'function'
+    ? book.toObject({ virtuals: false, depopulate: true })
+    : book;
+
+  return [...TRACKED_FIELDS, ...SNAPSHOT_ONLY_FIELDS].reduce((snapshot, field) => {
+    const value = normalizeValue(source[field]);
+    if (value !== null) snapshot[field] = value;
+    return snapshot;
+  }, {});
+};
+
+// Field-level differences between two snapshots; before is null for a new book
+const diffSnapshots = (before, after) => TRACKED_FIELDS
+  .map(field => ({
+    field,
+    from: before?.[field] ?? null,
+    to: after?.[field] ?? null
+  }))
+  .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to));
+
+// $set/$unset update that turns a book back into a snapshot
+const buildRestoreUpdate = (snapshot, { skipFields = [] } = {}) => {
+  const update = { $set: {}, $unset: {} };
+
+  [...TRACKED_FIELDS, ...SNAPSHOT_ONLY_FIELDS]
+    .filter(field => !skipFields.includes(field))
+    .forEach(field => {
+      if (snapshot[field] === undefined) {
+        update.$unset[field] = '';
+      } else {
+        update.$set[field] = snapshot[field];
+      }
+    });
+
+  // Required and defaulted fields are never unset, only overwritten
+  ['tags', 'coverRenditions'].forEach(field => {
+    if (field in update.$unset) {
+      delete update.$unset[field];
+      update.$set[field] = [];
+    }
+  });
+  if ('coverImage' in update.$unset) {
+    delete update.$unset.coverImage;
+    update.$set.coverImage = null;
+  }
+  if ('series' in update.$unset) {
+    delete update.$unset.series;
+    update.$set.series = null;
+  }
+
+  return update;
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  snapshotBook,
+  diffSnapshots,
+  buildRestoreUpdate
+};
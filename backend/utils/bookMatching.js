@@ -0,0 +1,100 @@
+const Book = require('../models/Book');
+const { normalizeIsbn } = require('./isbn');
+
+// Lowercase, drop a trailing series marker like "(The Expanse, #1)", a
+// leading article and punctuation, so "The Hobbit (Middle-earth, #0)" ~
+// "hobbit". The subtitle stays: "Dune: Messiah" is a different book from "Dune".
+const normalizeTitle = (title = '') => title
+  .toLowerCase()
+  .replace(/\s*\([^()]*#\s*[\d.]+\)\s*$/, '')
+  .replace(/^(the|a|an)\s+/, '')
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+// normalizeTitle without the subtitle after ":", so "Dune: Deluxe Edition" ~
+// "dune". Too loose for duplicate checks; only used for fuzzy matching.
+const normalizeBaseTitle = (title = '') => normalizeTitle(title.replace(/\s*:.*$/, ''));
+
+// Compare authors by their name parts regardless of order, punctuation and
+// initials, so "Le Guin, Ursula K." ~ "Ursula K. Le Guin"
+const normalizeAuthor = (author = '') => [...new Set(
+  author
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .split(' ')
+    .filter(part => part.length > 1)
+)].sort().join(' ');
+
+const titleAuthorKey = (title, author) => `${normalizeTitle(title)}|${normalizeAuthor(author)}`;
+
+const baseTitleAuthorKey = (title, author) => `${normalizeBaseTitle(title)}|${normalizeAuthor(author)}`;
+
+// Dice coefficient of two normalized strings' words: 1 when they share every
+// word, 0 when they share none
+const wordOverlap = (a, b) => {
+  const left = new Set(a.split(' ').filter(Boolean));
+  const right = new Set(b.split(' ').filter(Boolean));
+  if (!left.size || !right.size) return 0;
+  const shared = [...left].filter(word => right.has(word)).length;
+  return (2 * shared) / (left.size + right.size);
+};
+
+// Confidence (0-1) that a title/author seen elsewhere, e.g. on an e-reader,
+// is this book. The author only counts when both sides have one. Titles are
+// compared with and without subtitles; the full title wins ties, so "Dune:
+// Messiah" prefers "Dune Messiah" over "Dune".
+const scoreBookMatch = ({ title, author }, book) => {
+  const titleScore = Math.max(
+    wordOverlap(normalizeTitle(title), normalizeTitle(book.title)),
+    wordOverlap(normalizeBaseTitle(title), normalizeBaseTitle(book.title)) * 0.95
+  );
+  if (!author || !book.author) return titleScore * 0.85;
+  const authorScore = wordOverlap(normalizeAuthor(author), normalizeAuthor(book.author));
+  return titleScore * 0.7 + authorScore * 0.3;
+};
+
+// Index a user's existing books by normalized ISBN and title+author so
+// candidates can be checked for duplicates without a query per row. find()
+// is for exact duplicates; findSimilar() only hints at books that share a
+// title once subtitles are dropped.
+const buildBookIndex = async (userId) => {
+  const books = await Book.find({ user: userId }).select('title author isbn').lean();
+  const byIsbn = new Map();
+  const byTitleAuthor = new Map();
+  const byBaseTitleAuthor = new Map();
+
+  const add = (book) => {
+    const isbn = normalizeIsbn(book.isbn);
+    if (isbn) byIsbn.set(isbn, book);
+    byTitleAuthor.set(titleAuthorKey(book.title, book.author), book);
+    const baseKey = baseTitleAuthorKey(book.title, book.author);
+    if (!byBaseTitleAuthor.has(baseKey)) byBaseTitleAuthor.set(baseKey, book);
+  };
+
+  books.forEach(add);
+
+  const find = ({ isbn, title, author }) => {
+    const normalized = normalizeIsbn(isbn);
+    if (normalized && byIsbn.has(normalized)) {
+      return { book: byIsbn.get(normalized), matchedOn: 'isbn' };
+    }
+    const key = titleAuthorKey(title, author);
+    if (byTitleAuthor.has(key)) {
+      return { book: byTitleAuthor.get(key), matchedOn: 'title+author' };
+    }
+    return null;
+  };
+
+  const findSimilar = ({ title, author }) => byBaseTitleAuthor.get(baseTitleAuthorKey(title, author)) || null;
+
+  return { find, findSimilar, add };
+};
+
+module.exports = {
+  normalizeTitle,
+  normalizeBaseTitle,
+  normalizeAuthor,
+  titleAuthorKey,
+  scoreBookMatch,
+  buildBookIndex
+};
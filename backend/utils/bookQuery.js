@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const Joi = require('joi');
+
+const BOOK_STATUSES = ['To Read', 'Reading', 'Read'];
+const BOOK_FORMATS = ['Physical', 'Ebook', 'Audiobook'];
+
+// Fields a client may sort by; anything else is rejected by validation
+const SORTABLE_FIELDS = [
+  'createdAt',
+  'updatedAt',
+  'title',
+  'author',
+  'genre',
+  'status',
+  'rating',
+  'pageCount',
+  'dateStarted',
+  'dateFinished',
+  'purchaseDate'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Comma-separated query values ("Read,Reading") become arrays
+const csvList = (itemSchema) => Joi.alternatives().try(
+  Joi.array().items(itemSchema),
+  Joi.string().custom((value, helpers) => {
+    const items = value.split(',').map(item => item.trim()).filter(Boolean);
+    const { error, value: validated } = Joi.array().items(itemSchema).validate(items);
+    if (error) {
+      return helpers.error('any.invalid');
+    }
+    return validated;
+  })
+);
+
+// Upper date bound. A date without a time ("2024-01-31") means the end of
+// that day, so books added or finished during it are still included.
+const dateUntil = Joi.date().iso().custom((value, helpers) => (
+  typeof helpers.original === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(helpers.original.trim())
+    ? new Date(value.getTime() + DAY_MS - 1)
+    : value
+));
+
+// "position" (shelf order) is only meaningful together with a shelf filter
+const sortPattern = new RegExp(`^(-?(${SORTABLE_FIELDS.join('|')})|position)$`);
+
+// Validation schema for GET /api/books query parameters
+const bookQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(MAX_LIMIT).default(DEFAULT_LIMIT),
+  sort: Joi.string().trim().pattern(sortPattern).default('-createdAt')
+    .messages({ 'string.pattern.base': `sort must be position or one of ${SORTABLE_FIELDS.join(', ')} (prefix with - for descending)` }),
+  q: Joi.string().trim().max(200).allow(''),
+  shelf: Joi.string().hex().length(24),
+  status: csvList(Joi.string().valid(...BOOK_STATUSES)),
+  genre: csvList(Joi.string().trim().max(50)),
+  author: Joi.string().trim().max(100).allow(''),
+  tags: csvList(Joi.string().trim().max(30)),
+  format: csvList(Joi.string().valid(...BOOK_FORMATS)),
+  language: csvList(Joi.string().trim().max(50)),
+  minRating: Joi.number().integer().min(1).max(5),
+  maxRating: Joi.number().integer().min(1).max(5),
+  addedFrom: Joi.date().iso(),
+  addedTo: dateUntil,
+  startedFrom: Joi.date().iso(),
+  startedTo: dateUntil,
+  finishedFrom: Joi.date().iso(),
+  finishedTo: dateUntil
+});
+
+// Validation schema for GET /api/books/search; ?q= is accepted as an alias
+const bookSearchQuerySchema = Joi.object({
+  query: Joi.string().trim().min(1).max(200).required()
+    .messages({ 'any.required': 'Query is required', 'string.empty': 'Query is required' }),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(DEFAULT_LIMIT)
+}).rename('q', 'query', { ignoreUndefined: true, override: true });
+
+// Escape user input before using it inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toObjectId = (id) => (
+  id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(id)
+);
+
+const inOrEqual = (values) => (values.length === 1 ? values[0] : { $in: values });
+
+const dateRange = (from, to) => {
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return Object.keys(range).length ? range : null;
+};
+
+// Build a MongoDB filter from validated query parameters. The user field always
+// leads so the { user, ... } compound indexes on bookSchema can be used.
+const buildBookFilter = (userId, query = {}) => {
+  const filter = { user: toObjectId(userId) };
+
+  if (query.status && query.status.length) {
+    filter.status = inOrEqual(query.status);
+  }
+
+  if (query.genre && query.genre.length) {
+    filter.genre = inOrEqual(query.genre);
+  }
+
+  if (query.format && query.format.length) {
+    filter.format = inOrEqual(query.format);
+  }
+
+  if (query.language && query.language.length) {
+    filter.language = inOrEqual(query.language);
+  }
+
+  if (query.tags && query.tags.length) {
+    filter.tags = { $all: query.tags };
+  }
+
+  if (query.author) {
+    filter.author = new RegExp(escapeRegex(query.author), 'i');
+  }
+
+  if (query.q) {
+    const searchRegex = new RegExp(escapeRegex(query.q), 'i');
+    filter.$or = [{ title: searchRegex }, { author: searchRegex }];
+  }
+
+  if (query.minRating || query.maxRating) {
+    filter.rating = {};
+    if (query.minRating) filter.rating.$gte = query.minRating;
+    if (query.maxRating) filter.rating.$lte = query.maxRating;
+  }
+
+  const added = dateRange(query.addedFrom, query.addedTo);
+  if (added) filter.createdAt = added;
+
+  const started = dateRange(query.startedFrom, query.startedTo);
+  if (started) filter.dateStarted = started;
+
+  const finished = dateRange(query.finishedFrom, query.finishedTo);
+  if (finished) filter.dateFinished = finished;
+
+  return filter;
+};
+
+// Turn "-rating" into { rating: -1, _id: -1 }; _id keeps page boundaries stable
+const buildSort = (sort = '-createdAt') => {
+  const direction = sort.startsWith('-') ? -1 : 1;
+  const field = sort.replace(/^-/, '');
+  return { [field]: direction, _id: direction };
+};
+
+module.exports = {
+  BOOK_STATUSES,
+  BOOK_FORMATS,
+  SORTABLE_FIELDS,
+  bookQuerySchema,
+  bookSearchQuerySchema,
+  buildBookFilter,
+  buildSort,
+  escapeRegex
+};
@@ -0,0 +1,184 @@
+const { BOOK_STATUSES, BOOK_FORMATS, escapeRegex } = require('./bookQuery');
+
+// Fields usable as "field:value" in a search query
+const SEARCH_FIELDS = {
+  title: { path: 'title' },
+  author: { path: 'author' },
+  genre: { path: 'genre' },
+  series: { path: 'series.name' },
+  language: { path: 'language' },
+  tag: { path: 'tags', exact: true },
+  tags: { path: 'tags', exact: true },
+  status: { path: 'status', values: BOOK_STATUSES },
+  format: { path: 'format', values: BOOK_FORMATS }
+};
+
+// Fields searched for highlights, in the order snippets are returned
+const HIGHLIGHT_FIELDS = ['title', 'author', 'tags', 'description', 'notes'];
+const SNIPPET_RADIUS = 60;
+
+const badQuery = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// "read", "to-read", "TO READ" -> "Read", "To Read"
+const normalizeKey = (value) => value.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const matchAllowedValue = (field, value) => {
+  const allowed = SEARCH_FIELDS[field].values;
+  const match = allowed.find(option => normalizeKey(option) === normalizeKey(value));
+  if (!match) {
+    throw badQuery(`${field} must be one of: ${allowed.join(', ')}`);
+  }
+  return match;
+};
+
+const unquote = (token) => token.replace(/^"(.*)"$/, '$1');
+
+// Split a query like `dune author:frank herbert status:read "spice must flow"`
+// into free text and field filters. An unquoted field value runs until the
+// next field, so free text has to come first or the value must be quoted.
+const parseSearchQuery = (query = '') => {
+  const tokens = query.match(/\w+:"[^"]*"|"[^"]*"|\S+/g) || [];
+  const textTokens = [];
+  const filters = {};
+  let open = null;
+
+  tokens.forEach(token => {
+    const fieldMatch = token.match(/^(\w+):(.*)$/);
+    const field = fieldMatch && fieldMatch[1].toLowerCase();
+
+    if (field && SEARCH_FIELDS[field]) {
+      const raw = fieldMatch[2];
+      open = { field, words: raw ? [unquote(raw)] : [] };
+      filters[field] = filters[field] || [];
+      filters[field].push(open);
+      if (raw.startsWith('"')) open = null;
+      return;
+    }
+
+    if (open) {
+      open.words.push(unquote(token));
+    } else {
+      textTokens.push(token);
+    }
+  });
+
+  const parsedFilters = {};
+  Object.entries(filters).forEach(([field, entries]) => {
+    const values = entries.map(entry => entry.words.join(' ').trim()).filter(Boolean);
+    if (!values.length) return;
+    parsedFilters[field] = SEARCH_FIELDS[field].values
+      ? values.map(value => matchAllowedValue(field, value))
+      : values;
+  });
+
+  const text = textTokens.join(' ').trim();
+  return {
+    text,
+    terms: [text, ...(parsedFilters.title || []), ...(parsedFilters.author || [])]
+      .flatMap(term => term.replace(/"/g, '').split(/\s+/))
+      .filter(term => term.length > 1),
+    filters: parsedFilters
+  };
+};
+
+// Add the field filters from a parsed query to a MongoDB filter
+const applySearchFilters = (filter, filters) => {
+  const clauses = [];
+
+  Object.entries(filters).forEach(([field, values]) => {
+    const { path, values: allowed, exact } = SEARCH_FIELDS[field];
+
+    if (allowed) {
+      filter[path] = values.length === 1 ? values[0] : { $in: values };
+      return;
+    }
+
+    values.forEach(value => {
+      const pattern = exact ? `^${escapeRegex(value)}$` : escapeRegex(value);
+      clauses.push({ [path]: new RegExp(pattern, 'i') });
+    });
+  });
+
+  if (clauses.length) {
+    filter.$and = [...(filter.$and || []), ...clauses];
+  }
+  return filter;
+};
+
+// Fallback for typeahead: the text index only matches whole (stemmed) words,
+// so "harr" finds nothing until it is "harry". Match every word as a prefix of
+// a word in the title, author or tags instead.
+const buildPrefixClauses = (text) => text
+  .replace(/"/g, '')
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(word => {
+    const prefix = new RegExp(`\\b${escapeRegex(word)}`, 'i');
+    return { $or: [{ title: prefix }, { author: prefix }, { tags: prefix }] };
+  });
+
+// Find where the search terms start words in a piece of text
+const findMatches = (text, termPattern) => {
+  const matches = [];
+  termPattern.lastIndex = 0;
+  let match;
+  while ((match = termPattern.exec(text)) !== null) {
+    matches.push([match.index, match.index + match[0].length]);
+  }
+  return matches;
+};
+
+// Cut long text down to a window around the first match, shifting the match
+// offsets to suit
+const toSnippet = (text, matches) => {
+  if (text.length <= SNIPPET_RADIUS * 2) {
+    return { snippet: text, matches };
+  }
+
+  const start = Math.max(0, matches[0][0] - SNIPPET_RADIUS);
+  const end = Math.min(text.length, matches[0][1] + SNIPPET_RADIUS);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const offset = prefix.length - start;
+
+  return {
+    snippet: `${prefix}${text.slice(start, end)}${suffix}`,
+    matches: matches
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from + offset, to + offset])
+  };
+};
+
+// Highlighted snippets for a search result: one entry per field that contains
+// a term, with [start, end) offsets of each match inside the snippet
+const buildHighlights = (book, terms) => {
+  if (!terms.length) return [];
+
+  const alternatives = [...new Set(terms.map(term => term.toLowerCase()))]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegex);
+  const termPattern = new RegExp(`\\b(?:${alternatives.join('|')})\\w*`, 'gi');
+
+  return HIGHLIGHT_FIELDS.reduce((highlights, field) => {
+    const value = field === 'tags' ? (book.tags || []).join(', ') : book[field];
+    if (!value) return highlights;
+
+    const matches = findMatches(value, termPattern);
+    if (matches.length) {
+      highlights.push({ field, ...toSnippet(value, matches) });
+    }
+    return highlights;
+  }, []);
+};
+
+module.exports = {
+  SEARCH_FIELDS,
+  parseSearchQuery,
+  applySearchFilters,
+  buildPrefixClauses,
+  buildHighlights
+};
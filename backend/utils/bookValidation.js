@@ -0,0 +1,59 @@
+const Joi = require('joi');
+const { BOOK_STATUSES, BOOK_FORMATS } = require('./bookQuery');
+
+// Validation schema shared by the book create/update routes and the importers
+const bookValidationSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(200).required(),
+  author: Joi.string().trim().min(1).max(100).required(),
+  genre: Joi.string().trim().max(50).allow(''),
+  status: Joi.string().valid(...BOOK_STATUSES).default('To Read'),
+  description: Joi.string().trim().max(2000).allow(''),
+  isbn: Joi.string().trim().pattern(/^[0-9-]{10,17}$/).allow(''),
+  publishedDate: Joi.string().trim().allow(''),
+  pageCount: Joi.number().integer().min(1).max(50000).allow(null),
+  currentPage: Joi.number().integer().min(0).max(50000).allow(null),
+  rating: Joi.number().integer().min(1).max(5).allow(null),
+  notes: Joi.string().trim().max(1000).allow(''),
+  tags: Joi.array().items(Joi.string().trim().max(30)).max(10),
+  format: Joi.string().valid(...BOOK_FORMATS),
+  language: Joi.string().trim().max(50).allow(''),
+  dateStarted: Joi.date().iso().allow(null),
+  dateFinished: Joi.date().iso().allow(null),
+  // Multipart forms can't nest, so series arrives as two flat fields
+  seriesName: Joi.string().trim().max(100).allow(''),
+  seriesNumber: Joi.number().min(1).max(10000).allow(null, ''),
+  // Remote cover picked from an online search result
+  coverImageUrl: Joi.string().trim().uri({ scheme: ['http', 'https'] }).allow('')
+});
+
+// Validate book input the way POST/PUT /api/books do
+const validateBook = (data, options = {}) => bookValidationSchema.validate(data, {
+  allowUnknown: true,
+  stripUnknown: true,
+  ...options
+});
+
+// Turn the flat seriesName/seriesNumber fields into the schema's series
+// object. series is null when the name was cleared and undefined when the
+// request didn't mention series at all.
+const extractSeries = ({ seriesName, seriesNumber, ...bookData }) => {
+  if (seriesName === undefined) {
+    return { bookData, series: undefined };
+  }
+  if (!seriesName) {
+    return { bookData, series: null };
+  }
+  return {
+    bookData,
+    series: {
+      name: seriesName,
+      number: seriesNumber === '' || seriesNumber === null ? undefined : seriesNumber
+    }
+  };
+};
+
+module.exports = {
+  bookValidationSchema,
+  validateBook,
+  extractSeries
+};
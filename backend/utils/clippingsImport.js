@@ -0,0 +1,332 @@
+const crypto = require('crypto');
+const Book = require('../models/Book');
+const Annotation = require('../models/Annotation');
+const { parseCsvRecords } = require('./csv');
+const { validateBook } = require('./bookValidation');
+const { normalizeTitle, normalizeAuthor, titleAuthorKey, scoreBookMatch } = require('./bookMatching');
+
+const CLIPPING_SOURCES = ['kindle', 'kobo'];
+
+const KINDLE_SEPARATOR = '==========';
+const MAX_TEXT_LENGTH = 10000;
+const MAX_CHAPTER_LENGTH = 200;
+const MAX_LOCATION_LENGTH = 50;
+const MAX_TITLE_LENGTH = 200;
+const MAX_AUTHOR_LENGTH = 100;
+
+// Matches at or above this are linked automatically; anything lower is
+// offered as a candidate but defaults to creating a new book
+const AUTO_MATCH_CONFIDENCE = 0.75;
+const MIN_CANDIDATE_CONFIDENCE = 0.3;
+const MAX_CANDIDATES = 5;
+
+// Kobo exports come from several tools, so accept the common header names
+const KOBO_COLUMNS = {
+  title: ['Title', 'Book Title', 'BookTitle', 'Book'],
+  author: ['Author', 'Authors', 'Attribution'],
+  text: ['Highlight', 'Text', 'Highlighted Text', 'Quote'],
+  note: ['Annotation', 'Note', 'Notes'],
+  chapter: ['Chapter', 'Chapter Title', 'ChapterTitle'],
+  date: ['Date Created', 'DateCreated', 'Created', 'Date']
+};
+
+const findColumns = (columns) => Object.entries(KOBO_COLUMNS).reduce((found, [field, names]) => {
+  const lowered = names.map(name => name.toLowerCase());
+  found[field] = columns.find(column => lowered.includes(column.toLowerCase())) || null;
+  return found;
+}, {});
+
+// Guess the device from the file contents
+const detectClippingsSource = (text) => {
+  if (text.includes(KINDLE_SEPARATOR) && /^-\s*(?:Your\s+)?(?:Highlight|Note|Bookmark)/im.test(text)) {
+    return 'kindle';
+  }
+  const { columns } = parseCsvRecords(text.split(/\r?\n/, 1)[0]);
+  const found = findColumns(columns);
+  if (found.title && (found.text || found.note)) return 'kobo';
+  return null;
+};
+
+// Kindle dates read "Monday, 1 January 2024 12:00:00"; the weekday trips up Date
+const parseDate = (value) => {
+  if (!value || !value.trim()) return null;
+  const date = new Date(value.trim().replace(/^[A-Za-z]+day,\s*/, ''));
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// "Leviathan Wakes (The Expanse Book 1) (Corey, James S. A.)": the author is
+// in the last parentheses
+const splitKindleTitle = (line) => {
+  const match = line.trim().match(/^(.*\S)\s*\(([^()]*)\)$/);
+  if (!match) return { title: line.trim(), author: '' };
+  return { title: match[1], author: match[2].trim() };
+};
+
+// Kindle writes authors as "Last, First" and separates several with ";"
+const formatKindleAuthor = (author) => author
+  .split(';')
+  .map(name => {
+    const parts = name.split(',').map(part => part.trim()).filter(Boolean);
+    return parts.length === 2 ? `${parts[1]} ${parts[0]}` : name.trim();
+  })
+  .filter(Boolean)
+  .join(', ');
+
+// Parse "My Clippings.txt". Each entry is a title line, a metadata line and
+// the clipped text, separated by "==========". Bookmarks carry no text and
+// are dropped.
+const parseKindleClippings = (text) => {
+  const clippings = [];
+  const warnings = [];
+
+  text.replace(/\ufeff/g, '').replace(/\r/g, '').split(KINDLE_SEPARATOR).forEach(entry => {
+    const lines = entry.split('\n');
+    while (lines.length && !lines[0].trim()) lines.shift();
+    if (lines.length < 2) return;
+
+    const meta = lines[1].match(/^-\s*(?:Your\s+)?(Highlight|Note|Bookmark|Clip)\b(.*)$/i);
+    if (!meta) {
+      warnings.push(`Skipped an entry for "${lines[0].trim()}" that could not be read`);
+      return;
+    }
+
+    const kind = meta[1].toLowerCase();
+    const body = lines.slice(2).join('\n').trim();
+    if (kind === 'bookmark' || !body) return;
+
+    const { title, author } = splitKindleTitle(lines[0]);
+    if (/^<You have reached the clipping limit/i.test(body)) {
+      warnings.push(`Skipped a clipping from "${title}" that hit the publisher's clipping limit`);
+      return;
+    }
+
+    const page = meta[2].match(/\bpage\s+(\d+)/i);
+    const location = meta[2].match(/\b(?:location|loc\.)\s*(\d+(?:-\d+)?)/i);
+    const added = meta[2].match(/Added on\s+(.+)$/i);
+
+    clippings.push({
+      title,
+      author: formatKindleAuthor(author),
+      type: kind === 'note' ? 'note' : 'highlight',
+      text: body,
+      page: page ? Number(page[1]) : undefined,
+      location: location ? location[1] : undefined,
+      addedAt: added ? parseDate(added[1]) : null
+    });
+  });
+
+  return { clippings, warnings };
+};
+
+// Parse a Kobo annotation CSV. A highlight with a note attached becomes a
+// highlight plus a separate note so both are searchable.
+const parseKoboAnnotations = (text) => {
+  const { columns, records } = parseCsvRecords(text);
+  const found = findColumns(columns);
+  const value = (record, field) => (found[field] ? (record[found[field]] || '').trim() : '');
+
+  const clippings = [];
+  records.forEach(record => {
+    const base = {
+      title: value(record, 'title'),
+      author: value(record, 'author'),
+      chapter: value(record, 'chapter') || undefined,
+      addedAt: parseDate(value(record, 'date'))
+    };
+    if (!base.title) return;
+
+    const highlight = value(record, 'text');
+    const note = value(record, 'note');
+    if (highlight) clippings.push({ ...base, type: 'highlight', text: highlight });
+    if (note) clippings.push({ ...base, type: 'note', text: note });
+  });
+
+  return { clippings, warnings: [] };
+};
+
+const PARSERS = {
+  kindle: parseKindleClippings,
+  kobo: parseKoboAnnotations
+};
+
+// Edition and series notes such as "(The Expanse Book 1)" or "(Penguin
+// Classics)" get in the way of matching and make poor titles
+const cleanTitle = (title) => title.replace(/(\s*\([^()]*\))+\s*$/, '').trim() || title.trim();
+
+// Stable fingerprint of a clipping within a book, so a re-import of the same
+// (growing) clippings file only adds what's new
+const clippingKey = (clipping) => crypto
+  .createHash('sha256')
+  .update([
+    clipping.type,
+    clipping.location || clipping.page || '',
+    clipping.text.replace(/\s+/g, ' ').trim().toLowerCase()
+  ].join('|'))
+  .digest('hex')
+  .slice(0, 32);
+
+const roundScore = (score) => Math.round(score * 100) / 100;
+
+// Trim a clipping to what the Annotation schema accepts
+const normalizeClipping = (clipping) => {
+  const warnings = [];
+  const annotation = {
+    type: clipping.type,
+    text: clipping.text,
+    page: clipping.page,
+    location: clipping.location ? clipping.location.slice(0, MAX_LOCATION_LENGTH) : undefined,
+    chapter: clipping.chapter,
+    addedAt: clipping.addedAt || null
+  };
+
+  if (annotation.text.length > MAX_TEXT_LENGTH) {
+    annotation.text = annotation.text.slice(0, MAX_TEXT_LENGTH);
+    warnings.push(`Text was truncated to ${MAX_TEXT_LENGTH} characters`);
+  }
+  if (annotation.chapter && annotation.chapter.length > MAX_CHAPTER_LENGTH) {
+    annotation.chapter = annotation.chapter.slice(0, MAX_CHAPTER_LENGTH);
+  }
+
+  annotation.importKey = clippingKey(annotation);
+  return { annotation, warnings };
+};
+
+// Rank the user's books against a clipping group's title and author
+const findCandidates = (group, books) => {
+  const exactKey = titleAuthorKey(group.title, group.author);
+
+  return books
+    .map(book => ({
+      bookId: book._id,
+      title: book.title,
+      author: book.author,
+      confidence: titleAuthorKey(book.title, book.author) === exactKey
+        ? 1
+        : roundScore(scoreBookMatch(group, book))
+    }))
+    .filter(candidate => candidate.confidence >= MIN_CANDIDATE_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, MAX_CANDIDATES);
+};
+
+// The book that would be created for an unmatched group, checked with the
+// same validation as POST /api/books
+const validateNewBook = (fields) => {
+  const { error, value } = validateBook({
+    title: (fields.title || '').slice(0, MAX_TITLE_LENGTH),
+    author: (fields.author || 'Unknown').slice(0, MAX_AUTHOR_LENGTH),
+    format: 'Ebook'
+  }, { abortEarly: false });
+
+  return error
+    ? { book: null, errors: error.details.map(d => d.message) }
+    : { book: value, errors: [] };
+};
+
+// Mark clippings already stored on a book, or repeated earlier in the file
+const markDuplicates = (clippings, existingKeys) => {
+  const seen = new Set(existingKeys);
+  return clippings.map(clipping => {
+    const duplicate = seen.has(clipping.importKey);
+    seen.add(clipping.importKey);
+    return { ...clipping, status: duplicate ? 'duplicate' : 'new' };
+  });
+};
+
+// Import keys already stored on the given book
+const existingImportKeys = (userId, bookId, clippings) => Annotation.find({
+  user: userId,
+  book: bookId,
+  importKey: { $in: clippings.map(clipping => clipping.importKey) }
+}).distinct('importKey');
+
+// Parse a clippings file, group it by book and suggest a match or a new book
+// for each group. Nothing is written; the route applies the user's choices.
+const buildClippingsPreview = async (userId, text, requestedSource) => {
+  const source = requestedSource && requestedSource !== 'auto'
+    ? requestedSource
+    : detectClippingsSource(text);
+
+  if (!source) {
+    const error = new Error('Could not recognise the file as a Kindle "My Clippings.txt" or a Kobo annotation export');
+    error.status = 400;
+    throw error;
+  }
+
+  const { clippings, warnings } = PARSERS[source](text);
+  if (!clippings.length) {
+    const error = new Error('No highlights or notes were found in the file');
+    error.status = 400;
+    throw error;
+  }
+
+  const groups = new Map();
+  clippings.forEach(clipping => {
+    const title = cleanTitle(clipping.title);
+    const key = `${normalizeTitle(title) || title.toLowerCase()}|${normalizeAuthor(clipping.author)}`;
+    if (!groups.has(key)) {
+      groups.set(key, { key, title, author: clipping.author, sourceTitle: clipping.title, clippings: [], warnings: [] });
+    }
+    const group = groups.get(key);
+    const { annotation, warnings: clippingWarnings } = normalizeClipping(clipping);
+    group.clippings.push(annotation);
+    group.warnings.push(...clippingWarnings);
+  });
+
+  const books = await Book.find({ user: userId }).select('title author').lean();
+
+  const results = await Promise.all([...groups.values()].map(async (group) => {
+    const candidates = findCandidates(group, books);
+    const match = candidates[0] || null;
+    const newBook = validateNewBook(group);
+    const existingKeys = match ? await existingImportKeys(userId, match.bookId, group.clippings) : [];
+    const groupClippings = markDuplicates(group.clippings, existingKeys);
+
+    let suggestedAction = 'skip';
+    if (match && match.confidence >= AUTO_MATCH_CONFIDENCE) suggestedAction = 'match';
+    else if (newBook.book) suggestedAction = 'create';
+
+    return {
+      key: group.key,
+      title: group.title,
+      author: group.author,
+      sourceTitle: group.sourceTitle,
+      match,
+      candidates,
+      newBook,
+      suggestedAction,
+      clippings: groupClippings,
+      summary: {
+        total: groupClippings.length,
+        new: groupClippings.filter(clipping => clipping.status === 'new').length,
+        duplicates: groupClippings.filter(clipping => clipping.status === 'duplicate').length
+      },
+      warnings: [...new Set(group.warnings)]
+    };
+  }));
+
+  return {
+    source,
+    books: results,
+    warnings,
+    summary: {
+      books: results.length,
+      matched: results.filter(group => group.suggestedAction === 'match').length,
+      toCreate: results.filter(group => group.suggestedAction === 'create').length,
+      clippings: results.reduce((sum, group) => sum + group.summary.total, 0),
+      new: results.reduce((sum, group) => sum + group.summary.new, 0),
+      duplicates: results.reduce((sum, group) => sum + group.summary.duplicates, 0)
+    }
+  };
+};
+
+module.exports = {
+  CLIPPING_SOURCES,
+  detectClippingsSource,
+  parseKindleClippings,
+  parseKoboAnnotations,
+  validateNewBook,
+  markDuplicates,
+  existingImportKeys,
+  buildClippingsPreview
+};
@@ -0,0 +1,77 @@
+// Generated SVG stand-in for books without a cover: a coloured panel with the
+// title and author. The colour comes from the title so each book keeps its own.
+
+const PALETTE = [
+  ['#264653', '#e9f5f2'],
+  ['#2a9d8f', '#f1faee'],
+  ['#6d597a', '#f8edeb'],
+  ['#b56576', '#fff1e6'],
+  ['#355070', '#eaf4f4'],
+  ['#7f5539', '#fefae0'],
+  ['#3d405b', '#f4f1de'],
+  ['#5f0f40', '#fbeaff']
+];
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const hashString = (value) => [...value].reduce((hash, char) => ((hash * 31) + char.charCodeAt(0)) >>> 0, 7);
+
+// Greedy word wrap by character count, truncating with an ellipsis after maxLines
+const wrapText = (text, maxChars, maxLines) => {
+  const lines = [];
+  let current = '';
+
+  text.split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = current ? `${current} ${word}` : word;
+    if (candidate.length <= maxChars || !current) {
+      current = candidate.length > maxChars ? `${candidate.slice(0, maxChars - 1)}…` : candidate;
+    } else {
+      lines.push(current);
+      current = word.length > maxChars ? `${word.slice(0, maxChars - 1)}…` : word;
+    }
+  });
+  if (current) lines.push(current);
+
+  if (lines.length > maxLines) {
+    const kept = lines.slice(0, maxLines);
+    kept[maxLines - 1] = `${kept[maxLines - 1].replace(/…$/, '').slice(0, maxChars - 1)}…`;
+    return kept;
+  }
+  return lines;
+};
+
+const renderPlaceholderSvg = ({ title = 'Untitled', author = '', width = 300, height = 450 }) => {
+  const [background, foreground] = PALETTE[hashString(`${title}`) % PALETTE.length];
+  const padding = Math.round(width * 0.1);
+  const titleSize = Math.max(10, Math.round(width / 11));
+  const authorSize = Math.max(8, Math.round(titleSize * 0.65));
+  // Rough glyph width of about 0.55em for a sans-serif face
+  const titleLines = wrapText(title, Math.max(4, Math.floor((width - padding * 2) / (titleSize * 0.55))), 5);
+  const authorLines = wrapText(author, Math.max(4, Math.floor((width - padding * 2) / (authorSize * 0.55))), 2);
+
+  const titleTop = Math.round(height * 0.22);
+  const titleText = titleLines.map((line, index) => (
+    `<tspan x="${padding}" dy="${index === 0 ? 0 : Math.round(titleSize * 1.2)}">${escapeXml(line)}</tspan>`
+  )).join('');
+  const authorTop = height - padding - (authorLines.length - 1) * Math.round(authorSize * 1.3);
+  const authorText = authorLines.map((line, index) => (
+    `<tspan x="${padding}" dy="${index === 0 ? 0 : Math.round(authorSize * 1.3)}">${escapeXml(line)}</tspan>`
+  )).join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeXml(title)}">
+  <rect width="100%" height="100%" fill="${background}"/>
+  <rect x="${Math.round(padding / 2)}" y="${Math.round(padding / 2)}" width="${width - padding}" height="${height - padding}" fill="none" stroke="${foreground}" stroke-opacity="0.35" stroke-width="2"/>
+  <text y="${titleTop}" fill="${foreground}" font-family="Georgia, 'Times New Roman', serif" font-size="${titleSize}" font-weight="bold">${titleText}</text>
+  <text y="${authorTop}" fill="${foreground}" fill-opacity="0.85" font-family="Helvetica, Arial, sans-serif" font-size="${authorSize}">${authorText}</text>
+</svg>
+`;
+};
+
+module.exports = {
+  renderPlaceholderSvg
+};
@@ -0,0 +1,87 @@
+// Quote a value for CSV output when it contains a delimiter, quote or newline
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+// Serialize an array of values as one CSV line (including the line break)
+const toCsvRow = (values) => values.map(escapeCsvValue).join(',') + '\r\n';
+
+// Parse CSV text into an array of rows (arrays of strings). Handles quoted
+// fields with embedded commas, quotes and newlines, CRLF line endings and a
+// leading byte-order mark. Blank lines are skipped.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n') {
+      endRow();
+    } else if (char !== '\r') {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    endRow();
+  }
+
+  return rows;
+};
+
+// Parse CSV text whose first row is a header into an array of objects
+const parseCsvRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(column => column.trim());
+
+  return {
+    columns,
+    records: rows.map(row => columns.reduce((record, column, index) => {
+      record[column] = row[index] !== undefined ? row[index] : '';
+      return record;
+    }, {}))
+  };
+};
+
+module.exports = {
+  escapeCsvValue,
+  toCsvRow,
+  parseCsv,
+  parseCsvRecords
+};
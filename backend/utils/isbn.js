@@ -0,0 +1,46 @@
+// Strip hyphens, spaces and spreadsheet quoting (Goodreads writes ="0439023483")
+const cleanIsbn = (value) => {
+  if (!value) return '';
+  return String(value).replace(/^="?|"$/g, '').replace(/[^0-9Xx]/g, '').toUpperCase();
+};
+
+const isValidIsbn10 = (isbn) => {
+  if (!/^[0-9]{9}[0-9X]$/.test(isbn)) return false;
+  const sum = isbn.split('').reduce((acc, char, index) => (
+    acc + (char === 'X' ? 10 : Number(char)) * (10 - index)
+  ), 0);
+  return sum % 11 === 0;
+};
+
+const isValidIsbn13 = (isbn) => {
+  if (!/^[0-9]{13}$/.test(isbn)) return false;
+  const sum = isbn.split('').reduce((acc, char, index) => (
+    acc + Number(char) * (index % 2 === 0 ? 1 : 3)
+  ), 0);
+  return sum % 10 === 0;
+};
+
+// Convert a valid ISBN-10 to its ISBN-13 (978 prefix) equivalent
+const isbn10To13 = (isbn10) => {
+  const body = `978${isbn10.slice(0, 9)}`;
+  const sum = body.split('').reduce((acc, char, index) => (
+    acc + Number(char) * (index % 2 === 0 ? 1 : 3)
+  ), 0);
+  return `${body}${(10 - (sum % 10)) % 10}`;
+};
+
+// Normalize any ISBN-10/13 to a bare ISBN-13 so different spellings of the same
+// edition compare equal. Returns null when the value isn't a valid ISBN.
+const normalizeIsbn = (value) => {
+  const isbn = cleanIsbn(value);
+  if (isValidIsbn13(isbn)) return isbn;
+  if (isValidIsbn10(isbn)) return isbn10To13(isbn);
+  return null;
+};
+
+module.exports = {
+  cleanIsbn,
+  isValidIsbn10,
+  isValidIsbn13,
+  normalizeIsbn
+};
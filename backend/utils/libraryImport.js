@@ -0,0 +1,253 @@
+const { parseCsvRecords } = require('./csv');
+const { cleanIsbn, normalizeIsbn } = require('./isbn');
+const { validateBook } = require('./bookValidation');
+const { buildBookIndex } = require('./bookMatching');
+
+const IMPORT_SOURCES = ['goodreads', 'storygraph'];
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+const MAX_NOTES_LENGTH = 1000;
+
+// Shelf/read-status names from each service mapped onto our status enum
+const SHELF_STATUS = {
+  'read': 'Read',
+  'currently-reading': 'Reading',
+  'to-read': 'To Read',
+  'paused': 'Reading',
+  'did-not-finish': 'To Read'
+};
+
+// Guess the exporting service from its header row
+const detectSource = (columns) => {
+  if (columns.includes('Exclusive Shelf') || columns.includes('Book Id')) return 'goodreads';
+  if (columns.includes('Read Status') || columns.includes('Star Rating')) return 'storygraph';
+  return null;
+};
+
+// Goodreads and StoryGraph use YYYY/MM/DD; anything else goes through Date
+const parseDate = (value) => {
+  if (!value || !value.trim()) return null;
+  const match = value.trim().match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})$/);
+  const date = match
+    ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])))
+    : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const parseRating = (value) => {
+  const rating = Math.round(parseFloat(value));
+  return rating >= 1 && rating <= 5 ? rating : null;
+};
+
+const parsePageCount = (value) => {
+  const pages = parseInt(value, 10);
+  return pages > 0 ? pages : null;
+};
+
+const splitList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Pull "(Series Name, #3)" off the end of a Goodreads title
+const extractSeries = (title) => {
+  const match = title.match(/^(.*?)\s*\(([^()]+?),?\s*#\s*(\d+)\)\s*$/);
+  if (!match) return { title, series: null };
+  return {
+    title: match[1].trim(),
+    series: { name: match[2].trim(), number: Number(match[3]) }
+  };
+};
+
+const mapFormat = (value) => {
+  const format = (value || '').toLowerCase();
+  if (!format) return undefined;
+  if (/audio/.test(format)) return 'Audiobook';
+  if (/kindle|ebook|e-book|digital|nook|kobo/.test(format)) return 'Ebook';
+  return 'Physical';
+};
+
+const mapGoodreadsRecord = (record) => {
+  const { title, series } = extractSeries(record['Title'] || '');
+  const shelf = (record['Exclusive Shelf'] || '').trim().toLowerCase();
+  const otherShelves = splitList(record['Bookshelves']).filter(name => name !== shelf);
+
+  return {
+    book: {
+      title,
+      author: (record['Author'] || '').trim(),
+      // Goodreads writes an empty ISBN as ="", so fall back on the cleaned value
+      isbn: cleanIsbn(record['ISBN13']) || cleanIsbn(record['ISBN']),
+      status: SHELF_STATUS[shelf] || 'To Read',
+      rating: parseRating(record['My Rating']),
+      pageCount: parsePageCount(record['Number of Pages']),
+      publishedDate: (record['Original Publication Year'] || record['Year Published'] || '').trim(),
+      dateFinished: parseDate(record['Date Read']),
+      notes: (record['My Review'] || record['Private Notes'] || '').trim(),
+      format: mapFormat(record['Binding']),
+      tags: otherShelves
+    },
+    series,
+    dateAdded: parseDate(record['Date Added'])
+  };
+};
+
+const mapStoryGraphRecord = (record) => {
+  const readStatus = (record['Read Status'] || '').trim().toLowerCase();
+  const tags = splitList(record['Tags']);
+  if (readStatus === 'did-not-finish') tags.unshift('did-not-finish');
+
+  // "Dates Read" looks like "2023/01/02-2023/01/20" (one range per read-through)
+  const lastRange = (record['Dates Read'] || '').split(',').pop().trim();
+  const [rangeStart, rangeEnd] = lastRange.split('-');
+
+  return {
+    book: {
+      title: (record['Title'] || '').trim(),
+      author: (record['Authors'] || '').trim(),
+      isbn: record['ISBN/UID'],
+      status: SHELF_STATUS[readStatus] || 'To Read',
+      rating: parseRating(record['Star Rating']),
+      pageCount: parsePageCount(record['Pages'] || record['Number of Pages']),
+      dateStarted: parseDate(rangeStart),
+      dateFinished: parseDate(record['Last Date Read']) || parseDate(rangeEnd),
+      notes: (record['Review'] || '').trim(),
+      format: mapFormat(record['Format']),
+      tags
+    },
+    series: null,
+    dateAdded: parseDate(record['Date Added'])
+  };
+};
+
+const RECORD_MAPPERS = {
+  goodreads: mapGoodreadsRecord,
+  storygraph: mapStoryGraphRecord
+};
+
+// Clean up a mapped book so it fits our schema, noting anything we had to drop
+const normalizeMappedBook = (mapped) => {
+  const warnings = [];
+  const book = { ...mapped.book };
+
+  if (book.isbn) {
+    const isbn = normalizeIsbn(book.isbn);
+    if (!isbn) warnings.push(`Ignored invalid ISBN "${book.isbn}"`);
+    book.isbn = isbn || '';
+  }
+
+  book.tags = (book.tags || [])
+    .map(tag => tag.slice(0, MAX_TAG_LENGTH))
+    .slice(0, MAX_TAGS);
+  if (mapped.book.tags && mapped.book.tags.length > MAX_TAGS) {
+    warnings.push(`Only the first ${MAX_TAGS} shelves/tags were kept`);
+  }
+
+  if (book.notes && book.notes.length > MAX_NOTES_LENGTH) {
+    book.notes = book.notes.slice(0, MAX_NOTES_LENGTH);
+    warnings.push(`Review was truncated to ${MAX_NOTES_LENGTH} characters`);
+  }
+
+  // Only keep dates that make sense for the status; "Read" books without a
+  // date stay undated rather than pretending they were finished today
+  if (book.status !== 'Read') book.dateFinished = null;
+  if (book.status === 'To Read') book.dateStarted = null;
+
+  Object.keys(book).forEach(key => {
+    if (book[key] === null || book[key] === undefined || book[key] === '') delete book[key];
+  });
+
+  return { book, warnings };
+};
+
+// Parse an export file and classify each row as new, duplicate or error.
+// Nothing is written; the route decides what to insert.
+const buildImportPreview = async (userId, text, requestedSource) => {
+  const { columns, records } = parseCsvRecords(text);
+  const source = requestedSource && requestedSource !== 'auto'
+    ? requestedSource
+    : detectSource(columns);
+
+  if (!source) {
+    const error = new Error('Could not recognise the file as a Goodreads or StoryGraph export');
+    error.status = 400;
+    throw error;
+  }
+
+  const index = await buildBookIndex(userId);
+  const mapRecord = RECORD_MAPPERS[source];
+
+  const rows = records.map((record, i) => {
+    // Row numbers match the spreadsheet view: header is row 1
+    const rowNumber = i + 2;
+    const mapped = mapRecord(record);
+    const { book, warnings } = normalizeMappedBook(mapped);
+    const { error, value } = validateBook(book, { abortEarly: false });
+
+    if (error) {
+      return {
+        row: rowNumber,
+        status: 'error',
+        book,
+        errors: error.details.map(d => d.message),
+        warnings
+      };
+    }
+
+    // Fields the validation schema doesn't know about are added back here
+    if (mapped.series) value.series = mapped.series;
+    if (mapped.dateAdded) value.createdAt = mapped.dateAdded;
+    if (value.dateStarted && value.dateFinished) {
+      value.readingDuration = Math.max(0, Math.ceil(
+        (value.dateFinished.getTime() - value.dateStarted.getTime()) / (1000 * 3600 * 24)
+      ));
+    }
+    if (value.status === 'Read' && value.pageCount) value.currentPage = value.pageCount;
+
+    const duplicate = index.find(value);
+    if (duplicate) {
+      return {
+        row: rowNumber,
+        status: 'duplicate',
+        book: value,
+        duplicateOf: {
+          id: duplicate.book._id || null,
+          row: duplicate.book.row || null,
+          title: duplicate.book.title,
+          author: duplicate.book.author,
+          matchedOn: duplicate.matchedOn
+        },
+        warnings
+      };
+    }
+
+    const similar = index.findSimilar(value);
+    if (similar) {
+      warnings.push(similar.row
+        ? `Possibly the same book as row ${similar.row} in this file`
+        : `Possibly the same book as "${similar.title}" in your library`);
+    }
+
+    // Later rows in the same file are checked against earlier ones too
+    index.add({ ...value, row: rowNumber });
+    return { row: rowNumber, status: 'new', book: value, warnings };
+  });
+
+  return {
+    source,
+    rows,
+    summary: {
+      total: rows.length,
+      new: rows.filter(row => row.status === 'new').length,
+      duplicates: rows.filter(row => row.status === 'duplicate').length,
+      errors: rows.filter(row => row.status === 'error').length
+    }
+  };
+};
+
+module.exports = {
+  IMPORT_SOURCES,
+  detectSource,
+  buildImportPreview
+};
@@ -0,0 +1,68 @@
+// Series volumes are ordered by number; unnumbered volumes go last, by title
+const compareVolumes = (a, b) => {
+  const aNumber = a.series?.number ?? Infinity;
+  const bNumber = b.series?.number ?? Infinity;
+  if (aNumber !== bNumber) return aNumber - bNumber;
+  return a.title.localeCompare(b.title);
+};
+
+// Whole volume numbers missing between 1 and the highest numbered volume.
+// Fractional numbers (novellas like #2.5) count as owned but never as gaps.
+const findGaps = (numbers) => {
+  const owned = new Set(numbers.filter(Number.isInteger));
+  const highest = Math.max(0, ...numbers.map(Math.floor));
+  const gaps = [];
+  for (let number = 1; number <= highest; number++) {
+    if (!owned.has(number)) gaps.push(number);
+  }
+  return gaps;
+};
+
+// Summarise one series from its books (already filtered to that series)
+const summarizeSeries = (books) => {
+  const volumes = [...books].sort(compareVolumes);
+  const numbers = volumes
+    .map(book => book.series?.number)
+    .filter(number => typeof number === 'number');
+  const nextUnread = volumes.find(book => book.status !== 'Read') || null;
+
+  const counts = { 'To Read': 0, Reading: 0, Read: 0 };
+  volumes.forEach(book => { counts[book.status] = (counts[book.status] || 0) + 1; });
+
+  return {
+    name: volumes[0].series.name,
+    authors: [...new Set(volumes.map(book => book.author))],
+    total: volumes.length,
+    counts,
+    complete: counts.Read === volumes.length,
+    gaps: findGaps(numbers),
+    highestNumber: numbers.length ? Math.max(...numbers) : null,
+    nextUnread: nextUnread && {
+      _id: nextUnread._id,
+      title: nextUnread.title,
+      number: nextUnread.series.number ?? null,
+      status: nextUnread.status
+    },
+    volumes
+  };
+};
+
+// Group books into series by case-insensitive name
+const groupSeries = (books) => {
+  const groups = new Map();
+  books.forEach(book => {
+    const key = book.series.name.toLowerCase();
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(book);
+  });
+  return [...groups.values()]
+    .map(summarizeSeries)
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+module.exports = {
+  compareVolumes,
+  findGaps,
+  summarizeSeries,
+  groupSeries
+};
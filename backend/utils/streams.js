@@ -0,0 +1,21 @@
+// Write a chunk, waiting for the stream to drain when its buffer is full.
+// Resolves false if the stream was closed (e.g. the client went away).
+const writeChunk = (output, chunk) => {
+  if (output.destroyed) return Promise.resolve(false);
+  if (output.write(chunk)) return Promise.resolve(true);
+
+  return new Promise((resolve) => {
+    const onDrain = () => { cleanup(); resolve(true); };
+    const onClose = () => { cleanup(); resolve(false); };
+    const cleanup = () => {
+      output.removeListener('drain', onDrain);
+      output.removeListener('close', onClose);
+    };
+    output.once('drain', onDrain);
+    output.once('close', onClose);
+  });
+};
+
+module.exports = {
+  writeChunk
+};
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Access tokens are short-lived; the refresh cookie is what keeps a user signed in
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const REFRESH_COOKIE_NAME = 'refreshToken';
+
+// Scopes a personal access token can be granted; session logins have all of them
+const TOKEN_SCOPES = ['read', 'books:write', 'export'];
+
+// Access token carrying the user and the auth session it belongs to
+const signAccessToken = (userId, sessionId) => jwt.sign(
+  { userId, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const verifyAccessToken = (token) => jwt.verify(token, process.env.JWT_SECRET);
+
+// Random URL-safe token for links and cookies
+const generateRandomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+// Refresh tokens are random strings; only their hash is stored
+const generateRefreshToken = () => generateRandomToken(48);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.REFRESH_COOKIE_SAMESITE || 'strict',
+  path: '/api/auth',
+  maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+});
+
+const setRefreshCookie = (res, token) => {
+  res.cookie(REFRESH_COOKIE_NAME, token, refreshCookieOptions());
+};
+
+const clearRefreshCookie = (res) => {
+  const { maxAge, ...options } = refreshCookieOptions();
+  res.clearCookie(REFRESH_COOKIE_NAME, options);
+};
+
+// Read one cookie from the request without pulling in cookie-parser
+const readCookie = (req, name) => {
+  const header = req.headers.cookie;
+  if (!header) return null;
+
+  const pair = header
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+};
+
+const readRefreshCookie = (req) => readCookie(req, REFRESH_COOKIE_NAME);
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+  TOKEN_SCOPES,
+  signAccessToken,
+  verifyAccessToken,
+  generateRandomToken,
+  generateRefreshToken,
+  hashToken,
+  setRefreshCookie,
+  clearRefreshCookie,
+  readRefreshCookie
+};
@@ -0,0 +1,38 @@
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\//],
+  ['Opera', /OPR\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//]
+];
+
+const PLATFORMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Macintosh|Mac OS X/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+const firstMatch = (list, userAgent) => {
+  const match = list.find(([, pattern]) => pattern.test(userAgent));
+  return match ? match[0] : null;
+};
+
+// Short human-readable device label like "Firefox on Windows" for the
+// session list; falls back to the raw user agent for API clients
+const describeUserAgent = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = firstMatch(BROWSERS, userAgent);
+  const platform = firstMatch(PLATFORMS, userAgent);
+
+  if (browser && platform) return `${browser} on ${platform}`;
+  if (browser || platform) return browser || platform;
+  return userAgent.slice(0, 60);
+};
+
+module.exports = {
+  describeUserAgent
+};
@@ -0,0 +1,122 @@
+const zlib = require('zlib');
+const { writeChunk } = require('./streams');
+
+// Minimal streaming ZIP writer (no ZIP64, so under 4 GB and 65535 entries).
+// Each entry is compressed in memory and written straight out, so only one
+// file is held at a time.
+
+const CRC_TABLE = Array.from({ length: 256 }, (value, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time fields used by ZIP headers
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+const UTF8_FLAG = 0x0800;
+const STORE = 0;
+const DEFLATE = 8;
+
+const createZipWriter = (output) => {
+  const entries = [];
+  let offset = 0;
+
+  const write = async (chunk) => {
+    offset += chunk.length;
+    if (!await writeChunk(output, chunk)) {
+      throw new Error('Output closed before the archive was finished');
+    }
+  };
+
+  // Add a file; data is a Buffer or string
+  const addFile = async (name, data, modified = new Date()) => {
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+    const deflated = zlib.deflateRawSync(content);
+    // Images are already compressed; store them when deflate doesn't help
+    const method = deflated.length < content.length ? DEFLATE : STORE;
+    const body = method === DEFLATE ? deflated : content;
+    const fileName = Buffer.from(name, 'utf8');
+    const { time, date } = dosDateTime(modified);
+    const entry = {
+      fileName,
+      method,
+      time,
+      date,
+      crc: crc32(content),
+      compressedSize: body.length,
+      size: content.length,
+      offset
+    };
+
+    if (entries.length >= 0xffff || offset + body.length > 0xffffffff) {
+      throw new Error('Archive is too large');
+    }
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(UTF8_FLAG, 6);
+    header.writeUInt16LE(method, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(fileName.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    entries.push(entry);
+    await write(Buffer.concat([header, fileName]));
+    await write(body);
+  };
+
+  // Write the central directory; the caller ends the output stream
+  const finalize = async () => {
+    const directoryOffset = offset;
+
+    for (const entry of entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(UTF8_FLAG, 8);
+      header.writeUInt16LE(entry.method, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.fileName.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+      await write(Buffer.concat([header, entry.fileName]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await write(end);
+  };
+
+  return { addFile, finalize };
+};
+
+module.exports = {
+  createZipWriter
+};
@@ -1,36 +1,66 @@
-import React from 'react';
+import React, { useMemo } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { ThemeProvider, createTheme } from '@mui/material/styles';
 import CssBaseline from '@mui/material/CssBaseline';
-import { AuthProvider } from './contexts/AuthContext';
+import { AuthProvider, useAuth } from './contexts/AuthContext';
 import Navbar from './components/Navbar';
 import ProtectedRoute from './components/ProtectedRoute';
 import DashboardPage from './pages/DashboardPage';
+import BookDetailPage from './pages/BookDetailPage';
 import LoginPage from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
+import ForgotPasswordPage from './pages/ForgotPasswordPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
+import VerifyEmailPage from './pages/VerifyEmailPage';
+import StatsPage from './pages/StatsPage';
+import SeriesPage from './pages/SeriesPage';
+import SeriesDetailPage from './pages/SeriesDetailPage';
+import SessionsPage from './pages/SessionsPage';
+import LoansPage from './pages/LoansPage';
+import QuotesPage from './pages/QuotesPage';
+import TrashPage from './pages/TrashPage';
+import SettingsPage from './pages/SettingsPage';
+import AdminPage from './pages/AdminPage';
 import './App.css';
 
-const theme = createTheme({
+const buildTheme = (mode) => createTheme({
   palette: {
+    mode,
     primary: {
-      main: '#1976d2',
+      main: mode === 'dark' ? '#90caf9' : '#1976d2',
     },
     secondary: {
-      main: '#dc004e',
+      main: mode === 'dark' ? '#f48fb1' : '#dc004e',
     },
   },
 });
 
-function App() {
+// Follows the signed-in user's theme preference; logged-out pages stay light
+const ThemedApp = ({ children }) => {
+  const { user } = useAuth();
+  const mode = user?.preferences?.theme === 'dark' ? 'dark' : 'light';
+  const theme = useMemo(() => buildTheme(mode), [mode]);
+
   return (
     <ThemeProvider theme={theme}>
       <CssBaseline />
-      <AuthProvider>
+      {children}
+    </ThemeProvider>
+  );
+};
+
+function App() {
+  return (
+    <AuthProvider>
+      <ThemedApp>
         <Router>
           <Navbar />
           <Routes>
             <Route path="/login" element={<LoginPage />} />
             <Route path="/register" element={<RegisterPage />} />
+            <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+            <Route path="/reset-password" element={<ResetPasswordPage />} />
+            <Route path="/verify-email" element={<VerifyEmailPage />} />
             <Route 
               path="/" 
               element={
@@ -39,11 +69,91 @@ function App() {
                 </ProtectedRoute>
               } 
             />
+            <Route 
+              path="/books/:id" 
+              element={
+                <ProtectedRoute>
+                  <BookDetailPage />
+                </ProtectedRoute>
+              } 
+            />
+            <Route 
+              path="/stats" 
+              element={
+                <ProtectedRoute>
+                  <StatsPage />
+                </ProtectedRoute>
+              } 
+            />
+            <Route 
+              path="/series" 
+              element={
+                <ProtectedRoute>
+                  <SeriesPage />
+                </ProtectedRoute>
+              } 
+            />
+            <Route 
+              path="/series/:name" 
+              element={
+                <ProtectedRoute>
+                  <SeriesDetailPage />
+                </ProtectedRoute>
+              } 
+            />
+            <Route 
+              path="/quotes" 
+              element={
+                <ProtectedRoute>
+                  <QuotesPage />
+                </ProtectedRoute>
+              } 
+            />
+            <Route 
+              path="/loans" 
+              element={
+                <ProtectedRoute>
+                  <LoansPage />
+                </ProtectedRoute>
+              } 
+            />
+            <Route 
+              path="/trash" 
+              element={
+                <ProtectedRoute>
+                  <TrashPage />
+                </ProtectedRoute>
+              } 
+            />
+            <Route 
+              path="/sessions" 
+              element={
+                <ProtectedRoute>
+                  <SessionsPage />
+                </ProtectedRoute>
+              } 
+            />
+            <Route 
+              path="/settings" 
+              element={
+                <ProtectedRoute>
+                  <SettingsPage />
+                </ProtectedRoute>
+              } 
+            />
+            <Route 
+              path="/admin" 
+              element={
+                <ProtectedRoute roles={['admin']}>
+                  <AdminPage />
+                </ProtectedRoute>
+              } 
+            />
             <Route path="*" element={<Navigate to="/" replace />} />
           </Routes>
         </Router>
-      </AuthProvider>
-    </ThemeProvider>
+      </ThemedApp>
+    </AuthProvider>
   );
 }
 
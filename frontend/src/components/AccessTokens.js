@@ -0,0 +1,189 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  FormGroup,
+  FormControlLabel,
+  Checkbox,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
+  Chip,
+  Tooltip,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import { authAPI } from '../services/api';
+
+const SCOPE_LABELS = {
+  read: 'Read-only',
+  'books:write': 'Edit library',
+  export: 'Export',
+};
+
+const EXPIRY_OPTIONS = [7, 30, 90, 365];
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : 'Never');
+
+// Create, list and revoke personal access tokens for scripts
+const AccessTokens = () => {
+  const [tokens, setTokens] = useState([]);
+  const [form, setForm] = useState({ name: '', scopes: ['read'], expiresInDays: 30 });
+  const [createdToken, setCreatedToken] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchTokens = useCallback(async () => {
+    try {
+      const response = await authAPI.getAccessTokens();
+      setTokens(response.data.tokens);
+    } catch (error) {
+      setError('Failed to load access tokens');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTokens();
+  }, [fetchTokens]);
+
+  const toggleScope = (scope) => {
+    setForm(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter(item => item !== scope)
+        : [...prev.scopes, scope]
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await authAPI.createAccessToken(form);
+      setCreatedToken(response.data.token);
+      setForm({ name: '', scopes: ['read'], expiresInDays: 30 });
+      setError(null);
+      fetchTokens();
+    } catch (error) {
+      setError(error.response?.data?.details?.[0] || error.response?.data?.message || 'Failed to create access token');
+    }
+  };
+
+  const handleRevoke = async (id) => {
+    try {
+      await authAPI.revokeAccessToken(id);
+      setTokens(prev => prev.filter(token => token._id !== id));
+    } catch (error) {
+      setError('Failed to revoke access token');
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Use a token in scripts with the header <code>Authorization: Bearer &lt;token&gt;</code>.
+        Tokens cannot change your account settings.
+      </Typography>
+
+      {createdToken && (
+        <Alert
+          severity="success"
+          sx={{ mb: 2, wordBreak: 'break-all' }}
+          onClose={() => setCreatedToken(null)}
+          action={
+            <Tooltip title="Copy">
+              <IconButton color="inherit" size="small" onClick={() => navigator.clipboard.writeText(createdToken)}>
+                <ContentCopyIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          }
+        >
+          Copy your new token now, it won't be shown again:
+          <Box component="code" sx={{ display: 'block', mt: 1 }}>{createdToken}</Box>
+        </Alert>
+      )}
+
+      <form onSubmit={handleCreate}>
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+          <TextField
+            label="Token name"
+            value={form.name}
+            onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+            placeholder="e.g. Nightly backup"
+            sx={{ flexGrow: 1 }}
+            required
+          />
+          <FormControl sx={{ minWidth: 140 }}>
+            <InputLabel>Expires in</InputLabel>
+            <Select
+              value={form.expiresInDays}
+              label="Expires in"
+              onChange={(e) => setForm(prev => ({ ...prev, expiresInDays: e.target.value }))}
+            >
+              {EXPIRY_OPTIONS.map(days => (
+                <MenuItem key={days} value={days}>{days} days</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Box>
+        <FormGroup row sx={{ mt: 1 }}>
+          {Object.entries(SCOPE_LABELS).map(([scope, label]) => (
+            <FormControlLabel
+              key={scope}
+              control={<Checkbox checked={form.scopes.includes(scope)} onChange={() => toggleScope(scope)} />}
+              label={label}
+            />
+          ))}
+        </FormGroup>
+        <Button type="submit" variant="contained" disabled={!form.name.trim() || !form.scopes.length}>
+          Create token
+        </Button>
+      </form>
+
+      {error && (
+        <Alert severity="error" sx={{ mt: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {tokens.length > 0 && (
+        <List sx={{ mt: 2 }}>
+          {tokens.map(token => (
+            <ListItem
+              key={token._id}
+              divider
+              secondaryAction={
+                <Tooltip title="Revoke">
+                  <IconButton edge="end" color="error" onClick={() => handleRevoke(token._id)}>
+                    <DeleteIcon />
+                  </IconButton>
+                </Tooltip>
+              }
+            >
+              <ListItemText
+                primary={
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                    {token.name}
+                    <Typography variant="caption" color="text.secondary">{token.hint}…</Typography>
+                    {token.scopes.map(scope => (
+                      <Chip key={scope} label={SCOPE_LABELS[scope] || scope} size="small" />
+                    ))}
+                  </Box>
+                }
+                secondary={`Expires ${formatDate(token.expiresAt)} · Last used ${formatDate(token.lastUsedAt)}`}
+              />
+            </ListItem>
+          ))}
+        </List>
+      )}
+    </Box>
+  );
+};
+
+export default AccessTokens;
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  TextField,
+} from '@mui/material';
+import DownloadIcon from '@mui/icons-material/Download';
+import { authAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { downloadResponse } from '../utils/download';
+
+// Data takeout and account deletion
+const AccountDataSettings = () => {
+  const { user, updateUser } = useAuth();
+  const [downloading, setDownloading] = useState(false);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [password, setPassword] = useState('');
+  const [message, setMessage] = useState(null);
+
+  const handleDownload = async () => {
+    try {
+      setDownloading(true);
+      const response = await authAPI.downloadTakeout();
+      downloadResponse(response, 'library-takeout.zip');
+    } catch (error) {
+      setMessage({ severity: 'error', text: 'Failed to download your data' });
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const handleRequestDeletion = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await authAPI.requestAccountDeletion(password);
+      updateUser(response.data.user);
+      setDialogOpen(false);
+      setPassword('');
+      setMessage({ severity: 'warning', text: response.data.message });
+    } catch (error) {
+      setMessage({ severity: 'error', text: error.response?.data?.message || 'Failed to schedule account deletion' });
+      setDialogOpen(false);
+      setPassword('');
+    }
+  };
+
+  const handleCancelDeletion = async () => {
+    try {
+      const response = await authAPI.cancelAccountDeletion();
+      updateUser(response.data.user);
+      setMessage({ severity: 'success', text: response.data.message });
+    } catch (error) {
+      setMessage({ severity: 'error', text: error.response?.data?.message || 'Failed to cancel account deletion' });
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Download a zip with your profile, every book (JSON and CSV), reading sessions,
+        shelves, goals and the cover images you uploaded.
+      </Typography>
+      <Button
+        variant="outlined"
+        startIcon={<DownloadIcon />}
+        onClick={handleDownload}
+        disabled={downloading}
+      >
+        {downloading ? 'Preparing…' : 'Download my data'}
+      </Button>
+
+      <Box sx={{ mt: 3 }}>
+        {user?.deletionScheduledFor ? (
+          <Alert
+            severity="warning"
+            action={
+              <Button color="inherit" size="small" onClick={handleCancelDeletion}>
+                Keep my account
+              </Button>
+            }
+          >
+            Your account will be deleted on {new Date(user.deletionScheduledFor).toLocaleDateString()}.
+          </Alert>
+        ) : (
+          <Button color="error" variant="outlined" onClick={() => setDialogOpen(true)}>
+            Delete account
+          </Button>
+        )}
+      </Box>
+
+      {message && (
+        <Alert severity={message.severity} sx={{ mt: 2 }}>
+          {message.text}
+        </Alert>
+      )}
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)}>
+        <form onSubmit={handleRequestDeletion}>
+          <DialogTitle>Delete your account?</DialogTitle>
+          <DialogContent>
+            <DialogContentText>
+              Your account, books, shelves, goals and uploaded images will be permanently
+              deleted after a grace period. Until then you can sign in and cancel.
+              Other devices will be signed out now.
+            </DialogContentText>
+            <TextField
+              label="Password"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              margin="normal"
+              autoFocus
+              fullWidth
+              required
+            />
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+            <Button type="submit" color="error">
+              Delete account
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default AccountDataSettings;
@@ -0,0 +1,29 @@
+import React from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+} from '@mui/material';
+import BookAnnotations from './BookAnnotations';
+
+const AnnotationsDialog = ({ open, onClose, book }) => {
+  if (!book) return null;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Quotes &amp; notes: {book.title}</DialogTitle>
+      <DialogContent>
+        <BookAnnotations book={book} />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} color="secondary">
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default AnnotationsDialog;
@@ -0,0 +1,72 @@
+import React from 'react';
+import { Box, Typography, Tooltip } from '@mui/material';
+
+// Minimal bar chart built from MUI boxes, so the stats page doesn't need a
+// charting library. `data` is [{ label, value }].
+const BarChart = ({ data, height = 180, color = 'primary.main', formatValue = (value) => value }) => {
+  const max = Math.max(1, ...data.map(item => item.value));
+
+  if (data.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        Nothing to show yet.
+      </Typography>
+    );
+  }
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'flex-end', gap: 0.5, height, overflowX: 'auto' }}>
+      {data.map(item => (
+        <Tooltip key={item.label} title={`${item.label}: ${formatValue(item.value)}`} arrow>
+          <Box sx={{ flex: '1 0 24px', display: 'flex', flexDirection: 'column', alignItems: 'center', height: '100%' }}>
+            <Box sx={{ flexGrow: 1, width: '100%', display: 'flex', alignItems: 'flex-end' }}>
+              <Box
+                sx={{
+                  width: '100%',
+                  height: `${(item.value / max) * 100}%`,
+                  minHeight: item.value > 0 ? 2 : 0,
+                  bgcolor: color,
+                  borderRadius: '4px 4px 0 0',
+                }}
+              />
+            </Box>
+            <Typography variant="caption" color="text.secondary" noWrap sx={{ maxWidth: '100%' }}>
+              {item.label}
+            </Typography>
+          </Box>
+        </Tooltip>
+      ))}
+    </Box>
+  );
+};
+
+// Horizontal bars for ranked lists such as top genres or authors
+export const HorizontalBarList = ({ data, color = 'primary.main', formatValue = (value) => value }) => {
+  const max = Math.max(1, ...data.map(item => item.value));
+
+  if (data.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        Nothing to show yet.
+      </Typography>
+    );
+  }
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+      {data.map(item => (
+        <Box key={item.label}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+            <Typography variant="body2" noWrap sx={{ mr: 1 }}>{item.label}</Typography>
+            <Typography variant="body2" color="text.secondary">{formatValue(item.value)}</Typography>
+          </Box>
+          <Box sx={{ height: 8, bgcolor: 'action.hover', borderRadius: 1 }}>
+            <Box sx={{ height: '100%', width: `${(item.value / max) * 100}%`, bgcolor: color, borderRadius: 1 }} />
+          </Box>
+        </Box>
+      ))}
+    </Box>
+  );
+};
+
+export default BarChart;
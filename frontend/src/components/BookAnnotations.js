@@ -0,0 +1,274 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Alert,
+  Tabs,
+  Tab,
+  TextField,
+  Button,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Autocomplete,
+  Chip,
+  IconButton,
+  Paper,
+  CircularProgress,
+} from '@mui/material';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import FormatQuoteIcon from '@mui/icons-material/FormatQuote';
+import HighlightIcon from '@mui/icons-material/Highlight';
+import StickyNote2Icon from '@mui/icons-material/StickyNote2';
+import { annotationsAPI } from '../services/api';
+
+export const ANNOTATION_TYPES = [
+  { value: 'quote', label: 'Quote', icon: <FormatQuoteIcon fontSize="small" /> },
+  { value: 'highlight', label: 'Highlight', icon: <HighlightIcon fontSize="small" /> },
+  { value: 'note', label: 'Note', icon: <StickyNote2Icon fontSize="small" /> },
+];
+
+const EMPTY_FORM = { type: 'quote', text: '', page: '', location: '', chapter: '', tags: [] };
+
+// "p. 12 · loc. 130-132 · Chapter 3"
+export const annotationPosition = (annotation) => [
+  annotation.page !== null && annotation.page !== undefined && `p. ${annotation.page}`,
+  annotation.location && `loc. ${annotation.location}`,
+  annotation.chapter,
+].filter(Boolean).join(' · ');
+
+export const AnnotationText = ({ annotation }) => (
+  <Typography
+    variant="body1"
+    sx={{
+      whiteSpace: 'pre-wrap',
+      ...(annotation.type === 'quote' && { fontStyle: 'italic' }),
+      ...(annotation.type === 'highlight' && { bgcolor: 'warning.light', color: 'warning.contrastText', px: 0.5 }),
+    }}
+  >
+    {annotation.type === 'quote' ? `“${annotation.text}”` : annotation.text}
+  </Typography>
+);
+
+// Quotes, highlights and notes for one book, with a form to add or edit them
+const BookAnnotations = ({ book }) => {
+  const [annotations, setAnnotations] = useState([]);
+  const [typeFilter, setTypeFilter] = useState('');
+  const [knownTags, setKnownTags] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+
+  const fetchAnnotations = useCallback(async () => {
+    if (!book) return;
+    try {
+      setLoading(true);
+      const params = typeFilter ? { type: typeFilter } : {};
+      const response = await annotationsAPI.getBookAnnotations(book._id, params);
+      setAnnotations(response.data.annotations);
+    } catch (error) {
+      setError('Failed to load annotations');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  }, [book, typeFilter]);
+
+  useEffect(() => {
+    fetchAnnotations();
+  }, [fetchAnnotations]);
+
+  useEffect(() => {
+    annotationsAPI.getTags()
+      .then(response => setKnownTags(response.data.tags.map(item => item.tag)))
+      .catch(error => console.error(error));
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const resetForm = () => {
+    setFormData(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const handleEdit = (annotation) => {
+    setEditingId(annotation._id);
+    setFormData({
+      type: annotation.type,
+      text: annotation.text,
+      page: annotation.page ?? '',
+      location: annotation.location || '',
+      chapter: annotation.chapter || '',
+      tags: annotation.tags || [],
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = {
+      ...formData,
+      page: formData.page === '' ? null : Number(formData.page),
+    };
+    try {
+      setError(null);
+      if (editingId) {
+        await annotationsAPI.updateAnnotation(book._id, editingId, payload);
+      } else {
+        await annotationsAPI.createAnnotation(book._id, payload);
+      }
+      resetForm();
+      fetchAnnotations();
+    } catch (error) {
+      const details = error.response?.data?.details;
+      setError(details ? details.join(', ') : error.response?.data?.message || 'Failed to save annotation');
+    }
+  };
+
+  const handleDelete = async (annotation) => {
+    try {
+      await annotationsAPI.deleteAnnotation(book._id, annotation._id);
+      if (editingId === annotation._id) resetForm();
+      fetchAnnotations();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to delete annotation');
+    }
+  };
+
+  if (!book) return null;
+
+  return (
+    <Box>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Box component="form" onSubmit={handleSubmit} sx={{ display: 'flex', flexDirection: 'column', gap: 2, mb: 3 }}>
+        <Box sx={{ display: 'flex', gap: 2 }}>
+          <FormControl sx={{ minWidth: 140 }}>
+            <InputLabel>Type</InputLabel>
+            <Select name="type" value={formData.type} label="Type" onChange={handleChange}>
+              {ANNOTATION_TYPES.map(type => (
+                <MenuItem key={type.value} value={type.value}>{type.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            name="page"
+            label="Page"
+            type="number"
+            value={formData.page}
+            onChange={handleChange}
+            inputProps={{ min: 0 }}
+            sx={{ width: 110 }}
+          />
+          <TextField
+            name="location"
+            label="Location"
+            value={formData.location}
+            onChange={handleChange}
+            sx={{ width: 140 }}
+          />
+          <TextField
+            name="chapter"
+            label="Chapter"
+            value={formData.chapter}
+            onChange={handleChange}
+            fullWidth
+          />
+        </Box>
+        <TextField
+          name="text"
+          label={formData.type === 'note' ? 'Note' : 'Passage'}
+          value={formData.text}
+          onChange={handleChange}
+          multiline
+          minRows={3}
+          required
+          fullWidth
+        />
+        <Autocomplete
+          multiple
+          freeSolo
+          options={knownTags}
+          value={formData.tags}
+          onChange={(e, value) => setFormData(prev => ({
+            ...prev,
+            tags: [...new Set(value.map(tag => tag.trim().toLowerCase()).filter(Boolean))]
+          }))}
+          renderTags={(value, getTagProps) => value.map((tag, index) => (
+            <Chip label={tag} size="small" {...getTagProps({ index })} key={tag} />
+          ))}
+          renderInput={(params) => <TextField {...params} label="Tags" placeholder="Type and press Enter" />}
+        />
+        <Box sx={{ display: 'flex', gap: 1, justifyContent: 'flex-end' }}>
+          {editingId && (
+            <Button onClick={resetForm} color="secondary">
+              Cancel
+            </Button>
+          )}
+          <Button type="submit" variant="contained" disabled={!formData.text.trim()}>
+            {editingId ? 'Save' : 'Add'}
+          </Button>
+        </Box>
+      </Box>
+
+      <Tabs value={typeFilter} onChange={(e, value) => setTypeFilter(value)} sx={{ mb: 2 }}>
+        <Tab value="" label="All" />
+        {ANNOTATION_TYPES.map(type => (
+          <Tab key={type.value} value={type.value} label={`${type.label}s`} icon={type.icon} iconPosition="start" />
+        ))}
+      </Tabs>
+
+      {loading && annotations.length === 0 ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', my: 2 }}>
+          <CircularProgress />
+        </Box>
+      ) : annotations.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          Nothing saved from this book yet.
+        </Typography>
+      ) : (
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5 }}>
+          {annotations.map(annotation => (
+            <Paper key={annotation._id} variant="outlined" sx={{ p: 1.5 }}>
+              <Box sx={{ display: 'flex', gap: 1 }}>
+                <Box sx={{ flexGrow: 1 }}>
+                  <AnnotationText annotation={annotation} />
+                  <Typography variant="caption" color="text.secondary">
+                    {annotationPosition(annotation)}
+                  </Typography>
+                  {annotation.tags?.length > 0 && (
+                    <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', mt: 0.5 }}>
+                      {annotation.tags.map(tag => <Chip key={tag} label={tag} size="small" />)}
+                    </Box>
+                  )}
+                </Box>
+                <Box>
+                  <IconButton size="small" onClick={() => handleEdit(annotation)}>
+                    <EditIcon fontSize="small" />
+                  </IconButton>
+                  <IconButton size="small" onClick={() => handleDelete(annotation)}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </Box>
+              </Box>
+            </Paper>
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default BookAnnotations;
@@ -2,17 +2,39 @@ import React from 'react';
 import {
   Card,
   CardContent,
-  CardMedia,
   Typography,
   Chip,
   Box,
   IconButton,
   CardActions,
+  CardActionArea,
+  LinearProgress,
+  Tooltip,
+  Link,
 } from '@mui/material';
+import { Link as RouterLink } from 'react-router-dom';
 import EditIcon from '@mui/icons-material/Edit';
 import DeleteIcon from '@mui/icons-material/Delete';
+import TimerIcon from '@mui/icons-material/Timer';
+import ArrowUpwardIcon from '@mui/icons-material/ArrowUpward';
+import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
+import HandshakeIcon from '@mui/icons-material/Handshake';
+import FormatQuoteIcon from '@mui/icons-material/FormatQuote';
+import ShelfMenu from './ShelfMenu';
+import CoverImage from './CoverImage';
 
-const BookCard = ({ book, onEdit, onDelete }) => {
+const BookCard = ({
+  book,
+  onEdit,
+  onDelete,
+  onLogProgress,
+  onLend,
+  onAnnotate,
+  shelves,
+  onShelvesChange,
+  onMoveUp,
+  onMoveDown,
+}) => {
   const getStatusColor = (status) => {
     switch (status) {
       case 'To Read':
@@ -26,24 +48,48 @@ const BookCard = ({ book, onEdit, onDelete }) => {
     }
   };
 
-  const defaultCover = '/api/placeholder/150/200?text=No+Cover';
+  const loan = book.currentLoan;
+  const loanOverdue = Boolean(loan?.dueAt) && new Date(loan.dueAt) < new Date();
 
   return (
     <Card sx={{ maxWidth: 345, m: 1 }}>
-      <CardMedia
-        component="img"
-        height="200"
-        image={book.coverImage || defaultCover}
-        alt={book.title}
-        sx={{ objectFit: 'cover' }}
-      />
+      <CardActionArea component={RouterLink} to={`/books/${book._id}`}>
+        <CoverImage book={book} height={200} />
+      </CardActionArea>
       <CardContent>
         <Typography gutterBottom variant="h6" component="div" noWrap>
-          {book.title}
+          <Link component={RouterLink} to={`/books/${book._id}`} color="inherit" underline="hover">
+            {book.title}
+          </Link>
         </Typography>
         <Typography variant="body2" color="text.secondary" noWrap>
           by {book.author}
         </Typography>
+        {book.series?.name && (
+          <Link
+            component={RouterLink}
+            to={`/series/${encodeURIComponent(book.series.name)}`}
+            variant="body2"
+            underline="hover"
+            sx={{ display: 'block', mt: 1 }}
+            noWrap
+          >
+            {book.series.name}{book.series.number ? ` #${book.series.number}` : ''}
+          </Link>
+        )}
+        {loan && (
+          <Tooltip
+            title={`Since ${new Date(loan.lentAt).toLocaleDateString()}${loan.dueAt ? ` · due ${new Date(loan.dueAt).toLocaleDateString()}` : ''}`}
+          >
+            <Chip
+              label={`Lent to ${loan.borrowerName}`}
+              color={loanOverdue ? 'warning' : 'info'}
+              variant="outlined"
+              size="small"
+              sx={{ mt: 1, maxWidth: '100%' }}
+            />
+          </Tooltip>
+        )}
         {book.genre && (
           <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
             Genre: {book.genre}
@@ -61,6 +107,19 @@ const BookCard = ({ book, onEdit, onDelete }) => {
             </Typography>
           )}
         </Box>
+        {book.status === 'Reading' && book.percentComplete !== null && book.percentComplete !== undefined && (
+          <Box sx={{ mt: 2 }}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+              <Typography variant="caption" color="text.secondary">
+                {book.pageCount ? `Page ${book.currentPage || 0} of ${book.pageCount}` : 'Progress'}
+              </Typography>
+              <Typography variant="caption" color="text.secondary">
+                {book.percentComplete}%
+              </Typography>
+            </Box>
+            <LinearProgress variant="determinate" value={book.percentComplete} />
+          </Box>
+        )}
         {book.notes && (
           <Typography variant="body2" sx={{ mt: 1 }} noWrap>
             Notes: {book.notes}
@@ -74,6 +133,40 @@ const BookCard = ({ book, onEdit, onDelete }) => {
         <IconButton onClick={() => onDelete(book._id)} color="error">
           <DeleteIcon />
         </IconButton>
+        {onLogProgress && (
+          <Tooltip title="Reading progress">
+            <IconButton onClick={() => onLogProgress(book)}>
+              <TimerIcon />
+            </IconButton>
+          </Tooltip>
+        )}
+        {onAnnotate && (
+          <Tooltip title="Quotes & notes">
+            <IconButton onClick={() => onAnnotate(book)}>
+              <FormatQuoteIcon />
+            </IconButton>
+          </Tooltip>
+        )}
+        {onLend && (book.format || 'Physical') === 'Physical' && (
+          <Tooltip title={loan ? `Lent to ${loan.borrowerName}` : 'Lend this book'}>
+            <IconButton onClick={() => onLend(book)} color={loan ? 'info' : 'default'}>
+              <HandshakeIcon />
+            </IconButton>
+          </Tooltip>
+        )}
+        {shelves && (
+          <ShelfMenu book={book} shelves={shelves} onShelvesChange={onShelvesChange} />
+        )}
+        {(onMoveUp || onMoveDown) && (
+          <Box sx={{ ml: 'auto' }}>
+            <IconButton size="small" onClick={onMoveUp} disabled={!onMoveUp}>
+              <ArrowUpwardIcon fontSize="small" />
+            </IconButton>
+            <IconButton size="small" onClick={onMoveDown} disabled={!onMoveDown}>
+              <ArrowDownwardIcon fontSize="small" />
+            </IconButton>
+          </Box>
+        )}
       </CardActions>
     </Card>
   );
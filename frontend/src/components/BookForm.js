@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Dialog,
   DialogTitle,
@@ -13,24 +13,52 @@ import {
   Box,
   Typography,
   Input,
+  Autocomplete,
 } from '@mui/material';
+import BookLookup from './BookLookup';
+import { seriesAPI, assetUrl } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+
+const buildFormData = (book, defaultStatus) => ({
+  title: book?.title || '',
+  author: book?.author || '',
+  genre: book?.genre || '',
+  status: book?.status || defaultStatus,
+  description: book?.description || '',
+  isbn: book?.isbn || '',
+  publishedDate: book?.publishedDate || '',
+  pageCount: book?.pageCount || '',
+  rating: book?.rating || '',
+  notes: book?.notes || '',
+  seriesName: book?.series?.name || '',
+  seriesNumber: book?.series?.number || '',
+  coverImage: null,
+  coverImageUrl: '',
+});
 
 const BookForm = ({ open, onClose, onSubmit, book = null, isEditing = false }) => {
-  const [formData, setFormData] = useState({
-    title: book?.title || '',
-    author: book?.author || '',
-    genre: book?.genre || '',
-    status: book?.status || 'To Read',
-    description: book?.description || '',
-    isbn: book?.isbn || '',
-    publishedDate: book?.publishedDate || '',
-    pageCount: book?.pageCount || '',
-    rating: book?.rating || '',
-    notes: book?.notes || '',
-    coverImage: null,
-  });
+  const { user } = useAuth();
+  const defaultStatus = user?.preferences?.defaultBookStatus || 'To Read';
+  const [formData, setFormData] = useState(() => buildFormData(book, defaultStatus));
+
+  const [imagePreview, setImagePreview] = useState(assetUrl(book?.coverImage) || null);
+  const [seriesNames, setSeriesNames] = useState([]);
+
+  // The dialog stays mounted between uses, so reload the fields each time it
+  // opens for a different book (or for a new one)
+  useEffect(() => {
+    if (!open) return;
+    setFormData(buildFormData(book, defaultStatus));
+    setImagePreview(assetUrl(book?.coverImage) || null);
+  }, [open, book, defaultStatus]);
 
-  const [imagePreview, setImagePreview] = useState(book?.coverImage || null);
+  // Offer the user's existing series so volumes don't end up under two spellings
+  useEffect(() => {
+    if (!open) return;
+    seriesAPI.getSeriesNames()
+      .then(response => setSeriesNames(response.data.names))
+      .catch(error => console.error(error));
+  }, [open]);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -45,7 +73,8 @@ const BookForm = ({ open, onClose, onSubmit, book = null, isEditing = false }) =
     if (file) {
       setFormData(prev => ({
         ...prev,
-        coverImage: file
+        coverImage: file,
+        coverImageUrl: ''
       }));
       
       const reader = new FileReader();
@@ -56,6 +85,25 @@ const BookForm = ({ open, onClose, onSubmit, book = null, isEditing = false }) =
     }
   };
 
+  // Prefill from an online search result, keeping anything the lookup didn't return
+  const handleLookupSelect = (result) => {
+    setFormData(prev => ({
+      ...prev,
+      title: result.title || prev.title,
+      author: result.author || prev.author,
+      genre: result.genre || prev.genre,
+      description: result.description || prev.description,
+      isbn: result.isbn || prev.isbn,
+      publishedDate: result.publishedDate || prev.publishedDate,
+      pageCount: result.pageCount || prev.pageCount,
+      coverImage: result.coverImage ? null : prev.coverImage,
+      coverImageUrl: result.coverImage || prev.coverImageUrl,
+    }));
+    if (result.coverImage) {
+      setImagePreview(result.coverImage);
+    }
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     onSubmit(formData);
@@ -70,6 +118,8 @@ const BookForm = ({ open, onClose, onSubmit, book = null, isEditing = false }) =
       <form onSubmit={handleSubmit}>
         <DialogContent>
           <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: 1 }}>
+            {!isEditing && <BookLookup onSelect={handleLookupSelect} />}
+
             <TextField
               name="title"
               label="Title"
@@ -96,6 +146,30 @@ const BookForm = ({ open, onClose, onSubmit, book = null, isEditing = false }) =
               fullWidth
             />
             
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <Autocomplete
+                freeSolo
+                options={seriesNames}
+                inputValue={formData.seriesName}
+                onInputChange={(e, value) => setFormData(prev => ({ ...prev, seriesName: value }))}
+                sx={{ flexGrow: 1 }}
+                renderInput={(params) => (
+                  <TextField {...params} label="Series" />
+                )}
+              />
+
+              <TextField
+                name="seriesNumber"
+                label="Number in series"
+                type="number"
+                value={formData.seriesNumber}
+                onChange={handleChange}
+                inputProps={{ min: 1, step: 'any' }}
+                disabled={!formData.seriesName}
+                sx={{ width: 180 }}
+              />
+            </Box>
+
             <FormControl fullWidth>
               <InputLabel>Status</InputLabel>
               <Select
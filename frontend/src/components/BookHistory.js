@@ -0,0 +1,191 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Alert,
+  Button,
+  Chip,
+  Paper,
+  Pagination,
+  CircularProgress,
+} from '@mui/material';
+import RestoreIcon from '@mui/icons-material/Restore';
+import { booksAPI } from '../services/api';
+
+const PAGE_SIZE = 20;
+
+const ACTIONS = {
+  create: { label: 'Added', color: 'success' },
+  update: { label: 'Edited', color: 'default' },
+  status: { label: 'Status changed', color: 'primary' },
+  delete: { label: 'Moved to trash', color: 'error' },
+  restore: { label: 'Restored from trash', color: 'info' },
+  revert: { label: 'Reverted', color: 'warning' },
+};
+
+const FIELD_LABELS = {
+  title: 'Title',
+  author: 'Author',
+  genre: 'Genre',
+  status: 'Status',
+  description: 'Description',
+  isbn: 'ISBN',
+  publishedDate: 'Published',
+  pageCount: 'Pages',
+  rating: 'Rating',
+  notes: 'Notes',
+  coverImage: 'Cover',
+  tags: 'Tags',
+  dateStarted: 'Started',
+  dateFinished: 'Finished',
+  readingDuration: 'Reading time (days)',
+  currentPage: 'Current page',
+  purchasePrice: 'Purchase price',
+  purchaseDate: 'Purchase date',
+  location: 'Shelf location',
+  series: 'Series',
+  language: 'Language',
+  format: 'Format',
+};
+
+const DATE_FIELDS = ['dateStarted', 'dateFinished', 'purchaseDate'];
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined) return '—';
+  if (field === 'coverImage') return 'image';
+  if (DATE_FIELDS.includes(field)) return new Date(value).toLocaleDateString();
+  if (field === 'series') return `${value.name}${value.number ? ` #${value.number}` : ''}`;
+  if (Array.isArray(value)) return value.join(', ');
+  const text = String(value);
+  return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+};
+
+// A book's recorded versions, newest first, with a restore button on each
+// earlier one
+const BookHistory = ({ book, onRestore }) => {
+  const [changes, setChanges] = useState([]);
+  const [pagination, setPagination] = useState({ totalPages: 0 });
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const fetchHistory = useCallback(async () => {
+    if (!book) return;
+    try {
+      setLoading(true);
+      const response = await booksAPI.getBookHistory(book._id, { page, limit: PAGE_SIZE });
+      setChanges(response.data.changes);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      setError('Failed to load history');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  }, [book, page]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  const handleRestore = async (change) => {
+    if (!window.confirm(`Restore this book to version ${change.version}? Your current version stays in the history, so this can be undone.`)) {
+      return;
+    }
+    try {
+      setError(null);
+      const response = await booksAPI.restoreBookVersion(book._id, change.version);
+      setNotice([response.data.message, ...response.data.warnings].join('. '));
+      setPage(1);
+      onRestore();
+    } catch (error) {
+      const details = error.response?.data?.details;
+      setError(details ? details.join(', ') : error.response?.data?.message || 'Failed to restore version');
+    }
+  };
+
+  if (!book) return null;
+
+  const latestVersion = changes.length ? Math.max(...changes.map(change => change.version)) : null;
+
+  return (
+    <Box>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+      {notice && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setNotice(null)}>
+          {notice}
+        </Alert>
+      )}
+
+      {loading && changes.length === 0 ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', my: 2 }}>
+          <CircularProgress />
+        </Box>
+      ) : changes.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No changes have been recorded for this book yet.
+        </Typography>
+      ) : (
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5 }}>
+          {changes.map(change => {
+            const action = ACTIONS[change.action] || { label: change.action, color: 'default' };
+            const isLatest = page === 1 && change.version === latestVersion;
+            return (
+              <Paper key={change._id} variant="outlined" sx={{ p: 1.5 }}>
+                <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+                  <Typography variant="subtitle2">v{change.version}</Typography>
+                  <Chip label={action.label} color={action.color} size="small" />
+                  {change.revertedTo && (
+                    <Typography variant="caption" color="text.secondary">
+                      to v{change.revertedTo}
+                    </Typography>
+                  )}
+                  <Typography variant="caption" color="text.secondary">
+                    {new Date(change.createdAt).toLocaleString()}
+                  </Typography>
+                  <Box sx={{ ml: 'auto' }}>
+                    {isLatest ? (
+                      <Chip label="Current" size="small" variant="outlined" />
+                    ) : (
+                      <Button size="small" startIcon={<RestoreIcon />} onClick={() => handleRestore(change)}>
+                        Restore
+                      </Button>
+                    )}
+                  </Box>
+                </Box>
+                {change.action !== 'create' && change.changes.length > 0 && (
+                  <Box component="ul" sx={{ m: 0, mt: 1, pl: 3 }}>
+                    {change.changes.map(item => (
+                      <Typography component="li" variant="body2" key={item.field}>
+                        <strong>{FIELD_LABELS[item.field] || item.field}:</strong>{' '}
+                        {formatValue(item.field, item.from)} → {formatValue(item.field, item.to)}
+                      </Typography>
+                    ))}
+                  </Box>
+                )}
+              </Paper>
+            );
+          })}
+        </Box>
+      )}
+
+      {pagination.totalPages > 1 && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', my: 2 }}>
+          <Pagination
+            count={pagination.totalPages}
+            page={page}
+            onChange={(e, value) => setPage(value)}
+            color="primary"
+          />
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default BookHistory;
@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  TextField,
+  Button,
+  List,
+  ListItemButton,
+  ListItemAvatar,
+  ListItemText,
+  Avatar,
+  Alert,
+  CircularProgress,
+  Typography,
+} from '@mui/material';
+import SearchIcon from '@mui/icons-material/Search';
+import MenuBookIcon from '@mui/icons-material/MenuBook';
+import { booksAPI } from '../services/api';
+
+// ISBN-10 or ISBN-13, with or without hyphens/spaces
+const looksLikeIsbn = (value) => /^[0-9Xx]{10}$|^[0-9]{13}$/.test(value.replace(/[-\s]/g, ''));
+
+const BookLookup = ({ onSelect }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const handleSearch = async () => {
+    const trimmed = query.trim();
+    if (!trimmed) return;
+
+    try {
+      setSearching(true);
+      setMessage(null);
+      setResults([]);
+
+      if (looksLikeIsbn(trimmed)) {
+        const response = await booksAPI.lookupIsbn(trimmed);
+        onSelect(response.data.book);
+        setMessage({ severity: 'success', text: `Filled in details from ${response.data.provider}.` });
+      } else {
+        const response = await booksAPI.searchExternal(trimmed);
+        setResults(response.data.books);
+        if (response.data.books.length === 0) {
+          setMessage({ severity: 'info', text: 'No matches found. Try a different search or enter the details manually.' });
+        }
+      }
+    } catch (error) {
+      setMessage({ severity: 'error', text: error.response?.data?.message || 'Online search failed' });
+      console.error(error);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    // Don't let Enter submit the surrounding book form
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      handleSearch();
+    }
+  };
+
+  const handleSelect = (book) => {
+    onSelect(book);
+    setResults([]);
+    setMessage({ severity: 'success', text: `Filled in details for "${book.title}".` });
+  };
+
+  return (
+    <Box>
+      <Typography variant="body2" gutterBottom>
+        Search online / enter ISBN
+      </Typography>
+      <Box sx={{ display: 'flex', gap: 1 }}>
+        <TextField
+          placeholder="Title, author or ISBN"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={handleKeyDown}
+          size="small"
+          fullWidth
+        />
+        <Button
+          onClick={handleSearch}
+          variant="outlined"
+          disabled={searching || !query.trim()}
+          startIcon={searching ? <CircularProgress size={16} /> : <SearchIcon />}
+        >
+          Search
+        </Button>
+      </Box>
+
+      {message && (
+        <Alert severity={message.severity} sx={{ mt: 1 }}>
+          {message.text}
+        </Alert>
+      )}
+
+      {results.length > 0 && (
+        <List dense sx={{ maxHeight: 240, overflow: 'auto', border: 1, borderColor: 'divider', borderRadius: 1, mt: 1 }}>
+          {results.map((book, index) => (
+            <ListItemButton key={`${book.isbn || book.title}-${index}`} onClick={() => handleSelect(book)}>
+              <ListItemAvatar>
+                <Avatar variant="square" src={book.coverImage || undefined}>
+                  <MenuBookIcon />
+                </Avatar>
+              </ListItemAvatar>
+              <ListItemText
+                primary={book.title}
+                secondary={[book.author, book.publishedDate].filter(Boolean).join(' · ')}
+              />
+            </ListItemButton>
+          ))}
+        </List>
+      )}
+    </Box>
+  );
+};
+
+export default BookLookup;
@@ -0,0 +1,337 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  Alert,
+  Stepper,
+  Step,
+  StepLabel,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Input,
+  TextField,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Chip,
+  CircularProgress,
+} from '@mui/material';
+import { importAPI } from '../services/api';
+
+const STEPS = ['Choose file', 'Review', 'Done'];
+
+const confidenceChip = (confidence) => {
+  if (confidence >= 0.85) return { label: 'High', color: 'success' };
+  if (confidence >= 0.6) return { label: 'Medium', color: 'warning' };
+  return { label: 'Low', color: 'error' };
+};
+
+// Start every book on the action the server suggested
+const initialDecisions = (books) => books.reduce((decisions, group) => {
+  decisions[group.key] = {
+    action: group.suggestedAction,
+    bookId: group.match?.bookId || '',
+    title: group.newBook.book?.title || group.title,
+    author: group.newBook.book?.author || group.author,
+  };
+  return decisions;
+}, {});
+
+const ClippingsImportWizard = ({ open, onClose, onImported }) => {
+  const [activeStep, setActiveStep] = useState(0);
+  const [file, setFile] = useState(null);
+  const [source, setSource] = useState('auto');
+  const [preview, setPreview] = useState(null);
+  const [decisions, setDecisions] = useState({});
+  const [result, setResult] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const reset = () => {
+    setActiveStep(0);
+    setFile(null);
+    setSource('auto');
+    setPreview(null);
+    setDecisions({});
+    setResult(null);
+    setError(null);
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const handlePreview = async () => {
+    try {
+      setWorking(true);
+      setError(null);
+      const response = await importAPI.previewClippingsImport(file, source);
+      setPreview(response.data);
+      setSource(response.data.source);
+      setDecisions(initialDecisions(response.data.books));
+      setActiveStep(1);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to read clippings file');
+      console.error(error);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    const payload = Object.entries(decisions).map(([key, decision]) => ({
+      key,
+      action: decision.action,
+      ...(decision.action === 'match' && { bookId: decision.bookId }),
+      ...(decision.action === 'create' && {
+        book: { title: decision.title.trim(), author: decision.author.trim() }
+      }),
+    }));
+
+    try {
+      setWorking(true);
+      setError(null);
+      const response = await importAPI.commitClippingsImport(file, source, payload);
+      setResult(response.data);
+      setActiveStep(2);
+      onImported();
+    } catch (error) {
+      const details = error.response?.data?.details;
+      setError(details ? details.join(', ') : error.response?.data?.message || 'Import failed');
+      console.error(error);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const updateDecision = (key, changes) => {
+    setDecisions(prev => ({
+      ...prev,
+      [key]: { ...prev[key], ...changes }
+    }));
+  };
+
+  const isComplete = (decision) => {
+    if (decision.action === 'match') return Boolean(decision.bookId);
+    if (decision.action === 'create') return Boolean(decision.title.trim());
+    return true;
+  };
+
+  const decisionList = Object.values(decisions);
+  const importing = decisionList.filter(decision => decision.action !== 'skip').length;
+  const canImport = importing > 0 && decisionList.every(isComplete);
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="lg" fullWidth>
+      <DialogTitle>Import Kindle or Kobo highlights</DialogTitle>
+      <DialogContent>
+        <Stepper activeStep={activeStep} sx={{ mb: 3, mt: 1 }}>
+          {STEPS.map(label => (
+            <Step key={label}>
+              <StepLabel>{label}</StepLabel>
+            </Step>
+          ))}
+        </Stepper>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {activeStep === 0 && (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <Typography variant="body2" color="text.secondary">
+              Upload <code>My Clippings.txt</code> from your Kindle's documents folder, or a CSV of
+              your Kobo annotations. Highlights you've already imported are skipped, so it's safe to
+              upload the same file again later. Nothing is saved until you confirm the preview.
+            </Typography>
+            <FormControl fullWidth>
+              <InputLabel>Source</InputLabel>
+              <Select value={source} label="Source" onChange={(e) => setSource(e.target.value)}>
+                <MenuItem value="auto">Detect automatically</MenuItem>
+                <MenuItem value="kindle">Kindle (My Clippings.txt)</MenuItem>
+                <MenuItem value="kobo">Kobo (CSV)</MenuItem>
+              </Select>
+            </FormControl>
+            <Input
+              type="file"
+              inputProps={{ accept: '.txt,.csv,text/plain,text/csv' }}
+              onChange={(e) => setFile(e.target.files[0] || null)}
+              fullWidth
+            />
+          </Box>
+        )}
+
+        {activeStep === 1 && preview && (
+          <Box>
+            <Box sx={{ display: 'flex', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+              <Chip label={`${preview.summary.books} books`} />
+              <Chip label={`${preview.summary.clippings} clippings`} />
+              <Chip label={`${preview.summary.new} new`} color="success" />
+              <Chip label={`${preview.summary.duplicates} already imported`} color="warning" />
+            </Box>
+            {preview.warnings.length > 0 && (
+              <Alert severity="info" sx={{ mb: 2 }}>
+                {preview.warnings.join('. ')}
+              </Alert>
+            )}
+            <TableContainer sx={{ maxHeight: 460 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>In the file</TableCell>
+                    <TableCell>Clippings</TableCell>
+                    <TableCell>Action</TableCell>
+                    <TableCell>Book</TableCell>
+                    <TableCell>Match</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {preview.books.map(group => {
+                    const decision = decisions[group.key];
+                    if (!decision) return null;
+                    const candidate = group.candidates.find(item => item.bookId === decision.bookId);
+                    const confidence = candidate && confidenceChip(candidate.confidence);
+
+                    return (
+                      <TableRow key={group.key} hover>
+                        <TableCell sx={{ maxWidth: 260 }}>
+                          <Typography variant="body2">{group.sourceTitle}</Typography>
+                          <Typography variant="caption" color="text.secondary">
+                            {group.author || 'Unknown author'}
+                          </Typography>
+                        </TableCell>
+                        <TableCell>
+                          <Typography variant="body2">{group.summary.total}</Typography>
+                          {group.summary.duplicates > 0 && (
+                            <Typography variant="caption" color="text.secondary">
+                              {group.summary.duplicates} already imported
+                            </Typography>
+                          )}
+                        </TableCell>
+                        <TableCell>
+                          <Select
+                            size="small"
+                            value={decision.action}
+                            onChange={(e) => updateDecision(group.key, { action: e.target.value })}
+                          >
+                            <MenuItem value="match" disabled={group.candidates.length === 0}>
+                              Add to existing book
+                            </MenuItem>
+                            <MenuItem value="create" disabled={!group.newBook.book}>
+                              Create new book
+                            </MenuItem>
+                            <MenuItem value="skip">Skip</MenuItem>
+                          </Select>
+                        </TableCell>
+                        <TableCell sx={{ minWidth: 280 }}>
+                          {decision.action === 'match' && (
+                            <Select
+                              size="small"
+                              fullWidth
+                              value={decision.bookId}
+                              onChange={(e) => updateDecision(group.key, { bookId: e.target.value })}
+                            >
+                              {group.candidates.map(item => (
+                                <MenuItem key={item.bookId} value={item.bookId}>
+                                  {item.title} — {item.author}
+                                </MenuItem>
+                              ))}
+                            </Select>
+                          )}
+                          {decision.action === 'create' && (
+                            <Box sx={{ display: 'flex', gap: 1 }}>
+                              <TextField
+                                size="small"
+                                label="Title"
+                                value={decision.title}
+                                onChange={(e) => updateDecision(group.key, { title: e.target.value })}
+                                error={!decision.title.trim()}
+                              />
+                              <TextField
+                                size="small"
+                                label="Author"
+                                value={decision.author}
+                                onChange={(e) => updateDecision(group.key, { author: e.target.value })}
+                              />
+                            </Box>
+                          )}
+                        </TableCell>
+                        <TableCell>
+                          {decision.action === 'match' && confidence && (
+                            <Chip
+                              label={`${confidence.label} (${Math.round(candidate.confidence * 100)}%)`}
+                              color={confidence.color}
+                              size="small"
+                            />
+                          )}
+                          {decision.action === 'create' && group.match && (
+                            <Typography variant="caption" color="text.secondary">
+                              Closest: {group.match.title} ({Math.round(group.match.confidence * 100)}%)
+                            </Typography>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Box>
+        )}
+
+        {activeStep === 2 && result && (
+          <Alert severity={result.errors.length ? 'warning' : 'success'}>
+            {result.message}. {result.summary.duplicates} already imported clipping(s) were skipped
+            {result.summary.booksCreated > 0 && ` and ${result.summary.booksCreated} book(s) were added to your library`}.
+            {result.errors.map(item => ` ${item.title}: ${item.errors.join(', ')}.`)}
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} color="secondary">
+          {activeStep === 2 ? 'Close' : 'Cancel'}
+        </Button>
+        {activeStep === 0 && (
+          <Button
+            onClick={handlePreview}
+            variant="contained"
+            disabled={!file || working}
+            startIcon={working ? <CircularProgress size={16} /> : null}
+          >
+            Preview
+          </Button>
+        )}
+        {activeStep === 1 && (
+          <>
+            <Button onClick={() => setActiveStep(0)} disabled={working}>
+              Back
+            </Button>
+            <Button
+              onClick={handleImport}
+              variant="contained"
+              disabled={!canImport || working}
+              startIcon={working ? <CircularProgress size={16} /> : null}
+            >
+              Import from {importing} Book{importing === 1 ? '' : 's'}
+            </Button>
+          </>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ClippingsImportWizard;
@@ -0,0 +1,45 @@
+import React, { useState } from 'react';
+import { Box } from '@mui/material';
+import { assetUrl, coverPlaceholderUrl } from '../services/api';
+
+// srcset entries for one format, e.g. "…-thumb.webp 120w, …-medium.webp 300w"
+const srcSetFor = (renditions, format) => renditions
+  .filter(item => item.format === format)
+  .sort((a, b) => a.width - b.width)
+  .map(item => `${assetUrl(item.url)} ${item.width}w`)
+  .join(', ');
+
+// Book cover with WebP/JPEG renditions, falling back to the single cover URL
+// and then to a generated placeholder
+const CoverImage = ({ book, height = 200, sizes = '345px', sx }) => {
+  const [failed, setFailed] = useState(false);
+  const renditions = book.coverRenditions || [];
+  const placeholder = coverPlaceholderUrl(book);
+  const imageStyle = { display: 'block', width: '100%', height, objectFit: 'cover' };
+
+  if (failed || (!book.coverImage && renditions.length === 0)) {
+    return (
+      <Box component="img" src={placeholder} alt={book.title} sx={{ ...imageStyle, ...sx }} />
+    );
+  }
+
+  const webp = srcSetFor(renditions, 'webp');
+  const jpeg = srcSetFor(renditions, 'jpeg');
+
+  return (
+    <Box component="picture" sx={{ display: 'block', ...sx }}>
+      {webp && <source type="image/webp" srcSet={webp} sizes={sizes} />}
+      <img
+        src={assetUrl(book.coverImage)}
+        srcSet={jpeg || undefined}
+        sizes={jpeg ? sizes : undefined}
+        alt={book.title}
+        loading="lazy"
+        style={imageStyle}
+        onError={() => setFailed(true)}
+      />
+    </Box>
+  );
+};
+
+export default CoverImage;
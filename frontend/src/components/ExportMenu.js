@@ -0,0 +1,47 @@
+import React, { useState } from 'react';
+import { Button, Menu, MenuItem } from '@mui/material';
+import DownloadIcon from '@mui/icons-material/Download';
+import { booksAPI } from '../services/api';
+import { downloadResponse } from '../utils/download';
+
+const ExportMenu = ({ onError }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  const handleExport = async (format) => {
+    setAnchorEl(null);
+    try {
+      setExporting(true);
+      const response = await booksAPI.exportBooks(format);
+      downloadResponse(response, `library.${format}`);
+    } catch (error) {
+      onError('Failed to export library');
+      console.error(error);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <>
+      <Button
+        variant="outlined"
+        startIcon={<DownloadIcon />}
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+        disabled={exporting}
+      >
+        {exporting ? 'Exporting...' : 'Export'}
+      </Button>
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+      >
+        <MenuItem onClick={() => handleExport('csv')}>Export as CSV</MenuItem>
+        <MenuItem onClick={() => handleExport('json')}>Export as JSON</MenuItem>
+      </Menu>
+    </>
+  );
+};
+
+export default ExportMenu;
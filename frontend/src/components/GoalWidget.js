@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  LinearProgress,
+  Button,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Alert,
+} from '@mui/material';
+import FlagIcon from '@mui/icons-material/Flag';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { goalsAPI } from '../services/api';
+
+const SCHEDULE_TEXT = {
+  completed: () => 'Goal reached!',
+  ahead: (progress, unit) => `${progress.difference} ${unit} ahead of schedule`,
+  behind: (progress, unit) => `${-progress.difference} ${unit} behind schedule`,
+  'on-track': () => 'Right on schedule',
+};
+
+const SCHEDULE_COLORS = {
+  completed: 'success',
+  ahead: 'success',
+  'on-track': 'primary',
+  behind: 'warning',
+};
+
+const GoalWidget = ({ refreshKey }) => {
+  const year = new Date().getFullYear();
+  const [goals, setGoals] = useState([]);
+  const [openDialog, setOpenDialog] = useState(false);
+  const [formData, setFormData] = useState({ metric: 'books', target: '' });
+  const [error, setError] = useState(null);
+
+  const fetchGoals = useCallback(async () => {
+    try {
+      const response = await goalsAPI.getGoals(year);
+      setGoals(response.data.goals);
+    } catch (error) {
+      console.error(error);
+    }
+  }, [year]);
+
+  useEffect(() => {
+    fetchGoals();
+  }, [fetchGoals, refreshKey]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleSave = async () => {
+    try {
+      setError(null);
+      const existing = goals.find(goal => goal.metric === formData.metric);
+      if (existing) {
+        await goalsAPI.updateGoal(existing._id, { target: Number(formData.target) });
+      } else {
+        await goalsAPI.createGoal({ year, metric: formData.metric, target: Number(formData.target) });
+      }
+      setOpenDialog(false);
+      setFormData({ metric: 'books', target: '' });
+      fetchGoals();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to save goal');
+      console.error(error);
+    }
+  };
+
+  const handleDelete = async (goalId) => {
+    try {
+      await goalsAPI.deleteGoal(goalId);
+      fetchGoals();
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  return (
+    <Card variant="outlined" sx={{ minWidth: 280 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+          <Typography variant="subtitle1">
+            {year} Reading Goals
+          </Typography>
+          <Button size="small" startIcon={<FlagIcon />} onClick={() => setOpenDialog(true)}>
+            {goals.length ? 'Edit' : 'Set Goal'}
+          </Button>
+        </Box>
+
+        {goals.length === 0 && (
+          <Typography variant="body2" color="text.secondary">
+            No goal set for this year yet.
+          </Typography>
+        )}
+
+        {goals.map(goal => {
+          const { progress } = goal;
+          const unit = goal.metric;
+          return (
+            <Box key={goal._id} sx={{ mb: 1.5 }}>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <Typography variant="body2">
+                  {progress.current.toLocaleString()} / {goal.target.toLocaleString()} {unit}
+                </Typography>
+                <IconButton size="small" onClick={() => handleDelete(goal._id)}>
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </Box>
+              <LinearProgress
+                variant="determinate"
+                value={progress.percentComplete}
+                color={SCHEDULE_COLORS[progress.schedule]}
+              />
+              <Typography variant="caption" color="text.secondary">
+                {SCHEDULE_TEXT[progress.schedule](progress, unit)}
+                {progress.schedule !== 'completed' && progress.requiredPerWeek !== null &&
+                  ` · ${progress.requiredPerWeek} ${unit}/week needed · on pace for ${progress.projected.toLocaleString()}`}
+              </Typography>
+            </Box>
+          );
+        })}
+      </CardContent>
+
+      <Dialog open={openDialog} onClose={() => setOpenDialog(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Set a {year} reading goal</DialogTitle>
+        <DialogContent>
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: 1 }}>
+            {error && <Alert severity="error">{error}</Alert>}
+            <FormControl fullWidth>
+              <InputLabel>Goal type</InputLabel>
+              <Select name="metric" value={formData.metric} onChange={handleChange}>
+                <MenuItem value="books">Books finished</MenuItem>
+                <MenuItem value="pages">Pages read</MenuItem>
+              </Select>
+            </FormControl>
+            <TextField
+              name="target"
+              label="Target"
+              type="number"
+              value={formData.target}
+              onChange={handleChange}
+              inputProps={{ min: 1 }}
+              fullWidth
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpenDialog(false)} color="secondary">
+            Cancel
+          </Button>
+          <Button onClick={handleSave} variant="contained" disabled={!formData.target}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default GoalWidget;
@@ -0,0 +1,246 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  Alert,
+  Stepper,
+  Step,
+  StepLabel,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Input,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Checkbox,
+  Chip,
+  CircularProgress,
+} from '@mui/material';
+import { importAPI } from '../services/api';
+
+const STEPS = ['Choose file', 'Review', 'Done'];
+
+const ROW_STATUS_COLORS = {
+  new: 'success',
+  duplicate: 'warning',
+  error: 'error',
+};
+
+const ImportWizard = ({ open, onClose, onImported }) => {
+  const [activeStep, setActiveStep] = useState(0);
+  const [file, setFile] = useState(null);
+  const [source, setSource] = useState('auto');
+  const [preview, setPreview] = useState(null);
+  const [selectedRows, setSelectedRows] = useState([]);
+  const [result, setResult] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const reset = () => {
+    setActiveStep(0);
+    setFile(null);
+    setSource('auto');
+    setPreview(null);
+    setSelectedRows([]);
+    setResult(null);
+    setError(null);
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const handlePreview = async () => {
+    try {
+      setWorking(true);
+      setError(null);
+      const response = await importAPI.previewLibraryImport(file, source);
+      setPreview(response.data);
+      setSource(response.data.source);
+      setSelectedRows(response.data.rows.filter(row => row.status === 'new').map(row => row.row));
+      setActiveStep(1);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to read import file');
+      console.error(error);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      setWorking(true);
+      setError(null);
+      const response = await importAPI.commitLibraryImport(file, source, selectedRows);
+      setResult(response.data);
+      setActiveStep(2);
+      onImported();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Import failed');
+      console.error(error);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const toggleRow = (rowNumber) => {
+    setSelectedRows(prev => (
+      prev.includes(rowNumber)
+        ? prev.filter(row => row !== rowNumber)
+        : [...prev, rowNumber]
+    ));
+  };
+
+  const describeRow = (row) => {
+    if (row.status === 'error') return row.errors.join(', ');
+    if (row.status === 'duplicate') {
+      return row.duplicateOf.row
+        ? `Same as row ${row.duplicateOf.row} in this file`
+        : `Already in library (matched on ${row.duplicateOf.matchedOn})`;
+    }
+    return row.warnings.join(', ');
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="lg" fullWidth>
+      <DialogTitle>Import from Goodreads or StoryGraph</DialogTitle>
+      <DialogContent>
+        <Stepper activeStep={activeStep} sx={{ mb: 3, mt: 1 }}>
+          {STEPS.map(label => (
+            <Step key={label}>
+              <StepLabel>{label}</StepLabel>
+            </Step>
+          ))}
+        </Stepper>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {activeStep === 0 && (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <Typography variant="body2" color="text.secondary">
+              Upload the CSV export from your Goodreads (My Books &gt; Import and export) or
+              StoryGraph (Manage Account &gt; Export) account. Nothing is saved until you confirm
+              the preview.
+            </Typography>
+            <FormControl fullWidth>
+              <InputLabel>Source</InputLabel>
+              <Select value={source} onChange={(e) => setSource(e.target.value)}>
+                <MenuItem value="auto">Detect automatically</MenuItem>
+                <MenuItem value="goodreads">Goodreads</MenuItem>
+                <MenuItem value="storygraph">StoryGraph</MenuItem>
+              </Select>
+            </FormControl>
+            <Input
+              type="file"
+              inputProps={{ accept: '.csv,text/csv' }}
+              onChange={(e) => setFile(e.target.files[0] || null)}
+              fullWidth
+            />
+          </Box>
+        )}
+
+        {activeStep === 1 && preview && (
+          <Box>
+            <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+              <Chip label={`${preview.summary.total} rows`} />
+              <Chip label={`${preview.summary.new} new`} color="success" />
+              <Chip label={`${preview.summary.duplicates} duplicates`} color="warning" />
+              <Chip label={`${preview.summary.errors} errors`} color="error" />
+            </Box>
+            <TableContainer sx={{ maxHeight: 420 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell padding="checkbox" />
+                    <TableCell>Row</TableCell>
+                    <TableCell>Title</TableCell>
+                    <TableCell>Author</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell>Result</TableCell>
+                    <TableCell>Details</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {preview.rows.map(row => (
+                    <TableRow key={row.row} hover>
+                      <TableCell padding="checkbox">
+                        <Checkbox
+                          checked={selectedRows.includes(row.row)}
+                          disabled={row.status === 'error'}
+                          onChange={() => toggleRow(row.row)}
+                        />
+                      </TableCell>
+                      <TableCell>{row.row}</TableCell>
+                      <TableCell>{row.book.title}</TableCell>
+                      <TableCell>{row.book.author}</TableCell>
+                      <TableCell>{row.book.status}</TableCell>
+                      <TableCell>
+                        <Chip label={row.status} color={ROW_STATUS_COLORS[row.status]} size="small" />
+                      </TableCell>
+                      <TableCell>
+                        <Typography variant="caption">{describeRow(row)}</Typography>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Box>
+        )}
+
+        {activeStep === 2 && result && (
+          <Alert severity="success">
+            {result.message}. {result.summary.skipped} row(s) were skipped.
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} color="secondary">
+          {activeStep === 2 ? 'Close' : 'Cancel'}
+        </Button>
+        {activeStep === 0 && (
+          <Button
+            onClick={handlePreview}
+            variant="contained"
+            disabled={!file || working}
+            startIcon={working ? <CircularProgress size={16} /> : null}
+          >
+            Preview
+          </Button>
+        )}
+        {activeStep === 1 && (
+          <>
+            <Button onClick={() => setActiveStep(0)} disabled={working}>
+              Back
+            </Button>
+            <Button
+              onClick={handleImport}
+              variant="contained"
+              disabled={selectedRows.length === 0 || working}
+              startIcon={working ? <CircularProgress size={16} /> : null}
+            >
+              Import {selectedRows.length} Book{selectedRows.length === 1 ? '' : 's'}
+            </Button>
+          </>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ImportWizard;
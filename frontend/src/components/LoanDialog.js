@@ -0,0 +1,231 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Button,
+  Box,
+  Typography,
+  Alert,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
+  CircularProgress,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { loansAPI } from '../services/api';
+
+const EMPTY_FORM = {
+  borrowerName: '',
+  borrowerContact: '',
+  dueAt: '',
+  conditionOut: '',
+  conditionReturned: '',
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '');
+
+const formatLoan = (loan) => {
+  const lent = `${loan.borrowerName} · ${formatDate(loan.lentAt)}`;
+  if (loan.returnedAt) {
+    return `${lent} – ${formatDate(loan.returnedAt)}`;
+  }
+  return loan.dueAt ? `${lent} (due ${formatDate(loan.dueAt)})` : `${lent} (still out)`;
+};
+
+const conditionNotes = (loan) => [
+  loan.borrowerContact,
+  loan.conditionOut && `Out: ${loan.conditionOut}`,
+  loan.conditionReturned && `Back: ${loan.conditionReturned}`,
+].filter(Boolean).join(' · ');
+
+// A due date picked in the form means the end of that day, local time
+const endOfDay = (date) => new Date(`${date}T23:59:59`).toISOString();
+
+const LoanDialog = ({ open, onClose, book, onLoanChange }) => {
+  const [loans, setLoans] = useState([]);
+  const [currentLoan, setCurrentLoan] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  const fetchLoans = useCallback(async () => {
+    if (!book) return;
+    try {
+      setLoading(true);
+      const response = await loansAPI.getBookLoans(book._id);
+      setLoans(response.data.loans);
+      setCurrentLoan(response.data.currentLoan);
+    } catch (error) {
+      setError('Failed to load loans');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  }, [book]);
+
+  useEffect(() => {
+    if (open) {
+      setError(null);
+      setFormData(EMPTY_FORM);
+      fetchLoans();
+    }
+  }, [open, fetchLoans]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const runAction = async (action) => {
+    try {
+      setError(null);
+      await action();
+      setFormData(EMPTY_FORM);
+      await fetchLoans();
+      onLoanChange();
+    } catch (error) {
+      const details = error.response?.data?.details;
+      setError(details ? details.join(', ') : error.response?.data?.message || 'Failed to save loan');
+      console.error(error);
+    }
+  };
+
+  const handleLend = () => runAction(() => loansAPI.lendBook(book._id, {
+    borrowerName: formData.borrowerName,
+    borrowerContact: formData.borrowerContact,
+    conditionOut: formData.conditionOut,
+    dueAt: formData.dueAt ? endOfDay(formData.dueAt) : null,
+  }));
+
+  const handleReturn = () => runAction(() => loansAPI.returnLoan(book._id, currentLoan._id, {
+    conditionReturned: formData.conditionReturned,
+  }));
+
+  const handleDelete = (loanId) => runAction(() => loansAPI.deleteLoan(book._id, loanId));
+
+  if (!book) return null;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Lending: {book.title}</DialogTitle>
+      <DialogContent>
+        {loading && loans.length === 0 ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', my: 2 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: 1 }}>
+            {error && (
+              <Alert severity="error">
+                {error}
+              </Alert>
+            )}
+
+            {currentLoan ? (
+              <>
+                <Alert severity={currentLoan.isOverdue ? 'warning' : 'info'}>
+                  Lent to {currentLoan.borrowerName} on {formatDate(currentLoan.lentAt)}
+                  {currentLoan.dueAt && `, due back ${formatDate(currentLoan.dueAt)}`}
+                  {currentLoan.isOverdue && ' (overdue)'}
+                </Alert>
+                <TextField
+                  name="conditionReturned"
+                  label="Condition on return"
+                  value={formData.conditionReturned}
+                  onChange={handleChange}
+                  multiline
+                  rows={2}
+                  fullWidth
+                />
+              </>
+            ) : (
+              <>
+                <Box sx={{ display: 'flex', gap: 2 }}>
+                  <TextField
+                    name="borrowerName"
+                    label="Borrower"
+                    value={formData.borrowerName}
+                    onChange={handleChange}
+                    required
+                    fullWidth
+                  />
+                  <TextField
+                    name="borrowerContact"
+                    label="Contact (optional)"
+                    value={formData.borrowerContact}
+                    onChange={handleChange}
+                    fullWidth
+                  />
+                </Box>
+                <TextField
+                  name="dueAt"
+                  label="Due back"
+                  type="date"
+                  value={formData.dueAt}
+                  onChange={handleChange}
+                  InputLabelProps={{ shrink: true }}
+                  fullWidth
+                />
+                <TextField
+                  name="conditionOut"
+                  label="Condition when lent"
+                  value={formData.conditionOut}
+                  onChange={handleChange}
+                  multiline
+                  rows={2}
+                  fullWidth
+                />
+              </>
+            )}
+
+            <Typography variant="subtitle2">Loan history</Typography>
+            {loans.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                This book hasn't been lent out yet.
+              </Typography>
+            ) : (
+              <List dense disablePadding>
+                {loans.map((loan) => (
+                  <ListItem
+                    key={loan._id}
+                    disableGutters
+                    secondaryAction={
+                      <IconButton edge="end" onClick={() => handleDelete(loan._id)} size="small">
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    }
+                  >
+                    <ListItemText primary={formatLoan(loan)} secondary={conditionNotes(loan)} />
+                  </ListItem>
+                ))}
+              </List>
+            )}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} color="secondary">
+          Close
+        </Button>
+        {currentLoan ? (
+          <Button onClick={handleReturn} variant="contained">
+            Mark Returned
+          </Button>
+        ) : (
+          <Button onClick={handleLend} variant="contained" disabled={!formData.borrowerName.trim()}>
+            Lend
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default LoanDialog;
@@ -5,18 +5,26 @@ import {
   Typography,
   Button,
   Box,
+  Avatar,
 } from '@mui/material';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { assetUrl } from '../services/api';
 import BookIcon from '@mui/icons-material/Book';
 import LogoutIcon from '@mui/icons-material/Logout';
+import BarChartIcon from '@mui/icons-material/BarChart';
+import CollectionsBookmarkIcon from '@mui/icons-material/CollectionsBookmark';
+import SettingsIcon from '@mui/icons-material/Settings';
+import AdminPanelSettingsIcon from '@mui/icons-material/AdminPanelSettings';
+import HandshakeIcon from '@mui/icons-material/Handshake';
+import FormatQuoteIcon from '@mui/icons-material/FormatQuote';
 
 const Navbar = () => {
   const { isAuthenticated, user, logout } = useAuth();
   const navigate = useNavigate();
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     navigate('/login');
   };
 
@@ -35,6 +43,53 @@ const Navbar = () => {
         
         {isAuthenticated ? (
           <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+            <Button 
+              color="inherit" 
+              onClick={() => navigate('/series')}
+              startIcon={<CollectionsBookmarkIcon />}
+            >
+              Series
+            </Button>
+            <Button 
+              color="inherit" 
+              onClick={() => navigate('/quotes')}
+              startIcon={<FormatQuoteIcon />}
+            >
+              Quotes
+            </Button>
+            <Button 
+              color="inherit" 
+              onClick={() => navigate('/loans')}
+              startIcon={<HandshakeIcon />}
+            >
+              Loans
+            </Button>
+            <Button 
+              color="inherit" 
+              onClick={() => navigate('/stats')}
+              startIcon={<BarChartIcon />}
+            >
+              Stats
+            </Button>
+            <Button 
+              color="inherit" 
+              onClick={() => navigate('/settings')}
+              startIcon={<SettingsIcon />}
+            >
+              Settings
+            </Button>
+            {user?.role === 'admin' && (
+              <Button 
+                color="inherit" 
+                onClick={() => navigate('/admin')}
+                startIcon={<AdminPanelSettingsIcon />}
+              >
+                Admin
+              </Button>
+            )}
+            <Avatar src={assetUrl(user?.avatar)} sx={{ width: 32, height: 32 }}>
+              {user?.firstName?.[0]}
+            </Avatar>
             <Typography variant="body1">
               Welcome, {user?.firstName || user?.username}!
             </Typography>
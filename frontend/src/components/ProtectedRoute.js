@@ -1,10 +1,11 @@
 import React from 'react';
 import { Navigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { CircularProgress, Container } from '@mui/material';
+import { Alert, CircularProgress, Container } from '@mui/material';
 
-const ProtectedRoute = ({ children }) => {
-  const { isAuthenticated, loading } = useAuth();
+// `roles` limits the route to users holding one of the given roles
+const ProtectedRoute = ({ children, roles }) => {
+  const { isAuthenticated, user, loading } = useAuth();
 
   if (loading) {
     return (
@@ -14,7 +15,19 @@ const ProtectedRoute = ({ children }) => {
     );
   }
 
-  return isAuthenticated ? children : <Navigate to="/login" replace />;
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace />;
+  }
+
+  if (roles && !roles.includes(user?.role)) {
+    return (
+      <Container sx={{ mt: 4 }}>
+        <Alert severity="error">You do not have permission to view this page.</Alert>
+      </Container>
+    );
+  }
+
+  return children;
 };
 
 export default ProtectedRoute;
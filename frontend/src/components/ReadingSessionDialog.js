@@ -0,0 +1,222 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Button,
+  Box,
+  Typography,
+  Alert,
+  LinearProgress,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
+  CircularProgress,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { sessionsAPI } from '../services/api';
+
+const formatSession = (session) => {
+  const started = new Date(session.startedAt).toLocaleString();
+  if (!session.endedAt) {
+    return `Started ${started} (in progress)`;
+  }
+  const position = session.endPage !== null && session.endPage !== undefined
+    ? `to page ${session.endPage}`
+    : `to ${session.percent}%`;
+  return `${started} · ${session.durationMinutes} min ${position}`;
+};
+
+const ReadingSessionDialog = ({ open, onClose, book, onProgressChange }) => {
+  const [sessions, setSessions] = useState([]);
+  const [activeSession, setActiveSession] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [formData, setFormData] = useState({ endPage: '', percent: '', note: '' });
+
+  const fetchSessions = useCallback(async () => {
+    if (!book) return;
+    try {
+      setLoading(true);
+      const response = await sessionsAPI.getSessions(book._id);
+      setSessions(response.data.sessions);
+      setActiveSession(response.data.activeSession);
+      setProgress(response.data.progress);
+    } catch (error) {
+      setError('Failed to load reading sessions');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  }, [book]);
+
+  useEffect(() => {
+    if (open) {
+      setError(null);
+      setFormData({ endPage: '', percent: '', note: '' });
+      fetchSessions();
+    }
+  }, [open, fetchSessions]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  // Only send the position the user actually entered
+  const buildProgressPayload = () => {
+    const payload = { note: formData.note };
+    if (formData.endPage !== '') {
+      payload.endPage = Number(formData.endPage);
+    } else if (formData.percent !== '') {
+      payload.percent = Number(formData.percent);
+    }
+    return payload;
+  };
+
+  const runAction = async (action) => {
+    try {
+      setError(null);
+      await action();
+      setFormData({ endPage: '', percent: '', note: '' });
+      await fetchSessions();
+      onProgressChange();
+    } catch (error) {
+      const details = error.response?.data?.details;
+      setError(details ? details.join(', ') : error.response?.data?.message || 'Failed to save reading session');
+      console.error(error);
+    }
+  };
+
+  const handleStart = () => runAction(() => sessionsAPI.startSession(book._id));
+
+  const handleFinish = () => runAction(() => sessionsAPI.updateSession(book._id, activeSession._id, {
+    ...buildProgressPayload(),
+    endedAt: new Date().toISOString(),
+  }));
+
+  const handleLog = () => runAction(() => sessionsAPI.startSession(book._id, {
+    ...buildProgressPayload(),
+    startedAt: new Date().toISOString(),
+    endedAt: new Date().toISOString(),
+  }));
+
+  const handleDelete = (sessionId) => runAction(() => sessionsAPI.deleteSession(book._id, sessionId));
+
+  if (!book) return null;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Reading progress: {book.title}</DialogTitle>
+      <DialogContent>
+        {loading && !progress ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', my: 2 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: 1 }}>
+            {progress && progress.percentComplete !== null && (
+              <Box>
+                <Typography variant="body2" color="text.secondary" gutterBottom>
+                  {progress.pageCount
+                    ? `Page ${progress.currentPage} of ${progress.pageCount} (${progress.percentComplete}%)`
+                    : `${progress.percentComplete}% complete`}
+                </Typography>
+                <LinearProgress variant="determinate" value={progress.percentComplete} />
+              </Box>
+            )}
+
+            {error && (
+              <Alert severity="error">
+                {error}
+              </Alert>
+            )}
+
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                name="endPage"
+                label="Page reached"
+                type="number"
+                value={formData.endPage}
+                onChange={handleChange}
+                inputProps={{ min: 0, max: book.pageCount || undefined }}
+                fullWidth
+              />
+              <TextField
+                name="percent"
+                label="or Percent"
+                type="number"
+                value={formData.percent}
+                onChange={handleChange}
+                inputProps={{ min: 0, max: 100 }}
+                disabled={formData.endPage !== ''}
+                fullWidth
+              />
+            </Box>
+
+            <TextField
+              name="note"
+              label="Session note"
+              value={formData.note}
+              onChange={handleChange}
+              multiline
+              rows={2}
+              fullWidth
+            />
+
+            <Typography variant="subtitle2">Session history</Typography>
+            {sessions.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                No reading sessions logged yet.
+              </Typography>
+            ) : (
+              <List dense disablePadding>
+                {sessions.map((session) => (
+                  <ListItem
+                    key={session._id}
+                    disableGutters
+                    secondaryAction={
+                      <IconButton edge="end" onClick={() => handleDelete(session._id)} size="small">
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    }
+                  >
+                    <ListItemText primary={formatSession(session)} secondary={session.note} />
+                  </ListItem>
+                ))}
+              </List>
+            )}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} color="secondary">
+          Close
+        </Button>
+        {activeSession ? (
+          <Button onClick={handleFinish} variant="contained">
+            Finish Session
+          </Button>
+        ) : (
+          <>
+            <Button onClick={handleLog}>
+              Log Progress
+            </Button>
+            <Button onClick={handleStart} variant="contained">
+              Start Session
+            </Button>
+          </>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ReadingSessionDialog;
@@ -0,0 +1,118 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Autocomplete,
+  TextField,
+  Box,
+  Typography,
+  CircularProgress,
+} from '@mui/material';
+import SearchIcon from '@mui/icons-material/Search';
+import { booksAPI } from '../services/api';
+
+const SUGGESTION_LIMIT = 8;
+
+// Render a snippet with its [start, end) match ranges wrapped in <mark>
+const Highlighted = ({ text, matches = [] }) => {
+  const parts = [];
+  let cursor = 0;
+  matches.forEach(([start, end]) => {
+    if (start > cursor) parts.push(text.slice(cursor, start));
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+    cursor = end;
+  });
+  parts.push(text.slice(cursor));
+  return <>{parts}</>;
+};
+
+const highlightFor = (result, field) => result.highlights.find(item => item.field === field);
+
+const SearchBox = ({ value, onChange, onSelect }) => {
+  const [suggestions, setSuggestions] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  // Debounce so suggestions are fetched once the user pauses typing
+  useEffect(() => {
+    const query = value.trim();
+    if (!query) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      try {
+        setLoading(true);
+        const response = await booksAPI.searchBooks(query, { limit: SUGGESTION_LIMIT });
+        if (!cancelled) setSuggestions(response.data.results);
+      } catch (error) {
+        // Half-typed field filters like "status:rea" are expected to fail
+        if (!cancelled) setSuggestions([]);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, 250);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [value]);
+
+  return (
+    <Autocomplete
+      freeSolo
+      options={suggestions}
+      filterOptions={(options) => options}
+      getOptionLabel={(option) => (typeof option === 'string' ? option : option.book.title)}
+      inputValue={value}
+      onInputChange={(e, newValue, reason) => {
+        // Picking a suggestion opens the book instead of replacing the search
+        if (reason !== 'reset') onChange(newValue);
+      }}
+      onChange={(e, option) => {
+        if (option && typeof option !== 'string') onSelect(option.book);
+      }}
+      loading={loading}
+      sx={{ flexGrow: 1 }}
+      renderOption={(props, option) => {
+        const title = highlightFor(option, 'title');
+        const author = highlightFor(option, 'author');
+        const snippet = option.highlights.find(item => ['description', 'notes', 'tags'].includes(item.field));
+
+        return (
+          <Box component="li" {...props} key={option.book._id} sx={{ display: 'block !important' }}>
+            <Typography variant="body1">
+              {title ? <Highlighted text={title.snippet} matches={title.matches} /> : option.book.title}
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              {author ? <Highlighted text={author.snippet} matches={author.matches} /> : option.book.author}
+            </Typography>
+            {snippet && (
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                {snippet.field}: <Highlighted text={snippet.snippet} matches={snippet.matches} />
+              </Typography>
+            )}
+          </Box>
+        );
+      }}
+      renderInput={(params) => (
+        <TextField
+          {...params}
+          placeholder='Search, e.g. dune or author:le guin status:read'
+          InputProps={{
+            ...params.InputProps,
+            startAdornment: <SearchIcon sx={{ mr: 1, color: 'action.active' }} />,
+            endAdornment: (
+              <>
+                {loading && <CircularProgress color="inherit" size={20} />}
+                {params.InputProps.endAdornment}
+              </>
+            ),
+          }}
+        />
+      )}
+    />
+  );
+};
+
+export default SearchBox;
@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import {
+  IconButton,
+  Menu,
+  MenuItem,
+  ListItemIcon,
+  ListItemText,
+  Checkbox,
+  Tooltip,
+} from '@mui/material';
+import LibraryAddIcon from '@mui/icons-material/LibraryAdd';
+import { shelvesAPI } from '../services/api';
+
+// Per-book menu for toggling membership on each of the user's shelves
+const ShelfMenu = ({ book, shelves, onShelvesChange }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  const isOnShelf = (shelf) => shelf.bookIds.includes(book._id);
+
+  const toggleShelf = async (shelf) => {
+    try {
+      if (isOnShelf(shelf)) {
+        await shelvesAPI.removeBook(shelf._id, book._id);
+      } else {
+        await shelvesAPI.addBook(shelf._id, book._id);
+      }
+      onShelvesChange();
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  return (
+    <>
+      <Tooltip title="Shelves">
+        <IconButton onClick={(e) => setAnchorEl(e.currentTarget)}>
+          <LibraryAddIcon />
+        </IconButton>
+      </Tooltip>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        {shelves.length === 0 && (
+          <MenuItem disabled>Create a shelf first</MenuItem>
+        )}
+        {shelves.map(shelf => (
+          <MenuItem key={shelf._id} onClick={() => toggleShelf(shelf)} dense>
+            <ListItemIcon>
+              <Checkbox edge="start" size="small" checked={isOnShelf(shelf)} disableRipple />
+            </ListItemIcon>
+            <ListItemText primary={shelf.name} />
+          </MenuItem>
+        ))}
+      </Menu>
+    </>
+  );
+};
+
+export default ShelfMenu;
@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  List,
+  ListItemButton,
+  ListItemText,
+  IconButton,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Alert,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { shelvesAPI } from '../services/api';
+
+const ShelfSidebar = ({ shelves, selectedShelf, onSelect, onShelvesChange }) => {
+  const [openDialog, setOpenDialog] = useState(false);
+  const [formData, setFormData] = useState({ name: '', description: '' });
+  const [error, setError] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleCreate = async () => {
+    try {
+      setError(null);
+      const response = await shelvesAPI.createShelf(formData);
+      setOpenDialog(false);
+      setFormData({ name: '', description: '' });
+      onShelvesChange();
+      onSelect(response.data.shelf._id);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to create shelf');
+      console.error(error);
+    }
+  };
+
+  const handleDelete = async (shelf) => {
+    if (window.confirm(`Delete the shelf "${shelf.name}"? The books stay in your library.`)) {
+      try {
+        await shelvesAPI.deleteShelf(shelf._id);
+        if (selectedShelf === shelf._id) {
+          onSelect('');
+        }
+        onShelvesChange();
+      } catch (error) {
+        console.error(error);
+      }
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="subtitle1" sx={{ mb: 1 }}>
+        Shelves
+      </Typography>
+      <List dense disablePadding>
+        <ListItemButton selected={!selectedShelf} onClick={() => onSelect('')}>
+          <ListItemText primary="All books" />
+        </ListItemButton>
+        {shelves.map(shelf => (
+          <ListItemButton
+            key={shelf._id}
+            selected={selectedShelf === shelf._id}
+            onClick={() => onSelect(shelf._id)}
+            sx={{ borderLeft: 4, borderColor: shelf.color || 'transparent' }}
+          >
+            <ListItemText primary={shelf.name} secondary={`${shelf.bookCount} books`} />
+            <IconButton
+              edge="end"
+              size="small"
+              onClick={(e) => {
+                e.stopPropagation();
+                handleDelete(shelf);
+              }}
+            >
+              <DeleteIcon fontSize="small" />
+            </IconButton>
+          </ListItemButton>
+        ))}
+      </List>
+      <Button size="small" startIcon={<AddIcon />} onClick={() => setOpenDialog(true)} sx={{ mt: 1 }}>
+        New Shelf
+      </Button>
+
+      <Dialog open={openDialog} onClose={() => setOpenDialog(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>New shelf</DialogTitle>
+        <DialogContent>
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: 1 }}>
+            {error && <Alert severity="error">{error}</Alert>}
+            <TextField
+              name="name"
+              label="Name"
+              placeholder="e.g. Favorites, Lent out, Book club 2026"
+              value={formData.name}
+              onChange={handleChange}
+              required
+              fullWidth
+            />
+            <TextField
+              name="description"
+              label="Description"
+              value={formData.description}
+              onChange={handleChange}
+              multiline
+              rows={2}
+              fullWidth
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpenDialog(false)} color="secondary">
+            Cancel
+          </Button>
+          <Button onClick={handleCreate} variant="contained" disabled={!formData.name.trim()}>
+            Create
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default ShelfSidebar;
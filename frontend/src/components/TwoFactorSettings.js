@@ -0,0 +1,195 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  Chip,
+  Link,
+  Paper,
+} from '@mui/material';
+import { authAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+
+const errorMessage = (error, fallback) => (
+  error.response?.data?.details?.[0] || error.response?.data?.message || fallback
+);
+
+// Shown once after enabling or regenerating; the server only keeps hashes
+const RecoveryCodes = ({ codes, onDone }) => (
+  <Alert severity="warning" sx={{ mt: 2 }}>
+    <Typography variant="body2" gutterBottom>
+      Save these recovery codes somewhere safe. Each one can be used once to sign in
+      if you lose your authenticator. They won't be shown again.
+    </Typography>
+    <Paper variant="outlined" sx={{ p: 1, my: 1, fontFamily: 'monospace', display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: 0.5 }}>
+      {codes.map(code => <span key={code}>{code}</span>)}
+    </Paper>
+    <Button size="small" onClick={() => navigator.clipboard.writeText(codes.join('\n'))}>
+      Copy codes
+    </Button>
+    <Button size="small" onClick={onDone}>
+      I've saved them
+    </Button>
+  </Alert>
+);
+
+const TwoFactorSettings = () => {
+  const { updateUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await authAPI.getTwoFactorStatus();
+      setStatus(response.data);
+    } catch (error) {
+      setMessage({ severity: 'error', text: 'Failed to load two-factor status' });
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const handleStartSetup = async () => {
+    try {
+      const response = await authAPI.setupTwoFactor();
+      setSetup(response.data);
+      setMessage(null);
+    } catch (error) {
+      setMessage({ severity: 'error', text: errorMessage(error, 'Failed to start setup') });
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await authAPI.enableTwoFactor(code.replace(/\s/g, ''));
+      setRecoveryCodes(response.data.recoveryCodes);
+      setSetup(null);
+      setCode('');
+      setMessage({ severity: 'success', text: 'Two-factor authentication is on' });
+      updateUser({ twoFactorEnabled: true });
+      fetchStatus();
+    } catch (error) {
+      setMessage({ severity: 'error', text: errorMessage(error, 'Failed to enable two-factor authentication') });
+    }
+  };
+
+  const handleDisable = async () => {
+    try {
+      await authAPI.disableTwoFactor(password);
+      setPassword('');
+      setRecoveryCodes(null);
+      setMessage({ severity: 'success', text: 'Two-factor authentication is off' });
+      updateUser({ twoFactorEnabled: false });
+      fetchStatus();
+    } catch (error) {
+      setMessage({ severity: 'error', text: errorMessage(error, 'Failed to disable two-factor authentication') });
+    }
+  };
+
+  const handleRegenerate = async () => {
+    try {
+      const response = await authAPI.regenerateRecoveryCodes(password);
+      setPassword('');
+      setRecoveryCodes(response.data.recoveryCodes);
+      setMessage(null);
+      fetchStatus();
+    } catch (error) {
+      setMessage({ severity: 'error', text: errorMessage(error, 'Failed to generate recovery codes') });
+    }
+  };
+
+  if (!status) return null;
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+        <Chip
+          label={status.enabled ? 'On' : 'Off'}
+          color={status.enabled ? 'success' : 'default'}
+          size="small"
+        />
+        <Typography variant="body2" color="text.secondary">
+          {status.enabled
+            ? `Sign-ins need a code from your authenticator app. ${status.recoveryCodesRemaining} recovery codes left.`
+            : 'Add a second step to sign-in with an authenticator app.'}
+        </Typography>
+      </Box>
+
+      {!status.enabled && !setup && (
+        <Button variant="contained" onClick={handleStartSetup}>
+          Set up two-factor authentication
+        </Button>
+      )}
+
+      {setup && (
+        <form onSubmit={handleEnable}>
+          <Typography variant="body2" gutterBottom>
+            1. On your phone, <Link href={setup.otpauthUri}>open this link in your authenticator app</Link>,
+            or add an account manually with this key:
+          </Typography>
+          <Paper variant="outlined" sx={{ p: 1, mb: 2, fontFamily: 'monospace', wordBreak: 'break-all' }}>
+            {setup.secret.match(/.{1,4}/g).join(' ')}
+          </Paper>
+          <Typography variant="body2">
+            2. Enter the 6-digit code the app shows to finish.
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+            <TextField
+              label="Authentication code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              margin="normal"
+              inputProps={{ inputMode: 'numeric', autoComplete: 'one-time-code' }}
+              required
+            />
+            <Button type="submit" variant="contained">
+              Turn on
+            </Button>
+            <Button onClick={() => setSetup(null)}>
+              Cancel
+            </Button>
+          </Box>
+        </form>
+      )}
+
+      {status.enabled && !recoveryCodes && (
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+          <TextField
+            label="Current password"
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            size="small"
+          />
+          <Button variant="outlined" disabled={!password} onClick={handleRegenerate}>
+            New recovery codes
+          </Button>
+          <Button color="error" disabled={!password} onClick={handleDisable}>
+            Turn off
+          </Button>
+        </Box>
+      )}
+
+      {recoveryCodes && (
+        <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+      )}
+
+      {message && (
+        <Alert severity={message.severity} sx={{ mt: 2 }}>
+          {message.text}
+        </Alert>
+      )}
+    </Box>
+  );
+};
+
+export default TwoFactorSettings;
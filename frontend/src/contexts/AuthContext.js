@@ -1,4 +1,4 @@
-import React, { createContext, useState, useContext, useEffect } from 'react';
+import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
 import { authAPI } from '../services/api';
 
 const AuthContext = createContext();
@@ -38,17 +38,28 @@ export const AuthProvider = ({ children }) => {
     initializeAuth();
   }, []);
 
+  const startSession = ({ token, user }) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('user', JSON.stringify(user));
+
+    setUser(user);
+    setIsAuthenticated(true);
+  };
+
   const login = async (credentials) => {
     try {
       const response = await authAPI.login(credentials);
-      const { token, user } = response.data;
-      
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(user));
-      
-      setUser(user);
-      setIsAuthenticated(true);
-      
+
+      // Accounts with two-factor on need a code before they get a session
+      if (response.data.twoFactorRequired) {
+        return {
+          success: false,
+          twoFactorRequired: true,
+          challengeToken: response.data.challengeToken,
+        };
+      }
+
+      startSession(response.data);
       return { success: true };
     } catch (error) {
       return { 
@@ -58,17 +69,25 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second login step: { code } or { recoveryCode } for the challenge from login()
+  const completeTwoFactorLogin = async (challengeToken, verification) => {
+    try {
+      const response = await authAPI.completeTwoFactorLogin({ challengeToken, ...verification });
+      startSession(response.data);
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return {
+        success: false,
+        expired: error.response?.status === 401,
+        message: error.response?.data?.details?.[0] || error.response?.data?.message || 'Verification failed'
+      };
+    }
+  };
+
   const register = async (userData) => {
     try {
       const response = await authAPI.register(userData);
-      const { token, user } = response.data;
-      
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(user));
-      
-      setUser(user);
-      setIsAuthenticated(true);
-      
+      startSession(response.data);
       return { success: true };
     } catch (error) {
       return { 
@@ -78,20 +97,37 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
+  const logout = async () => {
+    try {
+      // Revoke the session server-side so its refresh cookie stops working
+      await authAPI.logout();
+    } catch (error) {
+      console.error('Logout request failed:', error);
+    }
     localStorage.removeItem('token');
     localStorage.removeItem('user');
     setUser(null);
     setIsAuthenticated(false);
   };
 
+  // Merge changes into the signed-in user, e.g. after verifying the email
+  const updateUser = useCallback((changes) => {
+    setUser(prev => {
+      const updated = { ...prev, ...changes };
+      localStorage.setItem('user', JSON.stringify(updated));
+      return updated;
+    });
+  }, []);
+
   const value = {
     user,
     loading,
     isAuthenticated,
     login,
+    completeTwoFactorLogin,
     register,
     logout,
+    updateUser,
   };
 
   return (
@@ -0,0 +1,307 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Alert,
+  Card,
+  CardContent,
+  Grid,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Switch,
+  IconButton,
+  Tooltip,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  TablePagination,
+  Paper,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { adminAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+
+const formatBytes = (bytes = 0) => {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${value.toFixed(1)} ${units[unit]}`;
+};
+
+const StorageSummary = ({ storage }) => {
+  if (!storage) return null;
+
+  const items = [
+    { label: 'Total', value: storage.totalBytes, files: storage.totalFiles },
+    { label: 'Covers', ...storage.byCategory.covers },
+    { label: 'Avatars', ...storage.byCategory.avatars },
+    { label: 'Orphaned', ...storage.orphaned },
+  ];
+
+  return (
+    <Grid container spacing={2} sx={{ mb: 3 }}>
+      {items.map(item => (
+        <Grid item xs={6} md={3} key={item.label}>
+          <Card variant="outlined">
+            <CardContent>
+              <Typography variant="overline" color="text.secondary">
+                {item.label}
+              </Typography>
+              <Typography variant="h6">{formatBytes(item.value ?? item.bytes)}</Typography>
+              <Typography variant="body2" color="text.secondary">
+                {item.files} files
+              </Typography>
+            </CardContent>
+          </Card>
+        </Grid>
+      ))}
+    </Grid>
+  );
+};
+
+const AdminPage = () => {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [storage, setStorage] = useState(null);
+  const [filters, setFilters] = useState({ q: '', role: '', status: '' });
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [error, setError] = useState(null);
+  const [deleteTarget, setDeleteTarget] = useState(null);
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      const params = { page: page + 1, limit: rowsPerPage };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      const response = await adminAPI.getUsers(params);
+      setUsers(response.data.users);
+      setTotal(response.data.pagination.total);
+      setError(null);
+    } catch (error) {
+      setError('Failed to load users');
+      console.error(error);
+    }
+  }, [filters, page, rowsPerPage]);
+
+  const fetchStorage = useCallback(async () => {
+    try {
+      const response = await adminAPI.getStorage();
+      setStorage(response.data.storage);
+    } catch (error) {
+      console.error('Failed to load storage usage:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  useEffect(() => {
+    fetchStorage();
+  }, [fetchStorage]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({
+      ...prev,
+      [name]: value
+    }));
+    setPage(0);
+  };
+
+  const handleUpdate = async (target, updates) => {
+    try {
+      const response = await adminAPI.updateUser(target._id, updates);
+      setUsers(prev => prev.map(item => (
+        item._id === target._id ? response.data.user : item
+      )));
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to update user');
+    }
+  };
+
+  const handleConfirmDelete = async () => {
+    try {
+      await adminAPI.deleteUser(deleteTarget._id);
+      setDeleteTarget(null);
+      fetchUsers();
+      fetchStorage();
+    } catch (error) {
+      setDeleteTarget(null);
+      setError(error.response?.data?.message || 'Failed to delete user');
+    }
+  };
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+      <Typography variant="h4" gutterBottom>
+        Admin
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Typography variant="h6" gutterBottom>
+        Upload storage{storage?.driver ? ` (${storage.driver})` : ''}
+      </Typography>
+      <StorageSummary storage={storage} />
+
+      <Typography variant="h6" gutterBottom>
+        Users
+      </Typography>
+      <Box sx={{ display: 'flex', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+        <TextField
+          name="q"
+          label="Search name or email"
+          value={filters.q}
+          onChange={handleFilterChange}
+          sx={{ flexGrow: 1 }}
+        />
+        <FormControl sx={{ minWidth: 140 }}>
+          <InputLabel>Role</InputLabel>
+          <Select name="role" value={filters.role} label="Role" onChange={handleFilterChange}>
+            <MenuItem value="">All</MenuItem>
+            <MenuItem value="user">User</MenuItem>
+            <MenuItem value="admin">Admin</MenuItem>
+          </Select>
+        </FormControl>
+        <FormControl sx={{ minWidth: 140 }}>
+          <InputLabel>Status</InputLabel>
+          <Select name="status" value={filters.status} label="Status" onChange={handleFilterChange}>
+            <MenuItem value="">All</MenuItem>
+            <MenuItem value="active">Active</MenuItem>
+            <MenuItem value="disabled">Disabled</MenuItem>
+          </Select>
+        </FormControl>
+      </Box>
+
+      <TableContainer component={Paper} variant="outlined">
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>User</TableCell>
+              <TableCell>Joined</TableCell>
+              <TableCell align="right">Books</TableCell>
+              <TableCell align="right">Shelves</TableCell>
+              <TableCell align="right">Sessions</TableCell>
+              <TableCell>Role</TableCell>
+              <TableCell>Enabled</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {users.map(item => {
+              const isSelf = item._id === currentUser?.id;
+              const books = item.library?.books || {};
+
+              return (
+                <TableRow key={item._id} hover>
+                  <TableCell>
+                    <Typography variant="body2">
+                      {item.firstName} {item.lastName} ({item.username})
+                      {isSelf && <Chip label="You" size="small" sx={{ ml: 1 }} />}
+                    </Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {item.email}
+                      {!item.emailVerified && ' · unverified'}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>{new Date(item.createdAt).toLocaleDateString()}</TableCell>
+                  <TableCell align="right">
+                    <Tooltip title={`${books['To Read'] || 0} to read · ${books.Reading || 0} reading · ${books.Read || 0} read`}>
+                      <span>{books.total || 0}</span>
+                    </Tooltip>
+                  </TableCell>
+                  <TableCell align="right">{item.library?.shelves || 0}</TableCell>
+                  <TableCell align="right">{item.library?.activeSessions || 0}</TableCell>
+                  <TableCell>
+                    <Select
+                      size="small"
+                      value={item.role || 'user'}
+                      disabled={isSelf}
+                      onChange={(e) => handleUpdate(item, { role: e.target.value })}
+                    >
+                      <MenuItem value="user">User</MenuItem>
+                      <MenuItem value="admin">Admin</MenuItem>
+                    </Select>
+                  </TableCell>
+                  <TableCell>
+                    <Switch
+                      checked={!item.disabled}
+                      disabled={isSelf}
+                      onChange={(e) => handleUpdate(item, { disabled: !e.target.checked })}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <IconButton
+                      color="error"
+                      disabled={isSelf}
+                      onClick={() => setDeleteTarget(item)}
+                    >
+                      <DeleteIcon />
+                    </IconButton>
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+        <TablePagination
+          component="div"
+          count={total}
+          page={page}
+          rowsPerPage={rowsPerPage}
+          rowsPerPageOptions={[10, 25, 50, 100]}
+          onPageChange={(e, newPage) => setPage(newPage)}
+          onRowsPerPageChange={(e) => {
+            setRowsPerPage(parseInt(e.target.value, 10));
+            setPage(0);
+          }}
+        />
+      </TableContainer>
+
+      <Dialog open={Boolean(deleteTarget)} onClose={() => setDeleteTarget(null)}>
+        <DialogTitle>Delete account?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            This permanently deletes {deleteTarget?.username} and their whole library,
+            including {deleteTarget?.library?.books?.total || 0} books and any uploaded images.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeleteTarget(null)}>Cancel</Button>
+          <Button color="error" onClick={handleConfirmDelete}>
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default AdminPage;
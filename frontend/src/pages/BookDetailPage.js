@@ -0,0 +1,414 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, Link as RouterLink } from 'react-router-dom';
+import {
+  Container,
+  Typography,
+  Box,
+  Chip,
+  Alert,
+  Button,
+  Link,
+  Paper,
+  Tabs,
+  Tab,
+  Divider,
+  LinearProgress,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Card,
+  CardActionArea,
+  CardContent,
+  CircularProgress,
+} from '@mui/material';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import TimerIcon from '@mui/icons-material/Timer';
+import HandshakeIcon from '@mui/icons-material/Handshake';
+import LibraryAddIcon from '@mui/icons-material/LibraryAdd';
+import ShoppingCartIcon from '@mui/icons-material/ShoppingCart';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import AutoStoriesIcon from '@mui/icons-material/AutoStories';
+import KeyboardReturnIcon from '@mui/icons-material/KeyboardReturn';
+import FormatQuoteIcon from '@mui/icons-material/FormatQuote';
+import { booksAPI } from '../services/api';
+import CoverImage from '../components/CoverImage';
+import BookForm from '../components/BookForm';
+import ReadingSessionDialog from '../components/ReadingSessionDialog';
+import LoanDialog from '../components/LoanDialog';
+import BookAnnotations from '../components/BookAnnotations';
+import BookHistory from '../components/BookHistory';
+
+const STATUS_COLORS = {
+  'To Read': 'default',
+  Reading: 'primary',
+  Read: 'success',
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : null);
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const ACTIVITY_ICONS = {
+  added: <LibraryAddIcon />,
+  purchased: <ShoppingCartIcon />,
+  started: <PlayArrowIcon />,
+  finished: <CheckCircleIcon color="success" />,
+  session: <AutoStoriesIcon />,
+  lent: <HandshakeIcon />,
+  returned: <KeyboardReturnIcon />,
+  annotations: <FormatQuoteIcon />,
+};
+
+const describeEvent = (event) => {
+  switch (event.type) {
+    case 'added':
+      return { primary: 'Added to library' };
+    case 'purchased':
+      return {
+        primary: 'Bought',
+        secondary: event.price !== null ? `for ${event.price.toFixed(2)}` : null,
+      };
+    case 'started':
+      return { primary: 'Started reading' };
+    case 'finished':
+      return {
+        primary: 'Finished reading',
+        secondary: event.readingDuration !== null ? `after ${plural(event.readingDuration, 'day')}` : null,
+      };
+    case 'session':
+      return {
+        primary: 'Reading session',
+        secondary: [
+          event.durationMinutes !== null && plural(event.durationMinutes, 'minute'),
+          event.pagesRead !== null && plural(event.pagesRead, 'page'),
+          event.endPage !== null && `to page ${event.endPage}`,
+          event.percent !== null && `${event.percent}%`,
+          event.note,
+        ].filter(Boolean).join(' · '),
+      };
+    case 'lent':
+      return {
+        primary: `Lent to ${event.borrowerName}`,
+        secondary: event.dueAt ? `due ${formatDate(event.dueAt)}` : null,
+      };
+    case 'returned':
+      return {
+        primary: `Returned by ${event.borrowerName}`,
+        secondary: event.condition,
+      };
+    case 'annotations':
+      return {
+        primary: `Saved ${[
+          event.quotes && plural(event.quotes, 'quote'),
+          event.highlights && plural(event.highlights, 'highlight'),
+          event.notes && plural(event.notes, 'note'),
+        ].filter(Boolean).join(', ')}`,
+      };
+    default:
+      return { primary: event.type };
+  }
+};
+
+// Why a book shows up in the similar strip
+const similarReason = (book, other) => {
+  if (book.series?.name && other.series?.name === book.series.name) return 'Same series';
+  if (other.author === book.author) return 'Same author';
+  if (book.genre && other.genre === book.genre) return 'Same genre';
+  return 'Shared tags';
+};
+
+const DetailRow = ({ label, children }) => (
+  <Box sx={{ display: 'flex', py: 0.5 }}>
+    <Typography variant="body2" color="text.secondary" sx={{ width: 160, flexShrink: 0 }}>
+      {label}
+    </Typography>
+    <Typography variant="body2" component="div">
+      {children}
+    </Typography>
+  </Box>
+);
+
+const BookDetailPage = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [book, setBook] = useState(null);
+  const [activity, setActivity] = useState([]);
+  const [similar, setSimilar] = useState([]);
+  const [tab, setTab] = useState('activity');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [openForm, setOpenForm] = useState(false);
+  const [progressOpen, setProgressOpen] = useState(false);
+  const [loanOpen, setLoanOpen] = useState(false);
+
+  const fetchBook = useCallback(async () => {
+    try {
+      const [bookResponse, activityResponse, similarResponse] = await Promise.all([
+        booksAPI.getBook(id),
+        booksAPI.getBookActivity(id),
+        booksAPI.getSimilarBooks(id),
+      ]);
+      setBook(bookResponse.data);
+      setActivity(activityResponse.data.events);
+      setSimilar(similarResponse.data.books);
+      setError(null);
+    } catch (error) {
+      setError(error.response?.status === 404 ? 'Book not found' : 'Failed to load book');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    setLoading(true);
+    fetchBook();
+  }, [fetchBook]);
+
+  const handleEditBook = async (bookData) => {
+    try {
+      await booksAPI.updateBook(book._id, bookData);
+      fetchBook();
+    } catch (error) {
+      setError('Failed to update book');
+      console.error(error);
+    }
+  };
+
+  const handleDeleteBook = async () => {
+    if (window.confirm('Move this book to the trash? You can restore it from the Trash page.')) {
+      try {
+        await booksAPI.deleteBook(book._id);
+        navigate('/');
+      } catch (error) {
+        setError('Failed to delete book');
+        console.error(error);
+      }
+    }
+  };
+
+  if (loading) {
+    return (
+      <Container sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+        <CircularProgress />
+      </Container>
+    );
+  }
+
+  const loan = book?.currentLoan;
+  const isPhysical = (book?.format || 'Physical') === 'Physical';
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+      <Button component={RouterLink} to="/" startIcon={<ArrowBackIcon />} sx={{ mb: 2 }}>
+        My books
+      </Button>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={book ? () => setError(null) : undefined}>
+          {error}
+        </Alert>
+      )}
+
+      {book && (
+        <>
+          <Box sx={{ display: 'flex', gap: 4, flexDirection: { xs: 'column', md: 'row' }, mb: 4 }}>
+            <Box sx={{ width: { xs: '100%', md: 260 }, flexShrink: 0 }}>
+              <CoverImage book={book} height={380} sizes="260px" sx={{ borderRadius: 1, overflow: 'hidden' }} />
+            </Box>
+
+            <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+              <Typography variant="h4">{book.title}</Typography>
+              <Typography variant="h6" color="text.secondary" gutterBottom>
+                by {book.author}
+              </Typography>
+              {book.series?.name && (
+                <Link
+                  component={RouterLink}
+                  to={`/series/${encodeURIComponent(book.series.name)}`}
+                  underline="hover"
+                  sx={{ display: 'block', mb: 1 }}
+                >
+                  {book.series.name}{book.series.number ? ` #${book.series.number}` : ''}
+                </Link>
+              )}
+
+              <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap', mb: 2 }}>
+                <Chip label={book.status} color={STATUS_COLORS[book.status]} size="small" />
+                {book.format && <Chip label={book.format} size="small" variant="outlined" />}
+                {book.rating && <Typography variant="body2">⭐ {book.rating}/5</Typography>}
+                {loan && (
+                  <Chip
+                    label={`Lent to ${loan.borrowerName}`}
+                    color={loan.dueAt && new Date(loan.dueAt) < new Date() ? 'warning' : 'info'}
+                    variant="outlined"
+                    size="small"
+                  />
+                )}
+              </Box>
+
+              {book.percentComplete !== null && book.percentComplete !== undefined && (
+                <Box sx={{ mb: 2, maxWidth: 400 }}>
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                    <Typography variant="caption" color="text.secondary">
+                      {book.pageCount ? `Page ${book.currentPage || 0} of ${book.pageCount}` : 'Progress'}
+                    </Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {book.percentComplete}%
+                    </Typography>
+                  </Box>
+                  <LinearProgress variant="determinate" value={book.percentComplete} />
+                </Box>
+              )}
+
+              <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+                <Button variant="contained" startIcon={<EditIcon />} onClick={() => setOpenForm(true)}>
+                  Edit
+                </Button>
+                <Button variant="outlined" startIcon={<TimerIcon />} onClick={() => setProgressOpen(true)}>
+                  Reading progress
+                </Button>
+                {isPhysical && (
+                  <Button variant="outlined" startIcon={<HandshakeIcon />} onClick={() => setLoanOpen(true)}>
+                    {loan ? 'Loan' : 'Lend'}
+                  </Button>
+                )}
+                <Button color="error" startIcon={<DeleteIcon />} onClick={handleDeleteBook}>
+                  Delete
+                </Button>
+              </Box>
+
+              {book.description && (
+                <Typography variant="body1" sx={{ whiteSpace: 'pre-wrap', mb: 2 }}>
+                  {book.description}
+                </Typography>
+              )}
+
+              <Paper variant="outlined" sx={{ p: 2 }}>
+                {book.genre && <DetailRow label="Genre">{book.genre}</DetailRow>}
+                {book.language && <DetailRow label="Language">{book.language}</DetailRow>}
+                {book.isbn && <DetailRow label="ISBN">{book.isbn}</DetailRow>}
+                {book.publishedDate && (
+                  <DetailRow label="Published">{book.formattedPublishedDate || book.publishedDate}</DetailRow>
+                )}
+                {book.pageCount && <DetailRow label="Pages">{book.pageCount}</DetailRow>}
+                {book.location && <DetailRow label="Shelf location">{book.location}</DetailRow>}
+                {(book.purchaseDate || (book.purchasePrice !== null && book.purchasePrice !== undefined)) && (
+                  <DetailRow label="Purchased">
+                    {[
+                      formatDate(book.purchaseDate),
+                      book.purchasePrice !== null && book.purchasePrice !== undefined && `for ${book.purchasePrice.toFixed(2)}`,
+                    ].filter(Boolean).join(' ')}
+                  </DetailRow>
+                )}
+                {book.dateStarted && <DetailRow label="Started">{formatDate(book.dateStarted)}</DetailRow>}
+                {book.dateFinished && <DetailRow label="Finished">{formatDate(book.dateFinished)}</DetailRow>}
+                {book.readingDuration !== null && book.readingDuration !== undefined && (
+                  <DetailRow label="Reading time">{plural(book.readingDuration, 'day')}</DetailRow>
+                )}
+                {book.readingProgress && (
+                  <DetailRow label="Reading for">{plural(book.readingProgress.daysReading, 'day')}</DetailRow>
+                )}
+                {book.tags?.length > 0 && (
+                  <DetailRow label="Tags">
+                    <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                      {book.tags.map(tag => <Chip key={tag} label={tag} size="small" />)}
+                    </Box>
+                  </DetailRow>
+                )}
+                <DetailRow label="Added">{formatDate(book.createdAt)}</DetailRow>
+                <DetailRow label="Last updated">{formatDate(book.updatedAt)}</DetailRow>
+                {book.notes && (
+                  <>
+                    <Divider sx={{ my: 1 }} />
+                    <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>
+                      {book.notes}
+                    </Typography>
+                  </>
+                )}
+              </Paper>
+            </Box>
+          </Box>
+
+          {similar.length > 0 && (
+            <Box sx={{ mb: 4 }}>
+              <Typography variant="h6" gutterBottom>
+                Similar books
+              </Typography>
+              <Box sx={{ display: 'flex', gap: 2, overflowX: 'auto', pb: 1 }}>
+                {similar.map(other => (
+                  <Card key={other._id} sx={{ width: 150, flexShrink: 0 }}>
+                    <CardActionArea component={RouterLink} to={`/books/${other._id}`}>
+                      <CoverImage book={other} height={200} sizes="150px" />
+                      <CardContent sx={{ p: 1 }}>
+                        <Typography variant="body2" noWrap>{other.title}</Typography>
+                        <Typography variant="caption" color="text.secondary" noWrap component="div">
+                          {similarReason(book, other)}
+                        </Typography>
+                      </CardContent>
+                    </CardActionArea>
+                  </Card>
+                ))}
+              </Box>
+            </Box>
+          )}
+
+          <Tabs value={tab} onChange={(e, value) => setTab(value)} sx={{ mb: 2 }}>
+            <Tab value="activity" label="Activity" />
+            <Tab value="annotations" label="Quotes & notes" />
+            <Tab value="history" label="History" />
+          </Tabs>
+
+          {tab === 'activity' && (
+            <List dense>
+              {activity.map((event, index) => {
+                const { primary, secondary } = describeEvent(event);
+                return (
+                  <ListItem key={`${event.type}-${event.date}-${index}`}>
+                    <ListItemIcon>{ACTIVITY_ICONS[event.type]}</ListItemIcon>
+                    <ListItemText
+                      primary={primary}
+                      secondary={[new Date(event.date).toLocaleString(), secondary].filter(Boolean).join(' · ')}
+                    />
+                  </ListItem>
+                );
+              })}
+            </List>
+          )}
+
+          {tab === 'annotations' && <BookAnnotations book={book} />}
+
+          {tab === 'history' && <BookHistory book={book} onRestore={fetchBook} />}
+
+          <BookForm
+            open={openForm}
+            onClose={() => setOpenForm(false)}
+            onSubmit={handleEditBook}
+            book={book}
+            isEditing
+          />
+
+          <ReadingSessionDialog
+            open={progressOpen}
+            onClose={() => setProgressOpen(false)}
+            book={book}
+            onProgressChange={fetchBook}
+          />
+
+          <LoanDialog
+            open={loanOpen}
+            onClose={() => setLoanOpen(false)}
+            book={book}
+            onLoanChange={fetchBook}
+          />
+        </>
+      )}
+    </Container>
+  );
+};
+
+export default BookDetailPage;
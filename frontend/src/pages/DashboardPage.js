@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   Container,
   Typography,
@@ -13,42 +13,136 @@ import {
   InputLabel,
   Select,
   MenuItem,
+  Pagination,
+  Snackbar,
 } from '@mui/material';
+import { Link as RouterLink } from 'react-router-dom';
 import AddIcon from '@mui/icons-material/Add';
-import SearchIcon from '@mui/icons-material/Search';
+import UploadIcon from '@mui/icons-material/Upload';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
 import BookCard from '../components/BookCard';
 import BookForm from '../components/BookForm';
-import { booksAPI } from '../services/api';
+import ReadingSessionDialog from '../components/ReadingSessionDialog';
+import LoanDialog from '../components/LoanDialog';
+import AnnotationsDialog from '../components/AnnotationsDialog';
+import ExportMenu from '../components/ExportMenu';
+import ImportWizard from '../components/ImportWizard';
+import GoalWidget from '../components/GoalWidget';
+import ShelfSidebar from '../components/ShelfSidebar';
+import SearchBox from '../components/SearchBox';
+import { booksAPI, shelvesAPI, authAPI } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
 
+const PAGE_SIZE = 24;
+
+const SORT_OPTIONS = [
+  { value: '-createdAt', label: 'Recently added' },
+  { value: 'title', label: 'Title (A-Z)' },
+  { value: 'author', label: 'Author (A-Z)' },
+  { value: '-rating', label: 'Highest rated' },
+  { value: '-dateFinished', label: 'Recently finished' },
+];
+
 const DashboardPage = () => {
-  const { user } = useAuth();
+  const { user, updateUser } = useAuth();
+  const [verificationSent, setVerificationSent] = useState(false);
   const [books, setBooks] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, totalPages: 0, total: 0 });
+  const [statusCounts, setStatusCounts] = useState({});
+  const [page, setPage] = useState(1);
+  const [sortBy, setSortBy] = useState('-createdAt');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [openForm, setOpenForm] = useState(false);
   const [editingBook, setEditingBook] = useState(null);
+  const [progressBook, setProgressBook] = useState(null);
+  const [loanBook, setLoanBook] = useState(null);
+  const [annotationBook, setAnnotationBook] = useState(null);
+  const [openImport, setOpenImport] = useState(false);
+  const [trashedBook, setTrashedBook] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('');
   const [authorFilter, setAuthorFilter] = useState('');
+  const [shelves, setShelves] = useState([]);
+  const [selectedShelf, setSelectedShelf] = useState('');
 
-  useEffect(() => {
-    fetchBooks();
-  }, []);
-
-  const fetchBooks = async () => {
+  const fetchBooks = useCallback(async () => {
     try {
-      setLoading(true);
-      const response = await booksAPI.getBooks();
-      setBooks(response.data);
+      const response = await booksAPI.getBooks({
+        page,
+        limit: PAGE_SIZE,
+        sort: sortBy,
+        q: searchTerm || undefined,
+        status: statusFilter || undefined,
+        author: authorFilter || undefined,
+        shelf: selectedShelf || undefined,
+      });
+      setBooks(response.data.books);
+      setPagination(response.data.pagination);
+      setStatusCounts(response.data.counts);
     } catch (error) {
       setError('Failed to fetch books');
       console.error(error);
     } finally {
       setLoading(false);
     }
+  }, [page, sortBy, searchTerm, statusFilter, authorFilter, selectedShelf]);
+
+  const fetchShelves = useCallback(async () => {
+    try {
+      const response = await shelvesAPI.getShelves();
+      setShelves(response.data.shelves);
+    } catch (error) {
+      console.error(error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchShelves();
+  }, [fetchShelves]);
+
+  // Debounce so typing in the search/author boxes doesn't fire a request per keystroke
+  useEffect(() => {
+    const timeout = setTimeout(fetchBooks, 300);
+    return () => clearTimeout(timeout);
+  }, [fetchBooks]);
+
+  // Go back to the first page whenever the result set changes
+  useEffect(() => {
+    setPage(1);
+  }, [sortBy, searchTerm, statusFilter, authorFilter, selectedShelf]);
+
+  // Shelves open in their own order; "position" sorting only exists within a shelf
+  const handleSelectShelf = (shelfId) => {
+    setSelectedShelf(shelfId);
+    if (shelfId) {
+      setSortBy('position');
+    } else if (sortBy === 'position') {
+      setSortBy('-createdAt');
+    }
+  };
+
+  const handleMoveBook = async (bookId, offset) => {
+    const shelf = shelves.find(item => item._id === selectedShelf);
+    const bookIds = [...shelf.bookIds];
+    const from = bookIds.indexOf(bookId);
+    const to = from + offset;
+    if (from === -1 || to < 0 || to >= bookIds.length) return;
+
+    [bookIds[from], bookIds[to]] = [bookIds[to], bookIds[from]];
+    try {
+      await shelvesAPI.reorderBooks(selectedShelf, bookIds);
+      await fetchShelves();
+      fetchBooks();
+    } catch (error) {
+      setError('Failed to reorder shelf');
+      console.error(error);
+    }
   };
 
+  const currentShelf = shelves.find(item => item._id === selectedShelf);
+  const canReorder = currentShelf && sortBy === 'position';
+
   const handleAddBook = async (bookData) => {
     try {
       await booksAPI.createBook(bookData);
@@ -73,10 +167,12 @@ const DashboardPage = () => {
   };
 
   const handleDeleteBook = async (bookId) => {
-    if (window.confirm('Are you sure you want to delete this book?')) {
+    if (window.confirm('Move this book to the trash?')) {
       try {
-        await booksAPI.deleteBook(bookId);
+        const response = await booksAPI.deleteBook(bookId);
+        setTrashedBook(response.data.deletedBook);
         fetchBooks();
+        fetchShelves();
         setError(null);
       } catch (error) {
         setError('Failed to delete book');
@@ -85,6 +181,39 @@ const DashboardPage = () => {
     }
   };
 
+  const handleUndoDelete = async () => {
+    const book = trashedBook;
+    setTrashedBook(null);
+    try {
+      await booksAPI.restoreFromTrash(book.id);
+      fetchBooks();
+      fetchShelves();
+    } catch (error) {
+      setError('Failed to restore book');
+      console.error(error);
+    }
+  };
+
+  const handleResendVerification = async () => {
+    try {
+      await authAPI.resendVerification();
+      setVerificationSent(true);
+    } catch (error) {
+      setError('Failed to send verification email');
+      console.error(error);
+    }
+  };
+
+  const handleCancelDeletion = async () => {
+    try {
+      const response = await authAPI.cancelAccountDeletion();
+      updateUser(response.data.user);
+    } catch (error) {
+      setError('Failed to cancel account deletion');
+      console.error(error);
+    }
+  };
+
   const openEditForm = (book) => {
     setEditingBook(book);
     setOpenForm(true);
@@ -95,25 +224,6 @@ const DashboardPage = () => {
     setEditingBook(null);
   };
 
-  const filteredBooks = books.filter(book => {
-    const matchesSearch = book.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         book.author.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesStatus = !statusFilter || book.status === statusFilter;
-    const matchesAuthor = !authorFilter || book.author.toLowerCase().includes(authorFilter.toLowerCase());
-    
-    return matchesSearch && matchesStatus && matchesAuthor;
-  });
-
-  const getStatusCounts = () => {
-    const counts = books.reduce((acc, book) => {
-      acc[book.status] = (acc[book.status] || 0) + 1;
-      return acc;
-    }, {});
-    return counts;
-  };
-
-  const statusCounts = getStatusCounts();
-
   if (loading) {
     return (
       <Container sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
@@ -128,23 +238,52 @@ const DashboardPage = () => {
         <Typography variant="h4" gutterBottom>
           Welcome to your Library, {user?.firstName || user?.username}!
         </Typography>
+
+        {user?.deletionScheduledFor && (
+          <Alert
+            severity="warning"
+            sx={{ mb: 2 }}
+            action={
+              <Button color="inherit" size="small" onClick={handleCancelDeletion}>
+                Keep my account
+              </Button>
+            }
+          >
+            Your account is scheduled for deletion on {new Date(user.deletionScheduledFor).toLocaleDateString()}.
+          </Alert>
+        )}
+
+        {user?.emailVerified === false && (
+          <Alert
+            severity="info"
+            sx={{ mb: 2 }}
+            action={!verificationSent && (
+              <Button color="inherit" size="small" onClick={handleResendVerification}>
+                Resend email
+              </Button>
+            )}
+          >
+            {verificationSent
+              ? `Verification email sent to ${user.email}.`
+              : `Please confirm your email address (${user.email}) using the link we sent you.`}
+          </Alert>
+        )}
         
-        <Box sx={{ display: 'flex', gap: 2, mb: 3 }}>
-          <Chip label={`To Read: ${statusCounts['To Read'] || 0}`} variant="outlined" />
-          <Chip label={`Reading: ${statusCounts['Reading'] || 0}`} color="primary" />
-          <Chip label={`Read: ${statusCounts['Read'] || 0}`} color="success" />
-          <Chip label={`Total: ${books.length}`} variant="filled" />
+        <Box sx={{ display: 'flex', gap: 3, mb: 3, alignItems: 'flex-start', flexWrap: 'wrap' }}>
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <Chip label={`To Read: ${statusCounts['To Read'] || 0}`} variant="outlined" />
+            <Chip label={`Reading: ${statusCounts['Reading'] || 0}`} color="primary" />
+            <Chip label={`Read: ${statusCounts['Read'] || 0}`} color="success" />
+            <Chip label={`Total: ${statusCounts.total || 0}`} variant="filled" />
+          </Box>
+          <GoalWidget refreshKey={statusCounts} />
         </Box>
 
         <Box sx={{ display: 'flex', gap: 2, mb: 3, alignItems: 'center' }}>
-          <TextField
-            placeholder="Search books by title or author..."
+          <SearchBox
             value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
-            sx={{ flexGrow: 1 }}
-            InputProps={{
-              startAdornment: <SearchIcon sx={{ mr: 1, color: 'action.active' }} />
-            }}
+            onChange={setSearchTerm}
+            onSelect={openEditForm}
           />
           
           <FormControl sx={{ minWidth: 150 }}>
@@ -167,6 +306,21 @@ const DashboardPage = () => {
             sx={{ minWidth: 200 }}
           />
 
+          <FormControl sx={{ minWidth: 180 }}>
+            <InputLabel>Sort by</InputLabel>
+            <Select
+              value={sortBy}
+              onChange={(e) => setSortBy(e.target.value)}
+            >
+              {selectedShelf && <MenuItem value="position">Shelf order</MenuItem>}
+              {SORT_OPTIONS.map((option) => (
+                <MenuItem key={option.value} value={option.value}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
           <Button
             variant="contained"
             startIcon={<AddIcon />}
@@ -174,6 +328,24 @@ const DashboardPage = () => {
           >
             Add Book
           </Button>
+
+          <Button
+            variant="outlined"
+            startIcon={<UploadIcon />}
+            onClick={() => setOpenImport(true)}
+          >
+            Import
+          </Button>
+
+          <ExportMenu onError={setError} />
+
+          <Button
+            component={RouterLink}
+            to="/trash"
+            startIcon={<DeleteOutlineIcon />}
+          >
+            Trash
+          </Button>
         </Box>
 
         {error && (
@@ -183,27 +355,79 @@ const DashboardPage = () => {
         )}
       </Box>
 
-      {filteredBooks.length === 0 ? (
-        <Box sx={{ textAlign: 'center', mt: 4 }}>
-          <Typography variant="h6" color="text.secondary">
-            {books.length === 0 
-              ? 'No books in your library yet. Start by adding your first book!'
-              : 'No books match your current filters.'}
-          </Typography>
-        </Box>
-      ) : (
-        <Grid container spacing={3}>
-          {filteredBooks.map((book) => (
-            <Grid item xs={12} sm={6} md={4} lg={3} key={book._id}>
-              <BookCard
-                book={book}
-                onEdit={openEditForm}
-                onDelete={handleDeleteBook}
-              />
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={3} lg={2}>
+          <ShelfSidebar
+            shelves={shelves}
+            selectedShelf={selectedShelf}
+            onSelect={handleSelectShelf}
+            onShelvesChange={() => {
+              fetchShelves();
+              fetchBooks();
+            }}
+          />
+        </Grid>
+
+        <Grid item xs={12} md={9} lg={10}>
+          {currentShelf && (
+            <Box sx={{ mb: 2 }}>
+              <Typography variant="h5">{currentShelf.name}</Typography>
+              {currentShelf.description && (
+                <Typography variant="body2" color="text.secondary">
+                  {currentShelf.description}
+                </Typography>
+              )}
+            </Box>
+          )}
+
+          {books.length === 0 ? (
+            <Box sx={{ textAlign: 'center', mt: 4 }}>
+              <Typography variant="h6" color="text.secondary">
+                {!statusCounts.total 
+                  ? 'No books in your library yet. Start by adding your first book!'
+                  : currentShelf && !currentShelf.bookCount
+                    ? 'This shelf is empty. Use the shelf button on a book to add it here.'
+                    : 'No books match your current filters.'}
+              </Typography>
+            </Box>
+          ) : (
+            <Grid container spacing={3}>
+              {books.map((book) => {
+                const shelfIndex = canReorder ? currentShelf.bookIds.indexOf(book._id) : -1;
+                return (
+                  <Grid item xs={12} sm={6} md={4} lg={3} key={book._id}>
+                    <BookCard
+                      book={book}
+                      onEdit={openEditForm}
+                      onDelete={handleDeleteBook}
+                      onLogProgress={setProgressBook}
+                      onLend={setLoanBook}
+                      onAnnotate={setAnnotationBook}
+                      shelves={shelves}
+                      onShelvesChange={fetchShelves}
+                      onMoveUp={shelfIndex > 0 ? () => handleMoveBook(book._id, -1) : undefined}
+                      onMoveDown={canReorder && shelfIndex < currentShelf.bookIds.length - 1
+                        ? () => handleMoveBook(book._id, 1)
+                        : undefined}
+                    />
+                  </Grid>
+                );
+              })}
             </Grid>
-          ))}
+          )}
+
+          {pagination.totalPages > 1 && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', my: 4 }}>
+              <Pagination
+                count={pagination.totalPages}
+                page={page}
+                onChange={(e, value) => setPage(value)}
+                color="primary"
+              />
+            </Box>
+          )}
         </Grid>
-      )}
+      </Grid>
 
       <BookForm
         open={openForm}
@@ -212,6 +436,44 @@ const DashboardPage = () => {
         book={editingBook}
         isEditing={!!editingBook}
       />
+
+      <ReadingSessionDialog
+        open={!!progressBook}
+        onClose={() => setProgressBook(null)}
+        book={progressBook}
+        onProgressChange={fetchBooks}
+      />
+
+      <LoanDialog
+        open={!!loanBook}
+        onClose={() => setLoanBook(null)}
+        book={loanBook}
+        onLoanChange={fetchBooks}
+      />
+
+      <AnnotationsDialog
+        open={!!annotationBook}
+        onClose={() => setAnnotationBook(null)}
+        book={annotationBook}
+      />
+
+      <ImportWizard
+        open={openImport}
+        onClose={() => setOpenImport(false)}
+        onImported={fetchBooks}
+      />
+
+      <Snackbar
+        open={!!trashedBook}
+        autoHideDuration={8000}
+        onClose={(e, reason) => reason !== 'clickaway' && setTrashedBook(null)}
+        message={trashedBook ? `"${trashedBook.title}" moved to the trash` : ''}
+        action={(
+          <Button color="secondary" size="small" onClick={handleUndoDelete}>
+            Undo
+          </Button>
+        )}
+      />
     </Container>
   );
 };
@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { TextField, Button, Box, Typography, Alert, Link } from '@mui/material';
+import { useNavigate } from 'react-router-dom';
+import { authAPI } from '../services/api';
+
+const ForgotPasswordPage = () => {
+  const [email, setEmail] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      setError(null);
+      const response = await authAPI.forgotPassword(email);
+      setMessage(response.data.message);
+    } catch (error) {
+      setError(error.response?.data?.details?.[0] || error.response?.data?.message || 'Failed to send reset email');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Box sx={{ maxWidth: 400, mx: 'auto', mt: 4 }}>
+      <Typography variant="h4" gutterBottom>
+        Forgot Password
+      </Typography>
+      <Typography variant="body2" color="text.secondary">
+        Enter the email you registered with and we'll send you a link to choose a new password.
+      </Typography>
+      {message ? (
+        <Alert severity="success" sx={{ mt: 2 }}>
+          {message}
+        </Alert>
+      ) : (
+        <form onSubmit={handleSubmit}>
+          <TextField
+            label="Email"
+            name="email"
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            margin="normal"
+            fullWidth
+            required
+          />
+          {error && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {error}
+            </Alert>
+          )}
+          <Button
+            type="submit"
+            variant="contained"
+            color="primary"
+            fullWidth
+            disabled={submitting}
+            sx={{ mt: 2 }}
+          >
+            Send reset link
+          </Button>
+        </form>
+      )}
+      <Box sx={{ mt: 2, textAlign: 'center' }}>
+        <Typography variant="body2">
+          Remembered it?{' '}
+          <Link component="button" onClick={() => navigate('/login')}>
+            Back to login
+          </Link>
+        </Typography>
+      </Box>
+    </Box>
+  );
+};
+
+export default ForgotPasswordPage;
@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Alert,
+  Button,
+  Chip,
+  CircularProgress,
+  Tabs,
+  Tab,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Paper,
+} from '@mui/material';
+import { loansAPI } from '../services/api';
+import CoverImage from '../components/CoverImage';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+const TABS = [
+  { value: 'out', label: 'Currently out' },
+  { value: 'overdue', label: 'Overdue' },
+  { value: 'returned', label: 'Returned' },
+];
+
+const LoansPage = () => {
+  const [status, setStatus] = useState('out');
+  const [loans, setLoans] = useState([]);
+  const [counts, setCounts] = useState({ out: 0, overdue: 0 });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchLoans = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await loansAPI.getLoans({ status });
+      setLoans(response.data.loans);
+      setCounts(response.data.counts);
+      setError(null);
+    } catch (error) {
+      setError('Failed to load loans');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchLoans();
+  }, [fetchLoans]);
+
+  const handleReturn = async (loan) => {
+    try {
+      await loansAPI.returnLoan(loan.book._id, loan._id);
+      fetchLoans();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to mark the book as returned');
+    }
+  };
+
+  const tabLabel = (tab) => (tab.value in counts ? `${tab.label} (${counts[tab.value]})` : tab.label);
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+      <Typography variant="h4" gutterBottom>
+        Loans
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Tabs value={status} onChange={(e, value) => setStatus(value)} sx={{ mb: 2 }}>
+        {TABS.map(tab => (
+          <Tab key={tab.value} value={tab.value} label={tabLabel(tab)} />
+        ))}
+      </Tabs>
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', my: 4 }}>
+          <CircularProgress />
+        </Box>
+      ) : loans.length === 0 ? (
+        <Typography variant="body1" color="text.secondary" sx={{ my: 4, textAlign: 'center' }}>
+          {status === 'returned' ? 'No returned loans yet.' : 'Nothing is out right now.'}
+        </Typography>
+      ) : (
+        <TableContainer component={Paper} variant="outlined">
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Book</TableCell>
+                <TableCell>Borrower</TableCell>
+                <TableCell>Lent</TableCell>
+                <TableCell>{status === 'returned' ? 'Returned' : 'Due'}</TableCell>
+                <TableCell>Condition</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loans.map(loan => (
+                <TableRow key={loan._id} hover>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                      {loan.book && (
+                        <CoverImage book={loan.book} height={60} sizes="40px" sx={{ width: 40, flexShrink: 0 }} />
+                      )}
+                      <Box>
+                        <Typography variant="body2">{loan.book?.title || 'Deleted book'}</Typography>
+                        <Typography variant="caption" color="text.secondary">
+                          {loan.book?.author}
+                        </Typography>
+                      </Box>
+                    </Box>
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2">{loan.borrowerName}</Typography>
+                    {loan.borrowerContact && (
+                      <Typography variant="caption" color="text.secondary">
+                        {loan.borrowerContact}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    {formatDate(loan.lentAt)}
+                    <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                      {loan.daysOut} days
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    {status === 'returned' ? formatDate(loan.returnedAt) : formatDate(loan.dueAt)}
+                    {loan.isOverdue && (
+                      <Chip label="Overdue" color="warning" size="small" sx={{ ml: 1 }} />
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2">{loan.conditionOut}</Typography>
+                    {loan.conditionReturned && (
+                      <Typography variant="caption" color="text.secondary">
+                        Back: {loan.conditionReturned}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell align="right">
+                    {!loan.returnedAt && loan.book && (
+                      <Button size="small" onClick={() => handleReturn(loan)}>
+                        Mark returned
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Container>
+  );
+};
+
+export default LoansPage;
@@ -9,7 +9,11 @@ const LoginPage = () => {
     password: ''
   });
   const [error, setError] = useState(null);
-  const { login } = useAuth();
+  // Set once the password is accepted for an account with two-factor on
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const { login, completeTwoFactorLogin } = useAuth();
   const navigate = useNavigate();
 
   const handleChange = (e) => {
@@ -25,11 +29,91 @@ const LoginPage = () => {
     const result = await login(formData);
     if (result.success) {
       navigate('/');
+    } else if (result.twoFactorRequired) {
+      setError(null);
+      setChallengeToken(result.challengeToken);
     } else {
       setError(result.message);
     }
   };
 
+  const handleStartOver = () => {
+    setChallengeToken(null);
+    setCode('');
+    setUseRecoveryCode(false);
+    setError(null);
+  };
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    const result = await completeTwoFactorLogin(
+      challengeToken,
+      useRecoveryCode ? { recoveryCode: code } : { code: code.replace(/\s/g, '') }
+    );
+    if (result.success) {
+      navigate('/');
+    } else if (result.expired) {
+      handleStartOver();
+      setError(result.message);
+    } else {
+      setError(result.message);
+    }
+  };
+
+  if (challengeToken) {
+    return (
+      <Box sx={{ maxWidth: 400, mx: 'auto', mt: 4 }}>
+        <Typography variant="h4" gutterBottom>
+          Two-factor authentication
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          {useRecoveryCode
+            ? 'Enter one of the recovery codes you saved when you turned on two-factor authentication.'
+            : 'Enter the 6-digit code from your authenticator app.'}
+        </Typography>
+        <form onSubmit={handleVerify}>
+          <TextField
+            label={useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            margin="normal"
+            inputProps={useRecoveryCode ? {} : { inputMode: 'numeric', autoComplete: 'one-time-code' }}
+            autoFocus
+            fullWidth
+            required
+          />
+          {error && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {error}
+            </Alert>
+          )}
+          <Button type="submit" variant="contained" color="primary" fullWidth sx={{ mt: 2 }}>
+            Verify
+          </Button>
+        </form>
+        <Box sx={{ mt: 2, textAlign: 'center' }}>
+          <Typography variant="body2" sx={{ mb: 1 }}>
+            <Link
+              component="button"
+              onClick={() => {
+                setUseRecoveryCode(prev => !prev);
+                setCode('');
+                setError(null);
+              }}
+            >
+              {useRecoveryCode ? 'Use your authenticator app instead' : 'Use a recovery code instead'}
+            </Link>
+          </Typography>
+          <Typography variant="body2">
+            <Link component="button" onClick={handleStartOver}>
+              Back to login
+            </Link>
+          </Typography>
+        </Box>
+      </Box>
+    );
+  }
+
   return (
     <Box sx={{ maxWidth: 400, mx: 'auto', mt: 4 }}>
       <Typography variant="h4" gutterBottom>
@@ -66,6 +150,11 @@ const LoginPage = () => {
         </Button>
       </form>
       <Box sx={{ mt: 2, textAlign: 'center' }}>
+        <Typography variant="body2" sx={{ mb: 1 }}>
+          <Link component="button" onClick={() => navigate('/forgot-password')}>
+            Forgot your password?
+          </Link>
+        </Typography>
         <Typography variant="body2">
           Don't have an account?{' '}
           <Link component="button" onClick={() => navigate('/register')}>
@@ -0,0 +1,216 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Alert,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Chip,
+  Paper,
+  Link,
+  Pagination,
+  Button,
+  CircularProgress,
+} from '@mui/material';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import { annotationsAPI } from '../services/api';
+import { ANNOTATION_TYPES, AnnotationText, annotationPosition } from '../components/BookAnnotations';
+import ClippingsImportWizard from '../components/ClippingsImportWizard';
+
+const PAGE_SIZE = 25;
+
+const QuotesPage = () => {
+  const [annotations, setAnnotations] = useState([]);
+  const [pagination, setPagination] = useState({ totalPages: 0, total: 0 });
+  const [page, setPage] = useState(1);
+  const [filters, setFilters] = useState({ q: '', type: 'quote', author: '', tag: '' });
+  const [bookFilter, setBookFilter] = useState(null);
+  const [tags, setTags] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [importOpen, setImportOpen] = useState(false);
+
+  const fetchAnnotations = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = { page, limit: PAGE_SIZE };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value.trim()) params[key] = value.trim();
+      });
+      if (bookFilter) params.book = bookFilter._id;
+
+      const response = await annotationsAPI.searchAnnotations(params);
+      setAnnotations(response.data.annotations);
+      setPagination(response.data.pagination);
+      setError(null);
+    } catch (error) {
+      setError('Failed to load quotes');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, bookFilter, page]);
+
+  // Debounce so typing in the search box doesn't fire a request per key
+  useEffect(() => {
+    const timeout = setTimeout(fetchAnnotations, 300);
+    return () => clearTimeout(timeout);
+  }, [fetchAnnotations]);
+
+  const fetchTags = useCallback(() => {
+    annotationsAPI.getTags()
+      .then(response => setTags(response.data.tags))
+      .catch(error => console.error(error));
+  }, []);
+
+  useEffect(() => {
+    fetchTags();
+  }, [fetchTags]);
+
+  const handleImported = () => {
+    fetchAnnotations();
+    fetchTags();
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({
+      ...prev,
+      [name]: value
+    }));
+    setPage(1);
+  };
+
+  const selectBook = (book) => {
+    setBookFilter(book);
+    setPage(1);
+  };
+
+  return (
+    <Container maxWidth="md" sx={{ mt: 4, mb: 4 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+        <Typography variant="h4" gutterBottom>
+          All my quotes
+        </Typography>
+        <Button
+          variant="outlined"
+          startIcon={<UploadFileIcon />}
+          onClick={() => setImportOpen(true)}
+        >
+          Import highlights
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'flex', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+        <TextField
+          name="q"
+          label="Search"
+          value={filters.q}
+          onChange={handleFilterChange}
+          sx={{ flexGrow: 1 }}
+        />
+        <FormControl sx={{ minWidth: 140 }}>
+          <InputLabel>Type</InputLabel>
+          <Select name="type" value={filters.type} label="Type" onChange={handleFilterChange}>
+            <MenuItem value="">All</MenuItem>
+            {ANNOTATION_TYPES.map(type => (
+              <MenuItem key={type.value} value={type.value}>{type.label}s</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <TextField
+          name="author"
+          label="Author"
+          value={filters.author}
+          onChange={handleFilterChange}
+        />
+        <FormControl sx={{ minWidth: 140 }}>
+          <InputLabel>Tag</InputLabel>
+          <Select name="tag" value={filters.tag} label="Tag" onChange={handleFilterChange}>
+            <MenuItem value="">Any</MenuItem>
+            {tags.map(item => (
+              <MenuItem key={item.tag} value={item.tag}>{item.tag} ({item.count})</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </Box>
+
+      {bookFilter && (
+        <Chip
+          label={`Book: ${bookFilter.title}`}
+          onDelete={() => selectBook(null)}
+          sx={{ mb: 2 }}
+        />
+      )}
+
+      {loading && annotations.length === 0 ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', my: 4 }}>
+          <CircularProgress />
+        </Box>
+      ) : annotations.length === 0 ? (
+        <Typography variant="body1" color="text.secondary" sx={{ my: 4, textAlign: 'center' }}>
+          Nothing matches these filters.
+        </Typography>
+      ) : (
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+          {annotations.map(annotation => (
+            <Paper key={annotation._id} variant="outlined" sx={{ p: 2 }}>
+              <AnnotationText annotation={annotation} />
+              <Box sx={{ mt: 1, display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+                {annotation.book && (
+                  <Typography variant="body2" color="text.secondary">
+                    —{' '}
+                    <Link component="button" variant="body2" onClick={() => selectBook(annotation.book)}>
+                      {annotation.book.title}
+                    </Link>
+                    {annotation.book.author && `, ${annotation.book.author}`}
+                  </Typography>
+                )}
+                <Typography variant="caption" color="text.secondary">
+                  {annotationPosition(annotation)}
+                </Typography>
+                {annotation.tags?.map(tag => (
+                  <Chip
+                    key={tag}
+                    label={tag}
+                    size="small"
+                    onClick={() => handleFilterChange({ target: { name: 'tag', value: tag } })}
+                  />
+                ))}
+              </Box>
+            </Paper>
+          ))}
+        </Box>
+      )}
+
+      {pagination.totalPages > 1 && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', my: 4 }}>
+          <Pagination
+            count={pagination.totalPages}
+            page={page}
+            onChange={(e, value) => setPage(value)}
+            color="primary"
+          />
+        </Box>
+      )}
+
+      <ClippingsImportWizard
+        open={importOpen}
+        onClose={() => setImportOpen(false)}
+        onImported={handleImported}
+      />
+    </Container>
+  );
+};
+
+export default QuotesPage;
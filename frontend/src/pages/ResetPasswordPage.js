@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { TextField, Button, Box, Typography, Alert, Link } from '@mui/material';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+
+const ResetPasswordPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const navigate = useNavigate();
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError(null);
+      const response = await authAPI.resetPassword(token, formData.password);
+      // Every session was signed out, including any token kept in this browser
+      localStorage.removeItem('token');
+      localStorage.removeItem('user');
+      setMessage(response.data.message);
+    } catch (error) {
+      setError(error.response?.data?.details?.[0] || error.response?.data?.message || 'Failed to reset password');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Box sx={{ maxWidth: 400, mx: 'auto', mt: 4 }}>
+      <Typography variant="h4" gutterBottom>
+        Reset Password
+      </Typography>
+      {!token ? (
+        <Alert severity="error" sx={{ mt: 2 }}>
+          This reset link is missing its token. Please use the link from your email or request a new one.
+        </Alert>
+      ) : message ? (
+        <Alert severity="success" sx={{ mt: 2 }}>
+          {message}
+        </Alert>
+      ) : (
+        <form onSubmit={handleSubmit}>
+          <TextField
+            label="New password"
+            name="password"
+            type="password"
+            value={formData.password}
+            onChange={handleChange}
+            margin="normal"
+            inputProps={{ minLength: 6 }}
+            fullWidth
+            required
+          />
+          <TextField
+            label="Confirm new password"
+            name="confirmPassword"
+            type="password"
+            value={formData.confirmPassword}
+            onChange={handleChange}
+            margin="normal"
+            fullWidth
+            required
+          />
+          {error && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {error}
+            </Alert>
+          )}
+          <Button
+            type="submit"
+            variant="contained"
+            color="primary"
+            fullWidth
+            disabled={submitting}
+            sx={{ mt: 2 }}
+          >
+            Set new password
+          </Button>
+        </form>
+      )}
+      <Box sx={{ mt: 2, textAlign: 'center' }}>
+        <Typography variant="body2">
+          <Link component="button" onClick={() => navigate(message ? '/login' : '/forgot-password')}>
+            {message ? 'Go to login' : 'Request a new link'}
+          </Link>
+        </Typography>
+      </Box>
+    </Box>
+  );
+};
+
+export default ResetPasswordPage;
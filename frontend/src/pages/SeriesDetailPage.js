@@ -0,0 +1,148 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link as RouterLink } from 'react-router-dom';
+import {
+  Container,
+  Typography,
+  Box,
+  Chip,
+  Alert,
+  Button,
+  CircularProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+} from '@mui/material';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import { seriesAPI } from '../services/api';
+
+const STATUS_COLORS = {
+  'To Read': 'default',
+  Reading: 'primary',
+  Read: 'success',
+};
+
+// Interleave owned volumes with placeholder rows for the gaps so the table
+// reads as the full reading order
+const buildRows = (volumes, gaps) => {
+  const rows = volumes.map(book => ({ type: 'volume', number: book.series.number, book }));
+  gaps.forEach(number => rows.push({ type: 'gap', number }));
+  return rows.sort((a, b) => (a.number ?? Infinity) - (b.number ?? Infinity));
+};
+
+const SeriesDetailPage = () => {
+  const { name } = useParams();
+  const [series, setSeries] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchSeries = async () => {
+      try {
+        const response = await seriesAPI.getSeriesDetail(name);
+        setSeries(response.data.series);
+        setError(null);
+      } catch (error) {
+        setError(error.response?.status === 404 ? 'Series not found' : 'Failed to load series');
+        console.error(error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSeries();
+  }, [name]);
+
+  if (loading) {
+    return (
+      <Container sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+        <CircularProgress />
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+      <Button component={RouterLink} to="/series" startIcon={<ArrowBackIcon />} sx={{ mb: 2 }}>
+        All series
+      </Button>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {series && (
+        <>
+          <Typography variant="h4" gutterBottom>
+            {series.name}
+          </Typography>
+          <Typography variant="body1" color="text.secondary" gutterBottom>
+            {series.authors.join(', ')}
+          </Typography>
+
+          <Box sx={{ display: 'flex', gap: 2, my: 2, flexWrap: 'wrap' }}>
+            <Chip label={`${series.total} in library`} variant="outlined" />
+            <Chip label={`Read: ${series.counts.Read}`} color="success" />
+            {series.counts.Reading > 0 && (
+              <Chip label={`Reading: ${series.counts.Reading}`} color="primary" />
+            )}
+            {series.gaps.length > 0 && (
+              <Chip label={`Missing: #${series.gaps.join(', #')}`} color="warning" />
+            )}
+          </Box>
+
+          <TableContainer component={Paper} variant="outlined">
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell width={80}>#</TableCell>
+                  <TableCell>Title</TableCell>
+                  <TableCell>Author</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Rating</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {buildRows(series.volumes, series.gaps).map((row) => (row.type === 'gap' ? (
+                  <TableRow key={`gap-${row.number}`}>
+                    <TableCell>{row.number}</TableCell>
+                    <TableCell colSpan={4}>
+                      <Typography variant="body2" color="text.secondary" fontStyle="italic">
+                        Not in your library
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                ) : (
+                  <TableRow
+                    key={row.book._id}
+                    selected={series.nextUnread?._id === row.book._id}
+                  >
+                    <TableCell>{row.number ?? '–'}</TableCell>
+                    <TableCell>
+                      {row.book.title}
+                      {series.nextUnread?._id === row.book._id && (
+                        <Chip label="Up next" color="secondary" size="small" sx={{ ml: 1 }} />
+                      )}
+                    </TableCell>
+                    <TableCell>{row.book.author}</TableCell>
+                    <TableCell>
+                      <Chip label={row.book.status} color={STATUS_COLORS[row.book.status]} size="small" />
+                    </TableCell>
+                    <TableCell>{row.book.rating ? `⭐ ${row.book.rating}/5` : ''}</TableCell>
+                  </TableRow>
+                )))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </>
+      )}
+    </Container>
+  );
+};
+
+export default SeriesDetailPage;
@@ -0,0 +1,118 @@
+import React, { useState, useEffect } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Container,
+  Typography,
+  Grid,
+  Card,
+  CardActionArea,
+  CardContent,
+  Box,
+  Chip,
+  Alert,
+  CircularProgress,
+  LinearProgress,
+} from '@mui/material';
+import { seriesAPI } from '../services/api';
+
+const SeriesPage = () => {
+  const [series, setSeries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchSeries = async () => {
+      try {
+        const response = await seriesAPI.getSeries();
+        setSeries(response.data.series);
+      } catch (error) {
+        setError('Failed to load series');
+        console.error(error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSeries();
+  }, []);
+
+  if (loading) {
+    return (
+      <Container sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+        <CircularProgress />
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="xl" sx={{ mt: 4, mb: 4 }}>
+      <Typography variant="h4" gutterBottom>
+        Series
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {series.length === 0 && !error ? (
+        <Typography variant="h6" color="text.secondary" sx={{ textAlign: 'center', mt: 4 }}>
+          No series yet. Add a series name when editing a book to group it here.
+        </Typography>
+      ) : (
+        <Grid container spacing={3}>
+          {series.map((item) => (
+            <Grid item xs={12} sm={6} md={4} key={item.name}>
+              <Card variant="outlined" sx={{ height: '100%' }}>
+                <CardActionArea
+                  component={RouterLink}
+                  to={`/series/${encodeURIComponent(item.name)}`}
+                  sx={{ height: '100%' }}
+                >
+                  <CardContent>
+                    <Typography variant="h6" noWrap>{item.name}</Typography>
+                    <Typography variant="body2" color="text.secondary" noWrap>
+                      {item.authors.join(', ')}
+                    </Typography>
+
+                    <Box sx={{ mt: 2 }}>
+                      <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                        <Typography variant="caption" color="text.secondary">
+                          {item.counts.Read} of {item.total} read
+                        </Typography>
+                        {item.gaps.length > 0 && (
+                          <Typography variant="caption" color="warning.main">
+                            Missing #{item.gaps.join(', #')}
+                          </Typography>
+                        )}
+                      </Box>
+                      <LinearProgress
+                        variant="determinate"
+                        value={(item.counts.Read / item.total) * 100}
+                        color={item.complete ? 'success' : 'primary'}
+                      />
+                    </Box>
+
+                    <Box sx={{ mt: 2 }}>
+                      {item.complete ? (
+                        <Chip label="Complete" color="success" size="small" />
+                      ) : item.nextUnread && (
+                        <Typography variant="body2" noWrap>
+                          Next: {item.nextUnread.number ? `#${item.nextUnread.number} ` : ''}
+                          {item.nextUnread.title}
+                        </Typography>
+                      )}
+                    </Box>
+                  </CardContent>
+                </CardActionArea>
+              </Card>
+            </Grid>
+          ))}
+        </Grid>
+      )}
+    </Container>
+  );
+};
+
+export default SeriesPage;
@@ -0,0 +1,154 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Alert,
+  Button,
+  Chip,
+  CircularProgress,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  IconButton,
+  Paper,
+  Tooltip,
+} from '@mui/material';
+import ComputerIcon from '@mui/icons-material/Computer';
+import PhoneIphoneIcon from '@mui/icons-material/PhoneIphone';
+import LogoutIcon from '@mui/icons-material/Logout';
+import { useNavigate } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+
+const isMobile = (device = '') => /iOS|Android/.test(device);
+
+const formatDateTime = (value) => new Date(value).toLocaleString();
+
+const SessionsPage = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { logout } = useAuth();
+  const navigate = useNavigate();
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await authAPI.getSessions();
+      setSessions(response.data.sessions);
+      setError(null);
+    } catch (error) {
+      setError('Failed to load sessions');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      await logout();
+      navigate('/login');
+      return;
+    }
+
+    try {
+      await authAPI.revokeSession(session._id);
+      fetchSessions();
+    } catch (error) {
+      setError('Failed to sign out that device');
+      console.error(error);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out every other device?')) return;
+
+    try {
+      await authAPI.revokeOtherSessions();
+      fetchSessions();
+    } catch (error) {
+      setError('Failed to sign out other devices');
+      console.error(error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Container sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+        <CircularProgress />
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="md" sx={{ mt: 4, mb: 4 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h4">
+          My sessions
+        </Typography>
+        <Button
+          variant="outlined"
+          color="error"
+          onClick={handleRevokeOthers}
+          disabled={sessions.length < 2}
+        >
+          Sign out other devices
+        </Button>
+      </Box>
+
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Devices that are signed in to your account. Signing a device out ends its
+        access straight away.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <Paper variant="outlined">
+        <List>
+          {sessions.map((session) => (
+            <ListItem
+              key={session._id}
+              divider
+              secondaryAction={
+                <Tooltip title={session.current ? 'Log out' : 'Sign out this device'}>
+                  <IconButton edge="end" onClick={() => handleRevoke(session)}>
+                    <LogoutIcon />
+                  </IconButton>
+                </Tooltip>
+              }
+            >
+              <ListItemIcon>
+                {isMobile(session.device) ? <PhoneIphoneIcon /> : <ComputerIcon />}
+              </ListItemIcon>
+              <ListItemText
+                primary={
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    {session.device}
+                    {session.current && <Chip label="This device" color="primary" size="small" />}
+                  </Box>
+                }
+                secondary={
+                  `Last active ${formatDateTime(session.lastSeenAt)}`
+                  + ` · Signed in ${formatDateTime(session.createdAt)}`
+                  + (session.ip ? ` · ${session.ip}` : '')
+                }
+              />
+            </ListItem>
+          ))}
+        </List>
+      </Paper>
+    </Container>
+  );
+};
+
+export default SessionsPage;
@@ -0,0 +1,340 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Container,
+  Typography,
+  Card,
+  CardContent,
+  Box,
+  TextField,
+  Button,
+  Alert,
+  Avatar,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  ToggleButton,
+  ToggleButtonGroup,
+  FormControlLabel,
+  Checkbox,
+} from '@mui/material';
+import LightModeIcon from '@mui/icons-material/LightMode';
+import DarkModeIcon from '@mui/icons-material/DarkMode';
+import DevicesIcon from '@mui/icons-material/Devices';
+import { authAPI, assetUrl } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import AccessTokens from '../components/AccessTokens';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import AccountDataSettings from '../components/AccountDataSettings';
+
+const errorMessage = (error, fallback) => (
+  error.response?.data?.details?.[0] || error.response?.data?.message || fallback
+);
+
+const Section = ({ title, children }) => (
+  <Card variant="outlined" sx={{ mb: 3 }}>
+    <CardContent>
+      <Typography variant="h6" gutterBottom>
+        {title}
+      </Typography>
+      {children}
+    </CardContent>
+  </Card>
+);
+
+const SettingsPage = () => {
+  const { user, updateUser } = useAuth();
+  const navigate = useNavigate();
+  const [profile, setProfile] = useState({
+    firstName: user?.firstName || '',
+    lastName: user?.lastName || '',
+    username: user?.username || '',
+    email: user?.email || '',
+  });
+  const [passwords, setPasswords] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: '',
+  });
+  const [revokeAccessTokens, setRevokeAccessTokens] = useState(true);
+  // Bumped to reload the token list after a password change revokes them
+  const [accessTokensVersion, setAccessTokensVersion] = useState(0);
+  // One status message per section: { section, severity, text }
+  const [status, setStatus] = useState(null);
+
+  const preferences = user?.preferences || { theme: 'light', defaultBookStatus: 'To Read' };
+
+  const showStatus = (section, severity, text) => setStatus({ section, severity, text });
+
+  const statusFor = (section) => status?.section === section && (
+    <Alert severity={status.severity} sx={{ mt: 2 }}>
+      {status.text}
+    </Alert>
+  );
+
+  const handleProfileChange = (e) => {
+    const { name, value } = e.target;
+    setProfile(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handlePasswordChange = (e) => {
+    const { name, value } = e.target;
+    setPasswords(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleSaveProfile = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await authAPI.updateProfile(profile);
+      updateUser(response.data.user);
+      showStatus('profile', 'success', response.data.user.emailVerified
+        ? 'Profile saved'
+        : 'Profile saved. Check your inbox to confirm your email address.');
+    } catch (error) {
+      showStatus('profile', 'error', errorMessage(error, 'Failed to save profile'));
+    }
+  };
+
+  const handlePreferenceChange = async (name, value) => {
+    if (!value) return;
+    try {
+      const response = await authAPI.updateProfile({ preferences: { [name]: value } });
+      updateUser(response.data.user);
+    } catch (error) {
+      showStatus('preferences', 'error', errorMessage(error, 'Failed to save preference'));
+    }
+  };
+
+  const handleAvatarChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const response = await authAPI.uploadAvatar(file);
+      updateUser(response.data.user);
+      showStatus('profile', 'success', 'Avatar updated');
+    } catch (error) {
+      showStatus('profile', 'error', errorMessage(error, 'Failed to upload avatar'));
+    }
+    e.target.value = '';
+  };
+
+  const handleRemoveAvatar = async () => {
+    try {
+      const response = await authAPI.deleteAvatar();
+      updateUser(response.data.user);
+    } catch (error) {
+      showStatus('profile', 'error', errorMessage(error, 'Failed to remove avatar'));
+    }
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      showStatus('password', 'error', 'New passwords do not match');
+      return;
+    }
+    try {
+      const response = await authAPI.changePassword(
+        passwords.currentPassword,
+        passwords.newPassword,
+        revokeAccessTokens
+      );
+      setPasswords({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      const revoked = response.data.accessTokensRevoked;
+      if (revoked) setAccessTokensVersion(version => version + 1);
+      showStatus('password', 'success', [
+        response.data.message,
+        'Other devices have been signed out',
+        revoked && `${revoked} access token${revoked === 1 ? ' was' : 's were'} revoked`,
+      ].filter(Boolean).join('. ') + '.');
+    } catch (error) {
+      showStatus('password', 'error', errorMessage(error, 'Failed to change password'));
+    }
+  };
+
+  return (
+    <Container maxWidth="md" sx={{ mt: 4, mb: 4 }}>
+      <Typography variant="h4" gutterBottom>
+        Settings
+      </Typography>
+
+      <Section title="Profile">
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+          <Avatar src={assetUrl(user?.avatar)} sx={{ width: 72, height: 72 }}>
+            {user?.firstName?.[0]}
+          </Avatar>
+          <Button variant="outlined" component="label">
+            Upload picture
+            <input type="file" accept="image/*" hidden onChange={handleAvatarChange} />
+          </Button>
+          {user?.avatar && (
+            <Button color="error" onClick={handleRemoveAvatar}>
+              Remove
+            </Button>
+          )}
+        </Box>
+
+        <form onSubmit={handleSaveProfile}>
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <TextField
+              name="firstName"
+              label="First name"
+              value={profile.firstName}
+              onChange={handleProfileChange}
+              margin="normal"
+              fullWidth
+              required
+            />
+            <TextField
+              name="lastName"
+              label="Last name"
+              value={profile.lastName}
+              onChange={handleProfileChange}
+              margin="normal"
+              fullWidth
+              required
+            />
+          </Box>
+          <TextField
+            name="username"
+            label="Username"
+            value={profile.username}
+            onChange={handleProfileChange}
+            margin="normal"
+            fullWidth
+            required
+          />
+          <TextField
+            name="email"
+            label="Email"
+            type="email"
+            value={profile.email}
+            onChange={handleProfileChange}
+            margin="normal"
+            helperText={user?.emailVerified === false ? 'Not verified yet' : ' '}
+            fullWidth
+            required
+          />
+          <Button type="submit" variant="contained" sx={{ mt: 1 }}>
+            Save profile
+          </Button>
+        </form>
+        {statusFor('profile')}
+      </Section>
+
+      <Section title="Preferences">
+        <Box sx={{ display: 'flex', gap: 3, alignItems: 'center', flexWrap: 'wrap' }}>
+          <ToggleButtonGroup
+            exclusive
+            value={preferences.theme}
+            onChange={(e, value) => handlePreferenceChange('theme', value)}
+          >
+            <ToggleButton value="light">
+              <LightModeIcon sx={{ mr: 1 }} /> Light
+            </ToggleButton>
+            <ToggleButton value="dark">
+              <DarkModeIcon sx={{ mr: 1 }} /> Dark
+            </ToggleButton>
+          </ToggleButtonGroup>
+
+          <FormControl sx={{ minWidth: 220 }}>
+            <InputLabel>Default status for new books</InputLabel>
+            <Select
+              value={preferences.defaultBookStatus}
+              label="Default status for new books"
+              onChange={(e) => handlePreferenceChange('defaultBookStatus', e.target.value)}
+            >
+              <MenuItem value="To Read">To Read</MenuItem>
+              <MenuItem value="Reading">Reading</MenuItem>
+              <MenuItem value="Read">Read</MenuItem>
+            </Select>
+          </FormControl>
+        </Box>
+        {statusFor('preferences')}
+      </Section>
+
+      <Section title="Change password">
+        <form onSubmit={handleChangePassword}>
+          <TextField
+            name="currentPassword"
+            label="Current password"
+            type="password"
+            value={passwords.currentPassword}
+            onChange={handlePasswordChange}
+            margin="normal"
+            fullWidth
+            required
+          />
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <TextField
+              name="newPassword"
+              label="New password"
+              type="password"
+              value={passwords.newPassword}
+              onChange={handlePasswordChange}
+              margin="normal"
+              inputProps={{ minLength: 6 }}
+              fullWidth
+              required
+            />
+            <TextField
+              name="confirmPassword"
+              label="Confirm new password"
+              type="password"
+              value={passwords.confirmPassword}
+              onChange={handlePasswordChange}
+              margin="normal"
+              fullWidth
+              required
+            />
+          </Box>
+          <FormControlLabel
+            control={(
+              <Checkbox
+                checked={revokeAccessTokens}
+                onChange={(e) => setRevokeAccessTokens(e.target.checked)}
+              />
+            )}
+            label="Also revoke my personal access tokens"
+          />
+          <Box>
+            <Button type="submit" variant="contained" sx={{ mt: 1 }}>
+              Change password
+            </Button>
+          </Box>
+        </form>
+        {statusFor('password')}
+      </Section>
+
+      <Section title="Two-factor authentication">
+        <TwoFactorSettings />
+      </Section>
+
+      <Section title="Signed-in devices">
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          See where your account is signed in and sign out devices you don't recognise.
+        </Typography>
+        <Button variant="outlined" startIcon={<DevicesIcon />} onClick={() => navigate('/sessions')}>
+          Manage sessions
+        </Button>
+      </Section>
+
+      <Section title="Personal access tokens">
+        <AccessTokens key={accessTokensVersion} />
+      </Section>
+
+      <Section title="Your data">
+        <AccountDataSettings />
+      </Section>
+    </Container>
+  );
+};
+
+export default SettingsPage;
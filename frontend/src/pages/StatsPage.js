@@ -0,0 +1,238 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Container,
+  Typography,
+  Grid,
+  Card,
+  CardContent,
+  Box,
+  Alert,
+  CircularProgress,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  ToggleButton,
+  ToggleButtonGroup,
+} from '@mui/material';
+import BarChart, { HorizontalBarList } from '../components/BarChart';
+import { statsAPI } from '../services/api';
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// The API only returns periods with finished books; fill the gaps with zeros
+// so the chart's x-axis is continuous
+const fillTimeline = (timeline, period, year) => {
+  if (period === 'month' && year) {
+    return MONTH_LABELS.map((label, index) => {
+      const key = `${year}-${String(index + 1).padStart(2, '0')}`;
+      const entry = timeline.find(item => item.period === key);
+      return { label, books: entry?.books || 0, pages: entry?.pages || 0 };
+    });
+  }
+
+  if (period === 'year' && timeline.length) {
+    const first = Number(timeline[0].period);
+    const last = Number(timeline[timeline.length - 1].period);
+    return Array.from({ length: last - first + 1 }, (_, index) => {
+      const entry = timeline.find(item => Number(item.period) === first + index);
+      return { label: String(first + index), books: entry?.books || 0, pages: entry?.pages || 0 };
+    });
+  }
+
+  return timeline.map(item => ({ label: item.period, books: item.books, pages: item.pages }));
+};
+
+const StatCard = ({ label, value }) => (
+  <Card variant="outlined">
+    <CardContent>
+      <Typography variant="body2" color="text.secondary">{label}</Typography>
+      <Typography variant="h5">{value}</Typography>
+    </CardContent>
+  </Card>
+);
+
+const ChartCard = ({ title, action, children }) => (
+  <Card variant="outlined" sx={{ height: '100%' }}>
+    <CardContent>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h6">{title}</Typography>
+        {action}
+      </Box>
+      {children}
+    </CardContent>
+  </Card>
+);
+
+const StatsPage = () => {
+  const currentYear = new Date().getFullYear();
+  const [period, setPeriod] = useState('month');
+  const [year, setYear] = useState(currentYear);
+  const [timelineMetric, setTimelineMetric] = useState('books');
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchStats = async () => {
+      try {
+        const response = await statsAPI.getStats({
+          period,
+          year: period === 'month' ? year : undefined,
+        });
+        setStats(response.data);
+        setError(null);
+      } catch (error) {
+        setError('Failed to load statistics');
+        console.error(error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchStats();
+  }, [period, year]);
+
+  if (loading) {
+    return (
+      <Container sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+        <CircularProgress />
+      </Container>
+    );
+  }
+
+  if (!stats) {
+    return (
+      <Container sx={{ mt: 4 }}>
+        <Alert severity="error">{error}</Alert>
+      </Container>
+    );
+  }
+
+  const { summary } = stats;
+  const timeline = fillTimeline(stats.timeline, period, period === 'month' ? year : null);
+  const years = Array.from({ length: 10 }, (_, index) => currentYear - index);
+
+  return (
+    <Container maxWidth="xl" sx={{ mt: 4, mb: 4 }}>
+      <Typography variant="h4" gutterBottom>
+        Reading Statistics
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <Grid container spacing={2} sx={{ mb: 3 }}>
+        <Grid item xs={6} md={2}>
+          <StatCard label="Books" value={summary.totalBooks} />
+        </Grid>
+        <Grid item xs={6} md={2}>
+          <StatCard label="Finished" value={summary.booksRead} />
+        </Grid>
+        <Grid item xs={6} md={2}>
+          <StatCard label="Reading" value={summary.booksReading} />
+        </Grid>
+        <Grid item xs={6} md={2}>
+          <StatCard label="Pages read" value={(summary.pagesRead || 0).toLocaleString()} />
+        </Grid>
+        <Grid item xs={6} md={2}>
+          <StatCard
+            label="Average rating"
+            value={summary.averageRating ? summary.averageRating.toFixed(1) : '–'}
+          />
+        </Grid>
+        <Grid item xs={6} md={2}>
+          <StatCard
+            label="Avg. days to finish"
+            value={summary.averageReadingDuration ? Math.round(summary.averageReadingDuration) : '–'}
+          />
+        </Grid>
+      </Grid>
+
+      <Grid container spacing={3}>
+        <Grid item xs={12}>
+          <ChartCard
+            title={`${timelineMetric === 'books' ? 'Books' : 'Pages'} finished per ${period}`}
+            action={
+              <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+                <ToggleButtonGroup
+                  size="small"
+                  exclusive
+                  value={timelineMetric}
+                  onChange={(e, value) => value && setTimelineMetric(value)}
+                >
+                  <ToggleButton value="books">Books</ToggleButton>
+                  <ToggleButton value="pages">Pages</ToggleButton>
+                </ToggleButtonGroup>
+                <ToggleButtonGroup
+                  size="small"
+                  exclusive
+                  value={period}
+                  onChange={(e, value) => value && setPeriod(value)}
+                >
+                  <ToggleButton value="month">Monthly</ToggleButton>
+                  <ToggleButton value="year">Yearly</ToggleButton>
+                </ToggleButtonGroup>
+                {period === 'month' && (
+                  <FormControl size="small" sx={{ minWidth: 100 }}>
+                    <InputLabel>Year</InputLabel>
+                    <Select value={year} label="Year" onChange={(e) => setYear(e.target.value)}>
+                      {years.map(option => (
+                        <MenuItem key={option} value={option}>{option}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                )}
+              </Box>
+            }
+          >
+            <BarChart
+              data={timeline.map(item => ({ label: item.label, value: item[timelineMetric] }))}
+              formatValue={(value) => value.toLocaleString()}
+            />
+          </ChartCard>
+        </Grid>
+
+        <Grid item xs={12} md={6}>
+          <ChartCard title="Top genres">
+            <HorizontalBarList
+              data={stats.genres.map(item => ({ label: item.name, value: item.count }))}
+            />
+          </ChartCard>
+        </Grid>
+
+        <Grid item xs={12} md={6}>
+          <ChartCard title="Top authors">
+            <HorizontalBarList
+              data={stats.authors.map(item => ({ label: item.name, value: item.count }))}
+              color="secondary.main"
+            />
+          </ChartCard>
+        </Grid>
+
+        <Grid item xs={12} md={6}>
+          <ChartCard title="Rating distribution">
+            <BarChart
+              data={stats.ratings.map(item => ({ label: `${item.rating}★`, value: item.count }))}
+              color="warning.main"
+            />
+          </ChartCard>
+        </Grid>
+
+        <Grid item xs={12} md={6}>
+          <ChartCard title="Formats">
+            <HorizontalBarList
+              data={stats.formats.map(item => ({ label: item.name, value: item.count }))}
+              color="success.main"
+            />
+          </ChartCard>
+        </Grid>
+      </Grid>
+    </Container>
+  );
+};
+
+export default StatsPage;
@@ -0,0 +1,179 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Typography,
+  Box,
+  Alert,
+  Button,
+  IconButton,
+  Tooltip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  CircularProgress,
+} from '@mui/material';
+import RestoreFromTrashIcon from '@mui/icons-material/RestoreFromTrash';
+import DeleteForeverIcon from '@mui/icons-material/DeleteForever';
+import { booksAPI } from '../services/api';
+import CoverImage from '../components/CoverImage';
+
+const formatDate = (value) => new Date(value).toLocaleDateString();
+
+const TrashPage = () => {
+  const [books, setBooks] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const fetchTrash = useCallback(async () => {
+    try {
+      const response = await booksAPI.getTrash();
+      setBooks(response.data.books);
+      setRetentionDays(response.data.retentionDays);
+      setError(null);
+    } catch (error) {
+      setError('Failed to load trash');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const handleRestore = async (book) => {
+    try {
+      await booksAPI.restoreFromTrash(book._id);
+      setNotice(`"${book.title}" is back in your library`);
+      fetchTrash();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to restore book');
+    }
+  };
+
+  const handlePurge = async (book) => {
+    if (!window.confirm(`Permanently delete "${book.title}" with its reading sessions, loans, quotes and history? This cannot be undone.`)) {
+      return;
+    }
+    try {
+      await booksAPI.purgeFromTrash(book._id);
+      fetchTrash();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to delete book');
+    }
+  };
+
+  const handleEmpty = async () => {
+    if (!window.confirm('Permanently delete every book in the trash? This cannot be undone.')) {
+      return;
+    }
+    try {
+      const response = await booksAPI.emptyTrash();
+      setNotice(response.data.message);
+      fetchTrash();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to empty trash');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Container sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+        <CircularProgress />
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+        <Typography variant="h4" gutterBottom>
+          Trash
+        </Typography>
+        <Button
+          color="error"
+          startIcon={<DeleteForeverIcon />}
+          onClick={handleEmpty}
+          disabled={books.length === 0}
+        >
+          Empty trash
+        </Button>
+      </Box>
+      {retentionDays && (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Deleted books stay here for {retentionDays} days before they are removed for good.
+        </Typography>
+      )}
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+      {notice && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setNotice(null)}>
+          {notice}
+        </Alert>
+      )}
+
+      {books.length === 0 ? (
+        <Typography variant="body1" color="text.secondary" sx={{ my: 4, textAlign: 'center' }}>
+          The trash is empty.
+        </Typography>
+      ) : (
+        <TableContainer component={Paper}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Book</TableCell>
+                <TableCell>Deleted</TableCell>
+                <TableCell>Removed for good on</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {books.map(book => (
+                <TableRow key={book._id} hover>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', gap: 1.5, alignItems: 'center' }}>
+                      <CoverImage book={book} height={60} sizes="40px" sx={{ width: 40, flexShrink: 0 }} />
+                      <Box>
+                        <Typography variant="body2">{book.title}</Typography>
+                        <Typography variant="caption" color="text.secondary">
+                          {book.author}
+                        </Typography>
+                      </Box>
+                    </Box>
+                  </TableCell>
+                  <TableCell>{formatDate(book.deletedAt)}</TableCell>
+                  <TableCell>{formatDate(book.purgeAt)}</TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Restore">
+                      <IconButton onClick={() => handleRestore(book)} color="primary">
+                        <RestoreFromTrashIcon />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete permanently">
+                      <IconButton onClick={() => handlePurge(book)} color="error">
+                        <DeleteForeverIcon />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Container>
+  );
+};
+
+export default TrashPage;
@@ -0,0 +1,60 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Box, Typography, Alert, CircularProgress, Link } from '@mui/material';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+
+const VerifyEmailPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? null : 'This verification link is missing its token.');
+  const requested = useRef(false);
+  const { isAuthenticated, updateUser } = useAuth();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    // Tokens are single-use; don't spend it twice if the effect re-runs
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    authAPI.verifyEmail(token)
+      .then((response) => {
+        if (isAuthenticated) {
+          updateUser({ emailVerified: true });
+        }
+        setStatus('success');
+        setMessage(response.data.message);
+      })
+      .catch((error) => {
+        setStatus('error');
+        setMessage(error.response?.data?.message || 'Failed to verify email');
+      });
+  }, [token, isAuthenticated, updateUser]);
+
+  return (
+    <Box sx={{ maxWidth: 400, mx: 'auto', mt: 4 }}>
+      <Typography variant="h4" gutterBottom>
+        Verify Email
+      </Typography>
+      {status === 'verifying' ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <Alert severity={status} sx={{ mt: 2 }}>
+          {message}
+        </Alert>
+      )}
+      <Box sx={{ mt: 2, textAlign: 'center' }}>
+        <Typography variant="body2">
+          <Link component="button" onClick={() => navigate('/')}>
+            Go to your library
+          </Link>
+        </Typography>
+      </Box>
+    </Box>
+  );
+};
+
+export default VerifyEmailPage;
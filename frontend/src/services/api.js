@@ -2,12 +2,26 @@ import axios from 'axios';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
+// Uploaded files are served by the API server, not the frontend dev server
+const ASSET_BASE_URL = API_BASE_URL.replace(/\/api\/?$/, '');
+
+export const assetUrl = (path) => (path && path.startsWith('/uploads/') ? `${ASSET_BASE_URL}${path}` : path);
+
+// Generated SVG cover for books without an image
+export const coverPlaceholderUrl = (book, width = 300, height = 450) => {
+  const params = new URLSearchParams({ title: book?.title || 'Untitled', width, height });
+  if (book?.author) params.set('author', book.author);
+  return `${API_BASE_URL}/covers/placeholder?${params}`;
+};
+
 // Create axios instance
 const api = axios.create({
   baseURL: API_BASE_URL,
   headers: {
     'Content-Type': 'application/json',
   },
+  // Sends the httpOnly refresh cookie to /auth/refresh and /auth/logout
+  withCredentials: true,
 });
 
 // Add a request interceptor to include the auth token
@@ -24,16 +38,60 @@ api.interceptors.request.use(
   }
 );
 
-// Add a response interceptor to handle auth errors
+// Requests that must not trigger a refresh-and-retry on 401
+const AUTH_ENDPOINTS = [
+  '/auth/login',
+  '/auth/register',
+  '/auth/refresh',
+  '/auth/logout',
+  '/auth/forgot-password',
+  '/auth/reset-password',
+  '/auth/verify-email',
+];
+
+// Share one refresh between every request that hit a 401 at the same time,
+// since each refresh rotates the cookie
+let refreshRequest = null;
+
+export const refreshAccessToken = () => {
+  if (!refreshRequest) {
+    refreshRequest = axios.post(`${API_BASE_URL}/auth/refresh`, null, { withCredentials: true })
+      .then((response) => {
+        localStorage.setItem('token', response.data.token);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
+
+// Add a response interceptor that refreshes an expired access token and
+// retries the request once; only a failed refresh sends the user to /login
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
+  async (error) => {
+    const request = error.config;
+    const isAuthEndpoint = AUTH_ENDPOINTS.some(path => request?.url?.startsWith(path));
+
+    if (error.response?.status !== 401 || !request || request._retried || isAuthEndpoint) {
+      return Promise.reject(error);
+    }
+
+    request._retried = true;
+    try {
+      const token = await refreshAccessToken();
+      request.headers.Authorization = `Bearer ${token}`;
+      return api(request);
+    } catch (refreshError) {
       localStorage.removeItem('token');
       localStorage.removeItem('user');
-      window.location.href = '/login';
+      if (window.location.pathname !== '/login') {
+        window.location.href = '/login';
+      }
+      return Promise.reject(error);
     }
-    return Promise.reject(error);
   }
 );
 
@@ -41,13 +99,51 @@ api.interceptors.response.use(
 export const authAPI = {
   register: (userData) => api.post('/auth/register', userData),
   login: (credentials) => api.post('/auth/login', credentials),
+  completeTwoFactorLogin: (verification) => api.post('/auth/login/2fa', verification),
   getCurrentUser: () => api.get('/auth/me'),
+  updateProfile: (profileData) => api.patch('/auth/me', profileData),
+  changePassword: (currentPassword, newPassword, revokeAccessTokens = true) => api.put('/auth/me/password', {
+    currentPassword,
+    newPassword,
+    revokeAccessTokens,
+  }),
+  uploadAvatar: (file) => {
+    const formData = new FormData();
+    formData.append('avatar', file);
+    return api.post('/auth/me/avatar', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+  },
+  deleteAvatar: () => api.delete('/auth/me/avatar'),
+  downloadTakeout: () => api.get('/auth/me/takeout', { responseType: 'blob' }),
+  requestAccountDeletion: (password) => api.post('/auth/me/deletion', { password }),
+  cancelAccountDeletion: () => api.delete('/auth/me/deletion'),
+  logout: () => api.post('/auth/logout'),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (token, password) => api.post('/auth/reset-password', { token, password }),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: () => api.post('/auth/resend-verification'),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (id) => api.delete(`/auth/sessions/${id}`),
+  revokeOtherSessions: () => api.delete('/auth/sessions'),
+  getTwoFactorStatus: () => api.get('/auth/2fa'),
+  setupTwoFactor: () => api.post('/auth/2fa/setup'),
+  enableTwoFactor: (code) => api.post('/auth/2fa/enable', { code }),
+  disableTwoFactor: (password) => api.post('/auth/2fa/disable', { password }),
+  regenerateRecoveryCodes: (password) => api.post('/auth/2fa/recovery-codes', { password }),
+  getAccessTokens: () => api.get('/auth/tokens'),
+  createAccessToken: (tokenData) => api.post('/auth/tokens', tokenData),
+  revokeAccessToken: (id) => api.delete(`/auth/tokens/${id}`),
 };
 
 // Books API calls
 export const booksAPI = {
-  getBooks: () => api.get('/books'),
+  getBooks: (params = {}) => api.get('/books', { params }),
   getBook: (id) => api.get(`/books/${id}`),
+  getSimilarBooks: (id, params = {}) => api.get(`/books/${id}/similar`, { params }),
+  getBookActivity: (id) => api.get(`/books/${id}/activity`),
   createBook: (bookData) => {
     const formData = new FormData();
     Object.keys(bookData).forEach(key => {
@@ -71,7 +167,129 @@ export const booksAPI = {
     });
   },
   deleteBook: (id) => api.delete(`/books/${id}`),
-  searchBooks: (query) => api.get(`/books/search?query=${query}`),
+  getBookHistory: (id, params = {}) => api.get(`/books/${id}/history`, { params }),
+  getBookVersion: (id, version) => api.get(`/books/${id}/history/${version}`),
+  restoreBookVersion: (id, version) => api.post(`/books/${id}/history/${version}/restore`),
+  getTrash: () => api.get('/books/trash'),
+  restoreFromTrash: (id) => api.post(`/books/trash/${id}/restore`),
+  purgeFromTrash: (id) => api.delete(`/books/trash/${id}`),
+  emptyTrash: () => api.delete('/books/trash'),
+  searchBooks: (query, params = {}) => api.get('/books/search', {
+    params: { query, ...params },
+  }),
+  searchExternal: (query, provider) => api.get('/books/search-external', {
+    params: { query, provider },
+  }),
+  lookupIsbn: (isbn) => api.get(`/books/lookup/${encodeURIComponent(isbn)}`),
+  exportBooks: (format = 'csv') => api.get('/books/export', {
+    params: { format },
+    responseType: 'blob',
+  }),
+};
+
+// Reading session API calls
+export const sessionsAPI = {
+  getSessions: (bookId) => api.get(`/books/${bookId}/sessions`),
+  startSession: (bookId, sessionData = {}) => api.post(`/books/${bookId}/sessions`, sessionData),
+  updateSession: (bookId, sessionId, sessionData) => api.put(`/books/${bookId}/sessions/${sessionId}`, sessionData),
+  deleteSession: (bookId, sessionId) => api.delete(`/books/${bookId}/sessions/${sessionId}`),
+};
+
+// Lending API calls
+export const loansAPI = {
+  getLoans: (params = {}) => api.get('/loans', { params }),
+  getOverdueLoans: () => api.get('/loans/overdue'),
+  getBookLoans: (bookId) => api.get(`/books/${bookId}/loans`),
+  lendBook: (bookId, loanData) => api.post(`/books/${bookId}/loans`, loanData),
+  updateLoan: (bookId, loanId, loanData) => api.put(`/books/${bookId}/loans/${loanId}`, loanData),
+  returnLoan: (bookId, loanId, returnData = {}) => api.post(`/books/${bookId}/loans/${loanId}/return`, returnData),
+  deleteLoan: (bookId, loanId) => api.delete(`/books/${bookId}/loans/${loanId}`),
+};
+
+// Quotes, highlights and notes API calls
+export const annotationsAPI = {
+  getBookAnnotations: (bookId, params = {}) => api.get(`/books/${bookId}/annotations`, { params }),
+  createAnnotation: (bookId, annotationData) => api.post(`/books/${bookId}/annotations`, annotationData),
+  updateAnnotation: (bookId, annotationId, annotationData) => api.put(`/books/${bookId}/annotations/${annotationId}`, annotationData),
+  deleteAnnotation: (bookId, annotationId) => api.delete(`/books/${bookId}/annotations/${annotationId}`),
+  searchAnnotations: (params = {}) => api.get('/annotations', { params }),
+  getTags: () => api.get('/annotations/tags'),
+};
+
+// Reading goal API calls
+export const goalsAPI = {
+  getGoals: (year) => api.get('/goals', { params: { year } }),
+  createGoal: (goalData) => api.post('/goals', goalData),
+  updateGoal: (id, goalData) => api.put(`/goals/${id}`, goalData),
+  deleteGoal: (id) => api.delete(`/goals/${id}`),
+};
+
+// Statistics API calls
+export const statsAPI = {
+  getStats: (params = {}) => api.get('/stats', { params }),
+  getTimeline: (params = {}) => api.get('/stats/timeline', { params }),
+  getBreakdown: (field, params = {}) => api.get(`/stats/breakdown/${field}`, { params }),
+  getRatings: () => api.get('/stats/ratings'),
+};
+
+// Shelf API calls
+export const shelvesAPI = {
+  getShelves: () => api.get('/shelves'),
+  getShelf: (id) => api.get(`/shelves/${id}`),
+  createShelf: (shelfData) => api.post('/shelves', shelfData),
+  updateShelf: (id, shelfData) => api.put(`/shelves/${id}`, shelfData),
+  deleteShelf: (id) => api.delete(`/shelves/${id}`),
+  addBook: (id, bookId, position) => api.post(`/shelves/${id}/books`, { bookId, position }),
+  removeBook: (id, bookId) => api.delete(`/shelves/${id}/books/${bookId}`),
+  reorderBooks: (id, bookIds) => api.put(`/shelves/${id}/books/order`, { bookIds }),
+};
+
+// Series API calls
+export const seriesAPI = {
+  getSeries: () => api.get('/series'),
+  getSeriesNames: () => api.get('/series/names'),
+  getSeriesDetail: (name) => api.get(`/series/${encodeURIComponent(name)}`),
+};
+
+// Library import API calls
+const buildImportForm = (file, options) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  Object.keys(options).forEach(key => {
+    formData.append(key, options[key]);
+  });
+  return formData;
+};
+
+export const importAPI = {
+  previewLibraryImport: (file, source = 'auto') => api.post(
+    '/import/books',
+    buildImportForm(file, { source, dryRun: true }),
+    { headers: { 'Content-Type': 'multipart/form-data' } }
+  ),
+  commitLibraryImport: (file, source, rows) => api.post(
+    '/import/books',
+    buildImportForm(file, { source, dryRun: false, rows: rows.join(',') }),
+    { headers: { 'Content-Type': 'multipart/form-data' } }
+  ),
+  previewClippingsImport: (file, source = 'auto') => api.post(
+    '/import/clippings',
+    buildImportForm(file, { source, dryRun: true }),
+    { headers: { 'Content-Type': 'multipart/form-data' } }
+  ),
+  commitClippingsImport: (file, source, decisions) => api.post(
+    '/import/clippings',
+    buildImportForm(file, { source, dryRun: false, decisions: JSON.stringify(decisions) }),
+    { headers: { 'Content-Type': 'multipart/form-data' } }
+  ),
+};
+
+export const adminAPI = {
+  getUsers: (params = {}) => api.get('/admin/users', { params }),
+  getUser: (id) => api.get(`/admin/users/${id}`),
+  updateUser: (id, updates) => api.patch(`/admin/users/${id}`, updates),
+  deleteUser: (id) => api.delete(`/admin/users/${id}`),
+  getStorage: () => api.get('/admin/storage'),
 };
 
 export default api;
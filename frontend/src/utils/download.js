@@ -0,0 +1,18 @@
+// Pull the filename out of a Content-Disposition header, if the server sent one
+const getFilename = (response, fallbackName) => {
+  const disposition = response.headers?.['content-disposition'] || '';
+  const match = disposition.match(/filename="?([^";]+)"?/);
+  return match ? match[1] : fallbackName;
+};
+
+// Save a blob response (axios `responseType: 'blob'`) as a file in the browser
+export const downloadResponse = (response, fallbackName) => {
+  const url = window.URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = getFilename(response, fallbackName);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};